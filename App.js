@@ -11,16 +11,18 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { StatusBar } from 'expo-status-bar';
-import { auth } from './firebase';
 import {
+  auth,
+  db,
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
   sendPasswordResetEmail,
   onAuthStateChanged,
   signOut,
-} from 'firebase/auth';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
-import { db } from './firebase';
+  doc,
+  getDoc,
+  setDoc,
+} from './firebase';
 
 // Import new components and utilities
 import ErrorBoundary from './components/ErrorBoundary';
@@ -32,6 +34,10 @@ import Profile_Safe from './screens/Profile_Safe';
 import RiskQuiz_Safe from './screens/RiskQuiz_Safe';
 import StockComparison_Enhanced from './components/StockComparison_Enhanced';
 import PortfolioTracker_Enhanced from './components/PortfolioTracker_Enhanced';
+import orderService from './services/orderService';
+import corporateActionsService from './services/corporateActionsService';
+import cashSweepService from './services/cashSweepService';
+import tradeExecutionService from './services/tradeExecutionService';
 
 export default function App() {
   return (
@@ -147,6 +153,28 @@ function AppContent() {
     };
   }, [setUser, setError]);
 
+  // Evaluate resting orders against incoming quotes while signed in
+  useEffect(() => {
+    if (user?.uid) {
+      orderService.start(user.uid);
+    }
+    return () => orderService.stop();
+  }, [user?.uid]);
+
+  // Apply splits, credit dividends and sweep interest that happened since the last visit.
+  // The ledger is opened first so the cash and holdings the user already had are on record.
+  useEffect(() => {
+    if (!user?.uid) return;
+    tradeExecutionService.openLedger(user.uid)
+      .catch(error => console.error('Error opening ledger:', error))
+      .then(() => {
+        corporateActionsService.processCorporateActions(user.uid)
+          .catch(error => console.error('Error processing corporate actions:', error));
+        cashSweepService.processSweep(user.uid)
+          .catch(error => console.error('Error crediting sweep interest:', error));
+      });
+  }, [user?.uid]);
+
   const createUserProfileIfMissing = async (uid, email) => {
     const userRef = doc(db, 'users', uid);
     await setDoc(
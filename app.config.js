@@ -60,6 +60,32 @@ export default {
     extra: {
       eas: {
         projectId: "1f7a1663-5908-4d6f-a3c1-03a0611900af"
+      },
+      // LLM provider and per-task settings (services/llmProviderService.js).
+      // provider: 'groq', 'openai', 'ollama', 'llamacpp' or 'custom' (any OpenAI-compatible endpoint, set baseUrl and model).
+      // model: null uses the provider's default. EXPO_PUBLIC_LLM_PROVIDER, EXPO_PUBLIC_LLM_BASE_URL and
+      // EXPO_PUBLIC_LLM_MODEL override these; each task can also set its own model.
+      llm: {
+        provider: 'groq',
+        baseUrl: null,
+        model: null,
+        temperature: 0.7,
+        maxTokens: 1000,
+        systemPrompt: 'You are a financial advisor. Provide clear, concise responses without JSON formatting unless specifically requested.',
+        tasks: {
+          recommendations: {
+            temperature: 0.7,
+            maxTokens: 4000,
+            systemPrompt: 'You are a financial advisor. Answer with JSON only, in exactly the shape requested.'
+          },
+          thesis: { temperature: 0.8, maxTokens: 800 },
+          technicalAnalysis: { temperature: 0.4, maxTokens: 800 },
+          headlineSentiment: {
+            temperature: 0,
+            maxTokens: 500,
+            systemPrompt: 'You are a financial news analyst. Answer with JSON only, in exactly the shape requested.'
+          }
+        }
       }
     },
     eas: {
@@ -0,0 +1,376 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Linking,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import newsService, { TREND_WINDOWS, getSentimentLabel } from '../services/newsService';
+import groqService from '../services/groqService';
+
+const COLORS = {
+  cardGradient: ['rgba(255,255,255,0.1)', 'rgba(255,255,255,0.05)'],
+  primary: '#00d4ff',
+  success: '#4ecdc4',
+  warning: '#feca57',
+  danger: '#ff6b6b',
+  text: {
+    primary: '#FFFFFF',
+    secondary: '#CCCCCC',
+    accent: '#8b9dc3',
+  },
+};
+
+const SPACING = {
+  xs: 4,
+  sm: 8,
+  md: 16,
+  lg: 24,
+};
+
+const TYPOGRAPHY = {
+  h3: { fontSize: 20, fontWeight: '600', lineHeight: 28 },
+  body: { fontSize: 16, fontWeight: '400', lineHeight: 24 },
+  caption: { fontSize: 14, fontWeight: '400', lineHeight: 20 },
+  small: { fontSize: 12, fontWeight: '400', lineHeight: 16 },
+};
+
+const ARTICLES_PAGE_SIZE = 15;
+const TREND_BAR_HEIGHT = 24; // Half-height of the daily bars (positive above the baseline, negative below)
+
+const SENTIMENT_COLORS = {
+  positive: COLORS.success,
+  negative: COLORS.danger,
+  neutral: COLORS.text.accent,
+};
+
+const DIRECTION_LABELS = {
+  improving: 'Improving vs 30-day',
+  deteriorating: 'Weakening vs 30-day',
+  stable: 'In line with 30-day',
+};
+
+const GlassCard = ({ children, style }) => (
+  <LinearGradient colors={COLORS.cardGradient} style={[styles.glassCard, style]}>
+    <View style={styles.cardBorder}>{children}</View>
+  </LinearGradient>
+);
+
+const formatScore = (score) => (score === null || score === undefined ? 'N/A' : `${score >= 0 ? '+' : ''}${score.toFixed(2)}`);
+
+const scoreColor = (score) => (score === null || score === undefined
+  ? COLORS.text.secondary
+  : SENTIMENT_COLORS[getSentimentLabel(score)]);
+
+const formatAge = (iso) => {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+// Headline sentiment trend card for one window (7 or 30 days)
+const SentimentTrend = ({ trend }) => (
+  <View style={styles.trendBlock}>
+    <View style={styles.trendHeader}>
+      <Text style={styles.trendLabel}>{trend.days}-Day Sentiment</Text>
+      <Text style={[styles.trendScore, { color: scoreColor(trend.average) }]}>{formatScore(trend.average)}</Text>
+    </View>
+    <View style={styles.trendBars}>
+      {trend.daily.map(day => (
+        <View key={day.date} style={styles.trendBarSlot}>
+          <View style={styles.trendBarHalf}>
+            {day.average > 0 && (
+              <View style={[styles.trendBar, { height: Math.max(2, day.average * TREND_BAR_HEIGHT), backgroundColor: COLORS.success }]} />
+            )}
+          </View>
+          <View style={[styles.trendBarHalf, styles.trendBarHalfNegative]}>
+            {day.average < 0 && (
+              <View style={[styles.trendBar, { height: Math.max(2, -day.average * TREND_BAR_HEIGHT), backgroundColor: COLORS.danger }]} />
+            )}
+          </View>
+        </View>
+      ))}
+    </View>
+    <Text style={styles.trendCounts}>
+      {trend.count} stories · {trend.positive} positive · {trend.neutral} neutral · {trend.negative} negative
+    </Text>
+  </View>
+);
+
+// Company news with per-headline sentiment and 7/30-day trends (StockDetailsModal's News tab)
+const CompanyNewsPanel = ({ symbol }) => {
+  const [news, setNews] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [scorer, setScorer] = useState(newsService.scorer);
+  const [visibleCount, setVisibleCount] = useState(ARTICLES_PAGE_SIZE);
+  const canUseLLM = groqService.isConfigured();
+
+  useEffect(() => {
+    if (!symbol) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setVisibleCount(ARTICLES_PAGE_SIZE);
+    newsService.getNews(symbol, { scorer })
+      .then(result => {
+        if (!cancelled) setNews(result);
+      })
+      .catch(error => {
+        console.error(`Error loading news for ${symbol}:`, error);
+        if (!cancelled) setNews(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, scorer]);
+
+  const openArticle = (article) => {
+    if (!article.url) return;
+    Linking.openURL(article.url).catch(error => console.warn('Could not open article:', error.message));
+  };
+
+  if (loading && !news) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="small" color={COLORS.primary} />
+        <Text style={styles.mutedText}>Loading news…</Text>
+      </View>
+    );
+  }
+
+  if (!news || news.articles.length === 0) {
+    return (
+      <GlassCard>
+        <Text style={styles.mutedText}>No recent news for {symbol}.</Text>
+      </GlassCard>
+    );
+  }
+
+  return (
+    <View>
+      <GlassCard>
+        <View style={styles.cardHeader}>
+          <Text style={styles.sectionTitle}>Sentiment Trend</Text>
+          {news.direction && (
+            <Text style={styles.directionText}>{DIRECTION_LABELS[news.direction]}</Text>
+          )}
+        </View>
+        {TREND_WINDOWS.map(days => (
+          <SentimentTrend key={days} trend={news.trends[days]} />
+        ))}
+        <View style={styles.scorerRow}>
+          <Text style={styles.sourceText}>
+            {news.source}{news.stale ? ' · saved' : ''} · scored by {news.scorer === 'llm' ? 'AI' : 'keyword lexicon'}
+          </Text>
+          {canUseLLM && (
+            <View style={styles.scorerChips}>
+              {[['lexicon', 'Lexicon'], ['llm', 'AI']].map(([value, label]) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.scorerChip, scorer === value && styles.scorerChipActive]}
+                  onPress={() => setScorer(value)}
+                  disabled={loading}
+                >
+                  <Text style={styles.scorerChipText}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      </GlassCard>
+
+      {news.articles.slice(0, visibleCount).map(article => (
+        <TouchableOpacity key={article.id} onPress={() => openArticle(article)} disabled={!article.url}>
+          <GlassCard style={styles.articleCard}>
+            <View style={styles.articleMeta}>
+              <Text style={styles.articleSource} numberOfLines={1}>
+                {article.source} · {formatAge(article.publishedAt)}
+              </Text>
+              <View style={[styles.sentimentBadge, { borderColor: SENTIMENT_COLORS[article.sentimentLabel] }]}>
+                <Text style={[styles.sentimentBadgeText, { color: SENTIMENT_COLORS[article.sentimentLabel] }]}>
+                  {article.sentimentLabel} {formatScore(article.sentiment)}
+                </Text>
+              </View>
+            </View>
+            <Text style={styles.articleHeadline}>{article.headline}</Text>
+            {!!article.summary && (
+              <Text style={styles.articleSummary} numberOfLines={3}>{article.summary}</Text>
+            )}
+          </GlassCard>
+        </TouchableOpacity>
+      ))}
+
+      {news.articles.length > visibleCount && (
+        <TouchableOpacity style={styles.moreButton} onPress={() => setVisibleCount(count => count + ARTICLES_PAGE_SIZE)}>
+          <Text style={styles.moreButtonText}>Show more ({news.articles.length - visibleCount} remaining)</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  glassCard: {
+    borderRadius: 16,
+    marginBottom: SPACING.md,
+    overflow: 'hidden',
+  },
+  cardBorder: {
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 16,
+    padding: SPACING.lg,
+  },
+  loadingContainer: {
+    alignItems: 'center',
+    padding: SPACING.lg,
+    gap: SPACING.sm,
+  },
+  mutedText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.sm,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text.primary,
+  },
+  directionText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.accent,
+    fontWeight: '600',
+  },
+  trendBlock: {
+    marginTop: SPACING.sm,
+    marginBottom: SPACING.sm,
+  },
+  trendHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.xs,
+  },
+  trendLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+  trendScore: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: '700',
+  },
+  trendBars: {
+    flexDirection: 'row',
+    alignItems: 'stretch',
+    height: TREND_BAR_HEIGHT * 2,
+  },
+  trendBarSlot: {
+    flex: 1,
+    marginHorizontal: 1,
+  },
+  trendBarHalf: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255,255,255,0.2)',
+  },
+  trendBarHalfNegative: {
+    justifyContent: 'flex-start',
+    borderBottomWidth: 0,
+  },
+  trendBar: {
+    width: '100%',
+    borderRadius: 1,
+  },
+  trendCounts: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    marginTop: SPACING.xs,
+  },
+  scorerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: SPACING.sm,
+  },
+  sourceText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    flex: 1,
+  },
+  scorerChips: {
+    flexDirection: 'row',
+    gap: SPACING.xs,
+  },
+  scorerChip: {
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 2,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  scorerChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  scorerChipText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
+  articleCard: {
+    marginBottom: SPACING.sm,
+  },
+  articleMeta: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.xs,
+  },
+  articleSource: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  sentimentBadge: {
+    borderWidth: 1,
+    borderRadius: 4,
+    paddingHorizontal: SPACING.xs,
+  },
+  sentimentBadgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  articleHeadline: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
+  articleSummary: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    marginTop: SPACING.xs,
+  },
+  moreButton: {
+    alignItems: 'center',
+    padding: SPACING.md,
+  },
+  moreButtonText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+});
+
+export default CompanyNewsPanel;
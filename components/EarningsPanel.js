@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import earningsService, { EARNINGS_HOUR_LABELS } from '../services/earningsService';
+
+const COLORS = {
+  cardGradient: ['rgba(255,255,255,0.1)', 'rgba(255,255,255,0.05)'],
+  primary: '#00d4ff',
+  success: '#4ecdc4',
+  warning: '#feca57',
+  danger: '#ff6b6b',
+  text: {
+    primary: '#FFFFFF',
+    secondary: '#CCCCCC',
+    accent: '#8b9dc3',
+  },
+};
+
+const SPACING = {
+  xs: 4,
+  sm: 8,
+  md: 16,
+  lg: 24,
+};
+
+const TYPOGRAPHY = {
+  h3: { fontSize: 20, fontWeight: '600', lineHeight: 28 },
+  body: { fontSize: 16, fontWeight: '400', lineHeight: 24 },
+  caption: { fontSize: 14, fontWeight: '400', lineHeight: 20 },
+  small: { fontSize: 12, fontWeight: '400', lineHeight: 16 },
+};
+
+const RESULT_STYLES = {
+  beat: { label: 'Beat', color: COLORS.success },
+  miss: { label: 'Miss', color: COLORS.danger },
+  inline: { label: 'In line', color: COLORS.text.accent },
+};
+
+const GlassCard = ({ children, style }) => (
+  <LinearGradient colors={COLORS.cardGradient} style={[styles.glassCard, style]}>
+    <View style={styles.cardBorder}>{children}</View>
+  </LinearGradient>
+);
+
+const formatEps = (value) => (value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`);
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+const formatRevenue = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  return `$${value.toLocaleString()}`;
+};
+
+// 'YYYY-MM-DD' as a readable date without shifting it through the local time zone
+const formatReportDate = (dateKey) => new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+});
+
+const formatCountdown = (days) => {
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Tomorrow';
+  return `In ${days} days`;
+};
+
+const formatQuarter = (item) => (item.quarter && item.year ? `Q${item.quarter} ${item.year}` : item.period);
+
+// Next report date plus EPS surprise history (StockDetailsModal's Earnings tab)
+const EarningsPanel = ({ symbol }) => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!symbol) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    earningsService.getEarningsSummary(symbol)
+      .then(result => {
+        if (!cancelled) setSummary(result);
+      })
+      .catch(error => {
+        console.error(`Error loading earnings for ${symbol}:`, error);
+        if (!cancelled) setSummary(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol]);
+
+  if (loading && !summary) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="small" color={COLORS.primary} />
+        <Text style={styles.mutedText}>Loading earnings…</Text>
+      </View>
+    );
+  }
+
+  const next = summary?.next;
+  const history = summary?.history;
+
+  return (
+    <View>
+      <GlassCard>
+        <Text style={styles.sectionTitle}>Next Report</Text>
+        {next ? (
+          <>
+            <View style={styles.nextHeader}>
+              <Text style={styles.nextDate}>{formatReportDate(next.date)}</Text>
+              <View style={styles.countdownBadge}>
+                <Text style={styles.countdownText}>{formatCountdown(next.daysUntil)}</Text>
+              </View>
+            </View>
+            <Text style={styles.mutedLeftText}>
+              {next.quarter && next.year ? `Q${next.quarter} ${next.year} · ` : ''}
+              {EARNINGS_HOUR_LABELS[next.hour] || 'Time not announced'}
+            </Text>
+            <View style={styles.estimateRow}>
+              <View style={styles.estimateItem}>
+                <Text style={styles.estimateLabel}>EPS Estimate</Text>
+                <Text style={styles.estimateValue}>{formatEps(next.epsEstimate)}</Text>
+              </View>
+              <View style={styles.estimateItem}>
+                <Text style={styles.estimateLabel}>Revenue Estimate</Text>
+                <Text style={styles.estimateValue}>{formatRevenue(next.revenueEstimate)}</Text>
+              </View>
+            </View>
+            <Text style={styles.sourceText}>{next.source}</Text>
+          </>
+        ) : (
+          <Text style={styles.mutedLeftText}>No upcoming report scheduled for {symbol}.</Text>
+        )}
+      </GlassCard>
+
+      <GlassCard>
+        <Text style={styles.sectionTitle}>EPS Surprises</Text>
+        {history ? (
+          <>
+            <View style={styles.estimateRow}>
+              <View style={styles.estimateItem}>
+                <Text style={styles.estimateLabel}>Beat Rate</Text>
+                <Text style={styles.estimateValue}>{history.beatRate === null ? 'N/A' : `${history.beatRate}%`}</Text>
+              </View>
+              <View style={styles.estimateItem}>
+                <Text style={styles.estimateLabel}>Avg Surprise</Text>
+                <Text style={[
+                  styles.estimateValue,
+                  history.averageSurprisePercent !== null && { color: history.averageSurprisePercent >= 0 ? COLORS.success : COLORS.danger },
+                ]}>
+                  {formatPercent(history.averageSurprisePercent)}
+                </Text>
+              </View>
+            </View>
+            <Text style={styles.mutedLeftText}>
+              {history.beats} beat · {history.misses} missed · {history.inLine} in line over {history.surprises.length} quarters
+            </Text>
+
+            <View style={styles.tableHeader}>
+              <Text style={[styles.tableHeaderText, styles.quarterColumn]}>Quarter</Text>
+              <Text style={styles.tableHeaderText}>Actual</Text>
+              <Text style={styles.tableHeaderText}>Estimate</Text>
+              <Text style={styles.tableHeaderText}>Surprise</Text>
+            </View>
+            {history.surprises.map(item => {
+              const result = RESULT_STYLES[item.result];
+              return (
+                <View key={item.period} style={styles.tableRow}>
+                  <View style={[styles.quarterColumn, styles.quarterCell]}>
+                    <Text style={styles.quarterText}>{formatQuarter(item)}</Text>
+                    {result && (
+                      <View style={[styles.resultBadge, { borderColor: result.color }]}>
+                        <Text style={[styles.resultBadgeText, { color: result.color }]}>{result.label}</Text>
+                      </View>
+                    )}
+                  </View>
+                  <Text style={styles.cellText}>{formatEps(item.actual)}</Text>
+                  <Text style={styles.cellText}>{formatEps(item.estimate)}</Text>
+                  <Text style={[styles.cellText, result && { color: result.color }]}>{formatPercent(item.surprisePercent)}</Text>
+                </View>
+              );
+            })}
+            <Text style={styles.sourceText}>{history.source}</Text>
+          </>
+        ) : (
+          <Text style={styles.mutedLeftText}>No earnings history available for {symbol}.</Text>
+        )}
+      </GlassCard>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  glassCard: {
+    borderRadius: 16,
+    marginBottom: SPACING.md,
+    overflow: 'hidden',
+  },
+  cardBorder: {
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 16,
+    padding: SPACING.lg,
+  },
+  loadingContainer: {
+    alignItems: 'center',
+    padding: SPACING.lg,
+    gap: SPACING.sm,
+  },
+  mutedText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+  },
+  mutedLeftText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text.primary,
+    marginBottom: SPACING.sm,
+  },
+  nextHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  nextDate: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.primary,
+    fontWeight: '700',
+  },
+  countdownBadge: {
+    backgroundColor: 'rgba(0,212,255,0.15)',
+    borderRadius: 6,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 2,
+  },
+  countdownText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  estimateRow: {
+    flexDirection: 'row',
+    marginTop: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  estimateItem: {
+    flex: 1,
+  },
+  estimateLabel: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+  },
+  estimateValue: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
+  tableHeader: {
+    flexDirection: 'row',
+    marginTop: SPACING.md,
+    paddingBottom: SPACING.xs,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255,255,255,0.2)',
+  },
+  tableHeaderText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.accent,
+    flex: 1,
+    textAlign: 'right',
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255,255,255,0.08)',
+  },
+  quarterColumn: {
+    flex: 1.6,
+    textAlign: 'left',
+  },
+  quarterCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  quarterText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.primary,
+  },
+  cellText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.primary,
+    flex: 1,
+    textAlign: 'right',
+  },
+  resultBadge: {
+    borderWidth: 1,
+    borderRadius: 4,
+    paddingHorizontal: SPACING.xs,
+  },
+  resultBadgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  sourceText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    marginTop: SPACING.sm,
+  },
+});
+
+export default EarningsPanel;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -10,7 +10,10 @@ import {
   ScrollView,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { getStockHistory } from '../services/finnhubService';
+import { getStockHistory, getHistoryResolution, getHistoryResolutions } from '../services/finnhubService';
+import technicalIndicatorService from '../services/technicalIndicatorService';
+import marketCalendarService, { MARKET_TIME_ZONE } from '../services/marketCalendarService';
+import { normalizeCurrency } from '../services/currencyService';
 
 const { width, height } = Dimensions.get('window');
 
@@ -18,6 +21,7 @@ const COLORS = {
   primary: '#00d4ff',
   success: '#4ecdc4',
   danger: '#ff6b6b',
+  warning: '#feca57',
   text: {
     primary: '#ffffff',
     secondary: '#b4bcd0',
@@ -28,6 +32,12 @@ const COLORS = {
     secondary: '#1a1a2e',
     card: 'rgba(255,255,255,0.05)',
   },
+  overlay: {
+    sma20: '#feca57',
+    sma50: '#a29bfe',
+    bollinger: 'rgba(180,188,208,0.7)',
+    vwap: '#ff9ff3',
+  },
 };
 
 const SPACING = {
@@ -47,11 +57,130 @@ const TYPOGRAPHY = {
   small: { fontSize: 12, fontWeight: '400', lineHeight: 16 },
 };
 
+const CHART_MODES = [
+  { key: 'line', label: 'Line' },
+  { key: 'candles', label: 'Candles' },
+  { key: 'ohlc', label: 'OHLC' },
+];
+
+const OVERLAYS = [
+  { key: 'ma', label: 'SMA 20/50' },
+  { key: 'bollinger', label: 'Bollinger' },
+  { key: 'vwap', label: 'VWAP' },
+];
+
+const SUB_PANES = [
+  { key: 'volume', label: 'Volume' },
+  { key: 'rsi', label: 'RSI' },
+  { key: 'macd', label: 'MACD' },
+];
+
+// Days shown per period, and the longer history fetched (at the period's bar size) so indicators are
+// warmed up where the window starts. Intraday periods show trading sessions rather than calendar days.
+const PERIOD_DAYS = { '1D': 1, '1W': 7, '1M': 30, '3M': 90, '1Y': 365, 'ALL': null };
+const PERIOD_SESSIONS = { '1D': 1, '1W': 5 };
+const WARMUP_PERIOD = { '1D': '1W', '1W': '1M', '1M': '6M', '3M': '1Y', '1Y': 'ALL', 'ALL': 'ALL' };
+
+// Chip labels for the bar sizes intraday periods can switch between
+const RESOLUTION_LABELS = { '1': '1 min', '5': '5 min', '15': '15 min', '60': '1 hour' };
+
+const MAX_RENDER_POINTS = 120; // Longer windows are merged into multi-day bars
+const MAX_INTRADAY_RENDER_POINTS = 390; // A full session of 1-minute bars
+const PRICE_GUTTER = 56;
+const PLOT_WIDTH = width - SPACING.lg * 2 - PRICE_GUTTER;
+const PANE_HEIGHT = height * 0.1;
+
+const isPresent = (value) => value !== null && value !== undefined && !isNaN(value);
+
+// VWAP anchored at the first bar, or re-anchored at each session's open when session keys are given
+const calculateAnchoredVWAP = (candles, sessionKeys) => {
+  if (!sessionKeys) return technicalIndicatorService.calculateVWAP(candles);
+  const values = [];
+  let sessionStart = 0;
+  for (let i = 1; i <= candles.length; i++) {
+    if (i === candles.length || sessionKeys[i] !== sessionKeys[sessionStart]) {
+      values.push(...technicalIndicatorService.calculateVWAP(candles.slice(sessionStart, i)));
+      sessionStart = i;
+    }
+  }
+  return values;
+};
+
+// Indicators are computed on the full series, then the visible window is merged into at most
+// MAX_RENDER_POINTS bars, or MAX_INTRADAY_RENDER_POINTS for intraday periods (indicator values taken at each
+// bar's last candle). Bars are plotted by index, so intraday charts skip nights and weekends; session starts are flagged for dividers.
+const buildChartPoints = (candles, period) => {
+  const valid = candles.filter(c => c.close > 0 && c.high > 0 && c.low > 0);
+  if (valid.length === 0) return [];
+
+  const closes = valid.map(c => c.close);
+  const sma20 = technicalIndicatorService.calculateSMA(closes, 20);
+  const sma50 = technicalIndicatorService.calculateSMA(closes, 50);
+  const bands = technicalIndicatorService.calculateBollingerBands(closes);
+  const rsi = technicalIndicatorService.calculateRSI(closes);
+  const macd = technicalIndicatorService.calculateMACD(closes);
+
+  // Intraday windows are the last N sessions present in the data, so a lagging feed still fills the chart
+  const sessionKeys = PERIOD_SESSIONS[period]
+    ? valid.map(c => marketCalendarService.getMarketDateKey(new Date(c.timestamp * 1000)))
+    : null;
+  let start;
+  if (sessionKeys) {
+    const sessions = [...new Set(sessionKeys)];
+    start = sessionKeys.indexOf(sessions[Math.max(0, sessions.length - PERIOD_SESSIONS[period])]);
+  } else {
+    const days = PERIOD_DAYS[period];
+    const visibleFrom = days ? Date.now() / 1000 - days * 24 * 60 * 60 : 0;
+    start = valid.findIndex(c => c.timestamp >= visibleFrom);
+  }
+  if (start === -1 || valid.length - start < 2) start = Math.max(0, valid.length - 2);
+
+  const visible = valid.slice(start);
+  const visibleSessions = sessionKeys ? sessionKeys.slice(start) : null;
+  const vwap = calculateAnchoredVWAP(visible, visibleSessions);
+  const bucketSize = Math.ceil(visible.length / (sessionKeys ? MAX_INTRADAY_RENDER_POINTS : MAX_RENDER_POINTS));
+  const points = [];
+
+  for (let i = 0; i < visible.length;) {
+    // Merged bars never straddle two sessions
+    let size = Math.min(bucketSize, visible.length - i);
+    while (visibleSessions && size > 1 && visibleSessions[i + size - 1] !== visibleSessions[i]) size--;
+    const group = visible.slice(i, i + size);
+    const end = start + i + group.length - 1;
+    points.push({
+      startTimestamp: group[0].timestamp * 1000,
+      timestamp: group[group.length - 1].timestamp * 1000,
+      open: group[0].open || group[0].close,
+      high: Math.max(...group.map(c => c.high)),
+      low: Math.min(...group.map(c => c.low)),
+      close: group[group.length - 1].close,
+      volume: group.reduce((sum, c) => sum + (c.volume || 0), 0),
+      sma20: sma20[end],
+      sma50: sma50[end],
+      bbUpper: bands.upper[end],
+      bbMiddle: bands.middle[end],
+      bbLower: bands.lower[end],
+      vwap: vwap[i + group.length - 1],
+      rsi: rsi[end],
+      macd: macd.macd[end],
+      macdSignal: macd.signal[end],
+      macdHistogram: macd.histogram[end],
+      sessionStart: !!visibleSessions && i > 0 && visibleSessions[i] !== visibleSessions[i - 1],
+    });
+    i += size;
+  }
+  return points;
+};
+
 const FullScreenChartModal = ({ visible, stock, onClose }) => {
-  const [chartData, setChartData] = useState(null);
+  const [candles, setCandles] = useState(null);
   const [selectedPeriod, setSelectedPeriod] = useState('1M');
+  const [selectedResolution, setSelectedResolution] = useState(getHistoryResolution('1M'));
   const [loading, setLoading] = useState(true);
-  const [selectedPoint, setSelectedPoint] = useState(null);
+  const [chartMode, setChartMode] = useState('line');
+  const [overlays, setOverlays] = useState({ ma: false, bollinger: false, vwap: false });
+  const [subPanes, setSubPanes] = useState({ volume: true, rsi: false, macd: false });
+  const [crosshairIndex, setCrosshairIndex] = useState(null);
 
   const periods = [
     { key: '1D', label: '1D' },
@@ -66,56 +195,63 @@ const FullScreenChartModal = ({ visible, stock, onClose }) => {
     if (visible && stock?.symbol) {
       loadChartData();
     }
-  }, [visible, stock, selectedPeriod]);
+  }, [visible, stock, selectedPeriod, selectedResolution]);
+
+  // Each period opens at its default bar size
+  const selectPeriod = (period) => {
+    setSelectedPeriod(period);
+    setSelectedResolution(getHistoryResolution(period));
+  };
 
   const loadChartData = async () => {
     setLoading(true);
+    setCrosshairIndex(null);
     try {
-      const historyData = await getStockHistory(stock.symbol, selectedPeriod);
-      console.log('Raw chart data for', stock.symbol, ':', historyData);
-      
-      if (historyData && historyData.length > 0) {
-        // Transform the data format for the chart
-        const prices = historyData.map(item => item.close || item.price || 0).filter(price => price > 0);
-        const timestamps = historyData.map(item => 
-          item.timestamp ? item.timestamp * 1000 : new Date().getTime()
-        );
-        const volumes = historyData.map(item => item.volume || 0);
-        
-        // Validate we have valid price data
-        if (prices.length > 0 && prices.some(price => !isNaN(price) && price > 0)) {
-          const chartData = {
-            prices,
-            timestamps,
-            volumes
-          };
-          
-          console.log('Transformed chart data:', chartData);
-          setChartData(chartData);
-        } else {
-          console.log('Invalid price data for', stock.symbol);
-          setChartData(null);
-        }
+      // Fetch extra history for indicator warm-up; fall back to the period itself
+      const historyData = (await getStockHistory(stock.symbol, WARMUP_PERIOD[selectedPeriod], { resolution: selectedResolution }))
+        || (await getStockHistory(stock.symbol, selectedPeriod, { resolution: selectedResolution }));
+      console.log('Raw chart data for', stock.symbol, ':', historyData?.length, 'candles');
+
+      if (historyData && historyData.some(item => item.close > 0)) {
+        setCandles(historyData);
       } else {
         console.log('No chart data available for', stock.symbol);
-        setChartData(null);
+        setCandles(null);
       }
     } catch (error) {
       console.error('Error loading chart data:', error);
-      setChartData(null);
+      setCandles(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const points = useMemo(
+    () => (candles ? buildChartPoints(candles, selectedPeriod) : []),
+    [candles, selectedPeriod]
+  );
+
+  const toggleOverlay = (key) => setOverlays(prev => ({ ...prev, [key]: !prev[key] }));
+  const toggleSubPane = (key) => setSubPanes(prev => ({ ...prev, [key]: !prev[key] }));
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: normalizeCurrency(stock?.currency || stock?.stockData?.currency),
     }).format(price);
   };
 
   const formatDate = (timestamp) => {
+    // Intraday bars show their market time
+    if (PERIOD_SESSIONS[selectedPeriod]) {
+      return `${new Date(timestamp).toLocaleString('en-US', {
+        timeZone: MARKET_TIME_ZONE,
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+      })} ET`;
+    }
     return new Date(timestamp).toLocaleDateString('en-US', {
       month: 'short',
       day: 'numeric',
@@ -123,154 +259,337 @@ const FullScreenChartModal = ({ visible, stock, onClose }) => {
     });
   };
 
+  const formatVolume = (volume) => {
+    if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`;
+    if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`;
+    if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+    return `${volume}`;
+  };
+
   const getPriceChange = () => {
-    if (!chartData || !chartData.prices || chartData.prices.length < 2) {
+    if (points.length < 2) {
       return { change: 0, percent: 0 };
     }
-    
-    const firstPrice = chartData.prices[0];
-    const lastPrice = chartData.prices[chartData.prices.length - 1];
+
+    const firstPrice = points[0].close;
+    const lastPrice = points[points.length - 1].close;
     const change = lastPrice - firstPrice;
     const percent = (change / firstPrice) * 100;
-    
+
     return { change, percent };
   };
 
+  // Connected line through `accessor` values, skipping gaps (e.g. indicator warm-up)
+  const renderLine = (accessor, toY, slot, color, keyPrefix, thickness = 2) => points.map((point, index) => {
+    if (index === 0) return null;
+    const prev = accessor(points[index - 1]);
+    const curr = accessor(point);
+    if (!isPresent(prev) || !isPresent(curr)) return null;
+
+    const x1 = (index - 0.5) * slot;
+    const y1 = toY(prev);
+    const x2 = (index + 0.5) * slot;
+    const y2 = toY(curr);
+    const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+
+    return (
+      <View
+        key={`${keyPrefix}-${index}`}
+        style={[
+          styles.chartSegment,
+          {
+            left: (x1 + x2) / 2 - length / 2,
+            top: (y1 + y2) / 2 - thickness / 2,
+            width: length,
+            height: thickness,
+            backgroundColor: color,
+            transform: [{ rotate: `${Math.atan2(y2 - y1, x2 - x1)}rad` }]
+          }
+        ]}
+      />
+    );
+  });
+
+  const renderPriceBars = (toY, slot) => points.map((point, index) => {
+    const x = (index + 0.5) * slot;
+    const color = point.close >= point.open ? COLORS.success : COLORS.danger;
+    const wick = (
+      <View
+        key={`wick-${index}`}
+        style={[styles.wick, { left: x - 0.5, top: toY(point.high), height: Math.max(1, toY(point.low) - toY(point.high)), backgroundColor: color }]}
+      />
+    );
+
+    if (chartMode === 'ohlc') {
+      const tick = Math.max(2, slot * 0.35);
+      return [
+        wick,
+        <View key={`open-${index}`} style={[styles.ohlcTick, { left: x - tick, top: toY(point.open) - 1, width: tick, backgroundColor: color }]} />,
+        <View key={`close-${index}`} style={[styles.ohlcTick, { left: x, top: toY(point.close) - 1, width: tick, backgroundColor: color }]} />
+      ];
+    }
+
+    const bodyWidth = Math.max(1, slot * 0.6);
+    const bodyTop = toY(Math.max(point.open, point.close));
+    const bodyBottom = toY(Math.min(point.open, point.close));
+    return [
+      wick,
+      <View
+        key={`body-${index}`}
+        style={[styles.candleBody, { left: x - bodyWidth / 2, top: bodyTop, width: bodyWidth, height: Math.max(1, bodyBottom - bodyTop), backgroundColor: color }]}
+      />
+    ];
+  });
+
+  const renderVolumePane = (slot) => {
+    const maxVolume = Math.max(...points.map(p => p.volume), 1);
+    return points.map((point, index) => (
+      <View
+        key={`vol-${index}`}
+        style={[
+          styles.volumeBar,
+          {
+            left: index * slot + slot * 0.2,
+            width: Math.max(1, slot * 0.6),
+            height: (point.volume / maxVolume) * PANE_HEIGHT * 0.85,
+            backgroundColor: point.close >= point.open ? 'rgba(78,205,196,0.5)' : 'rgba(255,107,107,0.5)'
+          }
+        ]}
+      />
+    ));
+  };
+
+  const renderRsiPane = (slot) => {
+    const toY = (value) => PANE_HEIGHT - (value / 100) * PANE_HEIGHT;
+    return (
+      <>
+        <View style={[styles.guideLine, { top: toY(70) }]} />
+        <View style={[styles.guideLine, { top: toY(30) }]} />
+        {renderLine(p => p.rsi, toY, slot, COLORS.primary, 'rsi', 1.5)}
+      </>
+    );
+  };
+
+  const renderMacdPane = (slot) => {
+    const values = points.flatMap(p => [p.macd, p.macdSignal, p.macdHistogram]).filter(isPresent);
+    const maxAbs = Math.max(...values.map(Math.abs), 1e-6);
+    const zero = PANE_HEIGHT / 2;
+    const toY = (value) => zero - (value / maxAbs) * zero * 0.9;
+
+    return (
+      <>
+        <View style={[styles.guideLine, { top: zero }]} />
+        {points.map((point, index) => (isPresent(point.macdHistogram) ? (
+          <View
+            key={`hist-${index}`}
+            style={[
+              styles.histogramBar,
+              {
+                left: index * slot + slot * 0.2,
+                width: Math.max(1, slot * 0.6),
+                top: Math.min(zero, toY(point.macdHistogram)),
+                height: Math.max(1, Math.abs(toY(point.macdHistogram) - zero)),
+                backgroundColor: point.macdHistogram >= 0 ? 'rgba(78,205,196,0.5)' : 'rgba(255,107,107,0.5)'
+              }
+            ]}
+          />
+        ) : null))}
+        {renderLine(p => p.macd, toY, slot, COLORS.primary, 'macd', 1.5)}
+        {renderLine(p => p.macdSignal, toY, slot, COLORS.warning, 'signal', 1.5)}
+      </>
+    );
+  };
+
   const renderChart = () => {
-    if (!chartData || !chartData.prices || chartData.prices.length === 0) return null;
-
-    const prices = chartData.prices.filter(price => !isNaN(price) && price > 0);
-    if (prices.length === 0) return null;
-    
-    const timestamps = chartData.timestamps || [];
-    const maxPrice = Math.max(...prices);
-    const minPrice = Math.min(...prices);
-    
+    if (points.length === 0) return null;
+
+    const activePanes = SUB_PANES.filter(pane => subPanes[pane.key]);
+    const chartHeight = height * (0.4 - 0.05 * activePanes.length);
+    const slot = PLOT_WIDTH / points.length;
+
+    // Price scale covers the bars plus any visible overlays
+    const scaleValues = points.flatMap(p => {
+      const values = chartMode === 'line' ? [p.close] : [p.high, p.low];
+      if (overlays.ma) values.push(p.sma20, p.sma50);
+      if (overlays.bollinger) values.push(p.bbUpper, p.bbLower);
+      if (overlays.vwap) values.push(p.vwap);
+      return values.filter(isPresent);
+    });
+    const maxPrice = Math.max(...scaleValues);
+    const minPrice = Math.min(...scaleValues);
+
     // Add padding to the price range for better visualization
     const priceRange = maxPrice - minPrice;
     const padding = priceRange * 0.1; // 10% padding
     const adjustedMin = Math.max(0, minPrice - padding);
     const adjustedMax = maxPrice + padding;
     const adjustedRange = adjustedMax - adjustedMin;
-    
-    const chartHeight = height * 0.4;
-    const chartWidth = width - 32;
 
     const getYPosition = (price) => {
       if (adjustedRange === 0) return chartHeight / 2;
       return chartHeight - ((price - adjustedMin) / adjustedRange) * chartHeight;
     };
 
-    const handlePointPress = (index) => {
-      const price = prices[index];
-      const timestamp = timestamps[index] || new Date();
-      setSelectedPoint({ index, price, timestamp });
+    const handleCrosshair = (event) => {
+      const index = Math.floor(event.nativeEvent.locationX / slot);
+      setCrosshairIndex(Math.min(points.length - 1, Math.max(0, index)));
     };
 
+    const crosshairPoint = crosshairIndex !== null ? points[crosshairIndex] : null;
+    const stackHeight = chartHeight + activePanes.length * (PANE_HEIGHT + SPACING.sm);
+
     return (
       <View style={styles.chartContainer}>
-        {/* Price Labels */}
-        <View style={styles.priceLabels}>
-          <Text style={styles.priceLabel}>{formatPrice(adjustedMax)}</Text>
-          <Text style={styles.priceLabel}>{formatPrice(adjustedMin)}</Text>
-        </View>
-
-        {/* Chart Area */}
-        <View style={styles.chartArea}>
-          {/* Grid Lines */}
-          <View style={styles.gridLines}>
-            {[0, 0.25, 0.5, 0.75, 1].map((ratio, index) => (
-              <View
-                key={index}
-                style={[
-                  styles.gridLine,
-                  { top: ratio * chartHeight }
-                ]}
-              />
-            ))}
+        <View style={styles.plotRow}>
+          {/* Price Labels */}
+          <View style={[styles.priceLabels, { height: chartHeight }]}>
+            <Text style={styles.priceLabel}>{formatPrice(adjustedMax)}</Text>
+            <Text style={styles.priceLabel}>{formatPrice((adjustedMax + adjustedMin) / 2)}</Text>
+            <Text style={styles.priceLabel}>{formatPrice(adjustedMin)}</Text>
           </View>
 
-          {/* Chart Line */}
-          <View style={styles.chartLine}>
-            {prices.map((price, index) => {
-              if (index === 0) return null;
-              const prevPrice = prices[index - 1];
-              const x1 = ((index - 1) / (prices.length - 1)) * chartWidth;
-              const y1 = getYPosition(prevPrice);
-              const x2 = (index / (prices.length - 1)) * chartWidth;
-              const y2 = getYPosition(price);
-              
-              return (
-                <View
-                  key={index}
-                  style={[
-                    styles.chartSegment,
-                    {
-                      left: x1,
-                      top: y1,
-                      width: Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2)),
-                      transform: [
-                        {
-                          rotate: `${Math.atan2(y2 - y1, x2 - x1)}rad`
-                        }
-                      ]
-                    }
-                  ]}
-                />
-              );
-            })}
-          </View>
+          <View style={[styles.plotStack, { height: stackHeight }]}>
+            {/* Chart Area */}
+            <View style={[styles.chartArea, { height: chartHeight }]}>
+              {/* Grid Lines */}
+              <View style={styles.gridLines}>
+                {[0, 0.25, 0.5, 0.75, 1].map((ratio, index) => (
+                  <View
+                    key={index}
+                    style={[
+                      styles.gridLine,
+                      { top: ratio * chartHeight }
+                    ]}
+                  />
+                ))}
+              </View>
 
-          {/* Interactive Points */}
-          {prices.map((price, index) => {
-            const x = (index / (prices.length - 1)) * chartWidth;
-            const y = getYPosition(price);
-            
-            return (
-              <TouchableOpacity
-                key={index}
-                style={[
-                  styles.chartPoint,
-                  {
-                    left: x - 8,
-                    top: y - 8,
-                    backgroundColor: selectedPoint?.index === index ? COLORS.primary : 'transparent',
-                  }
-                ]}
-                onPress={() => handlePointPress(index)}
-              />
-            );
-          })}
+              {/* Session dividers (intraday) */}
+              {points.map((point, index) => (point.sessionStart ? (
+                <View key={`session-${index}`} style={[styles.sessionDivider, { left: index * slot }]} />
+              ) : null))}
+
+              {/* Overlays */}
+              {overlays.bollinger && (
+                <>
+                  {renderLine(p => p.bbUpper, getYPosition, slot, COLORS.overlay.bollinger, 'bb-upper', 1)}
+                  {renderLine(p => p.bbMiddle, getYPosition, slot, COLORS.overlay.bollinger, 'bb-middle', 1)}
+                  {renderLine(p => p.bbLower, getYPosition, slot, COLORS.overlay.bollinger, 'bb-lower', 1)}
+                </>
+              )}
+              {overlays.ma && (
+                <>
+                  {renderLine(p => p.sma20, getYPosition, slot, COLORS.overlay.sma20, 'sma20', 1.5)}
+                  {renderLine(p => p.sma50, getYPosition, slot, COLORS.overlay.sma50, 'sma50', 1.5)}
+                </>
+              )}
+              {overlays.vwap && renderLine(p => p.vwap, getYPosition, slot, COLORS.overlay.vwap, 'vwap', 1.5)}
+
+              {/* Price */}
+              {chartMode === 'line'
+                ? renderLine(p => p.close, getYPosition, slot, COLORS.primary, 'close')
+                : renderPriceBars(getYPosition, slot)}
+
+              {/* Crosshair horizontal line at the close */}
+              {crosshairPoint && (
+                <View style={[styles.crosshairHorizontal, { top: getYPosition(crosshairPoint.close) }]} />
+              )}
+            </View>
 
-          {/* Selected Point Indicator */}
-          {selectedPoint && (
+            {/* Sub-panes */}
+            {activePanes.map(pane => (
+              <View key={pane.key} style={styles.subPane}>
+                <Text style={styles.subPaneLabel}>{pane.label}</Text>
+                {pane.key === 'volume' && renderVolumePane(slot)}
+                {pane.key === 'rsi' && renderRsiPane(slot)}
+                {pane.key === 'macd' && renderMacdPane(slot)}
+              </View>
+            ))}
+
+            {/* Crosshair vertical line across all panes */}
+            {crosshairPoint && (
+              <View style={[styles.crosshairVertical, { left: (crosshairIndex + 0.5) * slot, height: stackHeight }]} />
+            )}
+
+            {/* Touch layer: press or drag to inspect a bar */}
             <View
-              style={[
-                styles.selectedPoint,
-                {
-                  left: (selectedPoint.index / (prices.length - 1)) * chartWidth - 12,
-                  top: getYPosition(selectedPoint.price) - 12,
-                }
-              ]}
+              style={styles.touchLayer}
+              onStartShouldSetResponder={() => true}
+              onMoveShouldSetResponder={() => true}
+              onResponderTerminationRequest={() => false}
+              onResponderGrant={handleCrosshair}
+              onResponderMove={handleCrosshair}
             />
-          )}
+          </View>
         </View>
 
         {/* Time Labels */}
         <View style={styles.timeLabels}>
-          {timestamps.length > 0 && (
-            <>
-              <Text style={styles.timeLabel}>{formatDate(timestamps[0])}</Text>
-              <Text style={styles.timeLabel}>{formatDate(timestamps[timestamps.length - 1])}</Text>
-            </>
-          )}
+          <Text style={styles.timeLabel}>{formatDate(points[0].startTimestamp)}</Text>
+          <Text style={styles.timeLabel}>{formatDate(points[points.length - 1].timestamp)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  // OHLCV and active indicator values for the inspected bar (latest bar by default)
+  const renderInspector = () => {
+    if (points.length === 0) return null;
+    const point = points[crosshairIndex !== null ? crosshairIndex : points.length - 1];
+    const price = (value) => (isPresent(value) ? formatPrice(value) : '—');
+    const number = (value, decimals = 2) => (isPresent(value) ? value.toFixed(decimals) : '—');
+
+    const rows = [
+      ['O', price(point.open)],
+      ['H', price(point.high)],
+      ['L', price(point.low)],
+      ['C', price(point.close)],
+      ['V', formatVolume(point.volume)],
+    ];
+    if (overlays.ma) rows.push(['SMA20', price(point.sma20)], ['SMA50', price(point.sma50)]);
+    if (overlays.bollinger) rows.push(['BB Upper', price(point.bbUpper)], ['BB Lower', price(point.bbLower)]);
+    if (overlays.vwap) rows.push(['VWAP', price(point.vwap)]);
+    if (subPanes.rsi) rows.push(['RSI', number(point.rsi, 1)]);
+    if (subPanes.macd) rows.push(['MACD', number(point.macd, 3)], ['Signal', number(point.macdSignal, 3)]);
+
+    return (
+      <View style={styles.selectedPointInfo}>
+        <Text style={styles.selectedPointDate}>
+          {crosshairIndex === null ? 'Latest · ' : ''}
+          {point.startTimestamp !== point.timestamp
+            ? `${formatDate(point.startTimestamp)} – ${formatDate(point.timestamp)}`
+            : formatDate(point.timestamp)}
+        </Text>
+        <View style={styles.inspectorGrid}>
+          {rows.map(([label, value]) => (
+            <View key={label} style={styles.inspectorItem}>
+              <Text style={styles.inspectorLabel}>{label}</Text>
+              <Text style={styles.inspectorValue}>{value}</Text>
+            </View>
+          ))}
         </View>
       </View>
     );
   };
 
+  const renderToggleRow = (options, isActive, onPress) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.toggleRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.toggleChip, isActive(option.key) && styles.toggleChipActive]}
+          onPress={() => onPress(option.key)}
+        >
+          <Text style={[styles.toggleChipText, isActive(option.key) && styles.toggleChipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
   const { change, percent } = getPriceChange();
-  const currentPrice = chartData?.prices?.[chartData.prices.length - 1] || stock?.price || 0;
+  const currentPrice = points.length > 0 ? points[points.length - 1].close : stock?.price || 0;
 
   return (
     <Modal
@@ -300,67 +619,70 @@ const FullScreenChartModal = ({ visible, stock, onClose }) => {
           </View>
         </View>
 
-        {/* Period Selector */}
-        <View style={styles.periodSelector}>
-          {periods.map((period) => (
-            <TouchableOpacity
-              key={period.key}
-              style={[
-                styles.periodButton,
-                selectedPeriod === period.key && styles.periodButtonActive
-              ]}
-              onPress={() => setSelectedPeriod(period.key)}
-            >
-              <Text style={[
-                styles.periodButtonText,
-                selectedPeriod === period.key && styles.periodButtonTextActive
-              ]}>
-                {period.label}
-              </Text>
-            </TouchableOpacity>
-          ))}
-        </View>
-
-        {/* Chart */}
-        <View style={styles.chartSection}>
-          {loading ? (
-            <View style={styles.loadingContainer}>
-              <ActivityIndicator size="large" color={COLORS.primary} />
-              <Text style={styles.loadingText}>Loading chart data...</Text>
-            </View>
-          ) : chartData && chartData.prices && chartData.prices.length > 0 ? (
-            renderChart()
-          ) : (
-            <View style={styles.noDataContainer}>
-              <Text style={styles.noDataTitle}>📊 Chart Data Unavailable</Text>
-              <Text style={styles.noDataText}>
-                Chart data is currently unavailable for {stock?.symbol}.{'\n'}
-                This may be due to API rate limits or temporary data issues.{'\n'}
-                Please try again later.
-              </Text>
-              <TouchableOpacity 
-                style={styles.retryButton}
-                onPress={loadChartData}
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          {/* Period Selector */}
+          <View style={styles.periodSelector}>
+            {periods.map((period) => (
+              <TouchableOpacity
+                key={period.key}
+                style={[
+                  styles.periodButton,
+                  selectedPeriod === period.key && styles.periodButtonActive
+                ]}
+                onPress={() => selectPeriod(period.key)}
               >
-                <Text style={styles.retryButtonText}>Try Again</Text>
+                <Text style={[
+                  styles.periodButtonText,
+                  selectedPeriod === period.key && styles.periodButtonTextActive
+                ]}>
+                  {period.label}
+                </Text>
               </TouchableOpacity>
-            </View>
-          )}
-        </View>
-
-        {/* Selected Point Info */}
-        {selectedPoint && (
-          <View style={styles.selectedPointInfo}>
-            <Text style={styles.selectedPointDate}>
-              {formatDate(selectedPoint.timestamp)}
-            </Text>
-            <Text style={styles.selectedPointPrice}>
-              {formatPrice(selectedPoint.price)}
-            </Text>
+            ))}
           </View>
-        )}
 
+          {/* Bar size for intraday periods */}
+          {getHistoryResolutions(selectedPeriod).length > 1 && renderToggleRow(
+            getHistoryResolutions(selectedPeriod).map(key => ({ key, label: RESOLUTION_LABELS[key] || key })),
+            key => selectedResolution === key,
+            setSelectedResolution
+          )}
+
+          {/* Chart mode, overlays and sub-panes */}
+          {renderToggleRow(CHART_MODES, key => chartMode === key, setChartMode)}
+          {renderToggleRow(OVERLAYS, key => overlays[key], toggleOverlay)}
+          {renderToggleRow(SUB_PANES, key => subPanes[key], toggleSubPane)}
 
+          {/* Chart */}
+          <View style={styles.chartSection}>
+            {loading ? (
+              <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color={COLORS.primary} />
+                <Text style={styles.loadingText}>Loading chart data...</Text>
+              </View>
+            ) : points.length > 0 ? (
+              <>
+                {renderInspector()}
+                {renderChart()}
+              </>
+            ) : (
+              <View style={styles.noDataContainer}>
+                <Text style={styles.noDataTitle}>📊 Chart Data Unavailable</Text>
+                <Text style={styles.noDataText}>
+                  Chart data is currently unavailable for {stock?.symbol}.{'\n'}
+                  This may be due to API rate limits or temporary data issues.{'\n'}
+                  Please try again later.
+                </Text>
+                <TouchableOpacity
+                  style={styles.retryButton}
+                  onPress={loadChartData}
+                >
+                  <Text style={styles.retryButtonText}>Try Again</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </ScrollView>
       </LinearGradient>
     </Modal>
   );
@@ -420,7 +742,7 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     padding: SPACING.xs,
     marginHorizontal: SPACING.lg,
-    marginBottom: SPACING.lg,
+    marginBottom: SPACING.md,
   },
   periodButton: {
     flex: 1,
@@ -441,9 +763,37 @@ const styles = StyleSheet.create({
     color: COLORS.text.primary,
     fontWeight: '700',
   },
+  scrollContent: {
+    paddingBottom: SPACING.xl,
+  },
+  toggleRow: {
+    paddingHorizontal: SPACING.lg,
+    marginBottom: SPACING.sm,
+  },
+  toggleChip: {
+    paddingVertical: SPACING.xs,
+    paddingHorizontal: SPACING.md,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.15)',
+    marginRight: SPACING.sm,
+  },
+  toggleChipActive: {
+    backgroundColor: 'rgba(0,212,255,0.2)',
+    borderColor: COLORS.primary,
+  },
+  toggleChipText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+  },
+  toggleChipTextActive: {
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
   chartSection: {
-    flex: 1,
+    minHeight: height * 0.4,
     paddingHorizontal: SPACING.lg,
+    marginTop: SPACING.sm,
   },
   loadingContainer: {
     flex: 1,
@@ -487,25 +837,26 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
   chartContainer: {
-    flex: 1,
     position: 'relative',
   },
+  plotRow: {
+    flexDirection: 'row',
+  },
   priceLabels: {
-    position: 'absolute',
-    left: -40,
-    top: 0,
-    bottom: 0,
+    width: PRICE_GUTTER,
     justifyContent: 'space-between',
-    zIndex: 1,
   },
   priceLabel: {
     ...TYPOGRAPHY.small,
     color: COLORS.text.secondary,
   },
+  plotStack: {
+    width: PLOT_WIDTH,
+    position: 'relative',
+  },
   chartArea: {
-    flex: 1,
+    width: '100%',
     position: 'relative',
-    marginLeft: 40,
   },
   gridLines: {
     position: 'absolute',
@@ -518,33 +869,73 @@ const styles = StyleSheet.create({
     height: 1,
     backgroundColor: 'rgba(255,255,255,0.1)',
   },
-  chartLine: {
-    position: 'absolute',
-    width: '100%',
-    height: '100%',
-  },
   chartSegment: {
     position: 'absolute',
     height: 2,
     backgroundColor: COLORS.primary,
     borderRadius: 1,
   },
-  chartPoint: {
+  wick: {
     position: 'absolute',
-    width: 16,
-    height: 16,
-    borderRadius: 8,
-    borderWidth: 2,
-    borderColor: COLORS.primary,
+    width: 1,
   },
-  selectedPoint: {
+  ohlcTick: {
     position: 'absolute',
-    width: 24,
-    height: 24,
-    borderRadius: 12,
-    backgroundColor: COLORS.primary,
-    borderWidth: 3,
-    borderColor: COLORS.text.primary,
+    height: 2,
+  },
+  candleBody: {
+    position: 'absolute',
+    borderRadius: 1,
+  },
+  subPane: {
+    height: PANE_HEIGHT,
+    marginTop: SPACING.sm,
+    position: 'relative',
+    overflow: 'hidden',
+    backgroundColor: 'rgba(255,255,255,0.03)',
+    borderRadius: 4,
+  },
+  subPaneLabel: {
+    ...TYPOGRAPHY.small,
+    position: 'absolute',
+    top: 2,
+    left: SPACING.xs,
+    color: COLORS.text.accent,
+  },
+  volumeBar: {
+    position: 'absolute',
+    bottom: 0,
+  },
+  histogramBar: {
+    position: 'absolute',
+  },
+  sessionDivider: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 1,
+    backgroundColor: 'rgba(255,255,255,0.12)',
+  },
+  guideLine: {
+    position: 'absolute',
+    width: '100%',
+    height: 1,
+    backgroundColor: 'rgba(255,255,255,0.15)',
+  },
+  crosshairVertical: {
+    position: 'absolute',
+    top: 0,
+    width: 1,
+    backgroundColor: 'rgba(255,255,255,0.6)',
+  },
+  crosshairHorizontal: {
+    position: 'absolute',
+    width: '100%',
+    height: 1,
+    backgroundColor: 'rgba(255,255,255,0.4)',
+  },
+  touchLayer: {
+    ...StyleSheet.absoluteFillObject,
   },
   timeLabels: {
     flexDirection: 'row',
@@ -558,8 +949,7 @@ const styles = StyleSheet.create({
   selectedPointInfo: {
     backgroundColor: 'rgba(255,255,255,0.05)',
     borderRadius: 12,
-    padding: SPACING.md,
-    marginHorizontal: SPACING.lg,
+    padding: SPACING.sm,
     marginBottom: SPACING.md,
     alignItems: 'center',
   },
@@ -567,10 +957,26 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.caption,
     color: COLORS.text.secondary,
   },
-  selectedPointPrice: {
-    ...TYPOGRAPHY.h3,
+  inspectorGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: SPACING.xs,
+  },
+  inspectorItem: {
+    flexDirection: 'row',
+    marginHorizontal: SPACING.sm,
+    marginVertical: 2,
+  },
+  inspectorLabel: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.accent,
+    marginRight: SPACING.xs,
+  },
+  inspectorValue: {
+    ...TYPOGRAPHY.small,
     color: COLORS.text.primary,
-    fontWeight: '700',
+    fontWeight: '600',
   },
   detailsSection: {
     paddingHorizontal: SPACING.lg,
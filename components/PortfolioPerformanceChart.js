@@ -7,10 +7,11 @@ import {
   ActivityIndicator,
   Dimensions,
   Platform,
+  ScrollView,
+  Animated,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { Animated } from 'react-native';
-import portfolioPerformanceService from '../services/portfolioPerformanceService';
+import portfolioPerformanceService, { BENCHMARK_OPTIONS } from '../services/portfolioPerformanceService';
 
 const { width } = Dimensions.get('window');
 
@@ -43,11 +44,20 @@ const TYPOGRAPHY = {
   small: { fontSize: 10, fontWeight: '400', lineHeight: 14 },
 };
 
+const PERIODS = ['1D', '1W', '1M', '3M', '6M', '1Y', 'ALL'];
+
 const PortfolioPerformanceChart = ({ user, onPress }) => {
   const [loading, setLoading] = useState(true);
   const [performanceData, setPerformanceData] = useState(null);
   const [sectorData, setSectorData] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [selectedPeriod, setSelectedPeriod] = useState('1M');
+  const [periodReturns, setPeriodReturns] = useState(null);
+  const [backView, setBackView] = useState('sectors'); // 'sectors' or 'benchmark'
+  const [benchmarkSymbol, setBenchmarkSymbol] = useState(null);
+  const [benchmarkChart, setBenchmarkChart] = useState(null);
+  const [benchmarkLoading, setBenchmarkLoading] = useState(false);
+  const [benchmarkChartWidth, setBenchmarkChartWidth] = useState(0);
   const [isFlipped, setIsFlipped] = useState(false);
   
   const flipAnim = useRef(new Animated.Value(0)).current;
@@ -78,6 +88,8 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
       console.log('Received performance data:', data);
       
       setPerformanceData(data);
+      setSelectedPeriod('1M');
+      setPeriodReturns(data.periodReturns || null);
       
       // Load sector data for pie chart
       console.log('Loading sector data...');
@@ -111,17 +123,64 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
     }
   };
 
-  const generateChartData = (data) => {
-    if (!data || !data.portfolioHistory || data.portfolioHistory.length === 0) {
+  // Switch the return window; TWR/MWR are measured up to the live portfolio value
+  const handlePeriodChange = async (period) => {
+    setSelectedPeriod(period);
+    try {
+      const returns = await portfolioPerformanceService.getPeriodReturns(period, performanceData?.currentValue ?? null);
+      setPeriodReturns(returns);
+    } catch (error) {
+      console.error('Error loading period returns:', error);
+    }
+    if (backView === 'benchmark') {
+      loadBenchmarkChart(period, benchmarkSymbol);
+    }
+  };
+
+  // Portfolio (flow-adjusted) vs benchmark for the selected period
+  const loadBenchmarkChart = async (period = selectedPeriod, symbol = benchmarkSymbol) => {
+    setBenchmarkLoading(true);
+    try {
+      const resolvedSymbol = symbol || await portfolioPerformanceService.getBenchmarkSymbol();
+      setBenchmarkSymbol(resolvedSymbol);
+      const data = await portfolioPerformanceService.getChartData(period, performanceData?.currentValue ?? null, resolvedSymbol);
+      setBenchmarkChart(data);
+    } catch (error) {
+      console.error('Error loading benchmark comparison:', error);
+      setBenchmarkChart(null);
+    } finally {
+      setBenchmarkLoading(false);
+    }
+  };
+
+  const handleBackViewChange = (view) => {
+    setBackView(view);
+    if (view === 'benchmark' && !benchmarkChart) {
+      loadBenchmarkChart();
+    }
+  };
+
+  const handleBenchmarkChange = async (symbol) => {
+    setBenchmarkSymbol(symbol);
+    try {
+      await portfolioPerformanceService.setBenchmarkSymbol(symbol);
+    } catch (error) {
+      console.error('Error saving benchmark:', error);
+    }
+    loadBenchmarkChart(selectedPeriod, symbol);
+  };
+
+  // Chart the cumulative time-weighted return so deposits and withdrawals don't read as performance
+  const generateChartData = (returns) => {
+    if (!returns || !returns.series || returns.series.length === 0) {
       console.log('No portfolio history data available');
       return null;
     }
 
-    // Take last 30 days of data or all available data
-    const history = data.portfolioHistory.slice(-30);
+    const history = returns.series;
     console.log('Processing portfolio history:', history);
     
-    const values = history.map(item => item.totalValue || 0);
+    const values = history.map(item => item.twrPercent || 0);
     const dates = history.map(item => {
       // Handle different date formats
       if (item.date) {
@@ -161,7 +220,8 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
   const renderPerformanceIndicator = () => {
     if (!performanceData) return null;
 
-    const totalReturnPercent = performanceData.totalReturnPercent || 0;
+    // Time-weighted return for the selected period, falling back to return on cost
+    const totalReturnPercent = periodReturns ? periodReturns.twr : (performanceData.totalReturnPercent || 0);
     const isPositive = totalReturnPercent >= 0;
     const absReturn = Math.abs(totalReturnPercent);
     
@@ -193,6 +253,17 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
           <Text style={[styles.indicatorStatus, { color: statusColor }]}>
             {status}
           </Text>
+          <View style={styles.periodSelector}>
+            {PERIODS.map(period => (
+              <TouchableOpacity
+                key={period}
+                style={[styles.periodButton, selectedPeriod === period && styles.periodButtonActive]}
+                onPress={() => handlePeriodChange(period)}
+              >
+                <Text style={[styles.periodText, selectedPeriod === period && styles.periodTextActive]}>{period}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
         </View>
         
         <View style={styles.indicatorBar}>
@@ -208,7 +279,9 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
         </View>
         
         <Text style={styles.indicatorText}>
-          {isPositive ? '+' : ''}{totalReturnPercent.toFixed(2)}% total return
+          {periodReturns
+            ? `${isPositive ? '+' : ''}${totalReturnPercent.toFixed(2)}% time-weighted · ${periodReturns.mwr >= 0 ? '+' : ''}${periodReturns.mwr.toFixed(2)}% money-weighted`
+            : `${isPositive ? '+' : ''}${totalReturnPercent.toFixed(2)}% total return`}
         </Text>
       </View>
     );
@@ -217,9 +290,10 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
   const renderMetricCard = (label, value, percent = null, subtitle = '') => {
     const formatCurrency = (amount) => {
       if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
+      // Performance is reported in the user's base currency
       return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
+        currency: performanceData?.currency || 'USD',
         minimumFractionDigits: 0,
         maximumFractionDigits: 0,
       }).format(amount);
@@ -338,9 +412,111 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
     );
   };
 
-  const renderChart = () => {
-    // This function is no longer used since we only show pie chart
-    return null;
+  // Draw a line from absolutely positioned segments, each rotated about its midpoint
+  const renderLine = (values, color, minValue, maxValue, chartWidth, chartHeight) => {
+    const range = maxValue - minValue;
+    const getX = (index) => (values.length > 1 ? (index / (values.length - 1)) * chartWidth : chartWidth / 2);
+    const getY = (value) => (range === 0 ? chartHeight / 2 : chartHeight - ((value - minValue) / range) * chartHeight);
+
+    return values.map((value, index) => {
+      if (index === 0 || value === null || values[index - 1] === null) return null;
+      const x1 = getX(index - 1);
+      const y1 = getY(values[index - 1]);
+      const x2 = getX(index);
+      const y2 = getY(value);
+      const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+
+      return (
+        <View
+          key={index}
+          style={[
+            styles.chartSegment,
+            {
+              backgroundColor: color,
+              left: (x1 + x2) / 2 - length / 2,
+              top: (y1 + y2) / 2 - 1,
+              width: length,
+              transform: [{ rotate: `${Math.atan2(y2 - y1, x2 - x1)}rad` }],
+            },
+          ]}
+        />
+      );
+    });
+  };
+
+  const renderBenchmarkChart = () => {
+    const formatStat = (value, suffix = '%') => {
+      if (value === null || value === undefined || isNaN(value)) return 'N/A';
+      return `${suffix === '%' && value >= 0 ? '+' : ''}${value.toFixed(2)}${suffix}`;
+    };
+
+    const portfolioValues = benchmarkChart?.adjustedValues || [];
+    const benchmarkValues = benchmarkChart?.benchmarkValues || [];
+    const allValues = [...portfolioValues, ...benchmarkValues].filter(v => v !== null && !isNaN(v));
+    const stats = benchmarkChart?.benchmark;
+    const chartHeight = 70;
+
+    return (
+      <View style={styles.benchmarkContainer}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.benchmarkSelector}>
+          {BENCHMARK_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.symbol}
+              style={[styles.periodButton, benchmarkSymbol === option.symbol && styles.periodButtonActive]}
+              onPress={() => handleBenchmarkChange(option.symbol)}
+            >
+              <Text style={[styles.periodText, benchmarkSymbol === option.symbol && styles.periodTextActive]}>
+                {option.symbol}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {benchmarkLoading ? (
+          <ActivityIndicator size="small" color={COLORS.primary} style={{ height: chartHeight }} />
+        ) : allValues.length < 2 ? (
+          <View style={[styles.emptyChart, { height: chartHeight }]}>
+            <Text style={styles.emptyChartSubtext}>Not enough history for {selectedPeriod}</Text>
+          </View>
+        ) : (
+          <View
+            style={[styles.benchmarkChart, { height: chartHeight }]}
+            onLayout={(event) => setBenchmarkChartWidth(event.nativeEvent.layout.width)}
+          >
+            {benchmarkChartWidth > 0 && renderLine(benchmarkValues, COLORS.warning, Math.min(...allValues), Math.max(...allValues), benchmarkChartWidth, chartHeight)}
+            {benchmarkChartWidth > 0 && renderLine(portfolioValues, COLORS.primary, Math.min(...allValues), Math.max(...allValues), benchmarkChartWidth, chartHeight)}
+          </View>
+        )}
+
+        <View style={styles.benchmarkLegend}>
+          <Text style={[styles.benchmarkLegendText, { color: COLORS.primary }]}>
+            Portfolio {formatStat(stats?.portfolioReturn)}
+          </Text>
+          <Text style={[styles.benchmarkLegendText, { color: COLORS.warning }]}>
+            {benchmarkChart?.benchmark?.symbol || benchmarkSymbol} {formatStat(stats?.benchmarkReturn)}
+          </Text>
+        </View>
+
+        <View style={styles.quickStats}>
+          <View style={styles.statItem}>
+            <Text style={styles.statLabel}>Excess</Text>
+            <Text style={styles.statValue}>{formatStat(stats?.excessReturn)}</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statLabel}>Alpha</Text>
+            <Text style={styles.statValue}>{formatStat(stats?.alpha)}</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statLabel}>Beta</Text>
+            <Text style={styles.statValue}>{formatStat(stats?.beta, '')}</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statLabel}>Tracking Err</Text>
+            <Text style={styles.statValue}>{formatStat(stats?.trackingError)}</Text>
+          </View>
+        </View>
+      </View>
+    );
   };
 
   if (loading) {
@@ -459,7 +635,19 @@ const PortfolioPerformanceChart = ({ user, onPress }) => {
         {/* Back Side - Chart */}
         <TouchableOpacity style={styles.card} onPress={handleFlip} activeOpacity={0.9}>
           <LinearGradient colors={[COLORS.background.card, 'rgba(255,255,255,0.02)']} style={styles.cardContent}>
-            {renderPieChart()}
+            <View style={styles.backTabs}>
+              {[['sectors', 'Sectors'], ['benchmark', `vs Benchmark (${selectedPeriod})`]].map(([view, label]) => (
+                <TouchableOpacity
+                  key={view}
+                  style={[styles.periodButton, backView === view && styles.periodButtonActive]}
+                  onPress={() => handleBackViewChange(view)}
+                >
+                  <Text style={[styles.periodText, backView === view && styles.periodTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {backView === 'sectors' ? renderPieChart() : renderBenchmarkChart()}
             
             {/* Tap to flip back hint */}
             <View style={styles.expandHint}>
@@ -557,6 +745,26 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.body,
     fontWeight: '700',
   },
+  periodSelector: {
+    flexDirection: 'row',
+    marginLeft: 'auto',
+  },
+  periodButton: {
+    paddingHorizontal: SPACING.xs,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  periodButtonActive: {
+    backgroundColor: 'rgba(0,212,255,0.2)',
+  },
+  periodText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+  },
+  periodTextActive: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   indicatorBar: {
     height: 6,
     backgroundColor: 'rgba(255,255,255,0.1)',
@@ -643,6 +851,34 @@ const styles = StyleSheet.create({
     color: COLORS.text.secondary,
   },
 
+  // Benchmark comparison
+  backTabs: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+  },
+  benchmarkContainer: {
+    flex: 1,
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.xs,
+  },
+  benchmarkSelector: {
+    flexGrow: 0,
+    marginBottom: SPACING.xs,
+  },
+  benchmarkChart: {
+    position: 'relative',
+    marginVertical: SPACING.xs,
+  },
+  benchmarkLegend: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  benchmarkLegendText: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: '600',
+  },
+
   // Chart styles
   chartContainer: {
     flex: 1,
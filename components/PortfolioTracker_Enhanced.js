@@ -14,13 +14,22 @@ import {
   TextInput,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { auth, db } from '../firebase';
-import { doc, getDoc, setDoc, collection, getDocs, updateDoc, addDoc, deleteDoc, query, where } from 'firebase/firestore';
-import { getStockQuote, getMultipleQuotes, markStockAsViewed, queueStockUpdate } from '../services/finnhubService';
+import { auth, db, doc, getDoc, setDoc, collection, getDocs, addDoc, updateDoc, deleteDoc, query, where } from '../firebase';
+import { getStockQuote, getMultipleQuotes, getCompanyProfile, markStockAsViewed, queueStockUpdate, streamQuotes } from '../services/finnhubService';
 import EnhancedLoadingScreen from './EnhancedLoadingScreen';
 import StockDetailsModal from './StockDetailsModal';
+import SymbolSearchModal from './SymbolSearchModal';
 import portfolioPerformanceService from '../services/portfolioPerformanceService';
 import firebaseService from '../services/firebaseService';
+import tradeExecutionService, { DEFAULT_CASH_BALANCE } from '../services/tradeExecutionService';
+import taxLotService from '../services/taxLotService';
+import riskAnalyticsService from '../services/riskAnalyticsService';
+import orderService, { OPEN_ORDER_STATUSES } from '../services/orderService';
+import marketCalendarService from '../services/marketCalendarService';
+import currencyService, { ACCOUNT_CURRENCY, DEFAULT_BASE_CURRENCY, formatMoney, normalizeCurrency } from '../services/currencyService';
+import assetClassService from '../services/assetClassService';
+import riskProfileService from '../services/riskProfileService';
+import cashSweepService from '../services/cashSweepService';
 import SharedNavigation from './SharedNavigation';
 import BottomNavigation from './BottomNavigation';
 
@@ -71,6 +80,44 @@ const GlassCard = ({ children, style }) => {
   );
 };
 
+// Reprice a holding from a quote (REST refresh or streamed tick)
+const applyQuoteToHolding = (holding, quote) => {
+  const newPrice = quote.price || quote.currentPrice || holding.currentPrice;
+  const newValue = holding.shares * newPrice;
+  const newGain = newValue - (holding.shares * holding.averagePrice);
+  const newGainPercent = ((newGain / (holding.shares * holding.averagePrice)) * 100);
+
+  // Calculate daily change for this holding (change from previous day's value)
+  const dailyChangePercent = quote.changePercent || 0;
+  const previousValue = newValue / (1 + (dailyChangePercent / 100));
+  const dailyChangeDollar = newValue - previousValue;
+
+  return {
+    ...holding,
+    currentPrice: newPrice,
+    currentValue: newValue,
+    gain: newGain,
+    gainPercent: newGainPercent,
+    change: quote.change || 0,
+    changePercent: quote.changePercent || 0,
+    dailyChangePercent: dailyChangePercent,
+    dailyChangeDollar: dailyChangeDollar,
+    priceAsOf: quote.timestamp || Date.now(),
+    priceStale: !!quote.stale, // Served from the offline cache
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+const applyQuoteToWatchlistItem = (watchlistItem, quote) => ({
+  ...watchlistItem,
+  currentPrice: quote.price || quote.currentPrice || watchlistItem.currentPrice,
+  change: quote.change || 0,
+  changePercent: quote.changePercent || 0,
+  priceAsOf: quote.timestamp || Date.now(),
+  priceStale: !!quote.stale,
+  lastUpdated: new Date().toISOString()
+});
+
 export default function PortfolioTracker_Enhanced({ navigation, user }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -81,18 +128,41 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
   const [tradingStock, setTradingStock] = useState(null);
   const [tradeType, setTradeType] = useState('buy');
   const [tradeAmount, setTradeAmount] = useState('');
+  const [orderType, setOrderType] = useState('market'); // 'market', 'limit', 'stop' or 'stop_limit'
+  const [limitPrice, setLimitPrice] = useState('');
+  const [stopPrice, setStopPrice] = useState('');
+  const [timeInForce, setTimeInForce] = useState('day'); // 'day' or 'gtc'
+  const [lotMethod, setLotMethod] = useState('fifo'); // 'fifo', 'lifo', 'hifo' or 'specific'
+  const [selectedLotIds, setSelectedLotIds] = useState([]); // Relief order for specific-lot sells
+  const [cashFlowType, setCashFlowType] = useState(null); // 'deposit' or 'withdrawal' while the cash modal is open
+  const [cashFlowAmount, setCashFlowAmount] = useState('');
+  const [orders, setOrders] = useState([]);
   const [priceUpdating, setPriceUpdating] = useState(false);
   const [lastPriceUpdate, setLastPriceUpdate] = useState(null);
 
   const [selectedStock, setSelectedStock] = useState(null);
   const [showStockDetails, setShowStockDetails] = useState(false);
-  const [activeTab, setActiveTab] = useState('holdings'); // 'holdings' or 'watchlist'
+  const [showSymbolSearch, setShowSymbolSearch] = useState(false);
+  const [activeTab, setActiveTab] = useState('holdings'); // 'holdings', 'watchlist' or 'orders'
+  const [riskMetrics, setRiskMetrics] = useState(null);
+  const [riskLoading, setRiskLoading] = useState(false);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_BASE_CURRENCY);
+  const [fxRates, setFxRates] = useState(null);
+  const [riskLevel, setRiskLevel] = useState(null); // From the risk quiz; picks the recommended allocation ranges
   const [performanceData, setPerformanceData] = useState({
     dailyChange: 0,
     weeklyChange: 0,
     monthlyChange: 0,
     totalReturn: 0,
     totalReturnPercent: 0,
+    unrealizedReturn: 0,
+    unrealizedShortTerm: 0,
+    unrealizedLongTerm: 0,
+    realizedReturn: 0,
+    realizedShortTerm: 0,
+    realizedLongTerm: 0,
+    dividendIncome: 0,
+    interestIncome: 0,
   });
   
   // Performance optimizations
@@ -116,7 +186,8 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
     if (!user?.uid || !holdings) return;
     
     try {
-      await portfolioPerformanceService.updatePerformance(holdings, cashBalance);
+      const performance = await portfolioPerformanceService.updatePerformance(holdings, cashBalance);
+      setPerformanceData(prev => ({ ...prev, ...performance }));
     } catch (error) {
       console.error('Error updating portfolio performance:', error);
     }
@@ -165,10 +236,13 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                 // Preserve all LLM-generated fields
                 investmentThesis: item.investmentThesis,
                 technicalAnalysis: item.technicalAnalysis,
+                technicalIndicators: item.technicalIndicators,
                 keyBenefits: item.keyBenefits,
                 keyRisks: item.keyRisks,
                 personalizationScore: item.personalizationScore,
                 confidence: item.confidence,
+                confidenceBreakdown: item.confidenceBreakdown,
+                fundamentals: item.fundamentals,
                 riskAlignment: item.riskAlignment,
                 sectorDiversification: item.sectorDiversification,
                 portfolioFit: item.portfolioFit,
@@ -193,10 +267,13 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                 // Preserve LLM-generated fields when converting to watchlist
                 investmentThesis: item.investmentThesis,
                 technicalAnalysis: item.technicalAnalysis,
+                technicalIndicators: item.technicalIndicators,
                 keyBenefits: item.keyBenefits,
                 keyRisks: item.keyRisks,
                 personalizationScore: item.personalizationScore,
                 confidence: item.confidence,
+                confidenceBreakdown: item.confidenceBreakdown,
+                fundamentals: item.fundamentals,
                 riskAlignment: item.riskAlignment,
                 sectorDiversification: item.sectorDiversification,
                 portfolioFit: item.portfolioFit,
@@ -282,13 +359,29 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
         }
       );
 
+      const unsubscribeOrders = firebaseService.subscribeToCollection(
+        `users/${user.uid}/orders`,
+        (ordersData) => {
+          setOrders(ordersData);
+        },
+        {
+          orderByClause: { field: 'createdAt', direction: 'desc' },
+          limitCount: 50
+        }
+      );
+
       // Get user profile data
       const userData = await firebaseService.getDocument(`users/${user.uid}`);
       
       if (userData) {
-        setCashBalance(userData.cashBalance || 10000);
-        cashBalanceRef.current = userData.cashBalance || 10000;
+        // A real zero balance stays zero; only users without one get the starting balance
+        const cash = parseFloat(userData.cashBalance ?? DEFAULT_CASH_BALANCE) || 0;
+        setCashBalance(cash);
+        cashBalanceRef.current = cash;
+        setBaseCurrency(normalizeCurrency(userData.baseCurrency, DEFAULT_BASE_CURRENCY));
+        setRiskLevel(userData.riskLevel || null);
       }
+      currencyService.getRates().then(setFxRates).catch(error => console.error('Error loading exchange rates:', error));
 
       // Set up performance tracking
       portfolioPerformanceService.setUserId(user.uid);
@@ -297,6 +390,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       const cleanup = () => {
         if (unsubscribePortfolio) unsubscribePortfolio();
         if (unsubscribeWatchlist) unsubscribeWatchlist();
+        if (unsubscribeOrders) unsubscribeOrders();
       };
 
       // Store cleanup reference for component unmount
@@ -329,7 +423,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       });
       
       // Get quotes using smart caching (will use cache if available)
-      const quotes = await getMultipleQuotes(symbols);
+      const quotes = await getMultipleQuotes(symbols, { priority: 'portfolio', owner: 'portfolio' });
       
       if (quotes && quotes.length > 0) {
         console.log(`✅ Updated ${quotes.length} portfolio prices`);
@@ -337,36 +431,13 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
         // Update holdings with new prices
         const updatedHoldings = holdingsRef.current.map(holding => {
           const quote = quotes.find(q => q.symbol === holding.symbol);
-          if (quote) {
-            const newPrice = quote.price || quote.currentPrice || holding.currentPrice;
-            const newValue = holding.shares * newPrice;
-            const newGain = newValue - (holding.shares * holding.averagePrice);
-            const newGainPercent = ((newGain / (holding.shares * holding.averagePrice)) * 100);
-            
-            // Calculate daily change for this holding (change from previous day's value)
-            const dailyChangePercent = quote.changePercent || 0;
-            const previousValue = newValue / (1 + (dailyChangePercent / 100));
-            const dailyChangeDollar = newValue - previousValue;
-            
-            return {
-              ...holding,
-              currentPrice: newPrice,
-              currentValue: newValue,
-              gain: newGain,
-              gainPercent: newGainPercent,
-              change: quote.change || 0,
-              changePercent: quote.changePercent || 0,
-              dailyChangePercent: dailyChangePercent,
-              dailyChangeDollar: dailyChangeDollar,
-              lastUpdated: new Date().toISOString()
-            };
-          }
-          return holding;
+          return quote ? applyQuoteToHolding(holding, quote) : holding;
         });
         
         setHoldings(updatedHoldings);
         holdingsRef.current = updatedHoldings;
         setLastPriceUpdate(new Date());
+        lastUpdateRef.current = Date.now();
         
         // Update Firebase with new prices to persist them
         const updatePromises = updatedHoldings.map(holding => {
@@ -409,7 +480,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       });
       
       // Get quotes using smart caching (will use cache if available)
-      const quotes = await getMultipleQuotes(symbols);
+      const quotes = await getMultipleQuotes(symbols, { priority: 'portfolio', owner: 'watchlist' });
       
       if (quotes && quotes.length > 0) {
         console.log(`✅ Updated ${quotes.length} watchlist prices`);
@@ -417,16 +488,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
         // Update watchlist with new prices
         const updatedWatchlist = watchlist.map(watchlistItem => {
           const quote = quotes.find(q => q.symbol === watchlistItem.symbol);
-          if (quote) {
-            return {
-              ...watchlistItem,
-              currentPrice: quote.price || quote.currentPrice || watchlistItem.currentPrice,
-              change: quote.change || 0,
-              changePercent: quote.changePercent || 0,
-              lastUpdated: new Date().toISOString()
-            };
-          }
-          return watchlistItem;
+          return quote ? applyQuoteToWatchlistItem(watchlistItem, quote) : watchlistItem;
         });
         
         setWatchlist(updatedWatchlist);
@@ -464,9 +526,17 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
     const currentPrice = tradingStock.currentPrice || tradingStock.price;
     const totalCost = shares * currentPrice;
 
+    if (orderType !== 'market') {
+      await handlePlaceOrder(shares);
+      return;
+    }
+
     if (tradeType === 'buy') {
-      if (totalCost > cashBalanceRef.current) {
-        Alert.alert('Insufficient Funds', `You need $${totalCost.toFixed(2)} but only have $${cashBalanceRef.current.toFixed(2)}.`);
+      // Cash is held in the account currency
+      const availableCash = cashBalanceRef.current - reservedCash;
+      const accountCost = fxRates ? currencyService.convert(totalCost, tradingCurrency, ACCOUNT_CURRENCY, fxRates) : totalCost;
+      if (accountCost > availableCash) {
+        Alert.alert('Insufficient Funds', `You need ${formatMoney(accountCost, ACCOUNT_CURRENCY)} but only have ${formatMoney(availableCash, ACCOUNT_CURRENCY)} available.`);
         return;
       }
     } else {
@@ -477,156 +547,32 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       }
     }
 
+    if (tradeType === 'sell' && lotMethod === 'specific') {
+      const selectedShares = sellableLots
+        .filter(lot => selectedLotIds.includes(lot.id))
+        .reduce((sum, lot) => sum + lot.quantity, 0);
+      if (selectedShares < shares) {
+        Alert.alert('Select Lots', `Selected lots only cover ${selectedShares} of ${shares} shares.`);
+        return;
+      }
+    }
+
     try {
-      const newCashBalance = tradeType === 'buy' 
-        ? cashBalanceRef.current - totalCost 
-        : cashBalanceRef.current + totalCost;
-
-      // Update cash balance
-      await updateDoc(doc(db, 'users', user.uid), {
-        cashBalance: newCashBalance,
-        lastUpdated: new Date().toISOString()
+      // Cash, position, lots, watchlist and ledger entry are committed atomically
+      const fill = await tradeExecutionService.executeTrade({
+        userId: user.uid,
+        stock: tradingStock,
+        side: tradeType,
+        quantity: shares,
+        price: currentPrice,
+        lotMethod: tradeType === 'sell' ? lotMethod : null,
+        lotIds: tradeType === 'sell' && lotMethod === 'specific' ? selectedLotIds : []
       });
 
-      if (tradeType === 'buy') {
-        // Add or update holding
-        const existingHolding = holdingsRef.current.find(h => h.symbol === tradingStock.symbol);
-        
-        if (existingHolding) {
-          // Update existing holding
-          const newShares = existingHolding.shares + shares;
-          const newAveragePrice = ((existingHolding.shares * existingHolding.averagePrice) + totalCost) / newShares;
-          
-          // For existing holdings, preserve LLM data if not already present
-          const updateData = {
-            shares: newShares,
-            averagePrice: newAveragePrice,
-            currentPrice: currentPrice,
-            lastUpdated: new Date().toISOString()
-          };
-          
-          // Add LLM data if not already present in existing holding
-          if (!existingHolding.investmentThesis && tradingStock.investmentThesis) {
-            updateData.investmentThesis = tradingStock.investmentThesis;
-          }
-          if (!existingHolding.technicalAnalysis && tradingStock.technicalAnalysis) {
-            updateData.technicalAnalysis = tradingStock.technicalAnalysis;
-          }
-          if (!existingHolding.keyBenefits && tradingStock.keyBenefits) {
-            updateData.keyBenefits = tradingStock.keyBenefits;
-          }
-          if (!existingHolding.keyRisks && tradingStock.keyRisks) {
-            updateData.keyRisks = tradingStock.keyRisks;
-          }
-          if (!existingHolding.personalizationScore && tradingStock.personalizationScore) {
-            updateData.personalizationScore = tradingStock.personalizationScore;
-          }
-          if (!existingHolding.confidence && tradingStock.confidence) {
-            updateData.confidence = tradingStock.confidence;
-          }
-          
-          await updateDoc(doc(db, 'users', user.uid, 'portfolio', existingHolding.id), updateData);
-        } else {
-          // Create new holding with enhanced data including LLM-generated content
-          const newHoldingRef = await addDoc(collection(db, 'users', user.uid, 'portfolio'), {
-            symbol: tradingStock.symbol,
-            name: tradingStock.name || tradingStock.symbol,
-            shares: shares,
-            averagePrice: currentPrice,
-            currentPrice: currentPrice,
-            sector: tradingStock.sector || 'Unknown',
-            industry: tradingStock.industry || 'Unknown',
-            marketCap: tradingStock.marketCap || 'N/A',
-            peRatio: tradingStock.peRatio || 'N/A',
-            dividendYield: tradingStock.dividendYield || 'N/A',
-            purchaseDate: new Date().toISOString(),
-            lastUpdated: new Date().toISOString(),
-            
-            // Preserve LLM-generated content from stock comparison
-            investmentThesis: tradingStock.investmentThesis || '',
-            technicalAnalysis: tradingStock.technicalAnalysis || '',
-            keyBenefits: tradingStock.keyBenefits || [],
-            keyRisks: tradingStock.keyRisks || [],
-            personalizationScore: tradingStock.personalizationScore || 0,
-            confidence: tradingStock.confidence || 0,
-            riskAlignment: tradingStock.riskAlignment || 0,
-            sectorDiversification: tradingStock.sectorDiversification || 0,
-            portfolioFit: tradingStock.portfolioFit || 0,
-            riskLevel: tradingStock.riskLevel || 'medium',
-            reason: tradingStock.reason || 'User purchase'
-          });
-          
-          console.log('Created new holding with ID:', newHoldingRef.id);
-          console.log('LLM data saved to portfolio:', {
-            investmentThesis: !!tradingStock.investmentThesis,
-            technicalAnalysis: !!tradingStock.technicalAnalysis,
-            keyBenefits: !!tradingStock.keyBenefits,
-            keyRisks: !!tradingStock.keyRisks,
-            personalizationScore: tradingStock.personalizationScore
-          });
-        }
-        
-        // Remove from watchlist if they're buying it
-        const watchlistRef = collection(db, 'users', user.uid, 'watchlist');
-        const watchlistQuery = query(watchlistRef, where('symbol', '==', tradingStock.symbol));
-        const watchlistSnapshot = await getDocs(watchlistQuery);
-        watchlistSnapshot.forEach(async (docSnapshot) => {
-          await deleteDoc(docSnapshot.ref);
-          console.log(`Removed ${tradingStock.symbol} from watchlist after purchase`);
-        });
-        
-      } else {
-        // Sell shares
-        const existingHolding = holdingsRef.current.find(h => h.symbol === tradingStock.symbol);
-        const newShares = existingHolding.shares - shares;
-        
-        if (newShares === 0) {
-          // Delete holding if all shares sold
-          await deleteDoc(doc(db, 'users', user.uid, 'portfolio', existingHolding.id));
-          console.log('Deleted holding:', existingHolding.symbol);
-          
-          // Add back to watchlist if they sold all shares
-          const watchlistRef = collection(db, 'users', user.uid, 'watchlist');
-          await addDoc(watchlistRef, {
-            symbol: tradingStock.symbol,
-            addedAt: new Date().toISOString(),
-            addedDate: new Date().toISOString(),
-            stockData: {
-              symbol: tradingStock.symbol,
-              name: tradingStock.name || tradingStock.symbol,
-              currentPrice: parseFloat(tradingStock.currentPrice) || 0,
-              sector: tradingStock.sector || 'Unknown',
-              industry: tradingStock.industry || 'Unknown'
-            },
-            // Preserve LLM-generated fields when adding back to watchlist
-            investmentThesis: tradingStock.investmentThesis,
-            technicalAnalysis: tradingStock.technicalAnalysis,
-            keyBenefits: tradingStock.keyBenefits,
-            keyRisks: tradingStock.keyRisks,
-            personalizationScore: tradingStock.personalizationScore,
-            confidence: tradingStock.confidence,
-            riskAlignment: tradingStock.riskAlignment,
-            sectorDiversification: tradingStock.sectorDiversification,
-            portfolioFit: tradingStock.portfolioFit,
-            riskLevel: tradingStock.riskLevel,
-            reason: tradingStock.reason
-          });
-          console.log(`Added ${tradingStock.symbol} back to watchlist after selling all shares`);
-        } else {
-          // Update holding
-          await updateDoc(doc(db, 'users', user.uid, 'portfolio', existingHolding.id), {
-            shares: newShares,
-            lastUpdated: new Date().toISOString()
-          });
-          console.log('Updated holding:', existingHolding.symbol, 'New shares:', newShares);
-        }
-      }
-
       // Update local state
-      setCashBalance(newCashBalance);
-      cashBalanceRef.current = newCashBalance;
-      setTradingStock(null);
-      setTradeAmount('');
+      setCashBalance(fill.cashAfter);
+      cashBalanceRef.current = fill.cashAfter;
+      closeTradeModal();
       
       // Reload portfolio data
       await loadPortfolioData();
@@ -634,14 +580,141 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       
       Alert.alert(
         'Trade Executed',
-        `${tradeType === 'buy' ? 'Bought' : 'Sold'} ${shares} shares of ${tradingStock.symbol} for ${formatCurrency(totalCost)}`,
+        `${tradeType === 'buy' ? 'Bought' : 'Sold'} ${shares} shares of ${tradingStock.symbol} for ${formatMoney(totalCost, fill.currency)}` +
+          (fill.side === 'sell' ? `\nRealized gain: ${formatMoney(fill.realizedGain, ACCOUNT_CURRENCY)}` : ''),
         [{ text: 'OK' }]
       );
       
     } catch (error) {
       console.error('Trade error:', error);
-      Alert.alert('Trade Error', 'Failed to execute trade. Please try again.');
+      if (error.message === 'INSUFFICIENT_FUNDS') {
+        Alert.alert('Insufficient Funds', `You don't have enough cash to buy ${shares} shares of ${tradingStock.symbol}.`);
+      } else if (error.message === 'INSUFFICIENT_SHARES') {
+        Alert.alert('Insufficient Shares', `You don't have ${shares} shares of ${tradingStock.symbol} to sell.`);
+      } else if (error.message === 'INSUFFICIENT_LOTS') {
+        Alert.alert('Select Lots', `The selected lots don't cover ${shares} shares of ${tradingStock.symbol}.`);
+      } else {
+        Alert.alert('Trade Error', 'Failed to execute trade. Please try again.');
+      }
+    }
+  };
+
+  // Place a limit, stop or stop-limit order that rests until prices reach it
+  const handlePlaceOrder = async (shares) => {
+    const needsLimit = orderType === 'limit' || orderType === 'stop_limit';
+    const needsStop = orderType === 'stop' || orderType === 'stop_limit';
+
+    if ((needsLimit && !(parseFloat(limitPrice) > 0)) || (needsStop && !(parseFloat(stopPrice) > 0))) {
+      Alert.alert('Invalid Price', 'Please enter a valid price for this order type.');
+      return;
     }
+
+    try {
+      const order = await orderService.placeOrder(user.uid, {
+        stock: tradingStock,
+        side: tradeType,
+        type: orderType,
+        quantity: shares,
+        limitPrice: needsLimit ? limitPrice : null,
+        stopPrice: needsStop ? stopPrice : null,
+        timeInForce
+      });
+
+      closeTradeModal();
+      setActiveTab('orders');
+
+      Alert.alert(
+        'Order Placed',
+        `${tradeType === 'buy' ? 'Buy' : 'Sell'} ${shares} ${order.symbol} ${formatOrderType(order)} (${timeInForce === 'day' ? 'Day' : 'GTC'})` +
+          (order.reservedCash > 0 ? `\n${formatMoney(order.reservedCash, ACCOUNT_CURRENCY)} reserved while the order is open.` : '')
+      );
+    } catch (error) {
+      console.error('Order error:', error);
+      if (error.message === 'INSUFFICIENT_FUNDS') {
+        Alert.alert('Insufficient Funds', 'Not enough available cash to reserve for this order.');
+      } else if (error.message === 'INSUFFICIENT_SHARES') {
+        Alert.alert('Insufficient Shares', `You don't have ${shares} uncommitted shares of ${tradingStock.symbol}.`);
+      } else {
+        Alert.alert('Order Error', 'Failed to place order. Please try again.');
+      }
+    }
+  };
+
+  // Cancel an open order and release its cash reservation
+  const handleCancelOrder = (order) => {
+    Alert.alert(
+      'Cancel Order',
+      `Cancel your ${order.side} order for ${order.quantity - (order.filledQuantity || 0)} ${order.symbol}?`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Order',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await orderService.cancelOrder(user.uid, order.id);
+            } catch (error) {
+              console.error('Error cancelling order:', error);
+              Alert.alert('Error', 'Failed to cancel order');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const closeTradeModal = () => {
+    setTradingStock(null);
+    setTradeAmount('');
+    setOrderType('market');
+    setLimitPrice('');
+    setStopPrice('');
+    setTimeInForce('day');
+    setLotMethod('fifo');
+    setSelectedLotIds([]);
+  };
+
+  // Deposit or withdraw cash. These are the external flows time- and money-weighted returns exclude.
+  const handleCashFlow = async () => {
+    const amount = parseFloat(cashFlowAmount);
+    if (!(amount > 0)) {
+      Alert.alert('Invalid Amount', 'Please enter a valid amount.');
+      return;
+    }
+
+    try {
+      const entry = await tradeExecutionService.recordCashFlow({ userId: user.uid, type: cashFlowType, amount });
+      setCashBalance(entry.cashAfter);
+      cashBalanceRef.current = entry.cashAfter;
+      closeCashFlowModal();
+
+      portfolioPerformanceService.clearCache();
+      await updatePortfolioPerformance();
+
+      Alert.alert(
+        cashFlowType === 'deposit' ? 'Deposit Complete' : 'Withdrawal Complete',
+        `${cashFlowType === 'deposit' ? 'Deposited' : 'Withdrew'} ${formatMoney(entry.grossAmount, ACCOUNT_CURRENCY)}. Cash balance: ${formatMoney(entry.cashAfter, ACCOUNT_CURRENCY)}.`
+      );
+    } catch (error) {
+      console.error('Cash flow error:', error);
+      if (error.message === 'INSUFFICIENT_FUNDS') {
+        Alert.alert('Insufficient Funds', `You can withdraw up to ${formatMoney(cashBalanceRef.current - reservedCash, ACCOUNT_CURRENCY)}; the rest is reserved for open orders.`);
+      } else {
+        Alert.alert('Error', 'Failed to record the transfer. Please try again.');
+      }
+    }
+  };
+
+  const closeCashFlowModal = () => {
+    setCashFlowType(null);
+    setCashFlowAmount('');
+  };
+
+  // Add or remove a lot from the specific-lot relief order
+  const toggleLotSelection = (lotId) => {
+    setSelectedLotIds(prev => (
+      prev.includes(lotId) ? prev.filter(id => id !== lotId) : [...prev, lotId]
+    ));
   };
 
   // Handle delete watchlist item
@@ -727,10 +800,13 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
         // Ensure LLM fields are available at top level
         investmentThesis: stock.investmentThesis,
         technicalAnalysis: stock.technicalAnalysis,
+        technicalIndicators: stock.technicalIndicators,
         keyBenefits: stock.keyBenefits,
         keyRisks: stock.keyRisks,
         personalizationScore: stock.personalizationScore,
         confidence: stock.confidence,
+        confidenceBreakdown: stock.confidenceBreakdown,
+        fundamentals: stock.fundamentals,
         riskAlignment: stock.riskAlignment,
         sectorDiversification: stock.sectorDiversification,
         portfolioFit: stock.portfolioFit,
@@ -743,6 +819,74 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
     setShowStockDetails(true);
   };
 
+  // Stock object for a search result: the held position when there is one, otherwise quote + profile
+  const loadSearchedStock = async (result) => {
+    const held = holdingsRef.current.find(h => h.symbol === result.symbol);
+    if (held) return held;
+
+    const [quote, profile] = await Promise.all([
+      getStockQuote(result.symbol).catch(() => null),
+      getCompanyProfile(result.symbol).catch(() => null)
+    ]);
+    return {
+      symbol: result.symbol,
+      name: profile?.name && profile.name !== result.symbol ? profile.name : result.name,
+      currentPrice: quote?.price || 0,
+      price: quote?.price || 0,
+      change: quote?.change || 0,
+      changePercent: quote?.changePercent || 0,
+      priceAsOf: quote?.timestamp || null,
+      priceStale: !!quote?.stale,
+      sector: profile?.sector || 'Unknown',
+      industry: profile?.industry || 'Unknown',
+      marketCap: profile?.marketCap || 'N/A',
+      exchange: result.exchange,
+      securityType: result.typeLabel,
+      reason: 'Added from search'
+    };
+  };
+
+  const handleSearchOpenDetails = async (result) => {
+    const stock = await loadSearchedStock(result);
+    setShowSymbolSearch(false);
+    handleStockPress(stock);
+  };
+
+  // Watch a searched symbol unless it's already held or watched
+  const handleSearchAddToWatchlist = async (result) => {
+    try {
+      const [portfolioSnapshot, watchlistSnapshot] = await Promise.all([
+        getDocs(query(collection(db, 'users', user.uid, 'portfolio'), where('symbol', '==', result.symbol))),
+        getDocs(query(collection(db, 'users', user.uid, 'watchlist'), where('symbol', '==', result.symbol)))
+      ]);
+      if (!portfolioSnapshot.empty || !watchlistSnapshot.empty) {
+        Alert.alert('Already Tracked', `${result.symbol} is already in your portfolio or watchlist.`);
+        return;
+      }
+
+      const stock = await loadSearchedStock(result);
+      await addDoc(
+        collection(db, 'users', user.uid, 'watchlist'),
+        tradeExecutionService.buildWatchlistData(stock, result.symbol, new Date().toISOString())
+      );
+      Alert.alert('Added', `${result.symbol} has been added to your watchlist`);
+    } catch (error) {
+      console.error('Error adding search result to watchlist:', error);
+      Alert.alert('Error', `Failed to add ${result.symbol} to your watchlist`);
+    }
+  };
+
+  const handleSearchTrade = async (result) => {
+    const stock = await loadSearchedStock(result);
+    if (!(stock.currentPrice > 0)) {
+      Alert.alert('Price Unavailable', `Couldn't get a price for ${result.symbol}. Try again shortly.`);
+      return;
+    }
+    setShowSymbolSearch(false);
+    setTradingStock(stock);
+    setTradeType('buy');
+  };
+
   // Enhanced refresh with progress indication
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -763,11 +907,49 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
     loadPortfolioData();
   }, [loadPortfolioData]);
 
-  // Enhanced price update interval with better performance
+  // Oldest cached price still on screen; null once every holding has a live quote
+  const stalePricesAsOf = useMemo(() => {
+    const stale = holdings.filter(h => h.priceStale && h.priceAsOf);
+    return stale.length > 0 ? Math.min(...stale.map(h => h.priceAsOf)) : null;
+  }, [holdings]);
+
+  // Live prices for holdings and watchlist over the quote stream. Ticks only update local state;
+  // the periodic REST refresh below persists prices to Firebase.
+  const streamedSymbolsKey = useMemo(() => (
+    Array.from(new Set([...holdings, ...watchlist].map(item => item.symbol).filter(Boolean))).sort().join(',')
+  ), [holdings, watchlist]);
+
+  useEffect(() => {
+    if (!streamedSymbolsKey) return;
+
+    const releaseStream = streamQuotes(streamedSymbolsKey.split(','), (quote) => {
+      if (holdingsRef.current.some(h => h.symbol === quote.symbol)) {
+        const updatedHoldings = holdingsRef.current.map(holding => (
+          holding.symbol === quote.symbol ? applyQuoteToHolding(holding, quote) : holding
+        ));
+        holdingsRef.current = updatedHoldings;
+        setHoldings(updatedHoldings);
+        setLastPriceUpdate(new Date());
+      }
+
+      setWatchlist(prevWatchlist => (
+        prevWatchlist.some(w => w.symbol === quote.symbol)
+          ? prevWatchlist.map(watchlistItem => (
+            watchlistItem.symbol === quote.symbol ? applyQuoteToWatchlistItem(watchlistItem, quote) : watchlistItem
+          ))
+          : prevWatchlist
+      ));
+    });
+
+    return releaseStream;
+  }, [streamedSymbolsKey]);
+
+  // Periodic REST refresh that persists prices (the stream keeps them live in between)
   useEffect(() => {
     const priceUpdateInterval = setInterval(() => {
       const now = Date.now();
-      if (now - lastUpdateRef.current > 8 * 60 * 1000) { // Only update if it's been more than 8 minutes
+      // Only update if it's been more than 8 minutes in session (much longer while the market is closed)
+      if (now - lastUpdateRef.current > marketCalendarService.getPollInterval(8 * 60 * 1000)) {
         updatePortfolioPrices();
       }
     }, 10 * 60 * 1000); // 10 minutes
@@ -812,12 +994,22 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
     };
   }, [user, loadPortfolioData]);
 
+  // Totals are shown in the base currency once exchange rates have loaded (the account currency until then)
+  const displayCurrency = fxRates ? baseCurrency : ACCOUNT_CURRENCY;
+  const toDisplayCurrency = useCallback((amount, currency) => (
+    fxRates ? currencyService.convert(amount, currency, baseCurrency, fxRates) : (amount || 0)
+  ), [fxRates, baseCurrency]);
+  const tradingCurrency = normalizeCurrency(tradingStock?.currency || tradingStock?.stockData?.currency);
+  const hasForeignHoldings = holdings.some(holding => normalizeCurrency(holding.currency) !== displayCurrency);
+
   // Memoized performance calculations
   const performanceMetrics = useMemo(() => {
+    const cashValue = toDisplayCurrency(cashBalance, ACCOUNT_CURRENCY);
     if (holdings.length === 0) {
       return {
         totalEquity: 0,
-        totalValue: cashBalance,
+        cashValue,
+        totalValue: cashValue,
         totalReturn: 0,
         totalReturnPercent: 0,
         dailyChange: 0,
@@ -825,9 +1017,9 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       };
     }
 
-    const totalEquityValue = holdings.reduce((sum, holding) => sum + (holding.currentValue || 0), 0);
-    const totalPortfolioValue = totalEquityValue + cashBalance;
-    const totalCostBasis = holdings.reduce((sum, holding) => sum + (holding.shares * holding.averagePrice), 0);
+    const totalEquityValue = holdings.reduce((sum, holding) => sum + toDisplayCurrency(holding.currentValue, holding.currency), 0);
+    const totalPortfolioValue = totalEquityValue + cashValue;
+    const totalCostBasis = holdings.reduce((sum, holding) => sum + toDisplayCurrency(holding.shares * holding.averagePrice, holding.currency), 0);
     const totalReturn = totalEquityValue - totalCostBasis;
     
     // Calculate sector summary
@@ -837,7 +1029,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
       if (!sectorMap[sector]) {
         sectorMap[sector] = { value: 0, count: 0, industries: new Set() };
       }
-      sectorMap[sector].value += holding.currentValue || 0;
+      sectorMap[sector].value += toDisplayCurrency(holding.currentValue, holding.currency);
       sectorMap[sector].count += 1;
       if (holding.industry && holding.industry !== 'Unknown') {
         sectorMap[sector].industries.add(holding.industry);
@@ -854,34 +1046,114 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
 
     return {
       totalEquity: totalEquityValue,
+      cashValue,
       totalValue: totalPortfolioValue,
       totalReturn,
       totalReturnPercent: totalCostBasis > 0 ? (totalReturn / totalCostBasis) * 100 : 0,
-      dailyChange: holdings.reduce((sum, holding) => sum + (holding.dailyChangeDollar || 0), 0),
+      dailyChange: holdings.reduce((sum, holding) => sum + toDisplayCurrency(holding.dailyChangeDollar, holding.currency), 0),
       sectorSummary
     };
-  }, [holdings, cashBalance]);
+  }, [holdings, cashBalance, toDisplayCurrency]);
+
+  // Asset-class mix (cash included) against the risk profile's recommended ranges
+  const assetAllocation = useMemo(() => {
+    const summary = assetClassService.summarizeAllocation(
+      holdings.map(holding => ({ ...holding, value: toDisplayCurrency(holding.currentValue, holding.currency) })),
+      performanceMetrics.cashValue
+    );
+    return assetClassService.compareToTargets(summary, riskProfileService.getAllocationForLevel(riskLevel));
+  }, [holdings, performanceMetrics.cashValue, toDisplayCurrency, riskLevel]);
+
+  // Open orders and the cash they hold back
+  const openOrders = useMemo(() => orders.filter(o => OPEN_ORDER_STATUSES.includes(o.status)), [orders]);
+  const reservedCash = useMemo(
+    () => openOrders.reduce((sum, o) => sum + (parseFloat(o.reservedCash) || 0), 0),
+    [openOrders]
+  );
+
+  // Open lots of the stock being sold, oldest first
+  const sellableLots = useMemo(() => {
+    if (!tradingStock || tradeType !== 'sell') return [];
+    const holding = holdings.find(h => h.symbol === tradingStock.symbol);
+    return taxLotService.orderLots(taxLotService.getLots(holding), 'fifo');
+  }, [tradingStock, tradeType, holdings]);
+
+  // Realized/unrealized breakdown once holdings have loaded
+  useEffect(() => {
+    if (!user?.uid || loading) return;
+    portfolioPerformanceService.calculateCurrentPerformance(holdingsRef.current, cashBalanceRef.current, null, null, baseCurrency)
+      .then(performance => setPerformanceData(prev => ({ ...prev, ...performance })))
+      .catch(error => console.error('Error calculating portfolio performance:', error));
+  }, [user?.uid, loading, holdings.length, cashBalance, baseCurrency]);
+
+  // Risk metrics for the current holdings (candle fetches are cached by the service)
+  useEffect(() => {
+    if (!user?.uid || loading || holdings.length === 0) {
+      setRiskMetrics(null);
+      return;
+    }
+
+    let cancelled = false;
+    setRiskLoading(true);
+    // Positions are measured in the display currency; fxRate scales each listing's prices into it
+    riskAnalyticsService.getRiskMetrics({
+      holdings: holdingsRef.current.map(holding => ({ ...holding, fxRate: toDisplayCurrency(1, holding.currency) })),
+      cashBalance: toDisplayCurrency(cashBalanceRef.current, ACCOUNT_CURRENCY)
+    })
+      .then(metrics => {
+        if (!cancelled) setRiskMetrics(metrics);
+      })
+      .catch(error => console.error('Error calculating risk metrics:', error))
+      .finally(() => {
+        if (!cancelled) setRiskLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.uid, loading, holdings.length, cashBalance, toDisplayCurrency]);
 
   if (loading) {
     return <EnhancedLoadingScreen message="Loading Enhanced Portfolio..." />;
   }
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = displayCurrency) => {
     const num = amount || 0;
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: normalizeCurrency(currency),
       minimumFractionDigits: 0,
       maximumFractionDigits: 0,
     }).format(num);
   };
 
+  const formatRiskValue = (value, suffix = '') => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${value.toFixed(2)}${suffix}`;
+  };
+
+  // Performance figures come back in the currency they were calculated in
+  const reportingCurrency = performanceData.currency || displayCurrency;
+
   const formatPercent = (percent) => {
     if (percent === null || percent === undefined) return 'N/A';
     const sign = percent >= 0 ? '+' : '';
     return `${sign}${percent.toFixed(2)}%`;
   };
 
+  const formatOrderType = (order) => {
+    switch (order.type) {
+      case 'limit':
+        return `Limit @ ${formatMoney(order.limitPrice, order.currency)}`;
+      case 'stop':
+        return `Stop @ ${formatMoney(order.stopPrice, order.currency)}`;
+      case 'stop_limit':
+        return `Stop ${formatMoney(order.stopPrice, order.currency)} / Limit ${formatMoney(order.limitPrice, order.currency)}`;
+      default:
+        return 'Market';
+    }
+  };
+
   return (
     <LinearGradient colors={COLORS.primaryGradient} style={styles.container}>
       <SharedNavigation 
@@ -914,8 +1186,21 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
             <View style={styles.summaryCard}>
               <Text style={styles.summaryLabel}>Cash</Text>
               <Text style={styles.summaryValue} numberOfLines={1} adjustsFontSizeToFit={true}>
-                {formatCurrency(cashBalance)}
+                {formatCurrency(performanceMetrics.cashValue)}
               </Text>
+              {reservedCash > 0 && (
+                <Text style={styles.summarySubtext} numberOfLines={1}>
+                  {formatCurrency(toDisplayCurrency(reservedCash, ACCOUNT_CURRENCY))} reserved
+                </Text>
+              )}
+              {cashSweepService.getApy() > 0 && (
+                <Text style={styles.summarySubtext} numberOfLines={1}>
+                  Sweep {cashSweepService.getApy().toFixed(2)}% APY
+                </Text>
+              )}
+              <TouchableOpacity onPress={() => setCashFlowType('deposit')}>
+                <Text style={styles.summaryLink} numberOfLines={1}>Deposit / Withdraw</Text>
+              </TouchableOpacity>
             </View>
             <View style={styles.summaryCard}>
               <Text style={styles.summaryLabel}>Equity</Text>
@@ -944,19 +1229,90 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                   styles.metricValue,
                   { color: performanceData.totalReturn >= 0 ? COLORS.success : COLORS.danger }
                 ]} numberOfLines={1} adjustsFontSizeToFit={true}>
-                  {formatCurrency(performanceData.totalReturn)} ({formatPercent(performanceData.totalReturnPercent)})
+                  {formatCurrency(performanceData.totalReturn, reportingCurrency)} ({formatPercent(performanceData.totalReturnPercent)})
                 </Text>
               </View>
             </View>
+            <View style={[styles.performanceMetrics, styles.performanceMetricsRow]}>
+              <View style={styles.metricItem}>
+                <Text style={styles.metricLabel}>Unrealized</Text>
+                <Text style={[
+                  styles.metricValue,
+                  { color: performanceData.unrealizedReturn >= 0 ? COLORS.success : COLORS.danger }
+                ]} numberOfLines={1} adjustsFontSizeToFit={true}>
+                  {formatCurrency(performanceData.unrealizedReturn, reportingCurrency)}
+                </Text>
+                <Text style={styles.metricSubtext} numberOfLines={1}>
+                  ST {formatCurrency(performanceData.unrealizedShortTerm, reportingCurrency)} · LT {formatCurrency(performanceData.unrealizedLongTerm, reportingCurrency)}
+                </Text>
+              </View>
+              <View style={styles.metricItem}>
+                <Text style={styles.metricLabel}>Realized</Text>
+                <Text style={[
+                  styles.metricValue,
+                  { color: performanceData.realizedReturn >= 0 ? COLORS.success : COLORS.danger }
+                ]} numberOfLines={1} adjustsFontSizeToFit={true}>
+                  {formatCurrency(performanceData.realizedReturn, reportingCurrency)}
+                </Text>
+                <Text style={styles.metricSubtext} numberOfLines={1}>
+                  ST {formatCurrency(performanceData.realizedShortTerm, reportingCurrency)} · LT {formatCurrency(performanceData.realizedLongTerm, reportingCurrency)}
+                </Text>
+                {performanceData.dividendIncome > 0 && (
+                  <Text style={styles.metricSubtext} numberOfLines={1}>
+                    + {formatCurrency(performanceData.dividendIncome, reportingCurrency)} dividends
+                  </Text>
+                )}
+                {performanceData.interestIncome > 0 && (
+                  <Text style={styles.metricSubtext} numberOfLines={1}>
+                    + {formatCurrency(performanceData.interestIncome, reportingCurrency)} interest
+                  </Text>
+                )}
+              </View>
+            </View>
+            {hasForeignHoldings && (
+              <View style={[styles.performanceMetrics, styles.performanceMetricsRow]}>
+                <View style={styles.metricItem}>
+                  <Text style={styles.metricLabel}>Asset P&L</Text>
+                  <Text style={[
+                    styles.metricValue,
+                    { color: performanceData.assetReturn >= 0 ? COLORS.success : COLORS.danger }
+                  ]} numberOfLines={1} adjustsFontSizeToFit={true}>
+                    {formatCurrency(performanceData.assetReturn, reportingCurrency)}
+                  </Text>
+                  <Text style={styles.metricSubtext} numberOfLines={1}>Price moves, open positions</Text>
+                </View>
+                <View style={styles.metricItem}>
+                  <Text style={styles.metricLabel}>Currency P&L</Text>
+                  <Text style={[
+                    styles.metricValue,
+                    { color: performanceData.currencyReturn >= 0 ? COLORS.success : COLORS.danger }
+                  ]} numberOfLines={1} adjustsFontSizeToFit={true}>
+                    {formatCurrency(performanceData.currencyReturn, reportingCurrency)}
+                  </Text>
+                  <Text style={styles.metricSubtext} numberOfLines={1}>
+                    FX moves vs {reportingCurrency}{fxRates?.asOf ? ` · rates ${fxRates.asOf}` : ''}
+                  </Text>
+                </View>
+              </View>
+            )}
           </View>
           
-          {lastPriceUpdate && (
+          {stalePricesAsOf ? (
+            <Text style={[styles.lastUpdateText, styles.staleUpdateText]}>
+              Offline · saved prices as of {new Date(stalePricesAsOf).toLocaleString()}
+            </Text>
+          ) : lastPriceUpdate && (
             <Text style={styles.lastUpdateText}>
               Last updated: {lastPriceUpdate.toLocaleTimeString()}
             </Text>
           )}
         </View>
 
+        {/* Symbol Search */}
+        <TouchableOpacity style={styles.searchBar} onPress={() => setShowSymbolSearch(true)}>
+          <Text style={styles.searchBarText}>Search stocks, ETFs and funds</Text>
+        </TouchableOpacity>
+
         {/* Tab Navigation */}
         <View style={styles.tabContainer}>
           <TouchableOpacity
@@ -975,8 +1331,50 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
               Watchlist ({watchlist.length})
             </Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.tabButton, activeTab === 'orders' && styles.tabButtonActive]}
+            onPress={() => setActiveTab('orders')}
+          >
+            <Text style={[styles.tabText, activeTab === 'orders' && styles.tabTextActive]}>
+              Orders ({openOrders.length})
+            </Text>
+          </TouchableOpacity>
         </View>
 
+        {/* Asset Allocation */}
+        {activeTab === 'holdings' && (
+          <View style={styles.sectorSection}>
+            <Text style={styles.sectionTitle}>Asset Allocation</Text>
+            {assetAllocation.map(bucket => (
+              <View key={bucket.key} style={styles.sectorItem}>
+                <View style={styles.sectorInfo}>
+                  <Text style={styles.sectorName}>{bucket.label}</Text>
+                  <Text style={styles.sectorDetails}>
+                    {bucket.percent.toFixed(1)}%{bucket.status ? ` • target ${bucket.min}-${bucket.max}%` : ''}
+                  </Text>
+                  {bucket.status && bucket.status !== 'within' && (
+                    <Text style={[styles.allocationStatus, { color: COLORS.warning }]}>
+                      {bucket.gap.toFixed(1)} pts {bucket.status === 'below' ? 'under' : 'over'} target
+                    </Text>
+                  )}
+                </View>
+                <View style={styles.sectorValue}>
+                  <Text style={styles.sectorAmount}>{formatCurrency(bucket.value)}</Text>
+                  <View style={styles.sectorProgressContainer}>
+                    <View
+                      style={[
+                        styles.sectorProgressBar,
+                        { width: `${Math.min(bucket.percent, 100)}%` },
+                        bucket.status && bucket.status !== 'within' && { backgroundColor: COLORS.warning }
+                      ]}
+                    />
+                  </View>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Sector Summary */}
         {activeTab === 'holdings' && (
           <View style={styles.sectorSection}>
@@ -1012,7 +1410,126 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
           </View>
         )}
 
+        {/* Risk Analytics */}
+        {activeTab === 'holdings' && holdings.length > 0 && (
+          <View style={styles.sectorSection}>
+            <Text style={styles.sectionTitle}>Risk</Text>
+            {riskLoading && !riskMetrics ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : riskMetrics && riskMetrics.volatility !== null ? (
+              <View>
+                <View style={styles.riskGrid}>
+                  {[
+                    ['Volatility', formatRiskValue(riskMetrics.volatility, '%')],
+                    ['Sharpe', formatRiskValue(riskMetrics.sharpe)],
+                    ['Sortino', formatRiskValue(riskMetrics.sortino)],
+                    [`Beta (${riskMetrics.benchmarkSymbol || 'N/A'})`, formatRiskValue(riskMetrics.beta)],
+                  ].map(([label, value]) => (
+                    <View key={label} style={styles.riskCell}>
+                      <Text style={styles.metricLabel}>{label}</Text>
+                      <Text style={styles.metricValue}>{value}</Text>
+                    </View>
+                  ))}
+                </View>
+
+                <View style={styles.sectorItem}>
+                  <View style={styles.sectorInfo}>
+                    <Text style={styles.sectorName}>Max Drawdown {formatRiskValue(riskMetrics.drawdown.maxDrawdown, '%')}</Text>
+                    {riskMetrics.drawdown.peakDate && (
+                      <Text style={styles.sectorDetails}>
+                        {new Date(riskMetrics.drawdown.peakDate).toLocaleDateString()} → {new Date(riskMetrics.drawdown.troughDate).toLocaleDateString()}
+                        {' • '}
+                        {riskMetrics.drawdown.recoveryDate
+                          ? `recovered ${new Date(riskMetrics.drawdown.recoveryDate).toLocaleDateString()}`
+                          : 'not yet recovered'}
+                      </Text>
+                    )}
+                  </View>
+                </View>
+
+                <View style={styles.sectorItem}>
+                  <View style={styles.sectorInfo}>
+                    <Text style={styles.sectorName}>Value at Risk ({Math.round(riskMetrics.confidence * 100)}%)</Text>
+                    {['1d', '10d'].map(horizon => (
+                      <Text key={horizon} style={styles.sectorDetails}>
+                        {horizon === '1d' ? '1-day' : '10-day'}: historical {formatCurrency(riskMetrics.historicalVaR[horizon]?.var)}
+                        {' '}(CVaR {formatCurrency(riskMetrics.historicalVaR[horizon]?.cvar)}) • parametric {formatCurrency(riskMetrics.parametricVaR[horizon]?.var)}
+                        {' '}(CVaR {formatCurrency(riskMetrics.parametricVaR[horizon]?.cvar)})
+                      </Text>
+                    ))}
+                  </View>
+                </View>
+
+                <Text style={styles.lastUpdateText}>
+                  Based on {riskMetrics.observations} trading days of history
+                  {riskMetrics.missingSymbols.length > 0 && ` • no history for ${riskMetrics.missingSymbols.join(', ')}`}
+                </Text>
+              </View>
+            ) : (
+              <Text style={styles.sectorDetails}>Not enough price history to estimate risk yet.</Text>
+            )}
+          </View>
+        )}
+
+        {/* Order Book */}
+        {activeTab === 'orders' && (
+          <View style={styles.listSection}>
+            <Text style={styles.sectionTitle}>Orders</Text>
+            {orders.length > 0 ? (
+              orders.map((order) => {
+                const isOpen = OPEN_ORDER_STATUSES.includes(order.status);
+                return (
+                  <View key={order.id} style={styles.itemCard}>
+                    <View style={styles.itemHeader}>
+                      {isOpen && (
+                        <TouchableOpacity
+                          style={styles.deleteButton}
+                          onPress={() => handleCancelOrder(order)}
+                        >
+                          <Text style={styles.deleteButtonText}>×</Text>
+                        </TouchableOpacity>
+                      )}
+                      <View style={styles.itemInfo}>
+                        <View style={styles.itemTitleRow}>
+                          <Text style={styles.itemSymbol}>{order.symbol}</Text>
+                          <Text style={[styles.itemShares, { color: order.side === 'buy' ? COLORS.success : COLORS.danger }]}>
+                            {order.side.toUpperCase()} {order.quantity}
+                          </Text>
+                        </View>
+                        <Text style={styles.itemName} numberOfLines={1}>
+                          {formatOrderType(order)} • {order.timeInForce === 'day' ? 'Day' : 'GTC'}
+                        </Text>
+                        {order.filledQuantity > 0 && (
+                          <Text style={styles.itemIndustry}>
+                            Filled {order.filledQuantity}/{order.quantity} @ {formatMoney(order.averageFillPrice, order.currency)}
+                          </Text>
+                        )}
+                      </View>
+                      <View style={styles.itemValues}>
+                        <Text style={[styles.orderStatus, isOpen && { color: COLORS.primary }]}>
+                          {order.status.replace('_', ' ')}
+                        </Text>
+                        {order.reservedCash > 0 && (
+                          <Text style={styles.itemDailyChange}>
+                            {formatCurrency(order.reservedCash, ACCOUNT_CURRENCY)} reserved
+                          </Text>
+                        )}
+                      </View>
+                    </View>
+                  </View>
+                );
+              })
+            ) : (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyText}>No orders yet</Text>
+                <Text style={styles.emptySubtext}>Limit and stop orders you place will show up here.</Text>
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Holdings/Watchlist List */}
+        {activeTab !== 'orders' && (
         <View style={styles.listSection}>
           <Text style={styles.sectionTitle}>
             {activeTab === 'holdings' ? 'Your Holdings' : 'Watchlist'}
@@ -1036,7 +1553,14 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                   )}
                   <View style={styles.itemInfo}>
                     <View style={styles.itemTitleRow}>
-                      <Text style={styles.itemSymbol}>{item.symbol}</Text>
+                      <View style={styles.itemSymbolRow}>
+                        <Text style={styles.itemSymbol}>{item.symbol}</Text>
+                        {activeTab === 'holdings' && assetClassService.classify(item.symbol, item).assetClass !== 'stock' && (
+                          <View style={styles.assetClassBadge}>
+                            <Text style={styles.assetClassBadgeText}>{assetClassService.classify(item.symbol, item).label}</Text>
+                          </View>
+                        )}
+                      </View>
                       {activeTab === 'holdings' && (
                         <Text style={styles.itemShares}>{item.shares} shares</Text>
                       )}
@@ -1048,7 +1572,9 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                   </View>
                   <View style={styles.itemValues}>
                     <Text style={styles.itemValue}>
-                      {activeTab === 'holdings' ? formatCurrency(item.currentValue) : formatCurrency(item.currentPrice || item.price || 0)}
+                      {activeTab === 'holdings'
+                        ? formatCurrency(item.currentValue, item.currency)
+                        : formatCurrency(item.currentPrice || item.price || 0, item.currency || item.stockData?.currency)}
                     </Text>
                     {activeTab === 'holdings' ? (
                       <View style={styles.itemPerformanceRow}>
@@ -1056,14 +1582,14 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                           styles.itemGain,
                           { color: item.gain >= 0 ? COLORS.success : COLORS.danger }
                         ]}>
-                          {formatCurrency(item.gain)} ({formatPercent(item.gainPercent)})
+                          {formatCurrency(item.gain, item.currency)} ({formatPercent(item.gainPercent)})
                         </Text>
                         {item.dailyChangeDollar !== undefined && (
                           <Text style={[
                             styles.itemDailyChange,
                             { color: item.dailyChangeDollar >= 0 ? COLORS.success : COLORS.danger }
                           ]}>
-                            Today: {formatCurrency(item.dailyChangeDollar)} ({formatPercent(item.dailyChangePercent)})
+                            Today: {formatCurrency(item.dailyChangeDollar, item.currency)} ({formatPercent(item.dailyChangePercent)})
                           </Text>
                         )}
                       </View>
@@ -1102,6 +1628,7 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
             </View>
           )}
         </View>
+        )}
       </ScrollView>
 
       {/* Trading Modal */}
@@ -1117,9 +1644,21 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
             </Text>
             
             <Text style={styles.modalPrice}>
-              Current Price: {formatCurrency(tradingStock?.currentPrice)}
+              Current Price: {formatMoney(tradingStock?.currentPrice, tradingCurrency)}
             </Text>
             
+            <View style={styles.optionRow}>
+              {[['market', 'Market'], ['limit', 'Limit'], ['stop', 'Stop'], ['stop_limit', 'Stop-Limit']].map(([value, label]) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.optionChip, orderType === value && styles.optionChipActive]}
+                  onPress={() => setOrderType(value)}
+                >
+                  <Text style={[styles.optionChipText, orderType === value && styles.optionChipTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
             <TextInput
               style={styles.tradeInput}
               placeholder="Number of shares"
@@ -1128,14 +1667,81 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
               keyboardType="numeric"
               placeholderTextColor="#666"
             />
+
+            {(orderType === 'stop' || orderType === 'stop_limit') && (
+              <TextInput
+                style={styles.tradeInput}
+                placeholder="Stop price"
+                value={stopPrice}
+                onChangeText={setStopPrice}
+                keyboardType="numeric"
+                placeholderTextColor="#666"
+              />
+            )}
+
+            {(orderType === 'limit' || orderType === 'stop_limit') && (
+              <TextInput
+                style={styles.tradeInput}
+                placeholder="Limit price"
+                value={limitPrice}
+                onChangeText={setLimitPrice}
+                keyboardType="numeric"
+                placeholderTextColor="#666"
+              />
+            )}
+
+            {tradeType === 'sell' && orderType === 'market' && (
+              <View>
+                <View style={styles.optionRow}>
+                  {[['fifo', 'FIFO'], ['lifo', 'LIFO'], ['hifo', 'HIFO'], ['specific', 'Specific Lots']].map(([value, label]) => (
+                    <TouchableOpacity
+                      key={value}
+                      style={[styles.optionChip, lotMethod === value && styles.optionChipActive]}
+                      onPress={() => setLotMethod(value)}
+                    >
+                      <Text style={[styles.optionChipText, lotMethod === value && styles.optionChipTextActive]}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {lotMethod === 'specific' && sellableLots.map(lot => {
+                  const position = selectedLotIds.indexOf(lot.id);
+                  return (
+                    <TouchableOpacity
+                      key={lot.id}
+                      style={[styles.lotRow, position !== -1 && styles.lotRowSelected]}
+                      onPress={() => toggleLotSelection(lot.id)}
+                    >
+                      <Text style={styles.lotText}>
+                        {position !== -1 ? `${position + 1}. ` : ''}{lot.quantity} @ {formatMoney(lot.costPerShare, tradingCurrency)}
+                      </Text>
+                      <Text style={styles.lotText}>
+                        {new Date(lot.acquiredAt).toLocaleDateString()} · {taxLotService.getHoldingTerm(lot.acquiredAt) === 'long' ? 'Long' : 'Short'}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
+
+            {orderType !== 'market' && (
+              <View style={styles.optionRow}>
+                {[['day', 'Day'], ['gtc', 'Good-til-Cancelled']].map(([value, label]) => (
+                  <TouchableOpacity
+                    key={value}
+                    style={[styles.optionChip, timeInForce === value && styles.optionChipActive]}
+                    onPress={() => setTimeInForce(value)}
+                  >
+                    <Text style={[styles.optionChipText, timeInForce === value && styles.optionChipTextActive]}>{label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
             
             <View style={styles.modalButtons}>
               <TouchableOpacity
                 style={[styles.modalButton, styles.cancelButton]}
-                onPress={() => {
-                  setTradingStock(null);
-                  setTradeAmount('');
-                }}
+                onPress={closeTradeModal}
               >
                 <Text style={styles.cancelButtonText}>Cancel</Text>
               </TouchableOpacity>
@@ -1145,7 +1751,65 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
                 onPress={handleTrade}
               >
                 <Text style={styles.confirmButtonText}>
-                  {tradeType === 'buy' ? 'Buy' : 'Sell'}
+                  {orderType === 'market' ? (tradeType === 'buy' ? 'Buy' : 'Sell') : 'Place Order'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Deposit / Withdraw Modal */}
+      <Modal
+        visible={!!cashFlowType}
+        transparent={true}
+        animationType="slide"
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {cashFlowType === 'withdrawal' ? 'Withdraw Cash' : 'Deposit Cash'}
+            </Text>
+
+            <Text style={styles.modalPrice}>
+              Cash Balance: {formatMoney(cashBalance, ACCOUNT_CURRENCY)}
+            </Text>
+
+            <View style={styles.optionRow}>
+              {[['deposit', 'Deposit'], ['withdrawal', 'Withdraw']].map(([value, label]) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.optionChip, cashFlowType === value && styles.optionChipActive]}
+                  onPress={() => setCashFlowType(value)}
+                >
+                  <Text style={[styles.optionChipText, cashFlowType === value && styles.optionChipTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TextInput
+              style={styles.tradeInput}
+              placeholder={`Amount (${ACCOUNT_CURRENCY})`}
+              value={cashFlowAmount}
+              onChangeText={setCashFlowAmount}
+              keyboardType="numeric"
+              placeholderTextColor="#666"
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closeCashFlowModal}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.confirmButton]}
+                onPress={handleCashFlow}
+              >
+                <Text style={styles.confirmButtonText}>
+                  {cashFlowType === 'withdrawal' ? 'Withdraw' : 'Deposit'}
                 </Text>
               </TouchableOpacity>
             </View>
@@ -1172,6 +1836,17 @@ export default function PortfolioTracker_Enhanced({ navigation, user }) {
          }}
        />
        
+       {/* Symbol Search Modal */}
+       <SymbolSearchModal
+         visible={showSymbolSearch}
+         onClose={() => setShowSymbolSearch(false)}
+         onOpenDetails={handleSearchOpenDetails}
+         onAddToWatchlist={handleSearchAddToWatchlist}
+         onTrade={handleSearchTrade}
+         ownedSymbols={holdings.map(h => h.symbol)}
+         watchedSymbols={watchlist.map(w => w.symbol)}
+       />
+
        {/* Bottom Navigation */}
        <BottomNavigation 
          navigation={navigation} 
@@ -1236,6 +1911,17 @@ const styles = StyleSheet.create({
     color: COLORS.text.secondary,
     marginBottom: SPACING.xs,
   },
+  summarySubtext: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.warning,
+    marginTop: 2,
+  },
+  summaryLink: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+    marginTop: SPACING.xs,
+  },
   summaryValue: {
     ...TYPOGRAPHY.h3,
     color: COLORS.text.primary,
@@ -1259,6 +1945,9 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
   },
+  performanceMetricsRow: {
+    marginTop: SPACING.sm,
+  },
   metricItem: {
     flex: 1,
     minWidth: 0, // Allow flex shrinking
@@ -1268,6 +1957,11 @@ const styles = StyleSheet.create({
     color: COLORS.text.secondary,
     marginBottom: SPACING.xs,
   },
+  metricSubtext: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    marginTop: 2,
+  },
   metricValue: {
     ...TYPOGRAPHY.body,
     fontWeight: '600',
@@ -1280,6 +1974,20 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     opacity: 0.7,
   },
+  staleUpdateText: {
+    color: COLORS.warning,
+    opacity: 1,
+  },
+  searchBar: {
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 12,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  searchBarText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.secondary,
+  },
   tabContainer: {
     flexDirection: 'row',
     backgroundColor: 'rgba(255,255,255,0.1)',
@@ -1336,6 +2044,19 @@ const styles = StyleSheet.create({
     color: COLORS.text.secondary,
     marginTop: 2,
   },
+  riskGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: SPACING.sm,
+  },
+  riskCell: {
+    width: '50%',
+    paddingVertical: SPACING.xs,
+  },
+  allocationStatus: {
+    ...TYPOGRAPHY.small,
+    marginTop: SPACING.xs,
+  },
   sectorIndustries: {
     ...TYPOGRAPHY.small,
     color: COLORS.text.accent,
@@ -1430,6 +2151,22 @@ const styles = StyleSheet.create({
     color: COLORS.text.primary,
     fontWeight: '600',
   },
+  itemSymbolRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  assetClassBadge: {
+    backgroundColor: 'rgba(0,212,255,0.15)',
+    borderRadius: 6,
+    paddingHorizontal: SPACING.xs,
+    paddingVertical: 2,
+    marginLeft: SPACING.sm,
+  },
+  assetClassBadgeText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   itemName: {
     ...TYPOGRAPHY.body,
     color: COLORS.text.secondary,
@@ -1538,6 +2275,52 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: SPACING.lg,
   },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  optionChip: {
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  optionChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  optionChipText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    fontWeight: '500',
+  },
+  optionChipTextActive: {
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
+  lotRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: SPACING.sm,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    marginBottom: SPACING.xs,
+  },
+  lotRowSelected: {
+    backgroundColor: 'rgba(0,212,255,0.2)',
+  },
+  lotText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.primary,
+  },
+  orderStatus: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
   tradeInput: {
     backgroundColor: 'rgba(255,255,255,0.1)',
     borderRadius: 8,
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -7,17 +7,39 @@ import {
   Platform,
 } from 'react-native';
 import { auth } from '../firebase';
+import marketCalendarService from '../services/marketCalendarService';
 
 const COLORS = {
   primary: '#00d4ff',
   secondary: '#ff6b6b',
+  success: '#4ecdc4',
+  warning: '#feca57',
   text: {
     primary: '#ffffff',
+    secondary: '#b4bcd0',
   },
 };
 
+const SESSION_COLORS = {
+  regular: COLORS.success,
+  pre: COLORS.warning,
+  post: COLORS.warning,
+  closed: COLORS.text.secondary,
+};
+
+const MARKET_STATUS_REFRESH = 60 * 1000;
+
 export default function SharedNavigation({ navigation, currentScreen, onSignOut }) {
   const navigate = navigation?.navigate || (() => {});
+  const [marketStatus, setMarketStatus] = useState(() => marketCalendarService.getMarketStatus());
+
+  // Session changes happen on the minute; re-check once a minute
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setMarketStatus(marketCalendarService.getMarketStatus());
+    }, MARKET_STATUS_REFRESH);
+    return () => clearInterval(interval);
+  }, []);
 
   const handleSignOut = async () => {
     try {
@@ -28,12 +50,22 @@ export default function SharedNavigation({ navigation, currentScreen, onSignOut
     }
   };
 
+  const sessionColor = SESSION_COLORS[marketStatus.session];
+
   return (
-    <View style={styles.navigationHeader}>
-      <Text style={styles.headerTitle}>FlexFinance</Text>
-      <TouchableOpacity style={styles.logoutButton} onPress={handleSignOut}>
-        <Text style={styles.logoutButtonText}>Logout</Text>
-      </TouchableOpacity>
+    <View>
+      <View style={styles.navigationHeader}>
+        <Text style={styles.headerTitle}>FlexFinance</Text>
+        <TouchableOpacity style={styles.logoutButton} onPress={handleSignOut}>
+          <Text style={styles.logoutButtonText}>Logout</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.marketBanner}>
+        <View style={[styles.marketDot, { backgroundColor: sessionColor }]} />
+        <Text style={[styles.marketBannerText, { color: sessionColor }]} numberOfLines={1}>
+          {marketStatus.label}
+        </Text>
+      </View>
     </View>
   );
 }
@@ -67,4 +99,23 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: COLORS.secondary,
   },
+  marketBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 6,
+    backgroundColor: 'rgba(255,255,255,0.03)',
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  marketDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  marketBannerText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
 });
@@ -12,15 +12,16 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { auth, db } from '../firebase';
-import { doc, getDoc, setDoc, collection, getDocs, addDoc, query, where, deleteDoc } from 'firebase/firestore';
-import { getStockQuote, getMultipleQuotes, getCompanyProfile, markStockAsViewed } from '../services/finnhubService';
+import { auth, db, doc, getDoc, setDoc, collection, getDocs, addDoc, query, where, deleteDoc } from '../firebase';
+import { getStockQuote, getMultipleQuotes, getCompanyProfile, markStockAsViewed, streamQuotes } from '../services/finnhubService';
 import stockGenerationService from '../services/stockGenerationService_Enhanced';
 import EnhancedLoadingScreen from './EnhancedLoadingScreen';
 import StockGenerationLoadingScreen from './StockGenerationLoadingScreen';
 import StockDetailsModal from './StockDetailsModal';
 import FullScreenChartModal from './FullScreenChartModal';
 import SharedNavigation from './SharedNavigation';
+import marketCalendarService from '../services/marketCalendarService';
+import { normalizeCurrency } from '../services/currencyService';
 import BottomNavigation from './BottomNavigation';
 
 const { width } = Dimensions.get('window');
@@ -147,12 +148,15 @@ export default function StockComparison_Enhanced({ navigation, user }) {
           marketCap: stockData.marketCap || 'N/A',
           peRatio: stockData.peRatio || 'N/A',
           dividendYield: stockData.dividendYield || 'N/A',
+          fundamentals: stockData.fundamentals || null,
           analysis: stockData.analysis || '',
           investmentThesis: stockData.investmentThesis || '',
           keyBenefits: stockData.keyBenefits || '',
           keyRisks: stockData.keyRisks || '',
           technicalAnalysis: stockData.technicalAnalysis || '',
+          technicalIndicators: stockData.technicalIndicators || null,
           confidence: stockData.confidence || 0,
+          confidenceBreakdown: stockData.confidenceBreakdown || [],
           riskLevel: stockData.riskLevel || 'medium',
           reason: stockData.reason || '',
           lastUpdated: stockData.lastUpdated || new Date().toISOString()
@@ -169,9 +173,10 @@ export default function StockComparison_Enhanced({ navigation, user }) {
                   dataCacheRef.current.set(stockData.symbol, profile);
                   // Update stock with profile data
                   stock.industry = profile.industry || stock.industry;
-                  stock.marketCap = profile.marketCap || stock.marketCap;
-                  stock.peRatio = profile.peRatio || stock.peRatio;
-                  stock.dividendYield = profile.dividendYield || stock.dividendYield;
+                  // Fundamentals keep their provider values; only fill market cap when none was stored
+                  if (!stock.fundamentals && profile.marketCap !== 'N/A') {
+                    stock.marketCap = profile.marketCap || stock.marketCap;
+                  }
                 }
               })
               .catch(error => {
@@ -233,7 +238,7 @@ export default function StockComparison_Enhanced({ navigation, user }) {
       console.log('Updating stock comparison prices...');
       const symbols = stocksRef.current.map(stock => stock.symbol);
       
-      const quotes = await getMultipleQuotes(symbols);
+      const quotes = await getMultipleQuotes(symbols, { priority: 'portfolio', owner: 'discover' });
       
       // Update stocks with new prices
       const updatedStocks = stocksRef.current.map(stock => {
@@ -244,6 +249,8 @@ export default function StockComparison_Enhanced({ navigation, user }) {
             price: quote.currentPrice,
             change: quote.change,
             changePercent: quote.changePercent,
+            priceAsOf: quote.timestamp || Date.now(),
+            priceStale: !!quote.stale, // Served from the offline cache
             lastUpdated: new Date().toISOString()
           };
         }
@@ -397,8 +404,10 @@ export default function StockComparison_Enhanced({ navigation, user }) {
         marketCap: stock.marketCap || 'N/A',
         peRatio: stock.peRatio || 'N/A',
         dividendYield: stock.dividendYield || 'N/A',
+        fundamentals: stock.fundamentals || null,
         riskLevel: stock.riskLevel || 'medium',
         confidence: parseFloat(stock.confidence) || 0,
+        confidenceBreakdown: Array.isArray(stock.confidenceBreakdown) ? stock.confidenceBreakdown : [],
         reason: stock.reason || 'AI recommendation',
         investmentThesis: stock.investmentThesis || 'Analysis not available',
         keyBenefits: Array.isArray(stock.keyBenefits) ? stock.keyBenefits.filter(b => b && typeof b === 'string') : 
@@ -406,6 +415,7 @@ export default function StockComparison_Enhanced({ navigation, user }) {
         keyRisks: Array.isArray(stock.keyRisks) ? stock.keyRisks.filter(r => r && typeof r === 'string') : 
                   typeof stock.keyRisks === 'string' ? [stock.keyRisks] : ['Risk analysis available'],
         technicalAnalysis: stock.technicalAnalysis || 'Technical analysis not available',
+        technicalIndicators: stock.technicalIndicators || null,
         personalizationScore: stock.personalizationScore ? parseFloat(stock.personalizationScore) : 0,
         sectorDiversification: stock.sectorDiversification ? parseFloat(stock.sectorDiversification) : 0,
         riskAlignment: stock.riskAlignment ? parseFloat(stock.riskAlignment) : 0,
@@ -476,6 +486,7 @@ export default function StockComparison_Enhanced({ navigation, user }) {
                       typeof stock.keyRisks === 'string' ? [stock.keyRisks] : ['Risk analysis available'],
             personalizationScore: stock.personalizationScore ? parseFloat(stock.personalizationScore) : 0,
             confidence: stock.confidence ? parseFloat(stock.confidence) : 0,
+            confidenceBreakdown: sanitizedEnhancedData.confidenceBreakdown,
             riskAlignment: stock.riskAlignment ? parseFloat(stock.riskAlignment) : 0,
             sectorDiversification: stock.sectorDiversification ? parseFloat(stock.sectorDiversification) : 0,
             portfolioFit: stock.portfolioFit ? parseFloat(stock.portfolioFit) : 0,
@@ -555,22 +566,46 @@ export default function StockComparison_Enhanced({ navigation, user }) {
     return unsubscribe;
   }, [navigation, stocks.length]);
 
-  // Price update interval
+  // Live prices for the pair on screen over the quote stream
+  const pairSymbolsKey = [stocks[currentPairIndex]?.symbol, stocks[currentPairIndex + 1]?.symbol]
+    .filter(Boolean)
+    .join(',');
+
   useEffect(() => {
-    const priceUpdateInterval = setInterval(() => {
-      const now = Date.now();
-      if (now - lastUpdateRef.current > 4 * 60 * 1000) {
-        updateStockPrices();
-      }
-    }, 5 * 60 * 1000);
+    if (!pairSymbolsKey) return;
+
+    const releaseStream = streamQuotes(pairSymbolsKey.split(','), (quote) => {
+      setStocks(prevStocks => {
+        const updatedStocks = prevStocks.map(stock => (
+          stock.symbol === quote.symbol
+            ? {
+              ...stock,
+              price: quote.currentPrice,
+              change: quote.change,
+              changePercent: quote.changePercent,
+              priceAsOf: quote.timestamp || Date.now(),
+              priceStale: !!quote.stale,
+              lastUpdated: new Date().toISOString()
+            }
+            : stock
+        ));
+        stocksRef.current = updatedStocks;
+        return updatedStocks;
+      });
+      setPriceUpdateTime(new Date());
+      lastUpdateRef.current = Date.now();
+    });
 
+    return releaseStream;
+  }, [pairSymbolsKey]);
+
+  useEffect(() => {
     return () => {
-      clearInterval(priceUpdateInterval);
       if (updateTimeoutRef.current) {
         clearTimeout(updateTimeoutRef.current);
       }
     };
-  }, [updateStockPrices]);
+  }, []);
 
   // Debounced price updates
   useEffect(() => {
@@ -631,6 +666,12 @@ export default function StockComparison_Enhanced({ navigation, user }) {
     return COLORS.danger;
   };
 
+  // Provider a fundamental came from; null for stocks generated before provenance was tracked
+  const getFundamentalSource = (stock, field) => {
+    if (!stock.fundamentals) return null;
+    return stock.fundamentals.provenance?.[field]?.label || 'Not reported';
+  };
+
   // Clean and format text for better readability
   const cleanText = (text) => {
     if (!text || typeof text !== 'string') return text;
@@ -670,7 +711,7 @@ export default function StockComparison_Enhanced({ navigation, user }) {
     const formatPrice = (price) => {
       return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
+        currency: normalizeCurrency(stock.currency),
       }).format(price);
     };
 
@@ -679,6 +720,11 @@ export default function StockComparison_Enhanced({ navigation, user }) {
       return `${sign}${formatPrice(change)} (${sign}${changePercent.toFixed(2)}%)`;
     };
 
+    const quoteLabel = marketCalendarService.getQuoteLabel({ symbol: stock.symbol, timestamp: stock.priceAsOf, stale: stock.priceStale });
+    const quoteLabelColor = quoteLabel.status === 'live'
+      ? COLORS.success
+      : (quoteLabel.status === 'delayed' ? COLORS.warning : COLORS.text.secondary);
+
     return (
       <GlassCard style={styles.stockCard}>
         {/* Stock Header */}
@@ -695,6 +741,14 @@ export default function StockComparison_Enhanced({ navigation, user }) {
             ]}>
               {formatChange(stock.change, stock.changePercent)}
             </Text>
+            <Text style={[styles.quoteStatusText, { color: quoteLabelColor }]}>
+              {quoteLabel.status === 'live' ? '● ' : ''}{quoteLabel.label}
+            </Text>
+            {stock.priceStale && stock.priceAsOf && (
+              <Text style={styles.stalePriceText}>
+                As of {new Date(stock.priceAsOf).toLocaleString()}
+              </Text>
+            )}
           </View>
         </View>
 
@@ -707,6 +761,9 @@ export default function StockComparison_Enhanced({ navigation, user }) {
           <View style={styles.metric}>
             <Text style={styles.metricLabel}>Market Cap</Text>
             <Text style={styles.metricValue} numberOfLines={1}>{stock.marketCap || 'N/A'}</Text>
+            {getFundamentalSource(stock, 'marketCap') && (
+              <Text style={styles.metricSource} numberOfLines={1}>{getFundamentalSource(stock, 'marketCap')}</Text>
+            )}
           </View>
         </View>
 
@@ -717,12 +774,18 @@ export default function StockComparison_Enhanced({ navigation, user }) {
             <Text style={styles.metricValue} numberOfLines={1}>
               {stock.peRatio && stock.peRatio !== 'N/A' ? stock.peRatio : 'N/A'}
             </Text>
+            {getFundamentalSource(stock, 'peRatio') && (
+              <Text style={styles.metricSource} numberOfLines={1}>{getFundamentalSource(stock, 'peRatio')}</Text>
+            )}
           </View>
           <View style={styles.metric}>
             <Text style={styles.metricLabel}>Dividend Yield</Text>
             <Text style={styles.metricValue} numberOfLines={1}>
               {stock.dividendYield && stock.dividendYield !== 'N/A' ? stock.dividendYield : 'N/A'}
             </Text>
+            {getFundamentalSource(stock, 'dividendYield') && (
+              <Text style={styles.metricSource} numberOfLines={1}>{getFundamentalSource(stock, 'dividendYield')}</Text>
+            )}
           </View>
         </View>
 
@@ -1091,6 +1154,16 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.caption,
     fontWeight: '600',
   },
+  quoteStatusText: {
+    ...TYPOGRAPHY.small,
+    fontWeight: '600',
+    marginTop: SPACING.xs,
+  },
+  stalePriceText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.warning,
+    marginTop: SPACING.xs,
+  },
   metricsRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1115,6 +1188,12 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textAlign: 'center',
   },
+  metricSource: {
+    ...TYPOGRAPHY.small,
+    fontSize: 10,
+    color: COLORS.text.secondary,
+    marginTop: 2,
+  },
   analysisSection: {
     marginBottom: SPACING.md,
   },
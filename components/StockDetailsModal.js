@@ -10,11 +10,15 @@ import {
   Platform,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { db } from '../firebase';
-import { doc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
+import { db, doc, getDoc, collection, query, where, getDocs } from '../firebase';
 // Temporarily comment out finnhubService to avoid reference errors
 // import { getCompanyProfile, getCompanyFinancials } from '../services/finnhubService';
 import FullScreenChartModal from './FullScreenChartModal';
+import CompanyNewsPanel from './CompanyNewsPanel';
+import EarningsPanel from './EarningsPanel';
+import fundamentalsService from '../services/fundamentalsService';
+import { normalizeCurrency } from '../services/currencyService';
+import assetClassService from '../services/assetClassService';
 
 const COLORS = {
   primaryGradient: ['#0f0f23', '#1a1a2e', '#16213e'],
@@ -48,6 +52,15 @@ const TYPOGRAPHY = {
   small: { fontSize: 12, fontWeight: '400', lineHeight: 16 },
 };
 
+// Fundamentals shown with the provider each value came from
+const FUNDAMENTAL_ROWS = [
+  { field: 'marketCap', label: 'Market Cap' },
+  { field: 'peRatio', label: 'P/E Ratio' },
+  { field: 'dividendYield', label: 'Dividend Yield' },
+  { field: 'eps', label: 'EPS (TTM)' },
+  { field: 'beta', label: 'Beta' },
+];
+
 const GlassCard = ({ children, style }) => {
   return (
     <LinearGradient
@@ -67,6 +80,7 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
   const [userChoices, setUserChoices] = useState(null);
   const [companyProfile, setCompanyProfile] = useState(null);
   const [financialMetrics, setFinancialMetrics] = useState(null);
+  const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'news' or 'earnings'
 
   useEffect(() => {
     if (visible && stock && user) {
@@ -84,6 +98,11 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
     }
   }, [visible, stock, user]);
 
+  // Each stock opens on its overview
+  useEffect(() => {
+    setActiveTab('overview');
+  }, [stock?.symbol]);
+
   const loadStockDetails = async () => {
     if (!stock?.symbol || !user?.uid) return;
 
@@ -110,8 +129,10 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
           marketCap: stock.marketCap,
           peRatio: stock.peRatio,
           dividendYield: stock.dividendYield,
+          fundamentals: stock.fundamentals,
           investmentThesis: stock.investmentThesis,
           technicalAnalysis: stock.technicalAnalysis,
+          technicalIndicators: stock.technicalIndicators,
           keyBenefits: stock.keyBenefits,
           keyRisks: stock.keyRisks,
           personalizationScore: stock.personalizationScore,
@@ -119,6 +140,7 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
           riskAlignment: stock.riskAlignment,
           portfolioFit: stock.portfolioFit,
           confidence: stock.confidence,
+          confidenceBreakdown: stock.confidenceBreakdown,
           reason: stock.reason,
           source: stock.source,
           generatedAt: stock.generatedAt,
@@ -182,10 +204,11 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
     };
   };
 
+  // Prices and positions are in the listing's own currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: normalizeCurrency(stock?.currency || stock?.stockData?.currency),
     }).format(amount || 0);
   };
 
@@ -204,6 +227,22 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
     }
   };
 
+  // Label/value pairs for the computed indicators; indicators without enough history show N/A
+  const getIndicatorRows = (indicators) => {
+    const price = (value) => (value === null || value === undefined ? 'N/A' : formatCurrency(value));
+    const { sma, rsi, macd, bollinger, atr, pivots, range52w } = indicators;
+    return [
+      { label: 'RSI (14)', value: rsi ? `${rsi.value} · ${rsi.zone}` : 'N/A' },
+      { label: 'MACD Histogram', value: macd ? `${macd.histogram}${macd.crossover ? ` · ${macd.crossover} cross` : ''}` : 'N/A' },
+      { label: 'SMA 50', value: price(sma.sma50) },
+      { label: 'SMA 200', value: price(sma.sma200) },
+      { label: 'Bollinger (20, 2)', value: bollinger ? `${price(bollinger.lower)} – ${price(bollinger.upper)}` : 'N/A' },
+      { label: 'ATR (14)', value: atr ? `${price(atr.value)} · ${atr.percent}%` : 'N/A' },
+      { label: 'Support / Resistance', value: pivots ? `${price(pivots.s1)} / ${price(pivots.r1)}` : 'N/A' },
+      { label: '52-Week Range', value: range52w ? `${price(range52w.low)} – ${price(range52w.high)}` : 'N/A' },
+    ];
+  };
+
   const getConfidenceColor = (confidence) => {
     if (confidence >= 80) return COLORS.success;
     if (confidence >= 60) return COLORS.warning;
@@ -239,6 +278,8 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
 
   if (!stock) return null;
 
+  const instrument = assetClassService.classify(stock.symbol, stock);
+
   // Safety check to ensure stock has required properties
   const safeStock = {
     symbol: stock.symbol || 'N/A',
@@ -300,6 +341,25 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                 </View>
               </GlassCard>
 
+              {/* Overview / News / Earnings tabs */}
+              <View style={styles.tabRow}>
+                {[['overview', 'Overview'], ['news', 'News'], ['earnings', 'Earnings']].map(([value, label]) => (
+                  <TouchableOpacity
+                    key={value}
+                    style={[styles.tabButton, activeTab === value && styles.tabButtonActive]}
+                    onPress={() => setActiveTab(value)}
+                  >
+                    <Text style={[styles.tabText, activeTab === value && styles.tabTextActive]}>{label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {activeTab === 'news' ? (
+                <CompanyNewsPanel symbol={stockAnalysis.symbol} />
+              ) : activeTab === 'earnings' ? (
+                <EarningsPanel symbol={stockAnalysis.symbol} />
+              ) : (
+                <>
                 {/* Current Price & Performance */}
                 <GlassCard style={styles.priceCard}>
                   <Text style={styles.sectionTitle}>Current Price</Text>
@@ -416,6 +476,22 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                       <GlassCard style={styles.analysisCard}>
                         <Text style={styles.analysisLabel}>Technical Analysis</Text>
                         <Text style={styles.analysisText}>{cleanText(stockAnalysis.technicalAnalysis)}</Text>
+                        {stockAnalysis.technicalIndicators && (
+                          <View style={styles.metricsSection}>
+                            <View style={styles.metricsGrid}>
+                              {getIndicatorRows(stockAnalysis.technicalIndicators).map(row => (
+                                <View key={row.label} style={styles.metricItem}>
+                                  <Text style={styles.metricLabel}>{row.label}</Text>
+                                  <Text style={styles.metricValue}>{row.value}</Text>
+                                </View>
+                              ))}
+                            </View>
+                            <Text style={styles.infoSource}>
+                              Computed from {stockAnalysis.technicalIndicators.candleCount} daily candles through{' '}
+                              {new Date(stockAnalysis.technicalIndicators.asOf).toLocaleDateString()}
+                            </Text>
+                          </View>
+                        )}
                       </GlassCard>
                     )}
 
@@ -434,6 +510,32 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                             Confidence in this recommendation
                           </Text>
                         </View>
+
+                        {/* Factor breakdown */}
+                        {Array.isArray(stockAnalysis.confidenceBreakdown) && stockAnalysis.confidenceBreakdown.map((factor) => (
+                          <View key={factor.key} style={styles.confidenceFactor}>
+                            <View style={styles.confidenceFactorHeader}>
+                              <Text style={styles.confidenceFactorLabel}>{factor.label}</Text>
+                              <Text style={[
+                                styles.confidenceFactorScore,
+                                factor.score !== null && { color: getConfidenceColor(factor.score) }
+                              ]}>
+                                {factor.score !== null ? `${factor.score}%` : 'N/A'}
+                                {factor.weight > 0 ? ` · ${Math.round(factor.weight * 100)}% weight` : ''}
+                              </Text>
+                            </View>
+                            <View style={styles.confidenceBarTrack}>
+                              <View style={[
+                                styles.confidenceBarFill,
+                                {
+                                  width: `${factor.score || 0}%`,
+                                  backgroundColor: factor.score !== null ? getConfidenceColor(factor.score) : 'transparent'
+                                }
+                              ]} />
+                            </View>
+                            <Text style={styles.confidenceFactorDetail}>{factor.detail}</Text>
+                          </View>
+                        ))}
                       </GlassCard>
                     )}
                   </View>
@@ -458,6 +560,22 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                 <GlassCard style={styles.infoCard}>
                   <Text style={styles.sectionTitle}>Stock Information</Text>
                   <View style={styles.infoGrid}>
+                    <View style={styles.infoItem}>
+                      <Text style={styles.infoLabel}>Asset Class</Text>
+                      <Text style={styles.infoValue}>{instrument.label}</Text>
+                    </View>
+                    {instrument.category && (
+                      <View style={styles.infoItem}>
+                        <Text style={styles.infoLabel}>Category</Text>
+                        <Text style={styles.infoValue}>{instrument.category}</Text>
+                      </View>
+                    )}
+                    {instrument.expenseRatio !== null && (
+                      <View style={styles.infoItem}>
+                        <Text style={styles.infoLabel}>Expense Ratio</Text>
+                        <Text style={styles.infoValue}>{instrument.expenseRatio.toFixed(2)}%</Text>
+                      </View>
+                    )}
                     <View style={styles.infoItem}>
                       <Text style={styles.infoLabel}>Sector</Text>
                       <Text style={styles.infoValue}>{safeStock.sector}</Text>
@@ -472,7 +590,17 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                         <Text style={styles.infoValue}>{formatCurrency(safeStock.averagePrice)}</Text>
                       </View>
                     )}
-                    {stockAnalysis?.marketCap && (
+                    {stockAnalysis?.fundamentals ? FUNDAMENTAL_ROWS.map(({ field, label }) => (
+                      <View key={field} style={styles.infoItem}>
+                        <Text style={styles.infoLabel}>{label}</Text>
+                        <Text style={styles.infoValue}>
+                          {fundamentalsService.formatFundamental(field, stockAnalysis.fundamentals[field], stock?.currency || stock?.stockData?.currency) || 'N/A'}
+                        </Text>
+                        <Text style={styles.infoSource}>
+                          {fundamentalsService.describeSource(stockAnalysis.fundamentals.provenance?.[field])}
+                        </Text>
+                      </View>
+                    )) : stockAnalysis?.marketCap && (
                       <View style={styles.infoItem}>
                         <Text style={styles.infoLabel}>Market Cap</Text>
                         <Text style={styles.infoValue}>{stockAnalysis.marketCap}</Text>
@@ -647,6 +775,8 @@ const StockDetailsModal = ({ visible, stock, onClose, user, onSell, onBuy }) =>
                      </View>
                    </GlassCard>
                  )}
+                </>
+              )}
 
                  {/* Action Buttons */}
                  <GlassCard style={styles.actionCard}>
@@ -937,6 +1067,11 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     flexWrap: 'wrap',
   },
+  infoSource: {
+    ...TYPOGRAPHY.small,
+    color: '#999999', // Dimmer than labels
+    marginTop: 2,
+  },
   reasonCard: {
     marginBottom: SPACING.lg,
   },
@@ -1075,6 +1210,39 @@ const styles = StyleSheet.create({
     color: '#CCCCCC', // Light grey for labels
     textAlign: 'center',
   },
+  confidenceFactor: {
+    marginTop: SPACING.md,
+  },
+  confidenceFactorHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.xs,
+  },
+  confidenceFactorLabel: {
+    ...TYPOGRAPHY.small,
+    color: '#FFFFFF', // Explicit white
+    fontWeight: '600',
+  },
+  confidenceFactorScore: {
+    ...TYPOGRAPHY.small,
+    color: '#CCCCCC', // Light grey for labels
+  },
+  confidenceBarTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    overflow: 'hidden',
+  },
+  confidenceBarFill: {
+    height: 4,
+    borderRadius: 2,
+  },
+  confidenceFactorDetail: {
+    ...TYPOGRAPHY.caption,
+    color: '#CCCCCC', // Light grey for labels
+    marginTop: SPACING.xs,
+  },
   container: {
     flex: 1,
     backgroundColor: '#0f0f23',
@@ -1158,6 +1326,31 @@ const styles = StyleSheet.create({
     color: '#FFFFFF', // Explicit white
     marginBottom: SPACING.md,
   },
+  tabRow: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 12,
+    padding: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  tabButton: {
+    flex: 1,
+    paddingVertical: SPACING.sm,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  tabButtonActive: {
+    backgroundColor: COLORS.primary,
+  },
+  tabText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    fontWeight: '500',
+  },
+  tabTextActive: {
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
   priceCard: {
     marginBottom: SPACING.lg,
   },
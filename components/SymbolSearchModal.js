@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  ActivityIndicator,
+  Keyboard,
+} from 'react-native';
+import symbolSearchService from '../services/symbolSearchService';
+
+const COLORS = {
+  primaryGradient: ['#0f0f23', '#1a1a2e', '#16213e'],
+  primary: '#00d4ff',
+  success: '#4ecdc4',
+  warning: '#feca57',
+  danger: '#ff6b6b',
+  text: {
+    primary: '#ffffff',
+    secondary: '#b4bcd0',
+    accent: '#8b9dc3',
+  },
+};
+
+const SPACING = {
+  xs: 4,
+  sm: 8,
+  md: 16,
+  lg: 24,
+  xl: 32,
+};
+
+const TYPOGRAPHY = {
+  h2: { fontSize: 24, fontWeight: '600', lineHeight: 32 },
+  body: { fontSize: 16, fontWeight: '400', lineHeight: 24 },
+  caption: { fontSize: 14, fontWeight: '400', lineHeight: 20 },
+  small: { fontSize: 12, fontWeight: '400', lineHeight: 16 },
+};
+
+const SEARCH_DEBOUNCE = 300; // Wait for a pause in typing before hitting the API
+
+// Badge colors per security type label
+const TYPE_BADGE_COLORS = {
+  Stock: COLORS.primary,
+  ETF: COLORS.success,
+  ADR: COLORS.warning,
+  REIT: COLORS.text.accent,
+  Fund: COLORS.text.accent,
+  Crypto: COLORS.danger,
+  Other: COLORS.text.secondary,
+};
+
+// Search tickers and company names, then open details, watch or trade a result.
+// `ownedSymbols` / `watchedSymbols` disable the watchlist action for symbols already tracked.
+const SymbolSearchModal = ({ visible, onClose, onOpenDetails, onAddToWatchlist, onTrade, ownedSymbols = [], watchedSymbols = [] }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [source, setSource] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [busySymbol, setBusySymbol] = useState(null);
+  const latestQueryRef = useRef('');
+
+  useEffect(() => {
+    if (visible) {
+      symbolSearchService.getRecentSearches().then(setRecentSearches);
+    } else {
+      setQuery('');
+      setResults([]);
+      setSource(null);
+    }
+  }, [visible]);
+
+  // Debounced search; responses for anything but the latest query are dropped
+  useEffect(() => {
+    const q = query.trim();
+    latestQueryRef.current = q;
+    if (!q) {
+      setResults([]);
+      setSource(null);
+      setSearching(false);
+      return undefined;
+    }
+
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      const search = await symbolSearchService.search(q);
+      if (latestQueryRef.current !== q) return;
+      setResults(search.results);
+      setSource(search.source);
+      setSearching(false);
+    }, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Run an action for a result, remembering it as a recent search
+  const runAction = async (result, action) => {
+    if (!action || busySymbol) return;
+    Keyboard.dismiss();
+    setBusySymbol(result.symbol);
+    try {
+      await symbolSearchService.addRecentSearch(result);
+      setRecentSearches(await symbolSearchService.getRecentSearches());
+      await action(result);
+    } finally {
+      setBusySymbol(null);
+    }
+  };
+
+  const clearRecent = async () => {
+    await symbolSearchService.clearRecentSearches();
+    setRecentSearches([]);
+  };
+
+  const renderResult = ({ item }) => {
+    const tracked = ownedSymbols.includes(item.symbol) || watchedSymbols.includes(item.symbol);
+    const busy = busySymbol === item.symbol;
+
+    return (
+      <View style={styles.resultRow}>
+        <TouchableOpacity style={styles.resultInfo} onPress={() => runAction(item, onOpenDetails)}>
+          <View style={styles.resultHeader}>
+            <Text style={styles.resultSymbol}>{item.symbol}</Text>
+            <View style={[styles.badge, { borderColor: TYPE_BADGE_COLORS[item.typeLabel] || COLORS.text.secondary }]}>
+              <Text style={[styles.badgeText, { color: TYPE_BADGE_COLORS[item.typeLabel] || COLORS.text.secondary }]}>
+                {item.typeLabel}
+              </Text>
+            </View>
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>{item.exchange}</Text>
+            </View>
+          </View>
+          <Text style={styles.resultName} numberOfLines={1}>{item.name}</Text>
+        </TouchableOpacity>
+
+        {busy ? (
+          <ActivityIndicator size="small" color={COLORS.primary} style={styles.resultBusy} />
+        ) : (
+          <View style={styles.resultActions}>
+            <TouchableOpacity
+              style={[styles.actionButton, tracked && styles.actionButtonDisabled]}
+              onPress={() => runAction(item, onAddToWatchlist)}
+              disabled={tracked}
+            >
+              <Text style={styles.actionButtonText}>{tracked ? 'Tracked' : '+ Watch'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.tradeButton]}
+              onPress={() => runAction(item, onTrade)}
+            >
+              <Text style={styles.actionButtonText}>Trade</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const showingRecent = !query.trim();
+  const listData = showingRecent ? recentSearches : results;
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Search</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Ticker or company name"
+            placeholderTextColor="#666"
+            value={query}
+            onChangeText={setQuery}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            autoFocus={true}
+            returnKeyType="search"
+          />
+
+          <View style={styles.listHeader}>
+            <Text style={styles.listTitle}>
+              {showingRecent ? 'Recent searches' : source ? `Results · ${source}` : 'Results'}
+            </Text>
+            {showingRecent && recentSearches.length > 0 && (
+              <TouchableOpacity onPress={clearRecent}>
+                <Text style={styles.clearText}>Clear</Text>
+              </TouchableOpacity>
+            )}
+            {!showingRecent && searching && <ActivityIndicator size="small" color={COLORS.primary} />}
+          </View>
+
+          <FlatList
+            data={listData}
+            keyExtractor={(item) => item.symbol}
+            renderItem={renderResult}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>
+                {showingRecent ? 'Search by ticker (AAPL) or name (Apple)' : searching ? 'Searching…' : 'No matching symbols'}
+              </Text>
+            }
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: COLORS.primaryGradient[1],
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: SPACING.lg,
+    height: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.md,
+  },
+  title: {
+    ...TYPOGRAPHY.h2,
+    color: COLORS.text.primary,
+  },
+  closeText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  searchInput: {
+    backgroundColor: 'rgba(255,255,255,0.1)',
+    borderRadius: 8,
+    padding: SPACING.md,
+    color: COLORS.text.primary,
+    fontSize: 16,
+    marginBottom: SPACING.md,
+  },
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.sm,
+  },
+  listTitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    fontWeight: '600',
+  },
+  clearText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.05)',
+    padding: SPACING.md,
+    borderRadius: 12,
+    marginBottom: SPACING.sm,
+  },
+  resultInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  resultSymbol: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.primary,
+    fontWeight: '700',
+    marginRight: SPACING.xs,
+  },
+  resultName: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    marginTop: 2,
+  },
+  badge: {
+    borderWidth: 1,
+    borderColor: COLORS.text.secondary,
+    borderRadius: 4,
+    paddingHorizontal: SPACING.xs,
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: COLORS.text.secondary,
+  },
+  resultActions: {
+    flexDirection: 'row',
+    gap: SPACING.xs,
+  },
+  resultBusy: {
+    marginHorizontal: SPACING.md,
+  },
+  actionButton: {
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  tradeButton: {
+    backgroundColor: COLORS.primary,
+  },
+  actionButtonText: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.primary,
+    fontWeight: '600',
+  },
+  emptyText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    textAlign: 'center',
+    marginTop: SPACING.lg,
+  },
+});
+
+export default SymbolSearchModal;
@@ -1,7 +1,12 @@
 import { initializeApp, getApps, getApp } from 'firebase/app';
 import { initializeAuth, getReactNativePersistence, getAuth } from 'firebase/auth';
-import { getFirestore, connectFirestoreEmulator, enableNetwork, disableNetwork } from 'firebase/firestore';
+import { getFirestore } from 'firebase/firestore';
+import * as firebaseAuth from 'firebase/auth';
+import * as firebaseFirestore from 'firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import demoModeService from './services/demoModeService';
+import * as memoryAuth from './services/memoryAuth';
+import * as memoryFirestore from './services/memoryFirestore';
 
 // Firebase config with fallback to environment variables
 const firebaseConfig = {
@@ -17,7 +22,8 @@ const firebaseConfig = {
 const requiredFields = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'messagingSenderId', 'appId'];
 const missingFields = requiredFields.filter(field => !firebaseConfig[field]);
 
-if (missingFields.length > 0) {
+// Demo mode runs without a Firebase project
+if (missingFields.length > 0 && !demoModeService.enabled) {
   console.error('Missing Firebase configuration fields:', missingFields);
   console.error('');
   console.error('🔧 SETUP INSTRUCTIONS:');
@@ -37,20 +43,68 @@ if (missingFields.length > 0) {
   throw new Error(`Missing Firebase configuration. Please create a .env file with your Firebase credentials. Missing: ${missingFields.join(', ')}`);
 }
 
-// Initialize Firebase app (simplified singleton pattern)
 let app, auth, db;
 
-try {
-  if (getApps().length === 0) {
-    app = initializeApp(firebaseConfig);
-    console.log('Firebase app initialized successfully');
-  } else {
-    app = getApp();
-    console.log('Using existing Firebase app');
+if (demoModeService.enabled) {
+  // In-memory Firestore and Auth seeded with the demo user, who starts signed in
+  const account = demoModeService.getDemoAccount();
+  app = null;
+  db = memoryFirestore.createMemoryFirestore(demoModeService.buildSeedDocuments());
+  auth = memoryAuth.createMemoryAuth({ accounts: [account], signedInUid: account.uid });
+} else {
+  // Initialize Firebase app (simplified singleton pattern)
+  try {
+    if (getApps().length === 0) {
+      app = initializeApp(firebaseConfig);
+      console.log('Firebase app initialized successfully');
+    } else {
+      app = getApp();
+      console.log('Using existing Firebase app');
+    }
+  } catch (error) {
+    console.error('Firebase app initialization failed:', error);
+    console.error('Firebase config:', {
+      hasApiKey: !!firebaseConfig.apiKey,
+      hasAuthDomain: !!firebaseConfig.authDomain,
+      hasProjectId: !!firebaseConfig.projectId,
+      hasStorageBucket: !!firebaseConfig.storageBucket,
+      hasMessagingSenderId: !!firebaseConfig.messagingSenderId,
+      hasAppId: !!firebaseConfig.appId
+    });
+    throw new Error('Failed to initialize Firebase app. Please check your configuration.');
   }
-} catch (error) {
-  console.error('Firebase app initialization failed:', error);
-  console.error('Firebase config:', {
+
+  // Initialize Auth with persistence
+  try {
+    auth = initializeAuth(app, {
+      persistence: getReactNativePersistence(AsyncStorage)
+    });
+    console.log('Firebase Auth initialized with persistence');
+  } catch (error) {
+    if (error.code === 'auth/already-initialized') {
+      auth = getAuth(app);
+      console.log('Using existing auth instance');
+    } else {
+      console.warn('Auth persistence failed, using default auth:', error.message);
+      try {
+        auth = getAuth(app);
+        console.log('Fallback auth initialization successful');
+      } catch (fallbackError) {
+        console.error('Both auth initialization methods failed:', fallbackError);
+        throw new Error('Firebase Auth initialization failed completely.');
+      }
+    }
+  }
+
+  // Initialize Firestore
+  db = getFirestore(app);
+
+  // Note: In Firebase v9+, settings are configured differently
+  // Offline persistence is enabled by default
+  // Cache size and other settings are handled automatically
+
+  console.log('Firebase initialization complete');
+  console.log('Firebase config validation:', {
     hasApiKey: !!firebaseConfig.apiKey,
     hasAuthDomain: !!firebaseConfig.authDomain,
     hasProjectId: !!firebaseConfig.projectId,
@@ -58,55 +112,48 @@ try {
     hasMessagingSenderId: !!firebaseConfig.messagingSenderId,
     hasAppId: !!firebaseConfig.appId
   });
-  throw new Error('Failed to initialize Firebase app. Please check your configuration.');
-}
 
-// Initialize Auth with persistence
-try {
-  auth = initializeAuth(app, {
-    persistence: getReactNativePersistence(AsyncStorage)
-  });
-  console.log('Firebase Auth initialized with persistence');
-} catch (error) {
-  if (error.code === 'auth/already-initialized') {
-    auth = getAuth(app);
-    console.log('Using existing auth instance');
-  } else {
-    console.warn('Auth persistence failed, using default auth:', error.message);
-    try {
-      auth = getAuth(app);
-      console.log('Fallback auth initialization successful');
-    } catch (fallbackError) {
-      console.error('Both auth initialization methods failed:', fallbackError);
-      throw new Error('Firebase Auth initialization failed completely.');
-    }
-  }
+  // Log configuration status for debugging (without exposing actual values)
+  console.log('Environment variables status:');
+  console.log('- EXPO_PUBLIC_FIREBASE_API_KEY:', firebaseConfig.apiKey ? '✓ Set' : '✗ Missing');
+  console.log('- EXPO_PUBLIC_FIREBASE_AUTH_DOMAIN:', firebaseConfig.authDomain ? '✓ Set' : '✗ Missing');
+  console.log('- EXPO_PUBLIC_FIREBASE_PROJECT_ID:', firebaseConfig.projectId ? '✓ Set' : '✗ Missing');
+  console.log('- EXPO_PUBLIC_FIREBASE_STORAGE_BUCKET:', firebaseConfig.storageBucket ? '✓ Set' : '✗ Missing');
+  console.log('- EXPO_PUBLIC_FIREBASE_MESSAGING_SENDER_ID:', firebaseConfig.messagingSenderId ? '✓ Set' : '✗ Missing');
+  console.log('- EXPO_PUBLIC_FIREBASE_APP_ID:', firebaseConfig.appId ? '✓ Set' : '✗ Missing');
 }
 
-// Initialize Firestore
-db = getFirestore(app);
-
-// Note: In Firebase v9+, settings are configured differently
-// Offline persistence is enabled by default
-// Cache size and other settings are handled automatically
+// Firestore and Auth functions for the rest of the app; demo mode swaps in the in-memory versions
+const firestoreApi = demoModeService.enabled ? memoryFirestore : firebaseFirestore;
+const authApi = demoModeService.enabled ? memoryAuth : firebaseAuth;
 
-console.log('Firebase initialization complete');
-console.log('Firebase config validation:', {
-  hasApiKey: !!firebaseConfig.apiKey,
-  hasAuthDomain: !!firebaseConfig.authDomain,
-  hasProjectId: !!firebaseConfig.projectId,
-  hasStorageBucket: !!firebaseConfig.storageBucket,
-  hasMessagingSenderId: !!firebaseConfig.messagingSenderId,
-  hasAppId: !!firebaseConfig.appId
-});
+export const {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  addDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  enableNetwork,
+  disableNetwork
+} = firestoreApi;
 
-// Log configuration status for debugging (without exposing actual values)
-console.log('Environment variables status:');
-console.log('- EXPO_PUBLIC_FIREBASE_API_KEY:', firebaseConfig.apiKey ? '✓ Set' : '✗ Missing');
-console.log('- EXPO_PUBLIC_FIREBASE_AUTH_DOMAIN:', firebaseConfig.authDomain ? '✓ Set' : '✗ Missing');
-console.log('- EXPO_PUBLIC_FIREBASE_PROJECT_ID:', firebaseConfig.projectId ? '✓ Set' : '✗ Missing');
-console.log('- EXPO_PUBLIC_FIREBASE_STORAGE_BUCKET:', firebaseConfig.storageBucket ? '✓ Set' : '✗ Missing');
-console.log('- EXPO_PUBLIC_FIREBASE_MESSAGING_SENDER_ID:', firebaseConfig.messagingSenderId ? '✓ Set' : '✗ Missing');
-console.log('- EXPO_PUBLIC_FIREBASE_APP_ID:', firebaseConfig.appId ? '✓ Set' : '✗ Missing');
+export const {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  onAuthStateChanged,
+  signOut
+} = authApi;
 
 export { app, auth, db };
\ No newline at end of file
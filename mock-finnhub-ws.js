@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// Local stand-in for Finnhub's trade WebSocket (wss://ws.finnhub.io).
+// Speaks the same protocol: clients send {"type":"subscribe","symbol":"AAPL"} and receive
+// {"type":"trade","data":[{"s":"AAPL","p":189.3,"t":1700000000000,"v":12}]} plus periodic pings.
+//
+// Usage: npm run mock-finnhub-ws -- [--port 8765] [--interval 500] [--drop-every 45]
+// then set EXPO_PUBLIC_FINNHUB_WS_URL=ws://<your-machine-ip>:8765 and restart Expo.
+// --drop-every closes every connection after that many seconds to exercise reconnects.
+
+const { WebSocketServer } = require('ws');
+
+const readArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? Number(process.argv[index + 1]) : fallback;
+};
+
+const PORT = readArg('port', 8765);
+const TRADE_INTERVAL = readArg('interval', 500);
+const DROP_EVERY = readArg('drop-every', 0);
+const PING_INTERVAL = 20 * 1000;
+
+// Starting prices; unknown symbols start at 100
+const basePrices = { AAPL: 190, MSFT: 420, GOOGL: 170, AMZN: 185, NVDA: 120, META: 500, TSLA: 250, SPY: 540 };
+const prices = new Map();
+
+const nextPrice = (symbol) => {
+  const current = prices.get(symbol) || basePrices[symbol] || 100;
+  const next = Math.max(1, current * (1 + (Math.random() - 0.5) * 0.002));
+  prices.set(symbol, next);
+  return Math.round(next * 100) / 100;
+};
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket, request) => {
+  const symbols = new Set();
+  console.log(`🔌 Client connected (${request.url})`);
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      socket.send(JSON.stringify({ type: 'error', msg: 'Invalid JSON' }));
+      return;
+    }
+
+    const symbol = (message.symbol || '').toUpperCase();
+    if (message.type === 'subscribe' && symbol) {
+      symbols.add(symbol);
+      console.log(`➕ ${symbol} (${symbols.size} subscribed)`);
+    } else if (message.type === 'unsubscribe' && symbol) {
+      symbols.delete(symbol);
+      console.log(`➖ ${symbol} (${symbols.size} subscribed)`);
+    }
+  });
+
+  const tradeTimer = setInterval(() => {
+    if (symbols.size === 0) return;
+    const data = Array.from(symbols).map(symbol => ({
+      s: symbol,
+      p: nextPrice(symbol),
+      t: Date.now(),
+      v: Math.ceil(Math.random() * 500)
+    }));
+    socket.send(JSON.stringify({ type: 'trade', data }));
+  }, TRADE_INTERVAL);
+
+  const pingTimer = setInterval(() => {
+    socket.send(JSON.stringify({ type: 'ping' }));
+  }, PING_INTERVAL);
+
+  const dropTimer = DROP_EVERY > 0
+    ? setTimeout(() => {
+      console.log('✂️  Dropping connection to test reconnect');
+      socket.terminate();
+    }, DROP_EVERY * 1000)
+    : null;
+
+  socket.on('close', () => {
+    clearInterval(tradeTimer);
+    clearInterval(pingTimer);
+    clearTimeout(dropTimer);
+    console.log('🔌 Client disconnected');
+  });
+});
+
+console.log(`📡 Mock Finnhub WebSocket listening on ws://localhost:${PORT}`);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
@@ -10,11 +10,13 @@ import {
   Platform,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { auth, db } from '../firebase';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { auth, db, doc, getDoc, setDoc, collection, getDocs } from '../firebase';
 import SharedNavigation from '../components/SharedNavigation';
 import BottomNavigation from '../components/BottomNavigation';
 import PortfolioPerformanceChart from '../components/PortfolioPerformanceChart';
+import earningsService, { EARNINGS_HOUR_LABELS } from '../services/earningsService';
+import { DEFAULT_CASH_BALANCE } from '../services/tradeExecutionService';
+import currencyService, { formatMoney } from '../services/currencyService';
 
 const COLORS = {
   primaryGradient: ['#0f0f23', '#1a1a2e', '#16213e'],
@@ -73,10 +75,21 @@ const formatCurrency = (amount) => {
   }).format(amount || 0);
 };
 
+// 'YYYY-MM-DD' report date as 'Today', 'Tomorrow' or a short weekday
+const formatReportDay = (event) => {
+  if (event.daysUntil === 0) return 'Today';
+  if (event.daysUntil === 1) return 'Tomorrow';
+  return new Date(`${event.date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+  });
+};
+
 export default function Dashboard_Modern({ user, navigation }) {
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [reportingThisWeek, setReportingThisWeek] = useState([]);
+  const [heldSymbols, setHeldSymbols] = useState([]);
 
   const navigate = navigation?.navigate || (() => {});
 
@@ -119,9 +132,47 @@ export default function Dashboard_Modern({ user, navigation }) {
     }
   };
 
+  // Earnings due this week for held and watched symbols
+  const loadReportingThisWeek = useCallback(async () => {
+    try {
+      if (!user?.uid) return;
+
+      const [portfolioSnap, watchlistSnap] = await Promise.all([
+        getDocs(collection(db, 'users', user.uid, 'portfolio')),
+        getDocs(collection(db, 'users', user.uid, 'watchlist')),
+      ]);
+      // Closed positions keep their portfolio doc with zero shares, so only open ones count as held
+      const positions = portfolioSnap.docs
+        .map(d => ({ ...d.data(), symbol: d.data().symbol || d.id }))
+        .filter(position => (parseFloat(position.shares) || 0) > 0);
+      const watched = watchlistSnap.docs.map(d => ({ ...d.data(), symbol: d.data().symbol || d.id }));
+      const held = positions.map(position => position.symbol);
+      setHeldSymbols(held);
+
+      const currencies = {};
+      [...watched, ...positions].forEach(item => {
+        if (item.currency) currencies[item.symbol] = item.currency;
+      });
+      const events = await earningsService.getReportingThisWeek([...new Set([...held, ...watched.map(item => item.symbol)])]);
+      // EPS estimates are in the listing currency
+      const withCurrency = await Promise.all((events || []).map(async event => ({
+        ...event,
+        currency: await currencyService.getListingCurrency(event.symbol, currencies[event.symbol])
+      })));
+      setReportingThisWeek(withCurrency);
+    } catch (error) {
+      console.error('Error loading earnings calendar:', error);
+      setReportingThisWeek([]);
+    }
+  }, [user?.uid]);
+
+  useEffect(() => {
+    loadReportingThisWeek();
+  }, [loadReportingThisWeek]);
+
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadUserProfile();
+    await Promise.all([loadUserProfile(), loadReportingThisWeek()]);
     setRefreshing(false);
   };
 
@@ -183,6 +234,33 @@ export default function Dashboard_Modern({ user, navigation }) {
           />
         </GlassCard>
 
+        {/* Reporting This Week */}
+        {reportingThisWeek.length > 0 && (
+          <GlassCard style={styles.earningsCard} onPress={() => navigate('Portfolio')}>
+            <Text style={styles.sectionTitle}>Reporting This Week</Text>
+            {reportingThisWeek.map(event => (
+              <View key={`${event.symbol}-${event.date}`} style={styles.earningsRow}>
+                <View style={styles.earningsInfo}>
+                  <View style={styles.earningsSymbolRow}>
+                    <Text style={styles.earningsSymbol}>{event.symbol}</Text>
+                    <View style={styles.earningsTag}>
+                      <Text style={styles.earningsTagText}>
+                        {heldSymbols.includes(event.symbol) ? 'Held' : 'Watching'}
+                      </Text>
+                    </View>
+                  </View>
+                  <Text style={styles.earningsTiming}>
+                    {formatReportDay(event)} · {EARNINGS_HOUR_LABELS[event.hour] || 'Time TBA'}
+                  </Text>
+                </View>
+                <Text style={styles.earningsEstimate}>
+                  {event.epsEstimate !== null ? `Est. EPS ${formatMoney(event.epsEstimate, event.currency)}` : 'No estimate'}
+                </Text>
+              </View>
+            ))}
+          </GlassCard>
+        )}
+
         {/* Quick Actions */}
         <GlassCard style={styles.actionsCard}>
           <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -212,7 +290,7 @@ export default function Dashboard_Modern({ user, navigation }) {
           <View style={styles.summaryRow}>
             <Text style={styles.summaryLabel}>Cash Balance:</Text>
             <Text style={styles.summaryValue}>
-              {formatCurrency(profile?.cashBalance || 10000)}
+              {formatCurrency(parseFloat(profile?.cashBalance ?? DEFAULT_CASH_BALANCE) || 0)}
             </Text>
           </View>
           <View style={styles.summaryRow}>
@@ -385,6 +463,51 @@ const styles = StyleSheet.create({
   actionsCard: {
     marginBottom: SPACING.lg,
   },
+  earningsCard: {
+    marginBottom: SPACING.lg,
+  },
+  earningsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255,255,255,0.1)',
+  },
+  earningsInfo: {
+    flex: 1,
+  },
+  earningsSymbolRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  earningsSymbol: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text.primary,
+    fontWeight: '700',
+  },
+  earningsTag: {
+    borderWidth: 1,
+    borderColor: COLORS.text.accent,
+    borderRadius: 4,
+    paddingHorizontal: SPACING.xs,
+  },
+  earningsTagText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: COLORS.text.accent,
+  },
+  earningsTiming: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+    marginTop: 2,
+  },
+  earningsEstimate: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.warning,
+    fontWeight: '600',
+  },
   actionGrid: {
     flexDirection: 'row',
     gap: SPACING.md,
@@ -11,9 +11,11 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { db } from '../firebase';
+import { db, doc, getDoc, updateDoc, collection, getDocs, deleteDoc } from '../firebase';
 import EnhancedLoadingScreen from '../components/EnhancedLoadingScreen';
-import { doc, getDoc, updateDoc, collection, getDocs, deleteDoc } from 'firebase/firestore';
+import portfolioPerformanceService from '../services/portfolioPerformanceService';
+import tradeExecutionService from '../services/tradeExecutionService';
+import { DEFAULT_BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../services/currencyService';
 
 const COLORS = {
   primaryGradient: ['#0f0f23', '#1a1a2e', '#16213e'],
@@ -63,6 +65,8 @@ const Profile_Safe = ({ user, navigation }) => {
   const [loading, setLoading] = useState(true);
   const [riskProfile, setRiskProfile] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
+  const [savingCurrency, setSavingCurrency] = useState(false);
+  const [rebuilding, setRebuilding] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -217,6 +221,56 @@ const Profile_Safe = ({ user, navigation }) => {
     }
   };
 
+  // Portfolio totals and P&L are reported in this currency; cash stays in the account currency
+  const handleBaseCurrencyChange = async (code) => {
+    if (!user || savingCurrency || code === (userProfile?.baseCurrency || DEFAULT_BASE_CURRENCY)) return;
+    try {
+      setSavingCurrency(true);
+      portfolioPerformanceService.setUserId(user.uid);
+      await portfolioPerformanceService.setBaseCurrency(code);
+      setUserProfile(prev => ({ ...prev, baseCurrency: code }));
+    } catch (error) {
+      console.error('Error updating base currency:', error);
+      Alert.alert('Error', 'Failed to update base currency. Please try again.');
+    } finally {
+      setSavingCurrency(false);
+    }
+  };
+
+  // Repair cash and holdings by replaying the transaction ledger
+  const handleRebuildPortfolio = () => {
+    if (!user || rebuilding) return;
+    Alert.alert(
+      'Rebuild Portfolio',
+      'Recalculate your cash and holdings from your transaction history? Holdings the history doesn\'t cover are kept as they are.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Rebuild',
+          onPress: async () => {
+            try {
+              setRebuilding(true);
+              const result = await tradeExecutionService.rebuildPortfolio(user.uid);
+              portfolioPerformanceService.clearCache();
+              const notes = [];
+              if (result.untracked.length > 0) notes.push(`Kept ${result.untracked.length} holdings with no history: ${result.untracked.join(', ')}.`);
+              if (result.discrepancies.length > 0) notes.push(`${result.discrepancies.length} entries didn't match the recorded balances.`);
+              Alert.alert(
+                'Portfolio Rebuilt',
+                [`Replayed ${result.entryCount} transactions. ${Object.keys(result.positions).length} positions, $${result.cashBalance.toFixed(2)} cash.`, ...notes].join('\n\n')
+              );
+            } catch (error) {
+              console.error('Error rebuilding portfolio:', error);
+              Alert.alert('Error', 'Failed to rebuild portfolio. Please try again.');
+            } finally {
+              setRebuilding(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const getRiskLevel = (profile) => {
     if (!profile?.riskProfile) return 'Not Set';
     
@@ -319,7 +373,48 @@ const Profile_Safe = ({ user, navigation }) => {
           )}
         </GlassCard>
 
-
+        {/* Settings Card */}
+        <GlassCard style={styles.settingsCard}>
+          <Text style={styles.cardTitle}>Settings</Text>
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Base Currency</Text>
+            {savingCurrency ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.settingValue}>{userProfile?.baseCurrency || DEFAULT_BASE_CURRENCY}</Text>
+            )}
+          </View>
+          <View style={styles.currencyChips}>
+            {SUPPORTED_CURRENCIES.map(({ code, label }) => {
+              const selected = code === (userProfile?.baseCurrency || DEFAULT_BASE_CURRENCY);
+              return (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.currencyChip, selected && styles.currencyChipSelected]}
+                  onPress={() => handleBaseCurrencyChange(code)}
+                  accessibilityLabel={label}
+                  disabled={savingCurrency}
+                >
+                  <Text style={[styles.currencyChipText, selected && styles.currencyChipTextSelected]}>{code}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.settingHint}>
+            Portfolio value and returns are converted to this currency. Cash is held in USD.
+          </Text>
+          <TouchableOpacity
+            style={[styles.rebuildButton, rebuilding && styles.rebuildButtonDisabled]}
+            onPress={handleRebuildPortfolio}
+            disabled={rebuilding}
+          >
+            {rebuilding ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.rebuildButtonText}>Rebuild Portfolio from History</Text>
+            )}
+          </TouchableOpacity>
+        </GlassCard>
 
         {/* Quick Actions */}
         <GlassCard style={styles.actionsCard}>
@@ -654,6 +749,53 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.body,
     color: COLORS.text.accent,
   },
+  settingHint: {
+    ...TYPOGRAPHY.small,
+    color: COLORS.text.secondary,
+  },
+  currencyChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.md,
+  },
+  currencyChip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.2)',
+    backgroundColor: 'rgba(255,255,255,0.05)',
+  },
+  currencyChipSelected: {
+    borderColor: COLORS.primary,
+    backgroundColor: 'rgba(0,212,255,0.15)',
+  },
+  currencyChipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text.secondary,
+    fontWeight: '600',
+  },
+  currencyChipTextSelected: {
+    color: COLORS.primary,
+  },
+  rebuildButton: {
+    marginTop: SPACING.lg,
+    paddingVertical: SPACING.md,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: 'rgba(0,212,255,0.3)',
+    backgroundColor: 'rgba(0,212,255,0.1)',
+  },
+  rebuildButtonDisabled: {
+    opacity: 0.6,
+  },
+  rebuildButtonText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   backButton: {
     backgroundColor: 'rgba(255,255,255,0.1)',
     paddingVertical: SPACING.md,
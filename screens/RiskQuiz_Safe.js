@@ -11,9 +11,8 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { auth, db } from '../firebase';
+import { auth, db, doc, setDoc, getDoc } from '../firebase';
 import EnhancedLoadingScreen from '../components/EnhancedLoadingScreen';
-import { doc, setDoc, getDoc } from 'firebase/firestore';
 import stockGenerationService from '../services/stockGenerationService_Enhanced';
 
 const COLORS = {
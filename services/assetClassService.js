@@ -0,0 +1,163 @@
+// assetClassService.js - Asset classes (stocks, ETFs, bond funds, crypto, cash) and allocation against the risk profile
+import instrumentFixtures from './fixtures/instruments.json';
+
+// allocation is the risk profile bucket each class counts toward (see riskProfileService.getAllocationForLevel)
+export const ASSET_CLASSES = {
+  stock: { label: 'Stock', allocation: 'stocks' },
+  etf: { label: 'ETF', allocation: 'stocks' },
+  bond_fund: { label: 'Bond Fund', allocation: 'bonds' },
+  crypto: { label: 'Crypto', allocation: 'alternatives' },
+  cash: { label: 'Cash', allocation: 'cash' }
+};
+
+export const ALLOCATION_BUCKETS = [
+  { key: 'stocks', label: 'Stocks' },
+  { key: 'bonds', label: 'Bonds' },
+  { key: 'cash', label: 'Cash' },
+  { key: 'alternatives', label: 'Alternatives' }
+];
+
+// Finnhub quotes crypto as exchange-prefixed pairs (BINANCE:BTCUSDT, COINBASE:BTC-USD)
+const CRYPTO_EXCHANGES = ['BINANCE', 'COINBASE', 'KRAKEN', 'BITFINEX', 'GEMINI', 'BITSTAMP', 'POLONIEX', 'HUOBI', 'KUCOIN', 'OKEX'];
+
+// 0-1 volatility used for risk alignment when a class says more than the sector does
+const ASSET_CLASS_RISK = { bond_fund: 0.2, cash: 0, crypto: 0.95 };
+const BROAD_FUND_RISK = 0.4;
+
+export const isCryptoSymbol = (symbol) => {
+  const [exchange, pair] = String(symbol || '').toUpperCase().split(':');
+  return !!pair && CRYPTO_EXCHANGES.includes(exchange);
+};
+
+// '20-30%' -> { min: 20, max: 30 }, or null for anything else
+export const parseAllocationRange = (range) => {
+  const match = String(range || '').match(/^\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*%?\s*$/);
+  return match ? { min: parseFloat(match[1]), max: parseFloat(match[2]) } : null;
+};
+
+class AssetClassService {
+  constructor() {
+    this.funds = instrumentFixtures.funds || {};
+    this.crypto = instrumentFixtures.crypto || {};
+  }
+
+  // { assetClass, label, allocation, category, expenseRatio } for a symbol. `hints` are what's known
+  // from elsewhere: a search result's `type`/`typeLabel` or a stored holding's `assetClass`.
+  classify(symbol, hints = {}) {
+    const sym = String(symbol || '').toUpperCase().trim();
+    const fund = this.funds[sym];
+    let assetClass = hints.assetClass && ASSET_CLASSES[hints.assetClass] ? hints.assetClass : null;
+
+    if (!assetClass) {
+      const typeLabel = hints.typeLabel || hints.type || '';
+      if (fund) {
+        assetClass = fund.assetClass;
+      } else if (isCryptoSymbol(sym) || /crypto|digital/i.test(typeLabel)) {
+        assetClass = 'crypto';
+      } else if (/^(etf|etp|etn)$|exchange.traded|fund/i.test(typeLabel)) {
+        // Unknown funds are sorted by name; bond funds say so
+        assetClass = /bond|treasury|income|muni|aggregate/i.test(hints.name || '') ? 'bond_fund' : 'etf';
+      } else {
+        assetClass = 'stock';
+      }
+    }
+
+    return {
+      assetClass,
+      label: ASSET_CLASSES[assetClass].label,
+      allocation: fund?.allocation || ASSET_CLASSES[assetClass].allocation,
+      category: fund?.category || null,
+      expenseRatio: fund?.expenseRatio ?? null
+    };
+  }
+
+  // Profile fields for funds and crypto pairs, which company profile endpoints don't cover; null for anything else
+  getInstrumentProfile(symbol) {
+    const sym = String(symbol || '').toUpperCase().trim();
+    const fund = this.funds[sym];
+    if (fund) {
+      return {
+        name: fund.name,
+        sector: fund.sector,
+        industry: fund.category,
+        exchange: fund.exchange,
+        country: 'US',
+        currency: 'USD'
+      };
+    }
+
+    if (isCryptoSymbol(sym)) {
+      const [exchange, pair] = sym.split(':');
+      const coin = this.crypto[sym];
+      return {
+        name: coin?.name || pair,
+        sector: 'Crypto',
+        industry: 'Digital Assets',
+        exchange,
+        country: 'Global',
+        currency: coin?.currency || 'USD'
+      };
+    }
+    return null;
+  }
+
+  // 0-1 risk for an instrument: class-level for crypto, bonds and cash, broad funds below single stocks,
+  // `sectorRisk` (the stock's own score) otherwise
+  getRiskScore(instrument, sectorRisk) {
+    const { assetClass, category } = this.classify(instrument.symbol, instrument);
+    if (ASSET_CLASS_RISK[assetClass] !== undefined) return ASSET_CLASS_RISK[assetClass];
+    if (assetClass === 'etf' && this.funds[instrument.symbol]?.sector === 'Diversified') {
+      return BROAD_FUND_RISK;
+    }
+    // Sector funds carry their sector's risk; category stands in for it on funds we don't know
+    return sectorRisk ?? (category ? BROAD_FUND_RISK : 0.5);
+  }
+
+  // Actual mix by allocation bucket. `holdings` carry `value` (all in one currency) plus what classify() needs.
+  // Returns { total, buckets: [{ key, label, value, percent, holdings }] }
+  summarizeAllocation(holdings, cashValue = 0) {
+    const values = Object.fromEntries(ALLOCATION_BUCKETS.map(bucket => [bucket.key, { value: 0, holdings: [] }]));
+    (holdings || []).forEach(holding => {
+      const value = parseFloat(holding.value) || 0;
+      if (value <= 0) return;
+      const { allocation } = this.classify(holding.symbol, holding);
+      values[allocation].value += value;
+      values[allocation].holdings.push(holding.symbol);
+    });
+    values.cash.value += Math.max(0, parseFloat(cashValue) || 0);
+
+    const total = Object.values(values).reduce((sum, bucket) => sum + bucket.value, 0);
+    return {
+      total,
+      buckets: ALLOCATION_BUCKETS.map(({ key, label }) => ({
+        key,
+        label,
+        value: values[key].value,
+        percent: total > 0 ? (values[key].value / total) * 100 : 0,
+        holdings: values[key].holdings
+      }))
+    };
+  }
+
+  // Each bucket against the profile's recommended range ({ stocks: '40-60%', ... }).
+  // status is 'below', 'within' or 'above'; gap is the percentage points outside the range (0 within it).
+  compareToTargets(summary, targets) {
+    return summary.buckets.map(bucket => {
+      const range = parseAllocationRange(targets?.[bucket.key]);
+      if (!range) return { ...bucket, min: null, max: null, status: null, gap: 0 };
+
+      let status = 'within';
+      let gap = 0;
+      if (bucket.percent < range.min) {
+        status = 'below';
+        gap = range.min - bucket.percent;
+      } else if (bucket.percent > range.max) {
+        status = 'above';
+        gap = bucket.percent - range.max;
+      }
+      return { ...bucket, min: range.min, max: range.max, status, gap };
+    });
+  }
+}
+
+export default new AssetClassService();
@@ -0,0 +1,45 @@
+// cashSweepService.js - Simulated money-market sweep: idle cash earns interest, credited to the ledger
+import Constants from 'expo-constants';
+import tradeExecutionService from './tradeExecutionService';
+import marketCalendarService from './marketCalendarService';
+import instrumentFixtures from './fixtures/instruments.json';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+const CONFIGURED_APY = extra?.EXPO_PUBLIC_CASH_SWEEP_APY || process.env.EXPO_PUBLIC_CASH_SWEEP_APY;
+
+const PROCESS_INTERVAL = 60 * 60 * 1000; // Interest posts once a day, so check hourly at most
+
+class CashSweepService {
+  constructor() {
+    const apy = parseFloat(CONFIGURED_APY);
+    this.name = instrumentFixtures.cashSweep.name;
+    this.apy = apy >= 0 ? apy : instrumentFixtures.cashSweep.apy; // Percent
+    this.lastProcessed = new Map(); // userId -> timestamp of the last completed run
+    this.inFlight = new Map(); // userId -> running promise
+  }
+
+  getApy() {
+    return this.apy;
+  }
+
+  // Credit interest accrued since the last run. Resolves to the ledger entry, or null when nothing was credited.
+  processSweep(userId, { force = false } = {}) {
+    if (!userId || !(this.apy > 0)) return Promise.resolve(null);
+    if (this.inFlight.has(userId)) return this.inFlight.get(userId);
+    if (!force && Date.now() - (this.lastProcessed.get(userId) || 0) < PROCESS_INTERVAL) {
+      return Promise.resolve(null);
+    }
+
+    const throughDate = marketCalendarService.getMarketDateKey(new Date());
+    const run = tradeExecutionService.recordSweepInterest({ userId, throughDate, apy: this.apy })
+      .then(entry => {
+        this.lastProcessed.set(userId, Date.now());
+        return entry;
+      })
+      .finally(() => this.inFlight.delete(userId));
+    this.inFlight.set(userId, run);
+    return run;
+  }
+}
+
+export default new CashSweepService();
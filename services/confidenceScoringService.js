@@ -0,0 +1,198 @@
+// confidenceScoringService.js - Deterministic recommendation confidence with a per-factor breakdown
+
+// Factor weights; unavailable factors are dropped and the rest renormalized
+const FACTOR_WEIGHTS = {
+  dataCompleteness: 0.2,
+  volatility: 0.2,
+  valuation: 0.2,
+  llmAgreement: 0.2,
+  profileAlignment: 0.2
+};
+
+const FACTOR_LABELS = {
+  dataCompleteness: 'Data completeness',
+  volatility: 'Price stability',
+  valuation: 'Valuation vs sector',
+  llmAgreement: 'AI agreement',
+  profileAlignment: 'Profile alignment'
+};
+
+// Reference trailing P/E by sector (long-run medians, rounded)
+const SECTOR_PE = {
+  technology: 28,
+  'communication services': 20,
+  media: 20,
+  healthcare: 22,
+  'health care': 22,
+  pharmaceuticals: 22,
+  biotechnology: 25,
+  'financial services': 14,
+  financial: 14,
+  banking: 12,
+  insurance: 13,
+  'consumer cyclical': 22,
+  retail: 22,
+  'consumer defensive': 21,
+  'consumer staples': 21,
+  industrials: 20,
+  energy: 12,
+  utilities: 18,
+  'real estate': 30,
+  'basic materials': 16,
+  materials: 16,
+  semiconductors: 30
+};
+const DEFAULT_SECTOR_PE = 20;
+
+const VOLATILITY_FLOOR = 0.15; // Annualized volatility at or below this scores 100%
+const VOLATILITY_CEILING = 0.8; // At or above this scores 0%
+const MIN_CANDLES = 20;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+class ConfidenceScoringService {
+  // Share of the fields the analysis relies on that came back with real values.
+  // Fundamentals from an offline snapshot rather than a live provider count half.
+  scoreDataCompleteness(quoteData = {}, companyData = {}, financialData = {}, candles = []) {
+    const fromSnapshot = (field) => !!financialData.provenance?.[field] && !financialData.provenance[field].live;
+    const checks = [
+      ['price', quoteData.price > 0, false],
+      ['name', !!companyData.name && companyData.name !== companyData.symbol, false],
+      ['sector', !!companyData.sector && companyData.sector !== 'Unknown', false],
+      ['market cap', toNumber(financialData.marketCap) > 0, fromSnapshot('marketCap')],
+      ['P/E', toNumber(financialData.peRatio) !== null, fromSnapshot('peRatio')],
+      ['dividend yield', toNumber(financialData.dividendYield) !== null, fromSnapshot('dividendYield')],
+      ['price history', candles.length >= MIN_CANDLES, false]
+    ];
+    const estimated = checks.some(([, present, isEstimate]) => present && isEstimate);
+
+    const points = checks.reduce((sum, [, present, isEstimate]) => sum + (present ? (isEstimate ? 0.5 : 1) : 0), 0);
+    const missing = checks.filter(([, present]) => !present).map(([name]) => name);
+
+    return {
+      score: points / checks.length,
+      available: true,
+      detail: missing.length > 0 ? `Missing ${missing.join(', ')}` : (estimated ? 'Some fundamentals from offline snapshot' : 'All fields present')
+    };
+  }
+
+  // Annualized volatility of daily closes; calmer stocks give more reliable calls
+  scoreVolatility(candles = []) {
+    const closes = candles.map(c => c.close).filter(c => c > 0);
+    if (closes.length < MIN_CANDLES) {
+      return { score: null, available: false, detail: 'Not enough price history' };
+    }
+
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+    const avg = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - avg, 2), 0) / (returns.length - 1);
+    const annualized = Math.sqrt(variance * 252);
+
+    return {
+      score: clamp(1 - (annualized - VOLATILITY_FLOOR) / (VOLATILITY_CEILING - VOLATILITY_FLOOR)),
+      available: true,
+      detail: `${(annualized * 100).toFixed(1)}% annualized volatility`,
+      value: annualized
+    };
+  }
+
+  // P/E relative to the sector reference: 1x scores 100%, 3x above or below scores 0%
+  scoreValuation(financialData = {}, sector = '') {
+    const peRatio = toNumber(financialData.peRatio);
+    if (peRatio === null) {
+      return { score: null, available: false, detail: 'No P/E available' };
+    }
+
+    const sectorPe = SECTOR_PE[(sector || '').toLowerCase()] || DEFAULT_SECTOR_PE;
+    if (peRatio <= 0) {
+      return { score: 0.2, available: true, detail: `Negative earnings (sector P/E ${sectorPe})` };
+    }
+
+    const relative = peRatio / sectorPe;
+    return {
+      score: clamp(1 - Math.abs(Math.log(relative)) / Math.log(3)),
+      available: true,
+      detail: `P/E ${peRatio.toFixed(1)} vs sector ${sectorPe}`,
+      value: relative
+    };
+  }
+
+  // How consistently the LLM picked this stock across samples, blended with its stated confidence
+  scoreLlmAgreement(rec = {}) {
+    const confidences = (rec.llmConfidences || [rec.confidence])
+      .map(toNumber)
+      .filter(c => c !== null)
+      .map(c => (c > 1 ? c / 100 : c));
+    const statedConfidence = confidences.length > 0
+      ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+      : null;
+    const sampleTotal = rec.sampleTotal || 0;
+
+    if (sampleTotal < 2) {
+      return statedConfidence === null
+        ? { score: null, available: false, detail: 'No agreement data' }
+        : { score: clamp(statedConfidence), available: true, detail: `Single sample, stated ${Math.round(statedConfidence * 100)}%` };
+    }
+
+    const agreement = rec.sampleCount / sampleTotal;
+    return {
+      score: clamp(statedConfidence === null ? agreement : (0.6 * agreement) + (0.4 * statedConfidence)),
+      available: true,
+      detail: `Picked in ${rec.sampleCount} of ${sampleTotal} samples`,
+      value: agreement
+    };
+  }
+
+  // Fit with the user's risk profile and portfolio from the personalization model
+  scoreProfileAlignment(personalization = null) {
+    const riskAlignment = toNumber(personalization?.riskAlignment);
+    const personalizationScore = toNumber(personalization?.personalizationScore);
+    const scores = [riskAlignment, personalizationScore].filter(s => s !== null);
+    if (scores.length === 0) {
+      return { score: null, available: false, detail: 'No profile analysis' };
+    }
+
+    return {
+      score: clamp(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+      available: true,
+      detail: riskAlignment !== null ? `Risk alignment ${Math.round(riskAlignment * 100)}%` : 'Personalization score'
+    };
+  }
+
+  // Weighted score (0-100) plus the factors it was built from
+  calculateConfidence({ rec = {}, quoteData = {}, companyData = {}, financialData = {}, candles = [], personalization = null }) {
+    const results = {
+      dataCompleteness: this.scoreDataCompleteness(quoteData, companyData, financialData, candles),
+      volatility: this.scoreVolatility(candles),
+      valuation: this.scoreValuation(financialData, companyData.sector || rec.sector),
+      llmAgreement: this.scoreLlmAgreement(rec),
+      profileAlignment: this.scoreProfileAlignment(personalization)
+    };
+
+    const available = Object.keys(results).filter(key => results[key].available);
+    const totalWeight = available.reduce((sum, key) => sum + FACTOR_WEIGHTS[key], 0);
+    const score = totalWeight > 0
+      ? available.reduce((sum, key) => sum + results[key].score * FACTOR_WEIGHTS[key], 0) / totalWeight
+      : 0;
+
+    const factors = Object.keys(results).map(key => ({
+      key,
+      label: FACTOR_LABELS[key],
+      score: results[key].available ? Math.round(results[key].score * 100) : null,
+      weight: results[key].available && totalWeight > 0 ? FACTOR_WEIGHTS[key] / totalWeight : 0,
+      detail: results[key].detail
+    }));
+
+    return { score: Math.round(score * 100), factors };
+  }
+}
+
+export default new ConfidenceScoringService();
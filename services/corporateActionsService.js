@@ -0,0 +1,189 @@
+// corporateActionsService.js - Applies stock splits and cash dividends to holdings, cash and the ledger
+import { db, collection, getDocs } from '../firebase';
+import { getCorporateActions } from './finnhubService';
+import tradeExecutionService from './tradeExecutionService';
+import taxLotService from './taxLotService';
+import marketCalendarService from './marketCalendarService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOLD_POSITION_LOOKBACK_DAYS = 90; // Positions sold after an ex-date are still owed the dividend on its pay date
+const PROCESS_INTERVAL = 6 * 60 * 60 * 1000; // Actions are daily events, so re-check a few times a day at most
+const SHARE_EPSILON = 1e-9;
+
+// Actions take effect at the start of their New York trading date
+const startOfMarketDay = (dateKey) => marketCalendarService.getMarketTime(dateKey, 0);
+
+// Deterministic ledger ids make processing idempotent across devices and runs
+const splitActionId = (split) => `split-${split.symbol}-${split.date}`;
+const dividendActionId = (dividend) => `dividend-${dividend.symbol}-${dividend.exDate}`;
+
+class CorporateActionsService {
+  constructor() {
+    this.lastProcessed = new Map(); // userId -> timestamp of the last completed run
+    this.inFlight = new Map(); // userId -> running promise
+  }
+
+  // Apply splits and credit dividends that took effect since each position was opened.
+  // Resolves to { splits, dividends } listing the ledger entries recorded by this run.
+  processCorporateActions(userId, { force = false } = {}) {
+    if (!userId) return Promise.resolve({ splits: [], dividends: [] });
+    if (this.inFlight.has(userId)) return this.inFlight.get(userId);
+    if (!force && Date.now() - (this.lastProcessed.get(userId) || 0) < PROCESS_INTERVAL) {
+      return Promise.resolve({ splits: [], dividends: [] });
+    }
+
+    const run = this.runProcessing(userId)
+      .then(result => {
+        this.lastProcessed.set(userId, Date.now());
+        return result;
+      })
+      .finally(() => this.inFlight.delete(userId));
+    this.inFlight.set(userId, run);
+    return run;
+  }
+
+  async runProcessing(userId) {
+    const today = marketCalendarService.getMarketDateKey(new Date());
+    const entries = await tradeExecutionService.getTransactions(userId);
+    const recorded = new Set(entries.map(entry => entry.id));
+    const holdings = await this.getHoldings(userId);
+    const symbols = this.getCandidateSymbols(holdings, entries);
+    const applied = { splits: [], dividends: [] };
+
+    // Splits first: dividend eligibility below reads share counts after every split is applied
+    const actionsBySymbol = {};
+    for (const symbol of symbols) {
+      const firstHeld = this.getFirstHeldDate(symbol, holdings, entries);
+      if (!firstHeld) continue;
+
+      const actions = await getCorporateActions(symbol, firstHeld);
+      if (!actions) continue;
+      actionsBySymbol[symbol] = { ...actions, firstHeld };
+
+      for (const split of actions.splits) {
+        // A split dated the day shares were bought is already reflected in the fill
+        if (split.date <= firstHeld || split.date > today || recorded.has(splitActionId(split))) continue;
+        try {
+          const entry = await tradeExecutionService.recordSplit({
+            userId,
+            symbol,
+            ratio: split.ratio,
+            effectiveDate: split.date,
+            effectiveAt: startOfMarketDay(split.date).toISOString(),
+            fromFactor: split.fromFactor,
+            toFactor: split.toFactor,
+            actionId: splitActionId(split)
+          });
+          if (entry) applied.splits.push(entry);
+        } catch (error) {
+          console.error(`Error applying ${symbol} split of ${split.date}:`, error.message);
+        }
+      }
+    }
+
+    const currentHoldings = applied.splits.length > 0 ? await this.getHoldings(userId) : holdings;
+    for (const [symbol, actions] of Object.entries(actionsBySymbol)) {
+      const holding = currentHoldings.find(h => h.symbol === symbol) || null;
+
+      for (const dividend of actions.dividends) {
+        // Paid dividends only; ones with a future pay date are picked up on a later run
+        if (dividend.exDate <= actions.firstHeld || dividend.payDate > today || recorded.has(dividendActionId(dividend))) continue;
+
+        const shares = this.getSharesHeldAt(symbol, holding, entries, actions.splits, dividend.exDate);
+        if (shares <= SHARE_EPSILON) continue;
+        try {
+          const entry = await tradeExecutionService.recordDividend({
+            userId,
+            symbol,
+            exDate: dividend.exDate,
+            payDate: dividend.payDate,
+            amountPerShare: dividend.amount,
+            shares,
+            currency: dividend.currency,
+            actionId: dividendActionId(dividend)
+          });
+          if (entry) applied.dividends.push(entry);
+        } catch (error) {
+          console.error(`Error crediting ${symbol} dividend (ex ${dividend.exDate}):`, error.message);
+        }
+      }
+    }
+
+    console.log(`Corporate actions for ${userId}: ${applied.splits.length} splits, ${applied.dividends.length} dividends applied`);
+    return applied;
+  }
+
+  // Open positions (watchlist entries have no shares)
+  async getHoldings(userId) {
+    const snapshot = await getDocs(collection(db, 'users', userId, 'portfolio'));
+    return snapshot.docs
+      .map(d => d.data())
+      .filter(data => (parseFloat(data.shares) || 0) > 0);
+  }
+
+  // Held symbols plus recently sold ones that may still have a dividend to collect
+  getCandidateSymbols(holdings, entries) {
+    const cutoff = Date.now() - SOLD_POSITION_LOOKBACK_DAYS * DAY_MS;
+    const symbols = new Set(holdings.map(h => h.symbol));
+    entries.forEach(entry => {
+      if (entry.side === 'sell' && entry.symbol && new Date(entry.timestamp).getTime() >= cutoff) {
+        symbols.add(entry.symbol);
+      }
+    });
+    return Array.from(symbols);
+  }
+
+  // New York date the position was first opened: earliest open lot, ledger buy or purchase date
+  getFirstHeldDate(symbol, holdings, entries) {
+    const times = entries
+      .filter(entry => entry.symbol === symbol && entry.side === 'buy')
+      .map(entry => new Date(entry.timestamp).getTime());
+    const holding = holdings.find(h => h.symbol === symbol);
+    if (holding) {
+      taxLotService.getLots(holding).forEach(lot => times.push(new Date(lot.acquiredAt).getTime()));
+      if (holding.purchaseDate) times.push(new Date(holding.purchaseDate).getTime());
+    }
+
+    const valid = times.filter(time => !isNaN(time));
+    return valid.length > 0 ? marketCalendarService.getMarketDateKey(new Date(Math.min(...valid))) : null;
+  }
+
+  // Shares held going into `exDate`, in that day's share units. Ledger fills before the ex-date are
+  // replayed with the splits in between; shares the ledger doesn't cover (positions opened before it
+  // existed) are added when they were bought before the ex-date, scaled back through later splits.
+  getSharesHeldAt(symbol, holding, entries, splits, exDate) {
+    const cutoff = startOfMarketDay(exDate).getTime();
+    const now = Date.now();
+    const events = [
+      ...entries
+        .filter(entry => entry.symbol === symbol && (entry.side === 'buy' || entry.side === 'sell'))
+        .map(entry => ({
+          time: new Date(entry.timestamp).getTime(),
+          delta: entry.side === 'buy' ? (parseFloat(entry.quantity) || 0) : -(parseFloat(entry.quantity) || 0)
+        })),
+      ...splits.map(split => ({ time: startOfMarketDay(split.date).getTime(), ratio: split.ratio }))
+    ].sort((a, b) => a.time - b.time);
+
+    const sharesAt = (time) => events
+      .filter(event => event.time < time)
+      .reduce((shares, event) => (event.ratio ? shares * event.ratio : shares + event.delta), 0);
+
+    let shares = Math.max(0, sharesAt(cutoff));
+
+    const untracked = (parseFloat(holding?.shares) || 0) - sharesAt(now);
+    const openedAt = holding?.purchaseDate ? new Date(holding.purchaseDate).getTime() : NaN;
+    if (untracked > SHARE_EPSILON && openedAt < cutoff) {
+      const laterRatio = splits
+        .filter(split => {
+          const time = startOfMarketDay(split.date).getTime();
+          return time >= cutoff && time < now;
+        })
+        .reduce((product, split) => product * split.ratio, 1);
+      shares += untracked / laterRatio;
+    }
+
+    return shares;
+  }
+}
+
+export default new CorporateActionsService();
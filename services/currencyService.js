@@ -0,0 +1,125 @@
+// currencyService.js - Exchange rates, listing currencies and conversion between a holding's currency and the account's
+import { getFxRates, getCompanyProfile } from './finnhubService';
+import marketDataFixtures from './fixtures/marketData.json';
+
+// Paper-trading cash, order reservations, realized gains and dividend income are booked in this currency.
+// Prices, lots and fills stay in each listing's own currency and are converted at the fill.
+export const ACCOUNT_CURRENCY = 'USD';
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Reporting currencies a user can pick (all quoted by the FX providers)
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', label: 'US Dollar' },
+  { code: 'EUR', label: 'Euro' },
+  { code: 'GBP', label: 'British Pound' },
+  { code: 'JPY', label: 'Japanese Yen' },
+  { code: 'CAD', label: 'Canadian Dollar' },
+  { code: 'CHF', label: 'Swiss Franc' },
+  { code: 'AUD', label: 'Australian Dollar' },
+  { code: 'HKD', label: 'Hong Kong Dollar' },
+  { code: 'CNY', label: 'Chinese Yuan' },
+  { code: 'INR', label: 'Indian Rupee' }
+];
+
+const RATES_REFRESH = 15 * 60 * 1000; // Re-read through the market data cache at most this often
+
+// Three-letter ISO code, or `fallback` for missing and malformed values
+export const normalizeCurrency = (code, fallback = ACCOUNT_CURRENCY) => {
+  const value = String(code || '').toUpperCase().trim();
+  return /^[A-Z]{3}$/.test(value) ? value : fallback;
+};
+
+// Units of `to` per one `from` from a rate table ({ base, rates }), or null when either side isn't quoted
+export const getCrossRate = (from, to, fx) => {
+  if (from === to) return 1;
+  const fromRate = fx?.rates?.[from];
+  const toRate = fx?.rates?.[to];
+  return fromRate > 0 && toRate > 0 ? toRate / fromRate : null;
+};
+
+// Amount with the currency's own symbol and minor units (yen has none)
+export const formatMoney = (amount, currency = ACCOUNT_CURRENCY, options = {}) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: normalizeCurrency(currency),
+  ...options
+}).format(amount || 0);
+
+class CurrencyService {
+  constructor() {
+    this.rates = null;
+    this.ratesFetchedAt = 0;
+    this.pendingRates = null;
+  }
+
+  // Bundled rates, used when no provider has answered yet (flagged stale)
+  getSnapshotRates() {
+    const { base, rates } = marketDataFixtures.fxRates;
+    return {
+      base,
+      rates: { ...rates, [base]: 1 },
+      asOf: marketDataFixtures.asOf,
+      source: 'fixture',
+      label: 'Offline snapshot',
+      live: false,
+      stale: true
+    };
+  }
+
+  // Rates per one unit of the account currency. Never null: falls back to the bundled snapshot.
+  async getRates() {
+    if (this.rates && Date.now() - this.ratesFetchedAt < RATES_REFRESH) {
+      return this.rates;
+    }
+    if (!this.pendingRates) {
+      this.pendingRates = getFxRates(ACCOUNT_CURRENCY)
+        .catch(() => null)
+        .then(fx => {
+          if (!fx) console.warn('No exchange rate provider answered, using the bundled snapshot rates');
+          this.rates = fx || this.getSnapshotRates();
+          this.ratesFetchedAt = Date.now();
+          return this.rates;
+        })
+        .finally(() => {
+          this.pendingRates = null;
+        });
+    }
+    return this.pendingRates;
+  }
+
+  // Units of `to` per one `from` in `fx`. A currency nobody quotes is valued 1:1 (with a warning) rather than dropped.
+  resolveRate(from, to, fx) {
+    const rate = getCrossRate(normalizeCurrency(from), normalizeCurrency(to), fx);
+    if (rate === null) {
+      console.warn(`No ${from}/${to} exchange rate, valuing 1:1`);
+      return 1;
+    }
+    return rate;
+  }
+
+  convert(amount, from, to, fx) {
+    return (parseFloat(amount) || 0) * this.resolveRate(from, to, fx);
+  }
+
+  // Rates a fill in `currency` is booked at: fxRate is account currency per unit of `currency`,
+  // fxRates the table itself so P&L can later be reported in any base currency
+  async getFillRates(currency) {
+    const fx = await this.getRates();
+    return {
+      fxRate: this.resolveRate(currency, ACCOUNT_CURRENCY, fx),
+      fxRates: { base: fx.base, rates: fx.rates, asOf: fx.asOf || null }
+    };
+  }
+
+  // Listing currency for a symbol: an explicit value first, then the company profile
+  async getListingCurrency(symbol, currency = null) {
+    if (currency) return normalizeCurrency(currency);
+    try {
+      const profile = await getCompanyProfile(symbol, { priority: 'interactive', owner: 'trading' });
+      return normalizeCurrency(profile?.currency);
+    } catch {
+      return ACCOUNT_CURRENCY;
+    }
+  }
+}
+
+export default new CurrencyService();
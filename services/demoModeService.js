@@ -0,0 +1,170 @@
+// demoModeService.js - Offline demo mode: config switch, seeded demo user and canned LLM responses
+import Constants from 'expo-constants';
+import taxLotService from './taxLotService';
+import { getReplayShiftDays, shiftDateKey } from './marketDataProviders';
+import demoUserFixture from './fixtures/demoUser.json';
+import llmResponses from './fixtures/llmResponses.json';
+import candleFixtures from './fixtures/candles.json';
+import marketDataFixtures from './fixtures/marketData.json';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+const DEMO_MODE = extra?.EXPO_PUBLIC_DEMO_MODE || process.env.EXPO_PUBLIC_DEMO_MODE;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class DemoModeService {
+  constructor() {
+    this.enabled = String(DEMO_MODE).toLowerCase() === 'true';
+    if (this.enabled) {
+      console.log(`Demo mode: fixture market data, canned LLM responses and an in-memory store (signed in as ${demoUserFixture.account.email})`);
+    }
+  }
+
+  // { uid, email, password, displayName } for the seeded account
+  getDemoAccount() {
+    return demoUserFixture.account;
+  }
+
+  // Canned model output for a callLLM task ('recommendations', 'thesis', ...), falling back to 'general'
+  getCompletion(task) {
+    const response = llmResponses[task] ?? llmResponses.general;
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Fill for a fixture trade: the snapshot close `sessionsAgo` sessions back, dated in replayed time
+  getFixtureFill(symbol, sessionsAgo, shiftDays) {
+    const { fields, symbols } = candleFixtures;
+    const rows = symbols[symbol] || [];
+    const row = rows[rows.length - 1 - sessionsAgo];
+    if (!row) {
+      throw new Error(`No demo candle for ${symbol} ${sessionsAgo} sessions back`);
+    }
+    const date = shiftDateKey(row[fields.indexOf('date')], shiftDays);
+    return { price: row[fields.indexOf('close')], timestamp: `${date}T19:30:00.000Z` };
+  }
+
+  // Documents for the demo user keyed by path: profile, risk profile, ledger, holdings and watchlist.
+  // Holdings and cash are folded from the fixture trades so the ledger replays cleanly.
+  buildSeedDocuments() {
+    const { account, profile, trades, watchlist } = demoUserFixture;
+    const userPath = `users/${account.uid}`;
+    const shiftDays = getReplayShiftDays(candleFixtures.asOf);
+    const documents = {};
+    const lotsBySymbol = {};
+    let cashBalance = profile.startingCash;
+    let realizedGains = { shortTerm: 0, longTerm: 0, total: 0, costBasis: 0 };
+    let firstTradeAt = null;
+
+    trades.forEach((trade, index) => {
+      const id = `demo-trade-${index + 1}`;
+      const { price, timestamp } = this.getFixtureFill(trade.symbol, trade.sessionsAgo, shiftDays);
+      const lotsBefore = lotsBySymbol[trade.symbol] || [];
+      const before = taxLotService.summarizeLots(lotsBefore);
+      const grossAmount = roundCurrency(trade.quantity * price);
+      let lotsAfter;
+      let relief = null;
+
+      if (trade.side === 'buy') {
+        lotsAfter = [...lotsBefore, taxLotService.createLot({ id, quantity: trade.quantity, price, acquiredAt: timestamp })];
+      } else {
+        relief = taxLotService.relieveLots(lotsBefore, { quantity: trade.quantity, price, soldAt: timestamp });
+        lotsAfter = relief.remainingLots;
+        realizedGains = taxLotService.addRealized(realizedGains, relief.realized);
+      }
+      const after = taxLotService.summarizeLots(lotsAfter);
+      const cashAfter = roundCurrency(trade.side === 'buy' ? cashBalance - grossAmount : cashBalance + grossAmount);
+
+      documents[`${userPath}/transactions/${id}`] = {
+        symbol: trade.symbol,
+        side: trade.side,
+        quantity: trade.quantity,
+        price,
+        grossAmount,
+        fees: 0,
+        currency: 'USD',
+        fxRate: 1,
+        timestamp,
+        cashBefore: cashBalance,
+        cashAfter,
+        sharesBefore: before.shares,
+        sharesAfter: after.shares,
+        averagePriceBefore: before.averagePrice,
+        averagePriceAfter: after.averagePrice,
+        orderId: null,
+        lotMethod: relief ? 'fifo' : null,
+        lotsRelieved: relief ? relief.relieved : [],
+        realizedGain: relief ? relief.realized.total : 0,
+        realizedShortTerm: relief ? relief.realized.shortTerm : 0,
+        realizedLongTerm: relief ? relief.realized.longTerm : 0,
+        createdAt: new Date(timestamp)
+      };
+
+      lotsBySymbol[trade.symbol] = lotsAfter;
+      cashBalance = cashAfter;
+      firstTradeAt = firstTradeAt || timestamp;
+    });
+
+    const now = new Date().toISOString();
+    Object.entries(lotsBySymbol).forEach(([symbol, lots]) => {
+      const summary = taxLotService.summarizeLots(lots);
+      if (summary.shares <= 0) return;
+      const company = marketDataFixtures.profiles[symbol] || {};
+      documents[`${userPath}/portfolio/demo-${symbol.toLowerCase()}`] = {
+        symbol,
+        name: company.name || symbol,
+        sector: company.sector || 'Unknown',
+        industry: company.industry || 'Unknown',
+        shares: summary.shares,
+        averagePrice: summary.averagePrice,
+        currency: company.currency || 'USD',
+        lots,
+        currentPrice: marketDataFixtures.quotes[symbol]?.price || summary.averagePrice,
+        purchaseDate: lots[0].acquiredAt,
+        lastUpdated: now,
+        riskLevel: 'medium',
+        reason: 'Demo portfolio'
+      };
+    });
+
+    watchlist.forEach(symbol => {
+      const company = marketDataFixtures.profiles[symbol] || {};
+      documents[`${userPath}/watchlist/demo-${symbol.toLowerCase()}`] = {
+        symbol,
+        addedAt: now,
+        addedDate: now,
+        stockData: {
+          symbol,
+          name: company.name || symbol,
+          currentPrice: marketDataFixtures.quotes[symbol]?.price || 0,
+          sector: company.sector || 'Unknown',
+          industry: company.industry || 'Unknown'
+        }
+      };
+    });
+
+    const { startingCash, riskLevel, riskProfile, ...preferences } = profile;
+    documents[userPath] = {
+      ...preferences,
+      email: account.email,
+      createdAt: new Date(firstTradeAt || now),
+      likedStocks: [],
+      cashBalance,
+      realizedGains,
+      dividendIncome: 0,
+      riskProfile,
+      riskLevel,
+      riskProfileCompleted: true,
+      lastRiskUpdate: new Date(firstTradeAt || now)
+    };
+    documents[`${userPath}/riskProfile/current`] = {
+      ...riskProfile,
+      riskLevel,
+      lastRiskUpdate: new Date(firstTradeAt || now)
+    };
+    console.log(`Demo mode: seeded ${trades.length} trades for ${account.email}, $${startingCash} starting cash`);
+
+    return documents;
+  }
+}
+
+export default new DemoModeService();
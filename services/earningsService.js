@@ -0,0 +1,100 @@
+// earningsService.js - Upcoming earnings dates, EPS surprise history and the portfolio's reporting calendar
+import { getEarningsCalendar, getEarningsSurprises } from './finnhubService';
+import marketCalendarService from './marketCalendarService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UPCOMING_LOOKAHEAD_DAYS = 120; // Covers the next report for quarterly filers
+const REPORTING_WINDOW_DAYS = 7; // "This week": today and the six days after
+const HISTORY_QUARTERS = 8;
+const IN_LINE_TOLERANCE = 0.005; // EPS within half a cent of the estimate counts as in line
+
+export const EARNINGS_HOUR_LABELS = {
+  bmo: 'Before open',
+  dmh: 'During market',
+  amc: 'After close'
+};
+
+// Same-day reports in the order they hit the tape; unknown timing last
+const HOUR_ORDER = { bmo: 0, dmh: 1, amc: 2 };
+
+// 'YYYY-MM-DD' New York date `days` after `dateKey`
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+export const getEarningsResult = (surprise) => {
+  if (surprise === null || surprise === undefined) return null;
+  if (Math.abs(surprise) < IN_LINE_TOLERANCE) return 'inline';
+  return surprise > 0 ? 'beat' : 'miss';
+};
+
+class EarningsService {
+  // Whole days from today (New York) until a report date; 0 on the day
+  getDaysUntil(dateKey, today = marketCalendarService.getMarketDateKey(new Date())) {
+    return Math.round((Date.parse(`${dateKey}T12:00:00Z`) - Date.parse(`${today}T12:00:00Z`)) / DAY_MS);
+  }
+
+  sortEvents(events) {
+    return [...events].sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      (HOUR_ORDER[a.hour] ?? 3) - (HOUR_ORDER[b.hour] ?? 3) ||
+      a.symbol.localeCompare(b.symbol)
+    );
+  }
+
+  // Next scheduled report (today or later) with { daysUntil }, or null when none is scheduled or data is unavailable
+  async getNextEarnings(symbol) {
+    const today = marketCalendarService.getMarketDateKey(new Date());
+    const calendar = await getEarningsCalendar(symbol, today, addDays(today, UPCOMING_LOOKAHEAD_DAYS));
+    const next = calendar ? this.sortEvents(calendar.events).find(event => event.date >= today) : null;
+    return next ? { ...next, daysUntil: this.getDaysUntil(next.date, today), source: calendar.label } : null;
+  }
+
+  // Reported quarters with beat/miss tallies: { surprises (newest first, each with result), beats, misses, inLine,
+  // beatRate (0-100), averageSurprisePercent, source }, or null when no provider has history
+  async getEarningsHistory(symbol) {
+    const history = await getEarningsSurprises(symbol, HISTORY_QUARTERS);
+    if (!history || history.surprises.length === 0) return null;
+
+    const surprises = history.surprises.map(quarter => ({ ...quarter, result: getEarningsResult(quarter.surprise) }));
+    const scored = surprises.filter(quarter => quarter.result);
+    const percents = surprises.map(quarter => quarter.surprisePercent).filter(percent => percent !== null);
+    const beats = scored.filter(quarter => quarter.result === 'beat').length;
+
+    return {
+      surprises,
+      beats,
+      misses: scored.filter(quarter => quarter.result === 'miss').length,
+      inLine: scored.filter(quarter => quarter.result === 'inline').length,
+      beatRate: scored.length > 0 ? Math.round((beats / scored.length) * 100) : null,
+      averageSurprisePercent: percents.length > 0
+        ? Math.round((percents.reduce((sum, percent) => sum + percent, 0) / percents.length) * 100) / 100
+        : null,
+      source: history.label
+    };
+  }
+
+  // Both halves for a details screen; either may be null
+  async getEarningsSummary(symbol) {
+    const [next, history] = await Promise.all([
+      this.getNextEarnings(symbol).catch(() => null),
+      this.getEarningsHistory(symbol).catch(() => null)
+    ]);
+    return { next, history };
+  }
+
+  // Reports from `symbols` due today through the next six days, in reporting order with { daysUntil }.
+  // Resolves to null when no provider could answer (as opposed to [] for a quiet week).
+  async getReportingThisWeek(symbols) {
+    if (!symbols || symbols.length === 0) return [];
+    const today = marketCalendarService.getMarketDateKey(new Date());
+    const calendar = await getEarningsCalendar(symbols, today, addDays(today, REPORTING_WINDOW_DAYS - 1), {
+      priority: 'portfolio',
+      owner: 'dashboard'
+    });
+    if (!calendar) return null;
+
+    return this.sortEvents(calendar.events.filter(event => event.date >= today))
+      .map(event => ({ ...event, daysUntil: this.getDaysUntil(event.date, today) }));
+  }
+}
+
+export default new EarningsService();
@@ -1,14 +1,34 @@
 // finnhubService.js - Smart Caching & Queue System for API Optimization
 import Constants from 'expo-constants';
+import persistentCacheService from './persistentCacheService';
+import marketCalendarService from './marketCalendarService';
+import marketDataService from './marketDataService';
+import rateLimiterService from './rateLimiterService';
+import demoModeService from './demoModeService';
+import assetClassService, { isCryptoSymbol } from './assetClassService';
+import {
+  buildQuote,
+  buildProfile,
+  buildCandle,
+  buildSplit,
+  buildDividend,
+  buildSearchResult,
+  buildNewsArticle,
+  buildEarningsEvent,
+  buildEarningsSurprise,
+  toFiniteNumber,
+  toIsoDate,
+  formatMarketCap,
+  isIntradayResolution
+} from './marketDataProviders';
 
 const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
 const FINNHUB_API_KEY = extra?.EXPO_PUBLIC_FINNHUB_API_KEY || process.env.EXPO_PUBLIC_FINNHUB_API_KEY;
 const FINNHUB_BASE = 'https://finnhub.io/api/v1';
+// Override to point the quote stream at a local mock server (see mock-finnhub-ws.js)
+const FINNHUB_WS_URL = extra?.EXPO_PUBLIC_FINNHUB_WS_URL || process.env.EXPO_PUBLIC_FINNHUB_WS_URL || 'wss://ws.finnhub.io';
 
-// Smart caching and queue system
-let apiLimitReached = false;
-let lastApiCall = 0;
-const MIN_API_INTERVAL = 1000; // 1 second between calls to respect rate limits
+// Smart caching and queue system (pacing is rateLimiterService's job)
 const priceCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes for regular cache
 const PRIORITY_CACHE_DURATION = 2 * 60 * 1000; // 2 minutes for user-viewed stocks
@@ -24,21 +44,32 @@ const MAX_QUEUE_SIZE = 50; // Prevent queue from growing too large
 const userViewedStocks = new Set();
 const lastViewedTime = new Map();
 
-// Rate limiting with better performance
-const waitForRateLimit = () => {
-  const now = Date.now();
-  const timeSinceLastCall = now - lastApiCall;
-  if (timeSinceLastCall < MIN_API_INTERVAL) {
-    const waitTime = MIN_API_INTERVAL - timeSinceLastCall;
-    return new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-  return Promise.resolve();
-};
+// Listeners notified whenever a fresh quote arrives (order evaluation, etc.)
+const quoteListeners = new Set();
 
-const ensureKey = () => {
-  if (!FINNHUB_API_KEY) {
-    throw new Error('Finnhub API key not configured');
-  }
+// Streaming quotes over Finnhub's trade WebSocket
+const STREAM_RECONNECT_BASE_DELAY = 1000;
+const STREAM_RECONNECT_MAX_DELAY = 30 * 1000;
+const STREAM_STALE_TIMEOUT = 60 * 1000; // Finnhub pings idle connections, so silence this long means a dead socket
+const STREAM_FALLBACK_AFTER_FAILURES = 2; // Start REST polling after this many failed connection attempts
+const STREAM_FALLBACK_INTERVAL = 60 * 1000;
+const STREAM_IDLE_CLOSE_DELAY = 10 * 1000; // Keep the socket briefly after the last subscriber leaves (screen switches)
+const STREAM_EMIT_INTERVAL = 1000; // Ticks are batched so screens re-render at most once a second
+const streamState = {
+  url: FINNHUB_WS_URL,
+  WebSocketImpl: typeof WebSocket !== 'undefined' ? WebSocket : null,
+  socket: null,
+  status: 'idle', // 'idle', 'connecting', 'open', 'reconnecting' or 'fallback'
+  symbolRefCounts: new Map(),
+  subscribers: new Set(),
+  pendingTicks: new Map(),
+  reconnectAttempts: 0,
+  lastMessageAt: null,
+  reconnectTimer: null,
+  staleTimer: null,
+  idleTimer: null,
+  fallbackTimer: null,
+  emitTimer: null
 };
 
 // Smart cache helper functions
@@ -46,7 +77,8 @@ const getCachedPrice = (symbol, isPriority = false) => {
   const cached = priceCache.get(symbol);
   if (cached) {
     const cacheAge = Date.now() - cached.timestamp;
-    const maxAge = isPriority ? PRIORITY_CACHE_DURATION : CACHE_DURATION;
+    // Prices barely move outside the regular session, so cached data lasts longer
+    const maxAge = marketCalendarService.getPollInterval(isPriority ? PRIORITY_CACHE_DURATION : CACHE_DURATION, symbol);
     
     if (cacheAge < maxAge) {
       console.log(`Using cached price for ${symbol}: $${cached.data.price}`);
@@ -58,10 +90,11 @@ const getCachedPrice = (symbol, isPriority = false) => {
   return null;
 };
 
-const setCachedPrice = (symbol, data, isPriority = false) => {
+// Writes through to the persistent tier unless the data came from it
+const setCachedPrice = (symbol, data, isPriority = false, { timestamp = Date.now(), persist = true } = {}) => {
   priceCache.set(symbol, {
     data,
-    timestamp: Date.now(),
+    timestamp,
     isPriority
   });
   
@@ -70,30 +103,61 @@ const setCachedPrice = (symbol, data, isPriority = false) => {
     const firstKey = priceCache.keys().next().value;
     priceCache.delete(firstKey);
   }
+
+  if (persist) {
+    persistentCacheService.set(getCacheType(symbol), symbol, data, timestamp);
+  }
 };
 
-// Optimized JSON fetching with request deduplication
-const getJson = async (url) => {
-  // Check if API limit was reached
-  if (apiLimitReached) {
-    throw new Error('API_LIMIT_REACHED');
+// Persistent cache type (TTL class) from the memory cache key
+const getCacheType = (cacheKey) => {
+  if (cacheKey.startsWith('profile-')) return 'profile';
+  if (['fundamentals-', 'actions-', 'search-', 'earnings-', 'surprises-', 'fx-'].some(prefix => cacheKey.startsWith(prefix))) return 'metrics';
+  if (cacheKey.startsWith('news-')) return 'news';
+  if (cacheKey.startsWith('history-')) {
+    return isIntradayResolution(cacheKey.split('-').pop()) ? 'intradayCandles' : 'candles';
   }
-  
+  return 'quote';
+};
+
+// Memory cache first, then the persistent tier. Fresh persisted data is served as-is; stale data is
+// served (objects flagged `stale: true`) while `fetcher` refreshes it in the background; misses wait for `fetcher`.
+const getWithPersistentCache = async (cacheKey, fetcher, { isPriority = false, onRevalidated = null } = {}) => {
+  const cached = getCachedPrice(cacheKey, isPriority);
+  if (cached) {
+    return cached;
+  }
+
+  const persisted = await persistentCacheService.get(getCacheType(cacheKey), cacheKey);
+  if (persisted && !persisted.isStale) {
+    setCachedPrice(cacheKey, persisted.data, isPriority, { timestamp: persisted.storedAt, persist: false });
+    return persisted.data;
+  }
+
+  if (persisted) {
+    console.log(`Serving stale ${cacheKey} from ${new Date(persisted.storedAt).toLocaleString()}, revalidating`);
+    persistentCacheService.revalidate(cacheKey, fetcher).then(fresh => {
+      if (fresh && onRevalidated) onRevalidated(fresh);
+    });
+    return Array.isArray(persisted.data) ? persisted.data : { ...persisted.data, stale: true };
+  }
+
+  return fetcher();
+};
+
+// JSON fetching with request deduplication. Requests queue in the shared rate limiter under
+// `priority` ('interactive', 'portfolio' or 'background') and `owner` (the screen or feature asking).
+const getJson = async (url, { priority, owner } = {}) => {
   // Request deduplication - if same request is pending, wait for it
   if (pendingRequests.has(url)) {
     return pendingRequests.get(url);
   }
   
-  // Rate limiting
-  await waitForRateLimit();
-  lastApiCall = Date.now();
-  
   // Create promise for this request
-  const requestPromise = fetch(url).then(async (res) => {
-    // Handle API limit responses
+  const requestPromise = rateLimiterService.fetch('finnhub', url, {}, { priority, owner }).then(async (res) => {
+    // Handle API limit responses (the limiter has already paused on a 429); 403 is a plan restriction
     if (res.status === 429 || res.status === 403) {
-      console.warn('Finnhub API limit reached');
-      apiLimitReached = true;
+      console.warn(`Finnhub API limit reached (HTTP ${res.status})`);
       throw new Error('API_LIMIT_REACHED');
     }
     
@@ -118,6 +182,336 @@ const getJson = async (url) => {
   }
 };
 
+// Subscribe to fresh quotes as they arrive from the API
+export const subscribeToQuotes = (listener) => {
+  quoteListeners.add(listener);
+  return () => quoteListeners.delete(listener);
+};
+
+const notifyQuoteListeners = (quote) => {
+  quoteListeners.forEach(listener => {
+    try {
+      listener(quote);
+    } catch (error) {
+      console.error('Quote listener error:', error);
+    }
+  });
+};
+
+// Point the quote stream at another server or WebSocket implementation (local mock server, tests)
+export const configureQuoteStream = ({ url, WebSocketImpl } = {}) => {
+  if (url) streamState.url = url;
+  if (WebSocketImpl) streamState.WebSocketImpl = WebSocketImpl;
+
+  if (streamState.socket) {
+    closeStreamSocket();
+    connectQuoteStream();
+  }
+};
+
+// Stream live quotes for `symbols` to `listener`. Each call is one subscription (typically a screen);
+// symbols are ref-counted across subscriptions so the socket only carries what someone is watching.
+// Returns a function that releases the subscription.
+export const streamQuotes = (symbols, listener) => {
+  const subscriber = {
+    symbols: new Set((symbols || []).map(s => (s || '').toUpperCase().trim()).filter(Boolean)),
+    listener
+  };
+  streamState.subscribers.add(subscriber);
+
+  if (streamState.idleTimer) {
+    clearTimeout(streamState.idleTimer);
+    streamState.idleTimer = null;
+  }
+
+  subscriber.symbols.forEach(symbol => {
+    const count = streamState.symbolRefCounts.get(symbol) || 0;
+    streamState.symbolRefCounts.set(symbol, count + 1);
+    if (count === 0) {
+      sendStreamMessage('subscribe', symbol);
+    }
+  });
+  connectQuoteStream();
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    streamState.subscribers.delete(subscriber);
+
+    subscriber.symbols.forEach(symbol => {
+      const count = (streamState.symbolRefCounts.get(symbol) || 1) - 1;
+      if (count > 0) {
+        streamState.symbolRefCounts.set(symbol, count);
+      } else {
+        streamState.symbolRefCounts.delete(symbol);
+        streamState.pendingTicks.delete(symbol);
+        sendStreamMessage('unsubscribe', symbol);
+      }
+    });
+
+    if (streamState.symbolRefCounts.size === 0) {
+      stopStreamFallback();
+      streamState.idleTimer = setTimeout(() => {
+        streamState.idleTimer = null;
+        if (streamState.symbolRefCounts.size === 0) {
+          closeStreamSocket();
+          setStreamStatus('idle');
+        }
+      }, STREAM_IDLE_CLOSE_DELAY);
+    }
+  };
+};
+
+// Connection state for debugging and "live" indicators
+export const getQuoteStreamStatus = () => ({
+  status: streamState.status,
+  symbols: Array.from(streamState.symbolRefCounts.keys()),
+  subscribers: streamState.subscribers.size,
+  reconnectAttempts: streamState.reconnectAttempts,
+  lastMessageAt: streamState.lastMessageAt
+});
+
+const setStreamStatus = (status) => {
+  if (streamState.status !== status) {
+    console.log(`Quote stream: ${streamState.status} -> ${status}`);
+    streamState.status = status;
+  }
+};
+
+const sendStreamMessage = (type, symbol) => {
+  const socket = streamState.socket;
+  if (socket && socket.readyState === 1) { // OPEN
+    socket.send(JSON.stringify({ type, symbol }));
+  }
+};
+
+const connectQuoteStream = () => {
+  if (streamState.socket || streamState.reconnectTimer || streamState.symbolRefCounts.size === 0) return;
+
+  // No key, demo mode or no WebSocket support: polling is the only option
+  if (!FINNHUB_API_KEY || demoModeService.enabled || !streamState.WebSocketImpl) {
+    startStreamFallback();
+    return;
+  }
+
+  setStreamStatus(streamState.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+  let socket;
+  try {
+    socket = new streamState.WebSocketImpl(`${streamState.url}?token=${FINNHUB_API_KEY}`);
+  } catch (error) {
+    console.warn('Quote stream connection failed:', error.message);
+    scheduleStreamReconnect();
+    return;
+  }
+  streamState.socket = socket;
+
+  socket.onopen = () => {
+    if (streamState.socket !== socket) return;
+    console.log(`Quote stream connected, subscribing ${streamState.symbolRefCounts.size} symbols`);
+    streamState.reconnectAttempts = 0;
+    setStreamStatus('open');
+    stopStreamFallback();
+    streamState.symbolRefCounts.forEach((count, symbol) => sendStreamMessage('subscribe', symbol));
+    markStreamAlive();
+  };
+
+  socket.onmessage = (event) => {
+    if (streamState.socket !== socket) return;
+    handleStreamMessage(event.data);
+  };
+
+  socket.onerror = (error) => {
+    console.warn('Quote stream error:', error?.message || 'connection error');
+  };
+
+  socket.onclose = () => {
+    // Sockets we closed on purpose have already been detached
+    if (streamState.socket !== socket) return;
+    streamState.socket = null;
+    clearTimeout(streamState.staleTimer);
+
+    if (streamState.symbolRefCounts.size > 0) {
+      scheduleStreamReconnect();
+    } else {
+      setStreamStatus('idle');
+    }
+  };
+};
+
+// Exponential backoff with jitter; REST polling covers the gap once reconnects keep failing
+const scheduleStreamReconnect = () => {
+  streamState.reconnectAttempts += 1;
+  const delay = Math.min(
+    STREAM_RECONNECT_MAX_DELAY,
+    STREAM_RECONNECT_BASE_DELAY * Math.pow(2, streamState.reconnectAttempts - 1)
+  ) * (0.5 + Math.random() * 0.5);
+
+  if (streamState.reconnectAttempts >= STREAM_FALLBACK_AFTER_FAILURES) {
+    startStreamFallback();
+  } else {
+    setStreamStatus('reconnecting');
+  }
+
+  console.log(`Quote stream reconnecting in ${Math.round(delay)}ms (attempt ${streamState.reconnectAttempts})`);
+  streamState.reconnectTimer = setTimeout(() => {
+    streamState.reconnectTimer = null;
+    connectQuoteStream();
+  }, delay);
+};
+
+const closeStreamSocket = () => {
+  const socket = streamState.socket;
+  streamState.socket = null;
+  clearTimeout(streamState.staleTimer);
+  clearTimeout(streamState.reconnectTimer);
+  streamState.reconnectTimer = null;
+  streamState.reconnectAttempts = 0;
+  if (socket) {
+    try {
+      socket.close();
+    } catch (error) {
+      console.warn('Error closing quote stream:', error.message);
+    }
+  }
+};
+
+// Any message (trades or pings) proves the connection is alive
+const markStreamAlive = () => {
+  streamState.lastMessageAt = Date.now();
+  clearTimeout(streamState.staleTimer);
+  streamState.staleTimer = setTimeout(() => {
+    console.warn('Quote stream went silent, reconnecting');
+    const socket = streamState.socket;
+    streamState.socket = null;
+    if (socket) {
+      try {
+        socket.close();
+      } catch {
+        // Already closed
+      }
+    }
+    scheduleStreamReconnect();
+  }, STREAM_STALE_TIMEOUT);
+};
+
+const handleStreamMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return; // Not JSON; ignore
+  }
+  markStreamAlive();
+
+  if (message.type === 'error') {
+    console.warn('Quote stream error message:', message.msg);
+    return;
+  }
+  if (message.type !== 'trade' || !Array.isArray(message.data)) return;
+
+  message.data.forEach(trade => {
+    const symbol = trade.s;
+    const price = parseFloat(trade.p);
+    if (!symbol || !(price > 0) || !streamState.symbolRefCounts.has(symbol)) return;
+
+    const pending = streamState.pendingTicks.get(symbol);
+    streamState.pendingTicks.set(symbol, {
+      price,
+      volume: (pending?.volume || 0) + (parseFloat(trade.v) || 0),
+      tradeTime: trade.t || Date.now()
+    });
+  });
+
+  if (!streamState.emitTimer && streamState.pendingTicks.size > 0) {
+    streamState.emitTimer = setTimeout(emitStreamTicks, STREAM_EMIT_INTERVAL);
+  }
+};
+
+// Merge the latest trade into the cached quote so day change/range stay meaningful
+const buildStreamedQuote = (symbol, tick) => {
+  const cached = priceCache.get(symbol)?.data;
+  const previousClose = cached?.previousClose || 0;
+  const change = previousClose > 0 ? tick.price - previousClose : (cached?.change || 0);
+
+  return {
+    open: 0,
+    previousClose: 0,
+    ...cached,
+    symbol,
+    price: tick.price,
+    currentPrice: tick.price,
+    change,
+    changePercent: previousClose > 0 ? (change / previousClose) * 100 : (cached?.changePercent || 0),
+    high: Math.max(cached?.high || 0, tick.price),
+    low: cached?.low > 0 ? Math.min(cached.low, tick.price) : tick.price,
+    volume: (cached?.volume || 0) + tick.volume,
+    timestamp: Date.now(),
+    tradeTime: tick.tradeTime,
+    source: 'stream'
+  };
+};
+
+const emitStreamTicks = () => {
+  streamState.emitTimer = null;
+  const ticks = Array.from(streamState.pendingTicks.entries());
+  streamState.pendingTicks.clear();
+
+  ticks.forEach(([symbol, tick]) => {
+    const quote = buildStreamedQuote(symbol, tick);
+    setCachedPrice(symbol, quote, true);
+    notifyQuoteListeners(quote);
+    deliverToStreamSubscribers(quote);
+  });
+};
+
+const deliverToStreamSubscribers = (quote) => {
+  streamState.subscribers.forEach(subscriber => {
+    if (!subscriber.symbols.has(quote.symbol)) return;
+    try {
+      subscriber.listener(quote);
+    } catch (error) {
+      console.error('Quote stream listener error:', error);
+    }
+  });
+};
+
+// REST polling while the socket is unavailable
+const startStreamFallback = () => {
+  if (streamState.fallbackTimer || streamState.symbolRefCounts.size === 0) return;
+  setStreamStatus('fallback');
+
+  const poll = async () => {
+    const symbols = Array.from(streamState.symbolRefCounts.keys());
+    if (symbols.length === 0) return;
+    try {
+      const quotes = await getMultipleQuotes(symbols);
+      quotes.forEach(deliverToStreamSubscribers);
+    } catch (error) {
+      console.warn('Quote fallback polling failed:', error.message);
+    }
+  };
+
+  // Re-armed after each poll so the interval follows the market session
+  const schedule = () => {
+    const timer = setTimeout(async () => {
+      await poll();
+      if (streamState.fallbackTimer === timer) schedule();
+    }, marketCalendarService.getPollInterval(STREAM_FALLBACK_INTERVAL, Array.from(streamState.symbolRefCounts.keys())));
+    streamState.fallbackTimer = timer;
+  };
+  schedule();
+  poll();
+};
+
+const stopStreamFallback = () => {
+  if (streamState.fallbackTimer) {
+    clearTimeout(streamState.fallbackTimer);
+    streamState.fallbackTimer = null;
+  }
+};
+
 // Mark stock as user-viewed for priority updates
 export const markStockAsViewed = (symbol) => {
   userViewedStocks.add(symbol);
@@ -169,7 +563,7 @@ const processUpdateQueue = async () => {
   isProcessingQueue = true;
   
   try {
-    while (updateQueue.length > 0 && !apiLimitReached) {
+    while (updateQueue.length > 0 && !rateLimiterService.isPaused('finnhub')) {
       const item = updateQueue.shift();
       
       try {
@@ -181,11 +575,7 @@ const processUpdateQueue = async () => {
         }
         
         console.log(`Updating ${item.symbol} (${item.priority ? 'priority' : 'queue'})`);
-        await getStockQuote(item.symbol);
-        
-        // Wait between requests to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, MIN_API_INTERVAL));
-        
+        await getStockQuote(item.symbol, { priority: item.priority ? 'interactive' : 'portfolio', owner: 'updateQueue' });
       } catch (error) {
         if (error.message === 'API_LIMIT_REACHED') {
           console.log('API limit reached, stopping queue processing');
@@ -199,15 +589,188 @@ const processUpdateQueue = async () => {
     
     // Schedule next processing if queue has items
     if (updateQueue.length > 0) {
-      setTimeout(processUpdateQueue, QUEUE_PROCESS_INTERVAL);
+      setTimeout(processUpdateQueue, marketCalendarService.getPollInterval(QUEUE_PROCESS_INTERVAL, updateQueue.map(item => item.symbol)));
     }
   }
 };
 
-// Enhanced stock quote with smart caching
-export const getStockQuote = async (symbol) => {
-  ensureKey();
-  
+// Finnhub as a market-data provider (interface in marketDataProviders.js). Other providers take over
+// through marketDataService when it's rate limited or failing.
+export const finnhubProvider = {
+  id: 'finnhub',
+  label: 'Finnhub',
+  live: true,
+  capabilities: ['quote', 'profile', 'fundamentals', 'candles', 'splits', 'dividends', 'news', 'earnings', 'earningsSurprises', 'search'],
+  isConfigured: () => !!FINNHUB_API_KEY,
+
+  async fetchQuote(sym, lane) {
+    const data = await getJson(`${FINNHUB_BASE}/quote?symbol=${sym}&token=${FINNHUB_API_KEY}`, lane);
+    if (!data || data.c === undefined) {
+      console.error(`Invalid quote data for ${sym}:`, data);
+      return null;
+    }
+
+    const quote = buildQuote(sym, {
+      price: data.c,
+      change: data.d,
+      changePercent: data.dp,
+      high: data.h,
+      low: data.l,
+      open: data.o,
+      previousClose: data.pc,
+      volume: data.v
+    }, 'finnhub');
+
+    // Validate the quote data
+    if (quote.price <= 0) {
+      console.warn(`Invalid price for ${sym}: ${quote.price}`);
+      console.warn(`Raw API data for ${sym}:`, data);
+
+      // For some stocks, try using previous close or open price as fallback
+      const fallbackPrice = parseFloat(data.pc) || parseFloat(data.o) || 0;
+      if (fallbackPrice <= 0) {
+        return null;
+      }
+      console.log(`Using fallback price for ${sym}: $${fallbackPrice}`);
+      quote.price = fallbackPrice;
+      quote.currentPrice = fallbackPrice;
+    }
+    return quote;
+  },
+
+  async fetchProfile(sym, lane) {
+    const data = await getJson(`${FINNHUB_BASE}/stock/profile2?symbol=${sym}&token=${FINNHUB_API_KEY}`, lane);
+    if (!data || !data.name) return null;
+    return buildProfile(sym, {
+      name: data.name,
+      sector: data.finnhubIndustry,
+      industry: data.finnhubIndustry,
+      marketCapitalization: data.marketCapitalization, // Millions
+      country: data.country,
+      currency: data.currency,
+      exchange: data.exchange,
+      ipo: data.ipo
+    }, 'finnhub');
+  },
+
+  // /stock/metric for ratios, the profile for market cap when the metric map lacks it
+  async fetchFundamentals(sym, lane) {
+    const [data, profile] = await Promise.all([
+      getJson(`${FINNHUB_BASE}/stock/metric?symbol=${sym}&metric=all&token=${FINNHUB_API_KEY}`, lane),
+      getCompanyProfile(sym, lane)
+    ]);
+    const metric = data?.metric || {};
+    if (Object.keys(metric).length === 0) return null;
+
+    const pick = (...keys) => {
+      const key = keys.find(k => metric[k] !== undefined && metric[k] !== null);
+      return key ? toFiniteNumber(metric[key]) : null;
+    };
+    const marketCap = pick('marketCapitalization') || profile?.marketCapitalization || null;
+    const dividendYield = pick('dividendYieldIndicatedAnnual', 'currentDividendYieldTTM');
+
+    return {
+      asOf: new Date().toISOString(),
+      values: {
+        marketCap: marketCap > 0 ? marketCap : null,
+        peRatio: pick('peTTM', 'peBasicExclExtraTTM'),
+        dividendYield: dividendYield !== null && dividendYield >= 0 ? dividendYield : null,
+        eps: pick('epsTTM', 'epsBasicExclExtraItemsTTM'),
+        beta: pick('beta')
+      }
+    };
+  },
+
+  // Crypto pairs (BINANCE:BTCUSDT) have their own candle endpoint
+  async fetchCandles(symbol, { from, to, resolution = 'D', ...lane }) {
+    const endpoint = isCryptoSymbol(symbol) ? 'crypto/candle' : 'stock/candle';
+    const data = await getJson(`${FINNHUB_BASE}/${endpoint}?symbol=${symbol}&resolution=${resolution}&from=${from}&to=${to}&token=${FINNHUB_API_KEY}`, lane);
+    if (!data || data.s !== 'ok' || !data.t || !data.c) return null;
+    return data.t.map((timestamp, index) => buildCandle(
+      timestamp,
+      data.o[index],
+      data.h[index],
+      data.l[index],
+      data.c[index],
+      data.v[index]
+    ));
+  },
+
+  async fetchSplits(symbol, { from, to, ...lane }) {
+    const data = await getJson(`${FINNHUB_BASE}/stock/split?symbol=${symbol}&from=${toIsoDate(from)}&to=${toIsoDate(to)}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data)) return null;
+    return data
+      .map(split => buildSplit(symbol, split.date, split.fromFactor, split.toFactor))
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  // `amount` is the cash actually paid per share; `adjustedAmount` is restated for later splits
+  async fetchDividends(symbol, { from, to, ...lane }) {
+    const data = await getJson(`${FINNHUB_BASE}/stock/dividend?symbol=${symbol}&from=${toIsoDate(from)}&to=${toIsoDate(to)}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data)) return null;
+    return data
+      .map(dividend => buildDividend(symbol, {
+        exDate: dividend.date,
+        payDate: dividend.payDate,
+        amount: dividend.amount,
+        currency: dividend.currency
+      }))
+      .filter(Boolean)
+      .sort((a, b) => a.exDate.localeCompare(b.exDate));
+  },
+
+  async fetchNews(symbol, { from, to, ...lane }) {
+    const data = await getJson(`${FINNHUB_BASE}/company-news?symbol=${symbol}&from=${toIsoDate(from)}&to=${toIsoDate(to)}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data)) return null;
+    return data
+      .map(article => buildNewsArticle(symbol, {
+        id: article.id,
+        headline: article.headline,
+        summary: article.summary,
+        source: article.source,
+        url: article.url,
+        image: article.image,
+        publishedAt: article.datetime
+      }, 'finnhub'))
+      .filter(Boolean);
+  },
+
+  // Without a symbol Finnhub lists every company reporting in the range
+  async fetchEarningsCalendar(symbol, { from, to, ...lane }) {
+    const symbolParam = symbol ? `&symbol=${symbol}` : '';
+    const data = await getJson(`${FINNHUB_BASE}/calendar/earnings?from=${toIsoDate(from)}&to=${toIsoDate(to)}${symbolParam}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data?.earningsCalendar)) return null;
+    return data.earningsCalendar
+      .map(event => buildEarningsEvent(event.symbol, event, 'finnhub'))
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  async fetchEarningsSurprises(symbol, { limit = 8, ...lane } = {}) {
+    const data = await getJson(`${FINNHUB_BASE}/stock/earnings?symbol=${symbol}&limit=${limit}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data)) return null;
+    return data
+      .map(quarter => buildEarningsSurprise(symbol, quarter))
+      .filter(Boolean)
+      .sort((a, b) => b.period.localeCompare(a.period));
+  },
+
+  // International listings come back with an exchange suffix (SHOP.TO) that becomes their exchange badge
+  async searchSymbols(query, lane) {
+    const data = await getJson(`${FINNHUB_BASE}/search?q=${encodeURIComponent(query)}&token=${FINNHUB_API_KEY}`, lane);
+    if (!Array.isArray(data?.result)) return null;
+    return data.result
+      .filter(match => match.symbol)
+      .slice(0, 20)
+      .map(match => buildSearchResult(match.symbol, { name: match.description, type: match.type }, 'finnhub'));
+  }
+};
+marketDataService.registerProvider(finnhubProvider, { prepend: true });
+
+// Enhanced stock quote with smart caching. Stocks the user is viewing queue as interactive requests,
+// everything else as portfolio refreshes, unless `priority` says otherwise.
+export const getStockQuote = async (symbol, { priority, owner = 'quotes' } = {}) => {
   const sym = (symbol || '').toUpperCase().trim();
   if (!sym) {
     throw new Error('Symbol is required for stock quote');
@@ -216,60 +779,32 @@ export const getStockQuote = async (symbol) => {
   // Check if user has viewed this stock recently
   const isPriority = userViewedStocks.has(sym);
   
-  // Check cache first
-  const cached = getCachedPrice(sym, isPriority);
-  if (cached) {
-    return cached;
-  }
-  
+  // Revalidated quotes reach open screens through the stream subscribers
+  const lane = { priority: priority || (isPriority ? 'interactive' : 'portfolio'), owner };
+  return getWithPersistentCache(sym, () => fetchStockQuote(sym, isPriority, lane), {
+    isPriority,
+    onRevalidated: deliverToStreamSubscribers
+  });
+};
+
+// Fresh quote from the first provider that has one; cached and broadcast to quote listeners
+const fetchStockQuote = async (sym, isPriority, lane) => {
   console.log(`Fetching fresh quote for ${sym}...`);
   
   try {
-    const url = `${FINNHUB_BASE}/quote?symbol=${sym}&token=${FINNHUB_API_KEY}`;
-    const data = await getJson(url);
-    
-    if (data && data.c !== undefined) {
-      const quote = {
-        symbol: sym,
-        price: parseFloat(data.c) || 0,
-        currentPrice: parseFloat(data.c) || 0,
-        change: parseFloat(data.d) || 0,
-        changePercent: parseFloat(data.dp) || 0,
-        high: parseFloat(data.h) || 0,
-        low: parseFloat(data.l) || 0,
-        open: parseFloat(data.o) || 0,
-        previousClose: parseFloat(data.pc) || 0,
-        volume: parseInt(data.v) || 0,
-        timestamp: Date.now()
-      };
-      
-      // Validate the quote data
-      if (quote.price <= 0) {
-        console.warn(`Invalid price for ${sym}: ${quote.price}`);
-        console.warn(`Raw API data for ${sym}:`, data);
-        
-        // For some stocks, try using previous close or open price as fallback
-        const fallbackPrice = parseFloat(data.pc) || parseFloat(data.o) || 0;
-        if (fallbackPrice > 0) {
-          console.log(`Using fallback price for ${sym}: $${fallbackPrice}`);
-          quote.price = fallbackPrice;
-          quote.currentPrice = fallbackPrice;
-        } else {
-          console.warn(`Skipping ${sym} - no valid price available`);
-          return null; // Return null instead of throwing error
-        }
-      }
-      
-      console.log(`✅ Quote for ${sym}: $${quote.price} (${quote.changePercent >= 0 ? '+' : ''}${quote.changePercent.toFixed(2)}%)`);
-      
-      // Cache the result
-      setCachedPrice(sym, quote, isPriority);
-      return quote;
-    } else {
-      console.error(`Invalid quote data for ${sym}:`, data);
-      console.warn(`Skipping ${sym} - invalid quote data received`);
+    const result = await marketDataService.request('quote', sym, lane);
+    if (!result) {
+      console.warn(`Skipping ${sym} - no valid quote from any provider`);
       return null; // Return null instead of throwing error
     }
+    
+    const quote = result.data;
+    console.log(`✅ Quote for ${sym} from ${result.provider.label}: $${quote.price} (${quote.changePercent >= 0 ? '+' : ''}${quote.changePercent.toFixed(2)}%)`);
+    
+    // Cache the result
+    setCachedPrice(sym, quote, isPriority);
+    notifyQuoteListeners(quote);
+    return quote;
   } catch (error) {
     if (error.message === 'API_LIMIT_REACHED') {
       // Queue this request for later
@@ -282,8 +817,8 @@ export const getStockQuote = async (symbol) => {
   }
 };
 
-// Smart multiple quotes - only fetch what's needed
-export const getMultipleQuotes = async (symbols) => {
+// Smart multiple quotes - only fetch what's needed. `lane` ({ priority, owner }) applies to every fetch.
+export const getMultipleQuotes = async (symbols, lane = {}) => {
   if (!symbols || symbols.length === 0) {
     return [];
   }
@@ -309,7 +844,7 @@ export const getMultipleQuotes = async (symbols) => {
     
     for (const symbol of symbolsToFetch) {
       try {
-        const quote = await getStockQuote(symbol);
+        const quote = await getStockQuote(symbol, lane);
         if (quote) { // Only add if quote is valid (not null)
           quotes.push(quote);
         } else {
@@ -333,201 +868,102 @@ export const getMultipleQuotes = async (symbols) => {
   return validQuotes;
 };
 
+export { formatMarketCap };
+
 // Get company profile with caching
-export const getCompanyProfile = async (symbol) => {
-  ensureKey();
-  
+export const getCompanyProfile = async (symbol, { priority = 'interactive', owner = 'profile' } = {}) => {
   const sym = (symbol || '').toUpperCase().trim();
   if (!sym) {
     throw new Error('Symbol is required for company profile');
   }
   
   const cacheKey = `profile-${sym}`;
-  const cached = getCachedPrice(cacheKey);
-  if (cached) {
-    return cached;
+  return getWithPersistentCache(cacheKey, () => fetchCompanyProfile(sym, cacheKey, { priority, owner }));
+};
+
+const fetchCompanyProfile = async (sym, cacheKey, lane) => {
+  // Company profiles don't cover funds or crypto pairs, so bundled metadata stands in for them
+  const instrument = assetClassService.getInstrumentProfile(sym);
+  if (instrument && isCryptoSymbol(sym)) {
+    const profile = buildProfile(sym, instrument, 'instruments');
+    setCachedPrice(cacheKey, profile);
+    return profile;
   }
-  
+
   try {
-    const url = `${FINNHUB_BASE}/stock/profile2?symbol=${sym}&token=${FINNHUB_API_KEY}`;
-    const data = await getJson(url);
-    
-    if (data && data.name) {
-      const profile = {
-        symbol: sym,
-        name: data.name,
-        sector: data.finnhubIndustry || 'Unknown',
-        industry: data.finnhubIndustry || 'Unknown',
-        marketCap: data.marketCapitalization ? `${(data.marketCapitalization / 1000000000).toFixed(1)}B` : 'N/A',
-        marketCapitalization: data.marketCapitalization, // Keep raw value for financial calculations
-        country: data.country || 'Unknown',
-        currency: data.currency || 'USD',
-        exchange: data.exchange || 'Unknown',
-        ipo: data.ipo || 'N/A',
-        timestamp: Date.now()
-      };
-      
-      setCachedPrice(cacheKey, profile);
-      return profile;
-    } else {
-      return {
-        symbol: sym,
-        name: sym,
-        sector: 'Unknown',
-        industry: 'Unknown',
-        marketCap: 'N/A',
-        country: 'Unknown',
-        currency: 'USD',
-        exchange: 'Unknown',
-        ipo: 'N/A',
-        timestamp: Date.now()
-      };
+    const result = await marketDataService.request('profile', sym, lane);
+    if (result) {
+      setCachedPrice(cacheKey, result.data);
+      return result.data;
     }
   } catch (error) {
-    console.error(`Error fetching company profile for ${sym}:`, error);
-    return {
-      symbol: sym,
-      name: sym,
-      sector: 'Unknown',
-      industry: 'Unknown',
-      marketCap: 'N/A',
-      country: 'Unknown',
-      currency: 'USD',
-      exchange: 'Unknown',
-      ipo: 'N/A',
-      timestamp: Date.now()
-    };
+    console.error(`Error fetching company profile for ${sym}:`, error.message);
   }
-};
 
-// Get company financials with caching
-export const getCompanyFinancials = async (symbol) => {
-  ensureKey();
+  if (instrument) {
+    const profile = buildProfile(sym, instrument, 'instruments');
+    setCachedPrice(cacheKey, profile);
+    return profile;
+  }
   
+  // Placeholder so callers can still render the symbol (not cached)
+  return buildProfile(sym, {}, null);
+};
+
+// Normalized fundamentals { asOf, values, source, label, live } from the first provider that has them, or null.
+// values: marketCap (millions USD), peRatio, dividendYield (%), eps, beta.
+export const getFundamentalMetrics = async (symbol, { priority = 'interactive', owner = 'fundamentals' } = {}) => {
   const sym = (symbol || '').toUpperCase().trim();
   if (!sym) {
     throw new Error('Symbol is required for company financials');
   }
   
-  const cacheKey = `financials-${sym}`;
-  const cached = getCachedPrice(cacheKey);
-  if (cached) {
-    return cached;
-  }
-  
-  try {
-    // Get both quote and company profile data
-    const [quote, profile] = await Promise.all([
-      getStockQuote(sym),
-      getCompanyProfile(sym)
-    ]);
-    
-    const financials = {
-      symbol: sym,
-      peRatio: 'N/A',
-      dividendYield: 'N/A',
-      marketCap: 'N/A',
-      source: 'API'
-    };
-    
-    // Extract market cap from company profile if available
-    if (profile && profile.marketCapitalization && profile.marketCapitalization > 0) {
-      const marketCap = profile.marketCapitalization;
-      if (marketCap >= 1e12) {
-        financials.marketCap = `${(marketCap / 1e12).toFixed(1)}T`;
-      } else if (marketCap >= 1e9) {
-        financials.marketCap = `${(marketCap / 1e9).toFixed(1)}B`;
-      } else if (marketCap >= 1e6) {
-        financials.marketCap = `${(marketCap / 1e6).toFixed(1)}M`;
-      } else {
-        financials.marketCap = `${marketCap.toFixed(0)}`;
-      }
-      console.log(`API market cap for ${sym}: ${financials.marketCap} (raw: ${marketCap})`);
-    } else {
-      console.log(`No valid market cap from API for ${sym}, will use LLM fallback`);
-    }
-    
-    // Extract P/E ratio from quote if available
-    if (quote && quote.peRatio && quote.peRatio > 0) {
-      financials.peRatio = quote.peRatio.toFixed(1);
-    }
-    
-    // Extract dividend yield from quote if available
-    if (quote && quote.dividendYield !== undefined && quote.dividendYield !== null) {
-      if (quote.dividendYield > 0) {
-        financials.dividendYield = `${(quote.dividendYield * 100).toFixed(2)}%`;
-      } else {
-        financials.dividendYield = '0.0%';
-      }
-    }
-    
-    console.log(`Financial data for ${sym}:`, financials);
-    
-    setCachedPrice(cacheKey, financials);
-    return financials;
-  } catch (error) {
-    console.error(`Error fetching financials for ${sym}:`, error);
-    return {
-      symbol: sym,
-      peRatio: 'N/A',
-      dividendYield: 'N/A',
-      marketCap: 'N/A',
-      source: 'error'
-    };
-  }
+  const cacheKey = `fundamentals-${sym}`;
+  return getWithPersistentCache(cacheKey, () => fetchFundamentalMetrics(sym, cacheKey, { priority, owner }));
 };
 
-// Enhanced company financials with LLM fallback for non-price data
-export const getCompanyFinancialsEnhanced = async (symbol) => {
-  const sym = (symbol || '').toUpperCase().trim();
+const fetchFundamentalMetrics = async (sym, cacheKey, lane) => {
+  const result = await marketDataService.request('fundamentals', sym, lane);
+  if (!result) return null;
   
-  try {
-    // First try to get real data from API
-    const apiData = await getCompanyFinancials(sym);
-    
-    // If API doesn't provide financial data, return N/A values
-    // LLM generation will be handled in stockGenerationService to avoid circular dependency
-    if (apiData.peRatio === 'N/A' && apiData.dividendYield === 'N/A' && apiData.marketCap === 'N/A') {
-      console.log(`No financial data available for ${sym} - will be handled by stock generation service`);
-    }
-    
-    return apiData;
-    
-  } catch (error) {
-    console.warn(`Enhanced financial data failed for ${sym}:`, error);
-    
-    return {
-      symbol: sym,
-      peRatio: 'N/A',
-      dividendYield: 'N/A',
-      marketCap: 'N/A',
-      source: 'unavailable'
-    };
-  }
+  const fundamentals = {
+    ...result.data,
+    source: result.provider.id,
+    label: result.provider.label,
+    live: !!result.provider.live
+  };
+  setCachedPrice(cacheKey, fundamentals);
+  return fundamentals;
 };
 
-// Enhanced stock history with better error handling - NO SYNTHETIC DATA
-export const getStockHistory = async (symbol, period = '1M') => {
-  ensureKey();
-  
+// Bar size per period: 5-minute bars for a day, 15-minute for a week, daily up to a year, weekly beyond
+const HISTORY_RESOLUTIONS = { '1D': '5', '1W': '15', '1M': 'D', '3M': 'D', '6M': 'D', '1Y': 'D', 'ALL': 'W' };
+
+// Bar sizes a chart can switch between for intraday periods (the default is listed too)
+const HISTORY_RESOLUTION_OPTIONS = { '1D': ['1', '5'], '1W': ['15', '60'] };
+
+// Trading sessions a period spans when fetched as intraday bars, so nights, weekends and holidays don't shrink the window
+const INTRADAY_PERIOD_SESSIONS = { '1D': 1, '1W': 5, '1M': 21 };
+
+export const getHistoryResolution = (period) => HISTORY_RESOLUTIONS[period] || 'D';
+
+export const getHistoryResolutions = (period) => HISTORY_RESOLUTION_OPTIONS[period] || [getHistoryResolution(period)];
+
+// Enhanced stock history with better error handling - NO SYNTHETIC DATA.
+// `resolution` overrides the period's default bar size ('1', '5', '15', '60', 'D' or 'W').
+export const getStockHistory = async (symbol, period = '1M', { resolution = getHistoryResolution(period), priority = 'interactive', owner = 'history' } = {}) => {
   if (!symbol) {
     throw new Error('Symbol is required for stock history');
   }
 
-  const cacheKey = `history-${symbol}-${period}`;
-  const cached = getCachedPrice(cacheKey);
-  if (cached) {
-    return cached;
-  }
+  const cacheKey = `history-${symbol}-${period}-${resolution}`;
+  return getWithPersistentCache(cacheKey, () => fetchStockHistory(symbol, period, resolution, cacheKey, { priority, owner }));
+};
 
+const fetchStockHistory = async (symbol, period, resolution, cacheKey, lane) => {
   try {
-    // If API limit reached, return null
-    if (apiLimitReached) {
-      console.log(`API limit reached for ${symbol} history - no data available`);
-      return null;
-    }
-
     const now = Math.floor(Date.now() / 1000);
+    const intraday = isIntradayResolution(resolution);
     let from;
     
     // Calculate from timestamp based on period
@@ -544,29 +980,37 @@ export const getStockHistory = async (symbol, period = '1M') => {
       case '3M':
         from = now - (90 * 24 * 60 * 60); // 90 days ago
         break;
+      case '6M':
+        from = now - (180 * 24 * 60 * 60); // 180 days ago
+        break;
       case '1Y':
         from = now - (365 * 24 * 60 * 60); // 365 days ago
         break;
+      case 'ALL':
+        from = now - (5 * 365 * 24 * 60 * 60); // 5 years ago
+        break;
       default:
         from = now - (30 * 24 * 60 * 60); // Default to 1 month
     }
 
-    const url = `${FINNHUB_BASE}/stock/candle?symbol=${symbol}&resolution=D&from=${from}&to=${now}&token=${FINNHUB_API_KEY}`;
-    
-    const data = await getJson(url);
+    // Crypto trades around the clock, so only stock windows are counted in sessions and trimmed to them
+    const sessionBound = !isCryptoSymbol(symbol);
+
+    // Intraday windows count back whole trading sessions instead of calendar days
+    if (sessionBound && intraday && INTRADAY_PERIOD_SESSIONS[period]) {
+      const sessionOpen = marketCalendarService.getRecentSessionOpen(INTRADAY_PERIOD_SESSIONS[period]);
+      if (sessionOpen) from = Math.floor(sessionOpen.getTime() / 1000);
+    }
+
+    const result = await marketDataService.request('candles', symbol, { from, to: now, resolution, ...lane });
+    // Keep regular-session bars only so pre/post-market prints, nights and weekends don't become flat stretches
+    const candles = sessionBound && intraday && result
+      ? result.data.filter(c => marketCalendarService.isRegularSessionBar(new Date(c.timestamp * 1000), parseInt(resolution, 10)))
+      : result?.data;
     
-    if (data && data.s === 'ok' && data.t && data.c) {
-      const history = data.t.map((timestamp, index) => ({
-        timestamp,
-        open: parseFloat(data.o[index]) || 0,
-        high: parseFloat(data.h[index]) || 0,
-        low: parseFloat(data.l[index]) || 0,
-        close: parseFloat(data.c[index]) || 0,
-        volume: parseInt(data.v[index]) || 0
-      }));
-      
-      setCachedPrice(cacheKey, history);
-      return history;
+    if (candles && candles.length > 0) {
+      setCachedPrice(cacheKey, candles);
+      return candles;
     } else {
       console.log(`No valid history data for ${symbol}`);
       return null;
@@ -581,39 +1025,254 @@ export const getStockHistory = async (symbol, period = '1M') => {
   }
 };
 
-// API status and management functions
-export const getApiStatus = () => ({
-  apiLimitReached,
-  cacheSize: priceCache.size,
-  lastApiCall,
-  pendingRequests: pendingRequests.size,
-  queueSize: updateQueue.length,
-  userViewedStocks: userViewedStocks.size
-});
+// Splits and cash dividends for a symbol since `fromDate` ('YYYY-MM-DD') as { splits, dividends }, oldest
+// first. Null when no provider could answer, so callers can tell "no events" from "unknown".
+export const getCorporateActions = async (symbol, fromDate, { priority = 'portfolio', owner = 'corporateActions' } = {}) => {
+  const sym = (symbol || '').toUpperCase().trim();
+  if (!sym || !fromDate) {
+    throw new Error('Symbol and start date are required for corporate actions');
+  }
 
-export const resetApiLimit = () => {
-  apiLimitReached = false;
-  console.log('API limit reset');
+  const cacheKey = `actions-${sym}-${fromDate}`;
+  return getWithPersistentCache(cacheKey, () => fetchCorporateActions(sym, fromDate, cacheKey, { priority, owner }));
 };
 
-// Auto-reset API limit after 1 minute
-export const enableAutoReset = () => {
-  setInterval(() => {
-    if (apiLimitReached) {
-      console.log('Auto-resetting API limit after 1 minute');
-      apiLimitReached = false;
+const fetchCorporateActions = async (sym, fromDate, cacheKey, lane) => {
+  try {
+    const range = { from: Math.floor(Date.parse(`${fromDate}T00:00:00Z`) / 1000), to: Math.floor(Date.now() / 1000), ...lane };
+    const [splits, dividends] = await Promise.all([
+      marketDataService.request('splits', sym, range),
+      marketDataService.request('dividends', sym, range)
+    ]);
+    if (!splits || !dividends) {
+      console.log(`No corporate action data for ${sym}`);
+      return null;
+    }
+
+    const actions = { symbol: sym, splits: splits.data, dividends: dividends.data, source: dividends.provider.id };
+    setCachedPrice(cacheKey, actions);
+    return actions;
+  } catch (error) {
+    console.error(`Error fetching corporate actions for ${sym}:`, error.message);
+    return null;
+  }
+};
+
+// Company news over the last `days` as { symbol, articles, source, label, live }, or null when no provider
+// could answer. Articles are as reported (duplicates across outlets included); newsService dedupes and scores them.
+export const getCompanyNews = async (symbol, days = 30, { priority = 'interactive', owner = 'news' } = {}) => {
+  const sym = (symbol || '').toUpperCase().trim();
+  if (!sym) {
+    throw new Error('Symbol is required for company news');
+  }
+
+  const cacheKey = `news-${sym}-${days}`;
+  return getWithPersistentCache(cacheKey, () => fetchCompanyNews(sym, days, cacheKey, { priority, owner }));
+};
+
+const fetchCompanyNews = async (sym, days, cacheKey, lane) => {
+  try {
+    const to = Math.floor(Date.now() / 1000);
+    const result = await marketDataService.request('news', sym, { from: to - days * 24 * 60 * 60, to, ...lane });
+    if (!result) return null;
+
+    const news = {
+      symbol: sym,
+      articles: result.data,
+      source: result.provider.id,
+      label: result.provider.label,
+      live: !!result.provider.live
+    };
+    setCachedPrice(cacheKey, news);
+    return news;
+  } catch (error) {
+    console.error(`Error fetching company news for ${sym}:`, error.message);
+    return null;
+  }
+};
+
+// Earnings dates for `symbols` (one symbol or a list) between two 'YYYY-MM-DD' dates as
+// { symbols, events, source, label, live }, or null when no provider could answer. Lists use one market-wide
+// calendar request when a provider supports it and per-symbol requests otherwise; only the listed symbols are kept.
+export const getEarningsCalendar = async (symbols, fromDate, toDate, { priority = 'interactive', owner = 'earnings' } = {}) => {
+  const list = Array.from(new Set((Array.isArray(symbols) ? symbols : [symbols])
+    .map(s => (s || '').toUpperCase().trim())
+    .filter(Boolean))).sort();
+  if (list.length === 0 || !fromDate || !toDate) {
+    throw new Error('Symbols and a date range are required for the earnings calendar');
+  }
+
+  const cacheKey = `earnings-${list.join(',')}-${fromDate}-${toDate}`;
+  return getWithPersistentCache(cacheKey, () => fetchEarningsCalendar(list, fromDate, toDate, cacheKey, { priority, owner }));
+};
+
+const fetchEarningsCalendar = async (list, fromDate, toDate, cacheKey, lane) => {
+  try {
+    const range = {
+      from: Math.floor(Date.parse(`${fromDate}T00:00:00Z`) / 1000),
+      to: Math.floor(Date.parse(`${toDate}T00:00:00Z`) / 1000),
+      ...lane
+    };
+    let results = [await marketDataService.request('earnings', list.length === 1 ? list[0] : null, range)];
+    if (!results[0] && list.length > 1) {
+      results = [];
+      for (const sym of list) {
+        results.push(await marketDataService.request('earnings', sym, range));
+      }
     }
-  }, 60 * 1000); // 1 minute
+
+    const answered = results.filter(Boolean);
+    if (answered.length === 0) return null;
+
+    const wanted = new Set(list);
+    const calendar = {
+      symbols: list,
+      events: answered
+        .flatMap(result => result.data)
+        .filter(event => wanted.has(event.symbol))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      source: answered[0].provider.id,
+      label: answered[0].provider.label,
+      live: !!answered[0].provider.live
+    };
+    setCachedPrice(cacheKey, calendar);
+    return calendar;
+  } catch (error) {
+    console.error(`Error fetching earnings calendar for ${list.join(', ')}:`, error.message);
+    return null;
+  }
+};
+
+// Reported EPS vs estimate for the last `limit` quarters as { symbol, surprises (newest first), source, label, live }, or null
+export const getEarningsSurprises = async (symbol, limit = 8, { priority = 'interactive', owner = 'earnings' } = {}) => {
+  const sym = (symbol || '').toUpperCase().trim();
+  if (!sym) {
+    throw new Error('Symbol is required for earnings history');
+  }
+
+  const cacheKey = `surprises-${sym}-${limit}`;
+  return getWithPersistentCache(cacheKey, () => fetchEarningsSurprises(sym, limit, cacheKey, { priority, owner }));
 };
 
-// Initialize auto-reset
-enableAutoReset();
+const fetchEarningsSurprises = async (sym, limit, cacheKey, lane) => {
+  try {
+    const result = await marketDataService.request('earningsSurprises', sym, { limit, ...lane });
+    if (!result) return null;
+
+    const history = {
+      symbol: sym,
+      surprises: result.data,
+      source: result.provider.id,
+      label: result.provider.label,
+      live: !!result.provider.live
+    };
+    setCachedPrice(cacheKey, history);
+    return history;
+  } catch (error) {
+    console.error(`Error fetching earnings history for ${sym}:`, error.message);
+    return null;
+  }
+};
+
+// Symbol search as { query, results, source, label, live } from the first provider that can search, or null
+// when none could answer. Results are { symbol, name, type, typeLabel, exchange, provider } in provider order.
+export const searchSymbols = async (query, { priority = 'interactive', owner = 'search' } = {}) => {
+  const q = (query || '').trim().toUpperCase();
+  if (!q) {
+    throw new Error('Query is required for symbol search');
+  }
+
+  const cacheKey = `search-${q}`;
+  return getWithPersistentCache(cacheKey, () => fetchSymbolSearch(q, cacheKey, { priority, owner }));
+};
+
+const fetchSymbolSearch = async (q, cacheKey, lane) => {
+  try {
+    const result = await marketDataService.request('search', q, lane);
+    if (!result) return null;
+
+    const search = {
+      query: q,
+      results: result.data,
+      source: result.provider.id,
+      label: result.provider.label,
+      live: !!result.provider.live
+    };
+    setCachedPrice(cacheKey, search);
+    return search;
+  } catch (error) {
+    console.error(`Error searching symbols for "${q}":`, error.message);
+    return null;
+  }
+};
+
+// Exchange rates as { base, rates (units per one `base`), asOf, source, label, live }, or null when no provider
+// could answer. Reference rates move once a day, so they share the metrics TTL.
+export const getFxRates = async (base = 'USD', { priority = 'portfolio', owner = 'fx' } = {}) => {
+  const code = (base || '').toUpperCase().trim();
+  if (!code) {
+    throw new Error('Base currency is required for exchange rates');
+  }
+
+  const cacheKey = `fx-${code}`;
+  return getWithPersistentCache(cacheKey, () => fetchFxRates(code, cacheKey, { priority, owner }));
+};
+
+const fetchFxRates = async (code, cacheKey, lane) => {
+  try {
+    const result = await marketDataService.request('fxRates', code, lane);
+    if (!result) return null;
+
+    const fx = {
+      ...result.data,
+      label: result.provider.label,
+      live: !!result.provider.live
+    };
+    setCachedPrice(cacheKey, fx);
+    return fx;
+  } catch (error) {
+    console.error(`Error fetching ${code} exchange rates:`, error.message);
+    return null;
+  }
+};
+
+// API status and management functions
+export const getApiStatus = () => {
+  const rateLimits = rateLimiterService.getStatus();
+  return {
+    apiLimitReached: rateLimiterService.isPaused('finnhub'),
+    cacheSize: priceCache.size,
+    lastApiCall: rateLimits.finnhub?.lastSentAt || 0,
+    pendingRequests: pendingRequests.size,
+    queueSize: updateQueue.length,
+    userViewedStocks: userViewedStocks.size,
+    marketSession: marketCalendarService.getMarketStatus().session,
+    persistentCache: persistentCacheService.getStats(),
+    providers: marketDataService.getStatus(),
+    rateLimits, // Token buckets per provider (Finnhub, Groq, failovers): tokens, queued per lane, pauses
+    stream: getQuoteStreamStatus()
+  };
+};
+
+// Manual override; pauses otherwise end on their own when Retry-After / the rate-limit reset passes
+export const resetApiLimit = () => {
+  rateLimiterService.resume('finnhub');
+  marketDataService.clearCooldown('finnhub');
+  console.log('API limit reset');
+};
 
 export const clearPriceCache = () => {
   priceCache.clear();
   console.log('Price cache cleared');
 };
 
+// Also drops everything saved for offline use
+export const clearPersistentCache = async () => {
+  priceCache.clear();
+  await persistentCacheService.clear();
+  console.log('Persistent cache cleared');
+};
+
 // Optimized connection test
 export const testFinnhubConnection = async () => {
   try {
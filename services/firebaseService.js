@@ -1,24 +1,24 @@
 // firebaseService.js - Optimized Firebase operations with caching and batch processing
-import { 
-  doc, 
-  getDoc, 
-  setDoc, 
-  updateDoc, 
-  deleteDoc, 
-  collection, 
-  getDocs, 
-  query, 
-  where, 
-  orderBy, 
-  limit, 
+import {
+  db,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
   onSnapshot,
   writeBatch,
   runTransaction,
   serverTimestamp,
   enableNetwork,
   disableNetwork
-} from 'firebase/firestore';
-import { db } from '../firebase';
+} from '../firebase';
 
 class FirebaseService {
   constructor() {
@@ -48,6 +48,11 @@ class FirebaseService {
     this.cache.clear();
   }
 
+  // Drop a single document from the cache after writes that bypass setDocument
+  invalidateCache(path) {
+    this.cache.delete(`doc:${path}`);
+  }
+
   // Optimized single document operations
   async getDocument(path, useCache = true) {
     const cacheKey = `doc:${path}`;
@@ -0,0 +1,169 @@
+// fundamentalsService.js - Company fundamentals from pluggable providers with per-field provenance
+import { getFundamentalMetrics, formatMarketCap } from './finnhubService';
+import fundamentalsFixtures from './fixtures/fundamentals.json';
+import demoModeService from './demoModeService';
+import marketDataService from './marketDataService';
+import { formatMoney } from './currencyService';
+
+// marketCap is in millions USD, dividendYield in percent
+export const FUNDAMENTAL_FIELDS = ['marketCap', 'peRatio', 'dividendYield', 'eps', 'beta'];
+
+const toFinite = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) || !isFinite(number) ? null : number;
+};
+
+// Live market-data providers (Finnhub first, then any configured failovers). Provenance names
+// whichever provider actually answered.
+export const marketDataFundamentalsProvider = {
+  id: 'market-data',
+  label: 'Market data',
+  live: true,
+  async fetchFundamentals(symbol, lane) {
+    return getFundamentalMetrics(symbol, lane);
+  }
+};
+
+// Static snapshot (JSON fixture) for offline use; values carry the snapshot date as their as-of
+export const createFixtureFundamentalsProvider = (fixtures = fundamentalsFixtures) => ({
+  id: 'fixture',
+  label: 'Offline snapshot',
+  live: false,
+  async fetchFundamentals(symbol) {
+    const entry = fixtures?.symbols?.[symbol];
+    if (!entry) return null;
+
+    const values = {};
+    FUNDAMENTAL_FIELDS.forEach(field => {
+      values[field] = toFinite(entry[field]);
+    });
+    return { asOf: fixtures.asOf ? new Date(`${fixtures.asOf}T00:00:00Z`).toISOString() : null, values };
+  }
+});
+
+class FundamentalsService {
+  constructor() {
+    // Earlier providers win; later ones only fill fields still missing. The dated snapshot is only
+    // used when asked for, like the market data fixture: demo mode uses nothing else, and an explicit
+    // "fixture" in EXPO_PUBLIC_MARKET_DATA_PROVIDERS adds it behind the live data.
+    if (demoModeService.enabled) {
+      this.providers = [createFixtureFundamentalsProvider()];
+    } else if (marketDataService.preferredOrder.includes('fixture')) {
+      this.providers = [marketDataFundamentalsProvider, createFixtureFundamentalsProvider()];
+    } else {
+      this.providers = [marketDataFundamentalsProvider];
+    }
+    this.cache = new Map();
+    this.CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours - fundamentals move slowly
+  }
+
+  // Replace the provider chain (e.g. fixture-only for offline use)
+  setProviders(providers) {
+    this.providers = providers;
+    this.clearCache();
+  }
+
+  // Add a provider ahead of or behind the existing chain
+  registerProvider(provider, { prepend = false } = {}) {
+    this.providers = prepend ? [provider, ...this.providers] : [...this.providers, provider];
+    this.clearCache();
+  }
+
+  // Fundamentals for a symbol. Every field is a number or an explicit null, and
+  // provenance[field] is { source, label, live, asOf } for the provider that supplied it (null when missing).
+  // `lane` ({ priority, owner }) places live lookups in the shared rate limiter.
+  async getFundamentals(symbol, lane) {
+    const sym = (symbol || '').toUpperCase().trim();
+    if (!sym) {
+      throw new Error('Symbol is required for fundamentals');
+    }
+
+    const cached = this.cache.get(sym);
+    if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      return cached.data;
+    }
+
+    const result = { symbol: sym, provenance: {}, retrievedAt: new Date().toISOString() };
+    FUNDAMENTAL_FIELDS.forEach(field => {
+      result[field] = null;
+      result.provenance[field] = null;
+    });
+
+    for (const provider of this.providers) {
+      const missing = FUNDAMENTAL_FIELDS.filter(field => result[field] === null);
+      if (missing.length === 0) break;
+
+      try {
+        const data = await provider.fetchFundamentals(sym, lane);
+        if (!data || !data.values) continue;
+
+        missing.forEach(field => {
+          const value = data.values[field];
+          if (value !== null && value !== undefined) {
+            result[field] = value;
+            result.provenance[field] = {
+              source: data.source || provider.id,
+              label: data.label || provider.label,
+              live: data.live !== undefined ? !!data.live : !!provider.live,
+              asOf: data.asOf || null
+            };
+          }
+        });
+      } catch (error) {
+        console.warn(`Fundamentals provider ${provider.id} failed for ${sym}:`, error.message);
+      }
+    }
+
+    const missing = FUNDAMENTAL_FIELDS.filter(field => result[field] === null);
+    if (missing.length > 0) {
+      console.log(`No provider reported ${missing.join(', ')} for ${sym}`);
+    }
+
+    this.cache.set(sym, { data: result, timestamp: Date.now() });
+    return result;
+  }
+
+  // Display strings for cards; null when the value wasn't reported
+  formatMarketCap(millions) {
+    return formatMarketCap(millions);
+  }
+
+  formatPeRatio(peRatio) {
+    return peRatio === null || peRatio === undefined ? null : peRatio.toFixed(1);
+  }
+
+  formatDividendYield(dividendYield) {
+    return dividendYield === null || dividendYield === undefined ? null : `${dividendYield.toFixed(2)}%`;
+  }
+
+  // Display string for any fundamental field; null when missing. EPS is in the listing currency.
+  formatFundamental(field, value, currency) {
+    if (value === null || value === undefined) return null;
+    switch (field) {
+      case 'marketCap':
+        return this.formatMarketCap(value);
+      case 'peRatio':
+        return this.formatPeRatio(value);
+      case 'dividendYield':
+        return this.formatDividendYield(value);
+      case 'eps':
+        return formatMoney(value, currency);
+      default:
+        return value.toFixed(2);
+    }
+  }
+
+  // Short caption describing where a value came from, e.g. "Finnhub · 10/19/2026"
+  describeSource(provenance) {
+    if (!provenance) return 'Not reported';
+    const date = provenance.asOf ? new Date(provenance.asOf).toLocaleDateString() : null;
+    return date ? `${provenance.label} · ${date}` : provenance.label;
+  }
+
+  // Clear cache
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default new FundamentalsService();
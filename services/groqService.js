@@ -1,87 +1,78 @@
-// services/groqService.js - Groq API service
-import Constants from 'expo-constants';
+// services/groqService.js - LLM prompts and calls (Groq by default; the provider is set in llmProviderService)
+import demoModeService from './demoModeService';
+import structuredOutputService from './structuredOutputService';
+import llmProviderService from './llmProviderService';
 
-const GROQ_API_ENDPOINT = 'https://api.groq.com/openai/v1/chat/completions';
-
-class GroqService {
-  constructor() {
-    this.apiKey = null;
-    this.loadApiKey();
-  }
-
-  loadApiKey() {
-    // Try to get API key from environment
-    this.apiKey = Constants.expoConfig?.extra?.EXPO_PUBLIC_GROQ_API_KEY || 
-                  process.env.EXPO_PUBLIC_GROQ_API_KEY;
-    
-    if (!this.apiKey) {
-      console.warn('Groq API key not found. Please add EXPO_PUBLIC_GROQ_API_KEY to your .env file');
+// Declared shapes of the JSON answers (see structuredOutputService for the schema format)
+export const RECOMMENDATIONS_SCHEMA = {
+  type: 'array',
+  name: 'recommendations',
+  minItems: 1,
+  allowPartial: true, // A few bad picks shouldn't cost the good ones
+  items: {
+    type: 'object',
+    required: ['symbol', 'sector', 'riskLevel', 'confidence'],
+    properties: {
+      symbol: { type: 'string', case: 'upper', pattern: /^(?:[A-Z]+:)?[A-Z0-9.-]{1,20}$/, description: 'ticker symbol' },
+      name: { type: 'string' },
+      sector: { type: 'string', minLength: 1 },
+      industry: { type: 'string' },
+      reason: { type: 'string' },
+      riskLevel: { type: 'string', case: 'lower', enum: ['low', 'medium', 'high'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      marketCap: { type: 'string', nullable: true },
+      assetClass: { type: 'string', case: 'lower', enum: ['stock', 'etf', 'bond_fund', 'crypto'], nullable: true }
     }
-    
-    console.log('🔑 Groq API Key Status:', {
-      hasKey: !!this.apiKey,
-      keyLength: this.apiKey?.length || 0,
-      isConfigured: !!this.apiKey
-    });
   }
+};
+
+export const HEADLINE_SENTIMENT_SCHEMA = {
+  type: 'array',
+  name: 'scores',
+  items: { type: 'number', minimum: -1, maximum: 1, nullable: true }
+};
 
-  async callLLM(prompt, maxTokens = 1000) {
-    if (!this.apiKey) {
-      throw new Error('Groq API key not found. Please add EXPO_PUBLIC_GROQ_API_KEY to your .env file');
+class GroqService {
+  // `priority` ('interactive', 'portfolio' or 'background') and `owner` place the call in the shared rate limiter.
+  // `task` names the kind of prompt: it picks the model, temperature, token budget and system prompt configured
+  // for it (llm.tasks in app.config.js, falling back to `maxTokens` and `temperature` here), and demo mode answers
+  // with the canned response for it. `jsonMode` asks the provider for a JSON object answer.
+  async callLLM(prompt, maxTokens = null, { temperature, priority = 'interactive', owner = 'llm', task = 'general', jsonMode = false } = {}) {
+    if (demoModeService.enabled) {
+      return demoModeService.getCompletion(task);
     }
 
+    const settings = llmProviderService.getTaskSettings(task, { maxTokens, temperature });
+
     try {
-      console.log('Calling Groq LLM...');
-      
-      const response = await fetch(GROQ_API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'llama3-8b-8192', // Fast and reliable model
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial advisor. Provide clear, concise responses without JSON formatting unless specifically requested.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: Math.max(maxTokens, 4000), // Ensure minimum 4000 tokens for complex responses
-        }),
-      });
-
-      console.log('Groq response status:', response.status);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Groq API error:', response.status, errorData);
-        throw new Error(`Groq API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-      }
+      console.log(`Calling ${llmProviderService.provider.label} LLM (${settings.model}) for ${task}...`);
 
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content;
-      
-      if (!content) {
-        console.error('No content in Groq response:', data);
-        throw new Error('No content received from Groq API');
-      }
-      
-      console.log('Groq API call successful');
+      const content = await llmProviderService.complete({
+        messages: [
+          { role: 'system', content: settings.systemPrompt },
+          { role: 'user', content: prompt }
+        ],
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        jsonMode
+      }, { priority, owner });
+
+      console.log('LLM call successful');
       console.log('📝 Response content preview:', content.substring(0, 200) + '...');
-      
+
       return content;
     } catch (error) {
-      console.error('Groq LLM error:', error);
+      console.error('LLM error:', error);
       throw error;
     }
   }
 
+  // Whether the configured provider has what it needs to answer (key, endpoint and model)
+  isConfigured() {
+    return llmProviderService.isConfigured();
+  }
+
   getContextSnippet(context = {}) {
     try {
       const risk = context?.riskProfile || {};
@@ -121,6 +112,16 @@ class GroqService {
         adaptiveInstructions += `\n- Current portfolio sectors: ${portfolio.join(', ')}`;
       }
 
+      // Actual asset-class mix against the risk profile's recommended ranges
+      const allocation = (context?.allocation || []).filter(bucket => bucket.status);
+      if (allocation.length > 0) {
+        adaptiveInstructions += `\n- Asset allocation vs target: ${allocation.map(bucket => `${bucket.label} ${Math.round(bucket.percent)}% (target ${bucket.min}-${bucket.max}%)`).join(', ')}`;
+        const underweight = allocation.filter(bucket => bucket.status === 'below' && bucket.key !== 'cash');
+        if (underweight.length > 0) {
+          adaptiveInstructions += `\n- Underweight: ${underweight.map(bucket => bucket.label).join(', ')} - favour instruments that fill these`;
+        }
+      }
+
       return `
 User Context:
 - Risk Volatility: ${risk.volatility ?? 'n/a'} (lower=conservative, higher=aggressive)
@@ -161,9 +162,12 @@ ADAPTIVE INSTRUCTIONS:
       exclusionText += `\n\nUser has already liked these stocks (avoid duplicates): ${likedStocks.join(', ')}`;
     }
     
-    const prompt = `Generate ${maxRecommendations} stock recommendations for the user below.
+    const prompt = `Generate ${maxRecommendations} investment recommendations for the user below.
 ${contextSnippet}${exclusionText}
 
+Recommendations may be individual US stocks, US-listed ETFs, bond funds (e.g. BND, TLT) or crypto as Finnhub Binance pairs (e.g. BINANCE:BTCUSDT).
+Set "assetClass" to one of: stock, etf, bond_fund, crypto.
+
 Return ONLY a valid JSON array with exactly ${maxRecommendations} objects. DO NOT include prices - only fundamental analysis:
 [
   {
@@ -174,7 +178,8 @@ Return ONLY a valid JSON array with exactly ${maxRecommendations} objects. DO NO
     "reason": "Brief reason for this user's risk profile",
     "riskLevel": "low",
     "confidence": 0.8,
-    "marketCap": "large"
+    "marketCap": "large",
+    "assetClass": "stock"
   }
 ]
 
@@ -182,129 +187,81 @@ CRITICAL:
 - Never include prices, targetPrice, or financial metrics 
 - Keep responses concise to avoid truncation
 - Ensure valid JSON format
+- "riskLevel" must be one of: low, medium, high; "confidence" must be between 0 and 1
 - Never include stocks from the exclusion list
 
 CRITICAL: Never include stocks from the exclusion list above. Generate completely different alternatives if needed.`;
 
-    const response = await this.callLLM(prompt, 2000); // Increased token limit
-    return this.parseRecommendations(response);
+    return this.callStructured(prompt, RECOMMENDATIONS_SCHEMA, 4000, { priority: 'background', owner: 'recommendations', task: 'recommendations' });
   }
 
-  parseRecommendations(response) {
-    try {
-      console.log('📝 Response content preview:', response.substring(0, 200));
-      
-      // Clean the response and extract JSON
-      let jsonString = response.trim();
-      
-      // Remove common prefixes and markdown
-      jsonString = jsonString.replace(/^.*?(?=\[)/s, '');
-      jsonString = jsonString.replace(/```json\s*/g, '');
-      jsonString = jsonString.replace(/```\s*/g, '');
-      
-      // Find the JSON array bounds more carefully
-      const startIdx = jsonString.indexOf('[');
-      let lastIdx = jsonString.lastIndexOf(']');
-      
-      if (startIdx === -1) {
-        throw new Error('No opening bracket found in response');
-      }
-      
-      if (lastIdx === -1 || lastIdx <= startIdx) {
-        // Try to find the last valid position before truncation
-        const partialString = jsonString.substring(startIdx);
-        const objects = [];
-        let currentPos = 1; // Skip opening bracket
-        let braceCount = 0;
-        let currentObject = '';
-        
-        for (let i = currentPos; i < partialString.length; i++) {
-          const char = partialString[i];
-          if (char === '{') {
-            braceCount++;
-            currentObject += char;
-          } else if (char === '}') {
-            braceCount--;
-            currentObject += char;
-            if (braceCount === 0) {
-              try {
-                const obj = JSON.parse(currentObject);
-                objects.push(obj);
-                currentObject = '';
-              } catch (e) {
-                console.log('Skipping malformed object:', currentObject.substring(0, 50));
-              }
-            }
-          } else if (braceCount > 0) {
-            currentObject += char;
-          }
-        }
-        
-        if (objects.length > 0) {
-          console.log(`Recovered ${objects.length} valid objects from truncated response`);
-          return objects;
-        }
-        throw new Error('Could not recover any valid objects from response');
-      }
-      
-      jsonString = jsonString.substring(startIdx, lastIdx + 1);
-      
-      // Remove ALL control characters and problematic unicode that cause JSON parse errors
-      jsonString = jsonString.replace(/[\u0000-\u001F\u007F-\u009F\u2000-\u206F\uFEFF]/g, '');
-      
-      // Replace problematic characters that sometimes appear in LLM responses
-      jsonString = jsonString.replace(/[\u2018\u2019]/g, "'"); // Smart quotes to regular quotes
-      jsonString = jsonString.replace(/[\u201C\u201D]/g, '"'); // Smart double quotes
-      jsonString = jsonString.replace(/\u2026/g, '...'); // Ellipsis
-      jsonString = jsonString.replace(/[\u2013\u2014]/g, '-'); // Em and en dashes
-      
-      // Fix common JSON formatting issues
-      jsonString = jsonString.replace(/,\s*}/g, '}'); // Remove trailing commas
-      jsonString = jsonString.replace(/,\s*]/g, ']'); // Remove trailing commas in arrays
-      
-      console.log('Extracted JSON string preview:', jsonString.substring(0, 200) + '...');
-      
+  // Call the LLM for a JSON answer matching `schema`: JSON mode where the provider has it, repair of truncated
+  // arrays, and one retry that quotes the validation errors back. Resolves to the validated value; arrays with
+  // `allowPartial` settle for their valid items after the retry. Throws when nothing usable came back.
+  async callStructured(prompt, schema, maxTokens = null, options = {}) {
+    const jsonMode = llmProviderService.supportsJsonMode() && !demoModeService.enabled;
+    const request = jsonMode ? `${prompt}\n\n${structuredOutputService.describeJsonMode(schema)}` : prompt;
+    const label = schema.name || options.task || 'structured output';
+
+    const attempt = async (text) => {
+      let response;
       try {
-        const recommendations = JSON.parse(jsonString);
-        if (Array.isArray(recommendations) && recommendations.length > 0) {
-          console.log(`Parsed ${recommendations.length} recommendations from Groq`);
-          return recommendations;
-        }
-      } catch (parseError) {
-        console.error('JSON Syntax Error - attempting to repair incomplete JSON');
-        
-        // Try to find the JSON part and repair it
-        const jsonMatch = response.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          try {
-            const repaired = jsonMatch[0]
-              .replace(/,\s*}/g, '}') // Remove trailing commas in objects
-              .replace(/,\s*]/g, ']'); // Remove trailing commas in arrays
-            
-            const repairedResult = JSON.parse(repaired);
-            if (Array.isArray(repairedResult) && repairedResult.length > 0) {
-              console.log(`Successfully repaired and parsed ${repairedResult.length} recommendations`);
-              return repairedResult;
-            }
-          } catch (repairError) {
-            console.error('JSON repair failed:', repairError.message);
-          }
-        }
+        response = await this.callLLM(text, maxTokens, { ...options, jsonMode });
+      } catch (error) {
+        if (!error.failedGeneration) throw error;
+        response = error.failedGeneration;
       }
-      
-      throw new Error('Failed to parse recommendations from Groq response');
+      return structuredOutputService.parse(response, schema);
+    };
+
+    const first = await attempt(request);
+    if (first.errors.length === 0) return first.value;
+
+    console.warn(`LLM ${label} failed validation, retrying:`, first.errors.slice(0, 5));
+    const retry = await attempt(structuredOutputService.buildRetryPrompt(request, first.errors)).catch(error => {
+      console.warn(`LLM ${label} retry failed:`, error.message);
+      return null;
+    });
+    if (retry && retry.errors.length === 0) return retry.value;
+
+    if (schema.allowPartial) {
+      const best = [first, retry]
+        .filter(result => result?.valid?.length > 0)
+        .sort((a, b) => b.valid.length - a.valid.length)[0];
+      if (best) {
+        console.warn(`Using ${best.valid.length} valid items from ${label}; dropped ${(best.value?.length || 0) - best.valid.length} that failed validation`);
+        return best.valid;
+      }
+    }
+    throw new Error(`LLM ${label} failed validation: ${(retry || first).errors.slice(0, 3).join('; ')}`);
+  }
+
+  // Score headlines from -1 (very negative for the stock) to 1 (very positive) in one call.
+  // Returns one number (or null where the model skipped it) per headline, or null when the call failed.
+  async scoreHeadlineSentiment(symbol, headlines) {
+    if (!headlines || headlines.length === 0) return [];
+
+    const prompt = `
+Rate how each news headline reads for ${symbol} shareholders, from -1 (very negative) to 1 (very positive), 0 for neutral or unrelated.
+
+${headlines.map((headline, index) => `${index + 1}. ${headline}`).join('\n')}
+
+Respond with ONLY a JSON array of ${headlines.length} numbers in the same order, e.g. [0.4, -0.7, 0].
+`;
+
+    try {
+      const scores = await this.callStructured(prompt, HEADLINE_SENTIMENT_SCHEMA, 500, { temperature: 0, owner: 'news', task: 'headlineSentiment' });
+      return headlines.map((_, index) => (typeof scores[index] === 'number' ? scores[index] : null));
     } catch (error) {
-      console.error('Error parsing Groq recommendations:', error);
-      console.error('Raw response length:', response.length);
-      console.error('Raw response preview:', response.substring(0, 500));
-      throw error;
+      console.error('Error scoring headline sentiment:', error.message);
+      return null;
     }
   }
 
-  // Generate text using Groq LLM
-  async generateText(prompt, maxTokens = 500) {
+  // Generate text using Groq LLM; `options` ({ priority, owner, task }) as for callLLM
+  async generateText(prompt, maxTokens = 500, options = {}) {
     try {
-      return await this.callLLM(prompt, maxTokens);
+      return await this.callLLM(prompt, maxTokens, options);
     } catch (error) {
       console.error('Error generating text:', error);
       return null;
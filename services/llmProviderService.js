@@ -0,0 +1,195 @@
+// llmProviderService.js - OpenAI-compatible chat completion providers (Groq, OpenAI, local Ollama or llama.cpp) and per-task model settings
+import Constants from 'expo-constants';
+import rateLimiterService from './rateLimiterService';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+
+// Expo only inlines EXPO_PUBLIC_* variables that are written out in full, so each one is listed here
+const ENV = {
+  EXPO_PUBLIC_LLM_PROVIDER: process.env.EXPO_PUBLIC_LLM_PROVIDER,
+  EXPO_PUBLIC_LLM_BASE_URL: process.env.EXPO_PUBLIC_LLM_BASE_URL,
+  EXPO_PUBLIC_LLM_MODEL: process.env.EXPO_PUBLIC_LLM_MODEL,
+  EXPO_PUBLIC_LLM_API_KEY: process.env.EXPO_PUBLIC_LLM_API_KEY,
+  EXPO_PUBLIC_GROQ_API_KEY: process.env.EXPO_PUBLIC_GROQ_API_KEY,
+  EXPO_PUBLIC_OPENAI_API_KEY: process.env.EXPO_PUBLIC_OPENAI_API_KEY
+};
+const readConfig = (key) => extra?.[key] || ENV[key];
+
+// baseUrl is the OpenAI-compatible API root (requests go to `${baseUrl}/chat/completions`); model is the default
+// when the config names none; jsonMode is whether it takes response_format: { type: 'json_object' }
+export const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKeyConfig: 'EXPO_PUBLIC_GROQ_API_KEY',
+    requiresKey: true,
+    model: 'llama3-8b-8192',
+    jsonMode: true,
+    rateLimit: 'groq'
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyConfig: 'EXPO_PUBLIC_OPENAI_API_KEY',
+    requiresKey: true,
+    model: 'gpt-4o-mini',
+    jsonMode: true,
+    rateLimit: 'openai'
+  },
+  // Local servers run fully offline; on a device or emulator point the base URL at the machine running them
+  ollama: {
+    label: 'Ollama',
+    baseUrl: 'http://localhost:11434/v1',
+    local: true,
+    model: 'llama3.1:8b',
+    jsonMode: true,
+    rateLimit: 'localLlm'
+  },
+  llamacpp: {
+    label: 'llama.cpp',
+    baseUrl: 'http://localhost:8080/v1',
+    local: true,
+    model: 'default', // llama-server answers with whichever model it loaded
+    jsonMode: true,
+    rateLimit: 'localLlm'
+  },
+  // Any other OpenAI-compatible endpoint; needs a base URL and model from the config
+  custom: {
+    label: 'OpenAI-compatible',
+    baseUrl: null,
+    model: null,
+    jsonMode: false,
+    rateLimit: 'llm'
+  }
+};
+
+const DEFAULT_PROVIDER = 'groq';
+const DEFAULT_SETTINGS = {
+  temperature: 0.7,
+  maxTokens: 1000,
+  systemPrompt: 'You are a financial advisor. Provide clear, concise responses without JSON formatting unless specifically requested.'
+};
+
+// Entries of `settings` that are actually set, so unset config values don't mask defaults
+const definedSettings = (settings) => Object.fromEntries(
+  Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+class LlmProviderService {
+  constructor() {
+    // extra.llm in app.config.js: { provider, baseUrl, model, temperature, maxTokens, systemPrompt, tasks: { [task]: {...} } }
+    this.config = extra?.llm || {};
+    this.loadProvider();
+  }
+
+  // Provider, endpoint, key and default model; EXPO_PUBLIC_LLM_* settings override app.config.js
+  loadProvider() {
+    let providerId = readConfig('EXPO_PUBLIC_LLM_PROVIDER') || this.config.provider || DEFAULT_PROVIDER;
+    if (!LLM_PROVIDERS[providerId]) {
+      console.warn(`Unknown LLM provider "${providerId}", using ${DEFAULT_PROVIDER}`);
+      providerId = DEFAULT_PROVIDER;
+    }
+
+    const provider = LLM_PROVIDERS[providerId];
+    this.providerId = providerId;
+    this.provider = provider;
+    this.baseUrl = (readConfig('EXPO_PUBLIC_LLM_BASE_URL') || this.config.baseUrl || provider.baseUrl || '').replace(/\/+$/, '') || null;
+    this.apiKey = readConfig('EXPO_PUBLIC_LLM_API_KEY') || (provider.apiKeyConfig ? readConfig(provider.apiKeyConfig) : null) || null;
+    this.model = readConfig('EXPO_PUBLIC_LLM_MODEL') || this.config.model || provider.model;
+
+    if (!this.isConfigured()) {
+      console.warn(`${provider.label} LLM provider is not configured: ${this.describeMissingConfig()}`);
+    }
+
+    console.log('🔑 LLM Provider Status:', {
+      provider: providerId,
+      model: this.model,
+      local: !!provider.local,
+      hasKey: !!this.apiKey,
+      isConfigured: this.isConfigured()
+    });
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.model && (!this.provider.requiresKey || !!this.apiKey);
+  }
+
+  describeMissingConfig() {
+    if (!this.baseUrl) return 'set EXPO_PUBLIC_LLM_BASE_URL or llm.baseUrl in app.config.js';
+    if (!this.model) return 'set EXPO_PUBLIC_LLM_MODEL or llm.model in app.config.js';
+    return `add ${this.provider.apiKeyConfig} to your .env file`;
+  }
+
+  supportsJsonMode() {
+    return !!this.provider.jsonMode;
+  }
+
+  // { model, temperature, maxTokens, systemPrompt } for a task: the configured task settings win,
+  // then what the caller asked for (`fallback`), then the configured and built-in defaults
+  getTaskSettings(task, fallback = {}) {
+    const { temperature, maxTokens, systemPrompt, tasks } = this.config;
+    return {
+      ...DEFAULT_SETTINGS,
+      ...definedSettings({ temperature, maxTokens, systemPrompt }),
+      model: this.model,
+      ...definedSettings(fallback),
+      ...definedSettings(tasks?.[task])
+    };
+  }
+
+  // One chat completion; resolves to the message text. `priority` and `owner` place it in the shared rate limiter.
+  // Errors carry `failedGeneration` when the provider rejected an answer that didn't parse as JSON.
+  async complete({ messages, model, temperature, maxTokens, jsonMode = false }, { priority, owner } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.provider.label} LLM provider is not configured: ${this.describeMissingConfig()}`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await rateLimiterService.fetch(this.provider.rateLimit, `${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(jsonMode && this.supportsJsonMode() ? { response_format: { type: 'json_object' } } : {}),
+      }),
+    }, { priority, owner });
+
+    console.log(`${this.provider.label} response status:`, response.status);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error(`${this.provider.label} API error:`, response.status, errorData);
+      const apiError = new Error(`${this.provider.label} API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+      // JSON mode rejects answers that don't parse but returns what the model wrote, which may still be repairable
+      apiError.failedGeneration = errorData.error?.failed_generation || null;
+      throw apiError;
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) {
+      console.error(`No content in ${this.provider.label} response:`, data);
+      throw new Error(`No content received from ${this.provider.label}`);
+    }
+    return content;
+  }
+
+  // Provider summary for status screens and logs
+  getStatus() {
+    return {
+      provider: this.providerId,
+      label: this.provider.label,
+      model: this.model,
+      baseUrl: this.baseUrl,
+      local: !!this.provider.local,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+export default new LlmProviderService();
@@ -0,0 +1,314 @@
+// marketCalendarService.js - NYSE/NASDAQ sessions, holidays and early closes, polling throttles and quote freshness labels
+import { isCryptoSymbol } from './assetClassService';
+
+export const MARKET_TIME_ZONE = 'America/New_York';
+
+// Session boundaries in minutes after midnight New York time
+const PREMARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const POSTMARKET_CLOSE = 20 * 60;
+const EARLY_POSTMARKET_CLOSE = 17 * 60;
+
+const LIVE_QUOTE_MAX_AGE = 2 * 60 * 1000; // Quotes older than this during a session are shown as delayed
+const CLOSED_MIN_POLL_INTERVAL = 30 * 60 * 1000;
+const EXTENDED_HOURS_POLL_MULTIPLIER = 3;
+const CLOSED_POLL_MULTIPLIER = 6;
+
+// One-off closures the rules below can't derive
+const SPECIAL_CLOSURES = {
+  '2025-01-09': 'National Day of Mourning'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDateKey = (utcMs) => {
+  const date = new Date(utcMs);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+const keyToUtc = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+const addDays = (dateKey, days) => toDateKey(keyToUtc(dateKey) + days * 24 * 60 * 60 * 1000);
+const weekdayOf = (dateKey) => new Date(keyToUtc(dateKey)).getUTCDay();
+
+// nth (1-based) weekday of a month, e.g. the 3rd Monday of January
+const nthWeekday = (year, month, weekday, n) => {
+  const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return Date.UTC(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+};
+
+const lastWeekday = (year, month, weekday) => {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return Date.UTC(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+};
+
+// Saturday holidays are observed on Friday, Sunday holidays on Monday
+const observed = (utcMs) => {
+  const weekday = new Date(utcMs).getUTCDay();
+  if (weekday === 6) return utcMs - 24 * 60 * 60 * 1000;
+  if (weekday === 0) return utcMs + 24 * 60 * 60 * 1000;
+  return utcMs;
+};
+
+// Built once - this runs on every cache lookup and formatters are expensive to create
+const newYorkFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const getNewYorkParts = (date) => {
+  const parts = {};
+  newYorkFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const hour = parts.hour % 24;
+  return {
+    dateKey: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    minutes: hour * 60 + parts.minute,
+    wallClockUtc: Date.UTC(parts.year, parts.month - 1, parts.day, hour, parts.minute)
+  };
+};
+
+// Instant for a New York wall-clock time (minutes after midnight) on a date
+const newYorkTimeToDate = (dateKey, minutes) => {
+  const guess = keyToUtc(dateKey) + minutes * 60 * 1000;
+  const offset = getNewYorkParts(new Date(guess)).wallClockUtc - guess;
+  return new Date(guess - offset);
+};
+
+const formatMarketTime = (date, now) => {
+  const time = date.toLocaleTimeString('en-US', { timeZone: MARKET_TIME_ZONE, hour: 'numeric', minute: '2-digit' });
+  if (getNewYorkParts(date).dateKey === getNewYorkParts(now).dateKey) return `${time} ET`;
+  const day = date.toLocaleDateString('en-US', { timeZone: MARKET_TIME_ZONE, weekday: 'short' });
+  return `${day} ${time} ET`;
+};
+
+const formatAge = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+};
+
+class MarketCalendarService {
+  constructor() {
+    this.holidayCache = new Map(); // year -> { holidays: Map, earlyCloses: Set }
+  }
+
+  // Full-day closures and 1:00 PM early closes for a year (NYSE rules, which NASDAQ follows)
+  getCalendarYear(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const holidays = new Map();
+    const add = (utcMs, name) => {
+      const key = toDateKey(utcMs);
+      if (key.startsWith(`${year}-`)) holidays.set(key, name);
+    };
+
+    // New Year's Day falling on a Saturday is not observed on the prior Friday
+    const newYear = Date.UTC(year, 0, 1);
+    if (new Date(newYear).getUTCDay() !== 6) add(observed(newYear), "New Year's Day");
+    add(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+    add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+    add(easterSunday(year) - 2 * 24 * 60 * 60 * 1000, 'Good Friday');
+    add(lastWeekday(year, 4, 1), 'Memorial Day');
+    if (year >= 2022) add(observed(Date.UTC(year, 5, 19)), 'Juneteenth');
+    add(observed(Date.UTC(year, 6, 4)), 'Independence Day');
+    add(nthWeekday(year, 8, 1, 1), 'Labor Day');
+    add(nthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+    add(observed(Date.UTC(year, 11, 25)), 'Christmas Day');
+    Object.entries(SPECIAL_CLOSURES).forEach(([key, name]) => {
+      if (key.startsWith(`${year}-`)) holidays.set(key, name);
+    });
+
+    const earlyCloses = new Set();
+    const addEarlyClose = (utcMs) => {
+      const key = toDateKey(utcMs);
+      const weekday = weekdayOf(key);
+      if (weekday >= 1 && weekday <= 5 && !holidays.has(key)) earlyCloses.add(key);
+    };
+    addEarlyClose(Date.UTC(year, 6, 3)); // Eve of Independence Day
+    addEarlyClose(nthWeekday(year, 10, 4, 4) + 24 * 60 * 60 * 1000); // Day after Thanksgiving
+    addEarlyClose(Date.UTC(year, 11, 24)); // Christmas Eve
+
+    const calendar = { holidays, earlyCloses };
+    this.holidayCache.set(year, calendar);
+    return calendar;
+  }
+
+  // Holiday name for a 'YYYY-MM-DD' New York date, or null
+  getHoliday(dateKey) {
+    return this.getCalendarYear(parseInt(dateKey.slice(0, 4), 10)).holidays.get(dateKey) || null;
+  }
+
+  isTradingDay(dateKey) {
+    const weekday = weekdayOf(dateKey);
+    return weekday !== 0 && weekday !== 6 && !this.getHoliday(dateKey);
+  }
+
+  // Session boundaries (minutes after midnight ET) for a trading day, null when the market is closed all day
+  getSessionHours(dateKey) {
+    if (!this.isTradingDay(dateKey)) return null;
+    const earlyClose = this.getCalendarYear(parseInt(dateKey.slice(0, 4), 10)).earlyCloses.has(dateKey);
+    return {
+      premarketOpen: PREMARKET_OPEN,
+      open: REGULAR_OPEN,
+      close: earlyClose ? EARLY_CLOSE : REGULAR_CLOSE,
+      postmarketClose: earlyClose ? EARLY_POSTMARKET_CLOSE : POSTMARKET_CLOSE,
+      earlyClose
+    };
+  }
+
+  // Next instant after `date` when a session boundary ('premarketOpen', 'open', 'close', 'postmarketClose') occurs
+  getNextSessionTime(boundary, date = new Date()) {
+    let dateKey = getNewYorkParts(date).dateKey;
+    for (let i = 0; i < 14; i++) {
+      const hours = this.getSessionHours(dateKey);
+      if (hours) {
+        const time = newYorkTimeToDate(dateKey, hours[boundary]);
+        if (time.getTime() > date.getTime()) return time;
+      }
+      dateKey = addDays(dateKey, 1);
+    }
+    return null;
+  }
+
+  // Regular open of the `sessions`-th most recent session that has opened by `date` (1 = the latest one)
+  getRecentSessionOpen(sessions = 1, date = new Date()) {
+    let dateKey = getNewYorkParts(date).dateKey;
+    let found = 0;
+    for (let i = 0; i < sessions * 2 + 14; i++) {
+      const hours = this.getSessionHours(dateKey);
+      if (hours) {
+        const open = newYorkTimeToDate(dateKey, hours.open);
+        if (open.getTime() <= date.getTime()) found += 1;
+        if (found === sessions) return open;
+      }
+      dateKey = addDays(dateKey, -1);
+    }
+    return null;
+  }
+
+  // 'YYYY-MM-DD' New York trading date of an instant (groups intraday bars by session)
+  getMarketDateKey(date) {
+    return getNewYorkParts(date).dateKey;
+  }
+
+  // Instant for a New York wall-clock time, e.g. parsing provider timestamps reported in Eastern time
+  getMarketTime(dateKey, minutes) {
+    return newYorkTimeToDate(dateKey, minutes);
+  }
+
+  // Whether an intraday bar starting at `date` and lasting `barMinutes` overlaps a regular session.
+  // Hourly bars start on the hour, so the 9:00 bar still counts for the 9:30 open.
+  isRegularSessionBar(date, barMinutes = 1) {
+    const { dateKey, minutes } = getNewYorkParts(date);
+    const hours = this.getSessionHours(dateKey);
+    return !!hours && minutes + barMinutes > hours.open && minutes < hours.close;
+  }
+
+  // Next regular-session close after `date` (day orders expire here)
+  getNextMarketClose(date = new Date()) {
+    return this.getNextSessionTime('close', date);
+  }
+
+  // Current session: 'pre', 'regular', 'post' or 'closed', with the next open/close and a banner label
+  getMarketStatus(date = new Date()) {
+    const { dateKey, minutes } = getNewYorkParts(date);
+    const hours = this.getSessionHours(dateKey);
+    const holiday = this.getHoliday(dateKey);
+
+    let session = 'closed';
+    if (hours) {
+      if (minutes >= hours.premarketOpen && minutes < hours.open) session = 'pre';
+      else if (minutes >= hours.open && minutes < hours.close) session = 'regular';
+      else if (minutes >= hours.close && minutes < hours.postmarketClose) session = 'post';
+    }
+
+    const nextOpen = this.getNextSessionTime('open', date);
+    const nextClose = this.getNextMarketClose(date);
+
+    let label;
+    switch (session) {
+      case 'regular':
+        label = `Market open · ${hours.earlyClose ? 'early close' : 'closes'} ${formatMarketTime(nextClose, date)}`;
+        break;
+      case 'pre':
+        label = `Pre-market · opens ${formatMarketTime(nextOpen, date)}`;
+        break;
+      case 'post':
+        label = `After hours · until ${formatMarketTime(newYorkTimeToDate(dateKey, hours.postmarketClose), date)}`;
+        break;
+      default:
+        label = `Market closed${holiday ? ` · ${holiday}` : ''}${nextOpen ? ` · opens ${formatMarketTime(nextOpen, date)}` : ''}`;
+    }
+
+    return {
+      session,
+      isOpen: session === 'regular',
+      isExtendedHours: session === 'pre' || session === 'post',
+      holiday,
+      earlyClose: !!hours?.earlyClose,
+      nextOpen,
+      nextClose,
+      label
+    };
+  }
+
+  // Polling interval scaled to the session: as-is during regular hours, slower in extended hours, much slower when closed.
+  // Crypto trades around the clock, so any crypto symbol (one or an array) keeps the base interval.
+  getPollInterval(baseInterval, symbols = [], date = new Date()) {
+    if ([].concat(symbols).some(isCryptoSymbol)) return baseInterval;
+    const { session } = this.getMarketStatus(date);
+    if (session === 'regular') return baseInterval;
+    if (session === 'pre' || session === 'post') return baseInterval * EXTENDED_HOURS_POLL_MULTIPLIER;
+    return Math.max(baseInterval * CLOSED_POLL_MULTIPLIER, CLOSED_MIN_POLL_INTERVAL);
+  }
+
+  // 'live', 'delayed' or 'closed' for a quote ({ timestamp, stale })
+  getQuoteStatus(quote, date = new Date()) {
+    // Crypto trades around the clock
+    if (this.getMarketStatus(date).session === 'closed' && !isCryptoSymbol(quote?.symbol)) return 'closed';
+    const age = date.getTime() - (quote?.timestamp || 0);
+    return !quote?.stale && age <= LIVE_QUOTE_MAX_AGE ? 'live' : 'delayed';
+  }
+
+  // { status, label } for showing next to a price
+  getQuoteLabel(quote, date = new Date()) {
+    const status = this.getQuoteStatus(quote, date);
+    if (status === 'live') return { status, label: 'Live' };
+    if (status === 'closed') return { status, label: 'Market closed' };
+    return {
+      status,
+      label: quote?.timestamp ? `Delayed ${formatAge(date.getTime() - quote.timestamp)}` : 'Delayed'
+    };
+  }
+}
+
+export default new MarketCalendarService();
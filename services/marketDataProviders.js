@@ -0,0 +1,706 @@
+// marketDataProviders.js - Market-data provider implementations (Alpha Vantage, Polygon-style REST, Frankfurter FX, fixtures) and shared normalizers
+import marketDataFixtures from './fixtures/marketData.json';
+import fundamentalsFixtures from './fixtures/fundamentals.json';
+import symbolFixtures from './fixtures/symbols.json';
+import candleFixtures from './fixtures/candles.json';
+import marketCalendarService from './marketCalendarService';
+import rateLimiterService from './rateLimiterService';
+
+// A provider is { id, label, live, capabilities, isConfigured(), fetchQuote(symbol), fetchProfile(symbol),
+// fetchFundamentals(symbol), fetchCandles(symbol, { from, to, resolution }), fetchSplits(symbol, { from, to }),
+// fetchDividends(symbol, { from, to }), fetchNews(symbol, { from, to }), fetchEarningsCalendar(symbol, { from, to }),
+// fetchEarningsSurprises(symbol, { limit }), searchSymbols(query), fetchFxRates(base) } with only the methods
+// its capabilities list. fetchFxRates takes a currency code in place of a symbol.
+// A null symbol for fetchEarningsCalendar asks for every company reporting in the range (null if unsupported).
+// Ranges are unix seconds. Candle resolutions follow Finnhub: minutes ('1', '5', '15', '30', '60'), 'D' or 'W'.
+// Options may also carry the caller's rate-limiter lane ({ priority, owner }), which providers pass on or ignore.
+// Methods return normalized data or null when the provider has nothing for the symbol,
+// and throw Error('API_LIMIT_REACHED') when rate limited so the caller can fail over.
+export const PROVIDER_CAPABILITIES = [
+  'quote', 'profile', 'fundamentals', 'candles', 'splits', 'dividends', 'news', 'earnings', 'earningsSurprises', 'search',
+  'fxRates'
+];
+
+export const toFiniteNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) || !isFinite(number) ? null : number;
+};
+
+const toPositive = (value) => {
+  const number = toFiniteNumber(value);
+  return number !== null && number > 0 ? number : null;
+};
+
+// Format a market cap given in millions (Finnhub's unit), e.g. 2100000 -> '2.1T'. Null when missing.
+export const formatMarketCap = (millions) => {
+  const value = parseFloat(millions);
+  if (isNaN(value) || value <= 0) return null;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}T`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}B`;
+  return `${value.toFixed(0)}M`;
+};
+
+// Shape returned by getStockQuote
+export const buildQuote = (symbol, fields, providerId, timestamp = Date.now()) => {
+  const price = toFiniteNumber(fields.price) || 0;
+  return {
+    symbol,
+    price,
+    currentPrice: price,
+    change: toFiniteNumber(fields.change) || 0,
+    changePercent: toFiniteNumber(fields.changePercent) || 0,
+    high: toFiniteNumber(fields.high) || 0,
+    low: toFiniteNumber(fields.low) || 0,
+    open: toFiniteNumber(fields.open) || 0,
+    previousClose: toFiniteNumber(fields.previousClose) || 0,
+    volume: parseInt(fields.volume, 10) || 0,
+    timestamp,
+    source: 'rest',
+    provider: providerId
+  };
+};
+
+// Shape returned by getCompanyProfile; marketCapitalization is in millions like Finnhub reports it
+export const buildProfile = (symbol, fields, providerId) => ({
+  symbol,
+  name: fields.name || symbol,
+  sector: fields.sector || 'Unknown',
+  industry: fields.industry || fields.sector || 'Unknown',
+  marketCap: formatMarketCap(fields.marketCapitalization) || 'N/A',
+  marketCapitalization: toPositive(fields.marketCapitalization),
+  country: fields.country || 'Unknown',
+  currency: fields.currency || 'USD',
+  exchange: fields.exchange || 'Unknown',
+  ipo: fields.ipo || 'N/A',
+  timestamp: Date.now(),
+  provider: providerId
+});
+
+// Candles as { timestamp (unix seconds), open, high, low, close, volume }, oldest first
+export const buildCandle = (timestamp, open, high, low, close, volume) => ({
+  timestamp,
+  open: parseFloat(open) || 0,
+  high: parseFloat(high) || 0,
+  low: parseFloat(low) || 0,
+  close: parseFloat(close) || 0,
+  volume: parseInt(volume, 10) || 0
+});
+
+// Splits as { symbol, date (effective 'YYYY-MM-DD'), fromFactor, toFactor, ratio (new shares per old share) }
+export const buildSplit = (symbol, date, fromFactor, toFactor) => {
+  const from = toPositive(fromFactor);
+  const to = toPositive(toFactor);
+  if (!date || from === null || to === null) return null;
+  return { symbol, date: date.slice(0, 10), fromFactor: from, toFactor: to, ratio: to / from };
+};
+
+// Cash dividends as { symbol, exDate, payDate, amount (cash per share as paid, not split-adjusted), currency }.
+// Pay date falls back to the ex-date when the provider doesn't report one.
+export const buildDividend = (symbol, { exDate, payDate, amount, currency }) => {
+  const perShare = toPositive(amount);
+  if (!exDate || perShare === null) return null;
+  return {
+    symbol,
+    exDate: exDate.slice(0, 10),
+    payDate: (payDate || exDate).slice(0, 10),
+    amount: perShare,
+    currency: (currency || 'USD').toUpperCase()
+  };
+};
+
+// News as { id, symbol, headline, summary, source, url, image, publishedAt (ISO), provider }.
+// publishedAt accepts unix seconds, milliseconds or a date string.
+export const buildNewsArticle = (symbol, { id, headline, summary, source, url, image, publishedAt }, providerId) => {
+  const time = typeof publishedAt === 'number'
+    ? (publishedAt < 1e12 ? publishedAt * 1000 : publishedAt)
+    : Date.parse(publishedAt);
+  if (!headline || !headline.trim() || isNaN(time)) return null;
+  return {
+    id: String(id || url || `${symbol}-${time}`),
+    symbol,
+    headline: headline.trim(),
+    summary: (summary || '').trim(),
+    source: source || 'Unknown',
+    url: url || null,
+    image: image || null,
+    publishedAt: new Date(time).toISOString(),
+    provider: providerId
+  };
+};
+
+// Earnings dates as { symbol, date ('YYYY-MM-DD'), hour ('bmo', 'amc', 'dmh' or null), quarter, year,
+// epsEstimate, epsActual, revenueEstimate, revenueActual, provider }. Actuals are null until reported.
+export const buildEarningsEvent = (symbol, { date, hour, quarter, year, epsEstimate, epsActual, revenueEstimate, revenueActual }, providerId) => {
+  if (!symbol || !date) return null;
+  const timing = (hour || '').toLowerCase();
+  return {
+    symbol: symbol.toUpperCase(),
+    date: date.slice(0, 10),
+    hour: ['bmo', 'amc', 'dmh'].includes(timing) ? timing : null,
+    quarter: toFiniteNumber(quarter),
+    year: toFiniteNumber(year),
+    epsEstimate: toFiniteNumber(epsEstimate),
+    epsActual: toFiniteNumber(epsActual),
+    revenueEstimate: toFiniteNumber(revenueEstimate),
+    revenueActual: toFiniteNumber(revenueActual),
+    provider: providerId
+  };
+};
+
+// Reported quarters as { symbol, period (fiscal quarter end 'YYYY-MM-DD'), quarter, year, actual, estimate,
+// surprise, surprisePercent }. Surprise is derived when the provider doesn't report it; percent is null on a zero estimate.
+export const buildEarningsSurprise = (symbol, { period, quarter, year, actual, estimate, surprise, surprisePercent }) => {
+  const eps = toFiniteNumber(actual);
+  const expected = toFiniteNumber(estimate);
+  if (!period || eps === null) return null;
+  const difference = toFiniteNumber(surprise) ?? (expected !== null ? eps - expected : null);
+  const percent = toFiniteNumber(surprisePercent) ??
+    (difference !== null && expected ? (difference / Math.abs(expected)) * 100 : null);
+  return {
+    symbol,
+    period: period.slice(0, 10),
+    quarter: toFiniteNumber(quarter),
+    year: toFiniteNumber(year),
+    actual: eps,
+    estimate: expected,
+    surprise: difference !== null ? Math.round(difference * 10000) / 10000 : null,
+    surprisePercent: percent !== null ? Math.round(percent * 100) / 100 : null
+  };
+};
+
+// Exchange rates as { base, rates (units of each currency per one `base`, base itself included as 1), asOf
+// ('YYYY-MM-DD'), source }, keeping only positive rates for three-letter codes; null when none are usable
+export const buildFxRates = (base, rates, asOf, providerId) => {
+  const code = (base || '').toUpperCase();
+  const usable = {};
+  Object.entries(rates || {}).forEach(([currency, rate]) => {
+    const value = toPositive(rate);
+    if (/^[A-Z]{3}$/.test(currency) && value !== null) usable[currency] = value;
+  });
+  if (!code || Object.keys(usable).length === 0) return null;
+  return { base: code, rates: { ...usable, [code]: 1 }, asOf: asOf || null, source: providerId };
+};
+
+// Normalized actions, oldest first, without entries the builders rejected
+const sortActions = (actions, dateField) => actions
+  .filter(Boolean)
+  .sort((a, b) => a[dateField].localeCompare(b[dateField]));
+
+// Short badge for a provider's security type ('Common Stock', 'ETP', 'CS', 'ADRC', 'Mutual Fund', ...)
+const SECURITY_TYPE_LABELS = [
+  [/^(etf|etp|etn|etv)$|exchange.traded/i, 'ETF'],
+  [/^adr|depositary/i, 'ADR'],
+  [/reit/i, 'REIT'],
+  [/fund|^unit$/i, 'Fund'],
+  [/crypto|digital/i, 'Crypto'],
+  [/common|equity|stock|^cs$/i, 'Stock']
+];
+
+export const getSecurityTypeLabel = (type) => {
+  const match = SECURITY_TYPE_LABELS.find(([pattern]) => pattern.test(type || ''));
+  return match ? match[1] : 'Other';
+};
+
+// Exchange for a ticker suffix (Finnhub search reports international listings as e.g. SHOP.TO)
+const EXCHANGE_SUFFIXES = {
+  TO: 'TSX', V: 'TSXV', L: 'LSE', DE: 'XETRA', F: 'Frankfurt', PA: 'Euronext Paris', AS: 'Euronext Amsterdam',
+  MI: 'Borsa Italiana', MC: 'BME', SW: 'SIX', HK: 'HKEX', T: 'TSE', AX: 'ASX', NS: 'NSE', BO: 'BSE',
+  SS: 'SSE', SZ: 'SZSE', KS: 'KRX', MX: 'BMV', SA: 'B3'
+};
+
+const MIC_EXCHANGES = { XNAS: 'NASDAQ', XNYS: 'NYSE', ARCX: 'NYSE Arca', XASE: 'NYSE American', BATS: 'Cboe BZX' };
+
+export const getExchangeForSymbol = (symbol) => {
+  // Crypto pairs carry their exchange as a prefix (BINANCE:BTCUSDT)
+  if (symbol.includes(':')) return symbol.split(':')[0].toUpperCase();
+  const suffix = symbol.includes('.') ? symbol.split('.').pop().toUpperCase() : null;
+  return (suffix && EXCHANGE_SUFFIXES[suffix]) || 'US';
+};
+
+// Search results as { symbol, name, type (as reported), typeLabel (badge), exchange, provider }
+export const buildSearchResult = (symbol, { name, type, exchange }, providerId) => ({
+  symbol: symbol.toUpperCase(),
+  name: name || symbol.toUpperCase(),
+  type: type || 'Unknown',
+  typeLabel: getSecurityTypeLabel(type),
+  exchange: MIC_EXCHANGES[exchange] || exchange || getExchangeForSymbol(symbol),
+  provider: providerId
+});
+
+// Rank a symbol list against a query: exact ticker, ticker prefix, then name matches
+export const searchSymbolList = (list, query, providerId) => {
+  const q = (query || '').trim().toUpperCase();
+  if (!q) return [];
+  const score = (entry) => {
+    const symbol = entry.symbol.toUpperCase();
+    const name = (entry.name || '').toUpperCase();
+    if (symbol === q) return 0;
+    if (symbol.startsWith(q)) return 1;
+    if (name.startsWith(q)) return 2;
+    if (name.includes(q)) return 3;
+    return null;
+  };
+  return list
+    .map(entry => ({ entry, score: score(entry) }))
+    .filter(({ score: s }) => s !== null)
+    .sort((a, b) => a.score - b.score || a.entry.symbol.localeCompare(b.entry.symbol))
+    .map(({ entry }) => buildSearchResult(entry.symbol, entry, providerId));
+};
+
+// Minute bars ('1', '5', ...) as opposed to 'D' and 'W'
+export const isIntradayResolution = (resolution) => /^\d+$/.test(String(resolution));
+
+export const toIsoDate = (unixSeconds) => new Date(unixSeconds * 1000).toISOString().slice(0, 10);
+
+// Through the shared rate limiter under the provider's own bucket
+const fetchProviderJson = async (url, label, providerId) => {
+  const res = await rateLimiterService.fetch(providerId, url);
+  if (res.status === 429) {
+    console.warn(`${label} rate limit reached`);
+    throw new Error('API_LIMIT_REACHED');
+  }
+  if (!res.ok) {
+    throw new Error(`${label} HTTP ${res.status}`);
+  }
+  return res.json();
+};
+
+// Alpha Vantage (https://www.alphavantage.co). Free keys allow a handful of calls per minute,
+// so it works best as a failover behind Finnhub.
+export const createAlphaVantageProvider = ({ apiKey, baseUrl = 'https://www.alphavantage.co/query' } = {}) => {
+  const query = async (params) => {
+    const search = Object.entries({ ...params, apikey: apiKey })
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    const data = await fetchProviderJson(`${baseUrl}?${search}`, 'Alpha Vantage', 'alphaVantage');
+    // Throttled responses come back as 200 with a Note/Information message
+    if (data && (data.Note || data.Information)) {
+      console.warn('Alpha Vantage:', data.Note || data.Information);
+      throw new Error('API_LIMIT_REACHED');
+    }
+    return data;
+  };
+
+  const overviewNumber = (value) => (value === 'None' || value === '-' ? null : toFiniteNumber(value));
+
+  return {
+    id: 'alphaVantage',
+    label: 'Alpha Vantage',
+    live: true,
+    capabilities: ['quote', 'profile', 'fundamentals', 'candles', 'earningsSurprises', 'search'],
+    isConfigured: () => !!apiKey,
+
+    async fetchQuote(symbol) {
+      const data = await query({ function: 'GLOBAL_QUOTE', symbol });
+      const quote = data?.['Global Quote'];
+      if (!quote || !quote['05. price']) return null;
+      return buildQuote(symbol, {
+        price: quote['05. price'],
+        change: quote['09. change'],
+        changePercent: (quote['10. change percent'] || '').replace('%', ''),
+        high: quote['03. high'],
+        low: quote['04. low'],
+        open: quote['02. open'],
+        previousClose: quote['08. previous close'],
+        volume: quote['06. volume']
+      }, 'alphaVantage');
+    },
+
+    async fetchProfile(symbol) {
+      const data = await query({ function: 'OVERVIEW', symbol });
+      if (!data?.Name) return null;
+      const marketCap = overviewNumber(data.MarketCapitalization);
+      return buildProfile(symbol, {
+        name: data.Name,
+        sector: data.Sector ? data.Sector.charAt(0) + data.Sector.slice(1).toLowerCase() : null,
+        industry: data.Industry,
+        marketCapitalization: marketCap !== null ? marketCap / 1e6 : null,
+        country: data.Country,
+        currency: data.Currency,
+        exchange: data.Exchange
+      }, 'alphaVantage');
+    },
+
+    async fetchFundamentals(symbol) {
+      const data = await query({ function: 'OVERVIEW', symbol });
+      if (!data?.Symbol) return null;
+      const marketCap = overviewNumber(data.MarketCapitalization);
+      const dividendYield = overviewNumber(data.DividendYield);
+      return {
+        asOf: data.LatestQuarter ? new Date(`${data.LatestQuarter}T00:00:00Z`).toISOString() : new Date().toISOString(),
+        values: {
+          marketCap: marketCap !== null && marketCap > 0 ? marketCap / 1e6 : null,
+          peRatio: overviewNumber(data.PERatio),
+          dividendYield: dividendYield !== null ? dividendYield * 100 : null, // Reported as a fraction
+          eps: overviewNumber(data.EPS),
+          beta: overviewNumber(data.Beta)
+        }
+      };
+    },
+
+    async fetchCandles(symbol, { from, to, resolution = 'D' }) {
+      let data;
+      let series;
+      if (isIntradayResolution(resolution)) {
+        // Full intraday output covers the last 30 days
+        data = await query({ function: 'TIME_SERIES_INTRADAY', symbol, interval: `${resolution}min`, outputsize: 'full' });
+        series = data?.[`Time Series (${resolution}min)`];
+      } else if (resolution === 'W') {
+        data = await query({ function: 'TIME_SERIES_WEEKLY', symbol });
+        series = data?.['Weekly Time Series'];
+      } else {
+        // The compact series covers the last 100 sessions
+        const outputsize = Date.now() / 1000 - from > 140 * 24 * 60 * 60 ? 'full' : 'compact';
+        data = await query({ function: 'TIME_SERIES_DAILY', symbol, outputsize });
+        series = data?.['Time Series (Daily)'];
+      }
+      if (!series) return null;
+
+      // Intraday keys are 'YYYY-MM-DD HH:MM:SS' Eastern time, daily and weekly keys plain dates
+      const toTimestamp = (key) => {
+        const [day, time] = key.split(' ');
+        if (!time) return Date.parse(`${day}T00:00:00Z`) / 1000;
+        const [hours, minutes] = time.split(':').map(Number);
+        return marketCalendarService.getMarketTime(day, hours * 60 + minutes).getTime() / 1000;
+      };
+
+      const candles = Object.keys(series)
+        .map(key => {
+          const bar = series[key];
+          return buildCandle(toTimestamp(key), bar['1. open'], bar['2. high'], bar['3. low'], bar['4. close'], bar['5. volume']);
+        })
+        .filter(c => c.timestamp >= from && c.timestamp <= to)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      return candles.length > 0 ? candles : null;
+    },
+
+    async fetchEarningsSurprises(symbol, { limit = 8 } = {}) {
+      const data = await query({ function: 'EARNINGS', symbol });
+      if (!Array.isArray(data?.quarterlyEarnings)) return null;
+      return data.quarterlyEarnings
+        .slice(0, limit)
+        .map(quarter => buildEarningsSurprise(symbol, {
+          period: quarter.fiscalDateEnding,
+          actual: overviewNumber(quarter.reportedEPS),
+          estimate: overviewNumber(quarter.estimatedEPS),
+          surprise: overviewNumber(quarter.surprise),
+          surprisePercent: overviewNumber(quarter.surprisePercentage)
+        }))
+        .filter(Boolean);
+    },
+
+    async searchSymbols(keywords) {
+      const data = await query({ function: 'SYMBOL_SEARCH', keywords });
+      if (!Array.isArray(data?.bestMatches)) return null;
+      return data.bestMatches.map(match => buildSearchResult(match['1. symbol'], {
+        name: match['2. name'],
+        type: match['3. type'],
+        exchange: match['4. region'] === 'United States' ? 'US' : match['4. region']
+      }, 'alphaVantage'));
+    }
+  };
+};
+
+// Polygon-style REST (snapshot, reference tickers and aggregates endpoints). Works with Polygon
+// and with compatible gateways via baseUrl.
+export const createPolygonProvider = ({ apiKey, baseUrl = 'https://api.polygon.io' } = {}) => {
+  const get = (path, params = {}) => {
+    const search = Object.entries({ ...params, apiKey })
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return fetchProviderJson(`${baseUrl}${path}?${search}`, 'Polygon', 'polygon');
+  };
+
+  return {
+    id: 'polygon',
+    label: 'Polygon',
+    live: true,
+    capabilities: ['quote', 'profile', 'fundamentals', 'candles', 'splits', 'dividends', 'news', 'search'],
+    isConfigured: () => !!apiKey,
+
+    async fetchQuote(symbol) {
+      const data = await get(`/v2/snapshot/locale/us/markets/stocks/tickers/${symbol}`);
+      const ticker = data?.ticker;
+      if (!ticker) return null;
+      const price = ticker.lastTrade?.p || ticker.day?.c || ticker.prevDay?.c;
+      if (!price) return null;
+      return buildQuote(symbol, {
+        price,
+        change: ticker.todaysChange,
+        changePercent: ticker.todaysChangePerc,
+        high: ticker.day?.h,
+        low: ticker.day?.l,
+        open: ticker.day?.o,
+        previousClose: ticker.prevDay?.c,
+        volume: ticker.day?.v
+      }, 'polygon');
+    },
+
+    async fetchProfile(symbol) {
+      const data = await get(`/v3/reference/tickers/${symbol}`);
+      const result = data?.results;
+      if (!result?.name) return null;
+      return buildProfile(symbol, {
+        name: result.name,
+        sector: result.sic_description,
+        industry: result.sic_description,
+        marketCapitalization: result.market_cap ? result.market_cap / 1e6 : null,
+        country: result.locale === 'us' ? 'US' : result.locale,
+        currency: (result.currency_name || 'usd').toUpperCase(),
+        exchange: result.primary_exchange,
+        ipo: result.list_date
+      }, 'polygon');
+    },
+
+    // Reference data only carries market cap; the other fields fall through to later providers
+    async fetchFundamentals(symbol) {
+      const data = await get(`/v3/reference/tickers/${symbol}`);
+      const marketCap = toPositive(data?.results?.market_cap);
+      if (marketCap === null) return null;
+      return {
+        asOf: new Date().toISOString(),
+        values: { marketCap: marketCap / 1e6, peRatio: null, dividendYield: null, eps: null, beta: null }
+      };
+    },
+
+    async fetchCandles(symbol, { from, to, resolution = 'D' }) {
+      let range = '1/day';
+      if (isIntradayResolution(resolution)) range = `${resolution}/minute`;
+      else if (resolution === 'W') range = '1/week';
+
+      const data = await get(`/v2/aggs/ticker/${symbol}/range/${range}/${toIsoDate(from)}/${toIsoDate(to)}`, {
+        adjusted: 'true',
+        sort: 'asc',
+        limit: 50000
+      });
+      if (!Array.isArray(data?.results) || data.results.length === 0) return null;
+      const candles = data.results.map(bar => buildCandle(Math.floor(bar.t / 1000), bar.o, bar.h, bar.l, bar.c, bar.v));
+      if (!isIntradayResolution(resolution)) return candles;
+      // Date ranges cover whole days, so trim minute bars to the requested window
+      const trimmed = candles.filter(c => c.timestamp >= from && c.timestamp <= to);
+      return trimmed.length > 0 ? trimmed : null;
+    },
+
+    async fetchSplits(symbol, { from, to }) {
+      const data = await get('/v3/reference/splits', {
+        ticker: symbol,
+        'execution_date.gte': toIsoDate(from),
+        'execution_date.lte': toIsoDate(to),
+        limit: 1000
+      });
+      if (!Array.isArray(data?.results)) return null;
+      return sortActions(data.results.map(split => buildSplit(symbol, split.execution_date, split.split_from, split.split_to)), 'date');
+    },
+
+    async fetchDividends(symbol, { from, to }) {
+      const data = await get('/v3/reference/dividends', {
+        ticker: symbol,
+        'ex_dividend_date.gte': toIsoDate(from),
+        'ex_dividend_date.lte': toIsoDate(to),
+        limit: 1000
+      });
+      if (!Array.isArray(data?.results)) return null;
+      return sortActions(data.results.map(dividend => buildDividend(symbol, {
+        exDate: dividend.ex_dividend_date,
+        payDate: dividend.pay_date,
+        amount: dividend.cash_amount,
+        currency: dividend.currency
+      })), 'exDate');
+    },
+
+    async fetchNews(symbol, { from, to }) {
+      const data = await get('/v2/reference/news', {
+        ticker: symbol,
+        'published_utc.gte': new Date(from * 1000).toISOString(),
+        'published_utc.lte': new Date(to * 1000).toISOString(),
+        order: 'desc',
+        limit: 100
+      });
+      if (!Array.isArray(data?.results)) return null;
+      return data.results
+        .map(article => buildNewsArticle(symbol, {
+          id: article.id,
+          headline: article.title,
+          summary: article.description,
+          source: article.publisher?.name,
+          url: article.article_url,
+          image: article.image_url,
+          publishedAt: article.published_utc
+        }, 'polygon'))
+        .filter(Boolean);
+    },
+
+    async searchSymbols(query) {
+      const data = await get('/v3/reference/tickers', { search: query, active: 'true', limit: 20 });
+      if (!Array.isArray(data?.results)) return null;
+      return data.results.map(ticker => buildSearchResult(ticker.ticker, {
+        name: ticker.name,
+        type: ticker.type,
+        exchange: ticker.primary_exchange
+      }, 'polygon'));
+    }
+  };
+};
+
+// Frankfurter (https://www.frankfurter.app): keyless daily ECB reference rates for the major currencies.
+// Updated once per working day around 16:00 CET, which is plenty for valuing paper positions.
+export const createFrankfurterProvider = ({ baseUrl = 'https://api.frankfurter.app' } = {}) => ({
+  id: 'frankfurter',
+  label: 'Frankfurter (ECB)',
+  live: true,
+  capabilities: ['fxRates'],
+  isConfigured: () => true,
+
+  async fetchFxRates(base) {
+    const data = await fetchProviderJson(`${baseUrl}/latest?from=${encodeURIComponent(base)}`, 'Frankfurter', 'frankfurter');
+    return data?.rates ? buildFxRates(data.base || base, data.rates, data.date, 'frankfurter') : null;
+  }
+});
+
+// Bundled candle rows ([date, open, high, low, close, volume]) as provider candles keyed by symbol
+const expandCandleFixtures = ({ fields = [], symbols = {} } = {}) => {
+  const column = (name) => fields.indexOf(name);
+  const candles = {};
+  Object.entries(symbols).forEach(([symbol, rows]) => {
+    candles[symbol] = rows.map(row => buildCandle(
+      Date.parse(`${row[column('date')]}T00:00:00Z`) / 1000,
+      row[column('open')], row[column('high')], row[column('low')], row[column('close')], row[column('volume')]
+    ));
+  });
+  return candles;
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+const QUARTER_DAYS = 365.25 / 4;
+
+// Whole weeks since the snapshot's closing bell, so replayed bars keep their weekdays and never land in the future
+export const getReplayShiftDays = (asOf, now = Date.now()) => {
+  const elapsedDays = (now - Date.parse(`${asOf}T20:00:00Z`)) / (DAY_SECONDS * 1000);
+  return Math.max(0, Math.floor(elapsedDays / 7) * 7);
+};
+
+export const shiftDateKey = (dateKey, days) => (dateKey ? toIsoDate(Date.parse(`${dateKey.slice(0, 10)}T00:00:00Z`) / 1000 + days * DAY_SECONDS) : dateKey);
+
+// Fiscal labels and period ends moved by whole quarters (period ends stay on month ends)
+const shiftQuarter = (fields, quarters) => {
+  if (!quarters) return fields;
+  const { quarter, year, period } = fields;
+  const shifted = { ...fields };
+  if (quarter && year) {
+    const index = year * 4 + (quarter - 1) + quarters;
+    shifted.quarter = (index % 4) + 1;
+    shifted.year = Math.floor(index / 4);
+  }
+  if (period) {
+    const [periodYear, periodMonth] = period.split('-').map(Number);
+    const monthEnd = new Date(Date.UTC(periodYear, periodMonth + quarters * 3, 0));
+    shifted.period = monthEnd.toISOString().slice(0, 10);
+  }
+  return shifted;
+};
+
+// Static snapshot (JSON fixture) for offline development. Quotes carry the snapshot time as their
+// timestamp so they show as delayed rather than live. With `replay` (demo mode) the snapshot is moved
+// forward by whole weeks to its most recent weekday: every date it returns is shifted and requested ranges
+// are shifted back, so charts, dividends and earnings dates line up with today.
+export const createFixtureMarketDataProvider = (fixtures = {
+  ...marketDataFixtures,
+  fundamentals: fundamentalsFixtures.symbols,
+  symbols: symbolFixtures.symbols,
+  candles: expandCandleFixtures(candleFixtures)
+}, { replay = false } = {}) => {
+  const shiftDays = replay && fixtures.asOf ? getReplayShiftDays(fixtures.asOf) : 0;
+  const shiftSeconds = shiftDays * DAY_SECONDS;
+  const shiftQuarters = Math.round(shiftDays / QUARTER_DAYS);
+  const asOf = fixtures.asOf ? Date.parse(`${fixtures.asOf}T20:00:00Z`) + shiftSeconds * 1000 : Date.now();
+  // Requested range in snapshot time
+  const recordedRange = ({ from, to }) => ({ from: toIsoDate(from - shiftSeconds), to: toIsoDate(to - shiftSeconds) });
+
+  return {
+    id: 'fixture',
+    label: 'Offline snapshot',
+    live: false,
+    capabilities: ['quote', 'profile', 'fundamentals', 'candles', 'splits', 'dividends', 'earnings', 'earningsSurprises', 'search', 'fxRates'],
+    isConfigured: () => true,
+
+    async fetchQuote(symbol) {
+      const quote = fixtures.quotes?.[symbol];
+      return quote ? buildQuote(symbol, quote, 'fixture', asOf) : null;
+    },
+
+    async fetchProfile(symbol) {
+      const profile = fixtures.profiles?.[symbol];
+      return profile ? buildProfile(symbol, profile, 'fixture') : null;
+    },
+
+    async fetchFundamentals(symbol) {
+      const values = fixtures.fundamentals?.[symbol];
+      return values ? { asOf: new Date(asOf).toISOString(), values } : null;
+    },
+
+    // The snapshot only holds daily bars
+    async fetchCandles(symbol, { from, to, resolution = 'D' }) {
+      if (resolution !== 'D') return null;
+      const candles = (fixtures.candles?.[symbol] || [])
+        .filter(c => c.timestamp >= from - shiftSeconds && c.timestamp <= to - shiftSeconds)
+        .map(c => ({ ...c, timestamp: c.timestamp + shiftSeconds }));
+      return candles.length > 0 ? candles : null;
+    },
+
+    async fetchSplits(symbol, range) {
+      const { from, to } = recordedRange(range);
+      return sortActions((fixtures.splits?.[symbol] || [])
+        .filter(split => split.date >= from && split.date <= to)
+        .map(split => buildSplit(symbol, shiftDateKey(split.date, shiftDays), split.fromFactor, split.toFactor)), 'date');
+    },
+
+    async fetchDividends(symbol, range) {
+      const { from, to } = recordedRange(range);
+      return sortActions((fixtures.dividends?.[symbol] || [])
+        .filter(dividend => dividend.exDate >= from && dividend.exDate <= to)
+        .map(dividend => buildDividend(symbol, {
+          ...dividend,
+          exDate: shiftDateKey(dividend.exDate, shiftDays),
+          payDate: shiftDateKey(dividend.payDate, shiftDays)
+        })), 'exDate');
+    },
+
+    async fetchEarningsCalendar(symbol, range) {
+      const { from, to } = recordedRange(range);
+      return (fixtures.earnings?.calendar || [])
+        .filter(event => (!symbol || event.symbol === symbol) && event.date >= from && event.date <= to)
+        .map(event => buildEarningsEvent(event.symbol, {
+          ...shiftQuarter(event, shiftQuarters),
+          date: shiftDateKey(event.date, shiftDays)
+        }, 'fixture'))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async fetchEarningsSurprises(symbol, { limit = 8 } = {}) {
+      const surprises = fixtures.earnings?.surprises?.[symbol];
+      if (!surprises) return null;
+      return surprises
+        .map(quarter => buildEarningsSurprise(symbol, shiftQuarter(quarter, shiftQuarters)))
+        .filter(Boolean)
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .slice(0, limit);
+    },
+
+    async searchSymbols(query) {
+      return searchSymbolList(fixtures.symbols || [], query, 'fixture');
+    },
+
+    // Snapshot rates are per USD; other bases are cross rates
+    async fetchFxRates(base) {
+      const snapshot = fixtures.fxRates;
+      const usd = snapshot ? buildFxRates(snapshot.base, snapshot.rates, null, 'fixture') : null;
+      const baseRate = usd?.rates[base];
+      if (!baseRate) return null;
+      const rates = {};
+      Object.entries(usd.rates).forEach(([currency, rate]) => {
+        rates[currency] = rate / baseRate;
+      });
+      return buildFxRates(base, rates, new Date(asOf).toISOString().slice(0, 10), 'fixture');
+    }
+  };
+};
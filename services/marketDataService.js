@@ -0,0 +1,188 @@
+// marketDataService.js - Market-data provider registry with capability routing and automatic failover
+import Constants from 'expo-constants';
+import rateLimiterService from './rateLimiterService';
+import demoModeService from './demoModeService';
+import {
+  createAlphaVantageProvider,
+  createPolygonProvider,
+  createFrankfurterProvider,
+  createFixtureMarketDataProvider
+} from './marketDataProviders';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+
+// Expo only inlines EXPO_PUBLIC_* variables that are written out in full, so each one is listed here
+const ENV = {
+  EXPO_PUBLIC_MARKET_DATA_PROVIDERS: process.env.EXPO_PUBLIC_MARKET_DATA_PROVIDERS,
+  EXPO_PUBLIC_ALPHA_VANTAGE_API_KEY: process.env.EXPO_PUBLIC_ALPHA_VANTAGE_API_KEY,
+  EXPO_PUBLIC_POLYGON_API_KEY: process.env.EXPO_PUBLIC_POLYGON_API_KEY,
+  EXPO_PUBLIC_POLYGON_BASE_URL: process.env.EXPO_PUBLIC_POLYGON_BASE_URL
+};
+const readConfig = (key) => extra?.[key] || ENV[key];
+
+const CAPABILITY_METHODS = {
+  quote: 'fetchQuote',
+  profile: 'fetchProfile',
+  fundamentals: 'fetchFundamentals',
+  candles: 'fetchCandles',
+  splits: 'fetchSplits',
+  dividends: 'fetchDividends',
+  news: 'fetchNews',
+  earnings: 'fetchEarningsCalendar',
+  earningsSurprises: 'fetchEarningsSurprises',
+  search: 'searchSymbols',
+  fxRates: 'fetchFxRates'
+};
+
+const RATE_LIMIT_COOLDOWN = 60 * 1000; // Skip a provider that refused us (e.g. HTTP 403) for a minute
+const FAILURE_COOLDOWN = 30 * 1000;
+const MAX_CONSECUTIVE_FAILURES = 3; // Errors in a row before a provider is skipped for FAILURE_COOLDOWN
+
+class MarketDataService {
+  constructor() {
+    this.providers = [];
+    this.health = new Map(); // provider id -> { failures, cooldownUntil, lastError, lastSuccess }
+    // Optional explicit order, e.g. "polygon,finnhub,fixture". Unlisted providers are left out.
+    // Demo mode only ever uses the snapshot.
+    this.preferredOrder = demoModeService.enabled
+      ? ['fixture']
+      : (readConfig('EXPO_PUBLIC_MARKET_DATA_PROVIDERS') || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+
+    // Finnhub registers itself ahead of these from finnhubService
+    this.providers.push(createAlphaVantageProvider({ apiKey: readConfig('EXPO_PUBLIC_ALPHA_VANTAGE_API_KEY') }));
+    this.providers.push(createPolygonProvider({
+      apiKey: readConfig('EXPO_PUBLIC_POLYGON_API_KEY'),
+      baseUrl: readConfig('EXPO_PUBLIC_POLYGON_BASE_URL') || undefined
+    }));
+    // Exchange rates only; keyless
+    this.providers.push(createFrankfurterProvider());
+    // Snapshot data is only used when asked for explicitly; demo mode replays it as current
+    if (this.preferredOrder.includes('fixture')) {
+      this.providers.push(createFixtureMarketDataProvider(undefined, { replay: demoModeService.enabled }));
+    }
+  }
+
+  // Add a provider ahead of or behind the existing chain (replaces one with the same id)
+  registerProvider(provider, { prepend = false } = {}) {
+    const others = this.providers.filter(p => p.id !== provider.id);
+    this.providers = prepend ? [provider, ...others] : [...others, provider];
+  }
+
+  // Replace the provider chain (e.g. fixture-only for offline use)
+  setProviders(providers) {
+    this.providers = providers;
+    this.health.clear();
+  }
+
+  // Configured providers supporting a capability, in failover order, skipping ones cooling down
+  getProviders(capability) {
+    const now = Date.now();
+    let ordered = this.providers;
+    if (this.preferredOrder.length > 0) {
+      ordered = this.preferredOrder
+        .map(id => this.providers.find(p => p.id === id))
+        .filter(Boolean);
+    }
+
+    return ordered.filter(provider =>
+      provider.capabilities.includes(capability) &&
+      provider.isConfigured() &&
+      (this.health.get(provider.id)?.cooldownUntil || 0) <= now
+    );
+  }
+
+  // First non-null result across providers as { data, provider }, or null when none had data.
+  // Throws the last error when every provider failed (API_LIMIT_REACHED if any were rate limited).
+  async request(capability, symbol, options = {}) {
+    const method = CAPABILITY_METHODS[capability];
+    if (!method) {
+      throw new Error(`Unknown market data capability: ${capability}`);
+    }
+
+    const providers = this.getProviders(capability);
+    if (providers.length === 0) {
+      throw new Error(this.hasConfiguredProvider(capability) ? 'API_LIMIT_REACHED' : `No market data provider configured for ${capability}`);
+    }
+
+    let lastError = null;
+    let rateLimited = false;
+    for (const provider of providers) {
+      try {
+        const data = await provider[method](symbol, options);
+        this.markSuccess(provider);
+        if (data !== null && data !== undefined) {
+          return { data, provider };
+        }
+      } catch (error) {
+        lastError = error;
+        rateLimited = rateLimited || error.message === 'API_LIMIT_REACHED';
+        this.markFailure(provider, error);
+      }
+    }
+
+    if (lastError) {
+      throw rateLimited ? new Error('API_LIMIT_REACHED') : lastError;
+    }
+    return null;
+  }
+
+  hasConfiguredProvider(capability) {
+    return this.providers.some(p => p.capabilities.includes(capability) && p.isConfigured());
+  }
+
+  markSuccess(provider) {
+    this.health.set(provider.id, { failures: 0, cooldownUntil: 0, lastError: null, lastSuccess: Date.now() });
+  }
+
+  markFailure(provider, error) {
+    const health = this.health.get(provider.id) || { failures: 0, cooldownUntil: 0, lastError: null, lastSuccess: null };
+    health.failures += 1;
+    health.lastError = error.message;
+
+    if (error.message === 'API_LIMIT_REACHED') {
+      // Rate-limit pauses come from the shared limiter (Retry-After / reset headers). A request the limiter
+      // only declined to queue fails over on its own without benching the provider.
+      const resumesAt = rateLimiterService.getResumeTime(provider.id);
+      if (resumesAt) {
+        health.cooldownUntil = resumesAt;
+      } else if (!error.throttled) {
+        health.cooldownUntil = Date.now() + RATE_LIMIT_COOLDOWN;
+      }
+      if (health.cooldownUntil > Date.now()) {
+        console.warn(`${provider.label} rate limited, failing over for ${Math.ceil((health.cooldownUntil - Date.now()) / 1000)}s`);
+      }
+    } else if (health.failures >= MAX_CONSECUTIVE_FAILURES) {
+      health.cooldownUntil = Date.now() + FAILURE_COOLDOWN;
+      console.warn(`${provider.label} failed ${health.failures} times, failing over for ${FAILURE_COOLDOWN / 1000}s`);
+    } else {
+      console.warn(`${provider.label} request failed:`, error.message);
+    }
+    this.health.set(provider.id, health);
+  }
+
+  clearCooldown(providerId) {
+    this.health.delete(providerId);
+  }
+
+  // Provider chain and health for status screens
+  getStatus() {
+    const now = Date.now();
+    return this.providers.map(provider => {
+      const health = this.health.get(provider.id);
+      return {
+        id: provider.id,
+        label: provider.label,
+        capabilities: provider.capabilities,
+        configured: provider.isConfigured(),
+        coolingDown: (health?.cooldownUntil || 0) > now,
+        lastError: health?.lastError || null,
+        lastSuccess: health?.lastSuccess || null
+      };
+    });
+  }
+}
+
+export default new MarketDataService();
@@ -0,0 +1,93 @@
+// memoryAuth.js - In-memory stand-in for the Firebase Auth functions the app uses (demo mode)
+// Accounts live for the session only; error codes match Firebase's so the login screen's messages still apply.
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const authError = (code, message) => {
+  const error = new Error(`Firebase: ${message} (${code}).`);
+  error.code = code;
+  return error;
+};
+
+const createUser = ({ uid, email, displayName = null }) => ({
+  uid,
+  email,
+  displayName,
+  emailVerified: true,
+  isAnonymous: false,
+  providerId: 'firebase',
+  getIdToken: async () => `demo-token-${uid}`
+});
+
+const notifyAuthListeners = (auth) => {
+  auth.listeners.forEach(listener => listener(auth.currentUser));
+};
+
+// `accounts` are { uid, email, password, displayName }; `signedInUid` starts the session signed in
+export const createMemoryAuth = ({ accounts = [], signedInUid = null } = {}) => {
+  const auth = {
+    accounts: new Map(accounts.map(account => [account.email.toLowerCase(), { ...account }])),
+    currentUser: null,
+    listeners: new Set(),
+    signOut: () => signOut(auth)
+  };
+
+  const signedIn = accounts.find(account => account.uid === signedInUid);
+  if (signedIn) auth.currentUser = createUser(signedIn);
+  return auth;
+};
+
+// First call reports the current user asynchronously, like Firebase does once persistence has loaded
+export const onAuthStateChanged = (auth, callback) => {
+  auth.listeners.add(callback);
+  setTimeout(() => {
+    if (auth.listeners.has(callback)) callback(auth.currentUser);
+  }, 0);
+  return () => {
+    auth.listeners.delete(callback);
+  };
+};
+
+export const signInWithEmailAndPassword = async (auth, email, password) => {
+  if (!email) throw authError('auth/missing-email', 'Missing email');
+  if (!password) throw authError('auth/missing-password', 'Missing password');
+
+  const account = auth.accounts.get(email.trim().toLowerCase());
+  if (!account || account.password !== password) {
+    throw authError('auth/invalid-credential', 'Invalid credential');
+  }
+
+  auth.currentUser = createUser(account);
+  notifyAuthListeners(auth);
+  return { user: auth.currentUser };
+};
+
+export const createUserWithEmailAndPassword = async (auth, email, password) => {
+  if (!email) throw authError('auth/missing-email', 'Missing email');
+  if (!password) throw authError('auth/missing-password', 'Missing password');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw authError('auth/weak-password', `Password should be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const key = email.trim().toLowerCase();
+  if (auth.accounts.has(key)) {
+    throw authError('auth/email-already-in-use', 'Email already in use');
+  }
+
+  const account = { uid: `demo-${Date.now().toString(36)}`, email: email.trim(), password, displayName: null };
+  auth.accounts.set(key, account);
+  auth.currentUser = createUser(account);
+  notifyAuthListeners(auth);
+  return { user: auth.currentUser };
+};
+
+// Nothing is sent; like Firebase with email enumeration protection, unknown addresses don't error
+export const sendPasswordResetEmail = async (auth, email) => {
+  if (!email) throw authError('auth/missing-email', 'Missing email');
+  console.log(`Demo mode: skipping password reset email to ${email}`);
+};
+
+export const signOut = async (auth) => {
+  auth.currentUser = null;
+  notifyAuthListeners(auth);
+};
@@ -0,0 +1,431 @@
+// memoryFirestore.js - In-memory stand-in for the Firestore modular API (demo mode)
+// Covers the subset the app uses: doc/collection refs, reads, writes with merge, simple queries,
+// onSnapshot listeners, batches, transactions and server timestamps. Nothing is persisted.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const AUTO_ID_LENGTH = 20;
+
+// Mirrors Firestore's Timestamp closely enough for toDate()/toMillis() readers
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+}
+
+class ServerTimestampSentinel {}
+
+const firestoreError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const autoId = () => {
+  let id = '';
+  for (let i = 0; i < AUTO_ID_LENGTH; i++) {
+    id += AUTO_ID_CHARS.charAt(Math.floor(Math.random() * AUTO_ID_CHARS.length));
+  }
+  return id;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Values as Firestore stores them: Dates become Timestamps, server timestamps resolve to now.
+// Undefined is rejected like the real SDK does.
+const toStored = (value, path = '') => {
+  if (value === undefined) {
+    throw firestoreError('invalid-argument', `Unsupported field value: undefined${path ? ` (found in field ${path})` : ''}`);
+  }
+  if (value instanceof ServerTimestampSentinel) return Timestamp.now();
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map((item, index) => toStored(item, `${path}[${index}]`));
+  if (isPlainObject(value)) {
+    const stored = {};
+    Object.entries(value).forEach(([key, field]) => {
+      stored[key] = toStored(field, path ? `${path}.${key}` : key);
+    });
+    return stored;
+  }
+  return value;
+};
+
+// Copies handed to readers so they can't mutate the store
+const cloneValue = (value) => {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.entries(value).forEach(([key, field]) => {
+      copy[key] = cloneValue(field);
+    });
+    return copy;
+  }
+  return value;
+};
+
+// Nested maps merge field by field (setDoc with { merge: true })
+const mergeValues = (target, source) => {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeValues(merged[key], value) : value;
+  });
+  return merged;
+};
+
+// updateDoc keys may be dotted field paths ('riskProfile.volatility')
+const applyUpdate = (data, updates) => {
+  const updated = cloneValue(data);
+  Object.entries(updates).forEach(([fieldPath, value]) => {
+    const keys = fieldPath.split('.');
+    let target = updated;
+    keys.slice(0, -1).forEach(key => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return updated;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+
+// Timestamps and Dates compare by time, everything else by value; null sorts first
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+const FILTERS = {
+  '==': (value, expected) => compareValues(value, expected) === 0,
+  '!=': (value, expected) => compareValues(value, expected) !== 0,
+  '<': (value, expected) => compareValues(value, expected) < 0,
+  '<=': (value, expected) => compareValues(value, expected) <= 0,
+  '>': (value, expected) => compareValues(value, expected) > 0,
+  '>=': (value, expected) => compareValues(value, expected) >= 0,
+  in: (value, expected) => expected.some(option => compareValues(value, option) === 0),
+  'not-in': (value, expected) => !expected.some(option => compareValues(value, option) === 0),
+  'array-contains': (value, expected) => Array.isArray(value) && value.some(item => compareValues(item, expected) === 0),
+  'array-contains-any': (value, expected) => Array.isArray(value) && value.some(item => expected.some(option => compareValues(item, option) === 0))
+};
+
+const splitPath = (segments) => segments.flatMap(segment => String(segment).split('/')).filter(Boolean);
+
+const createDocumentReference = (firestore, segments) => {
+  if (segments.length === 0 || segments.length % 2 !== 0) {
+    throw firestoreError('invalid-argument', `Invalid document reference. Document references must have an even number of segments, but ${segments.join('/')} has ${segments.length}.`);
+  }
+  return {
+    type: 'document',
+    firestore,
+    id: segments[segments.length - 1],
+    path: segments.join('/'),
+    get parent() {
+      return createCollectionReference(firestore, segments.slice(0, -1));
+    }
+  };
+};
+
+const createCollectionReference = (firestore, segments) => {
+  if (segments.length % 2 !== 1) {
+    throw firestoreError('invalid-argument', `Invalid collection reference. Collection references must have an odd number of segments, but ${segments.join('/')} has ${segments.length}.`);
+  }
+  return {
+    type: 'collection',
+    firestore,
+    id: segments[segments.length - 1],
+    path: segments.join('/'),
+    get parent() {
+      return segments.length > 1 ? createDocumentReference(firestore, segments.slice(0, -1)) : null;
+    }
+  };
+};
+
+const createDocumentSnapshot = (ref, data) => ({
+  id: ref.id,
+  ref,
+  metadata: { fromCache: false, hasPendingWrites: false },
+  exists: () => data !== undefined,
+  data: () => (data === undefined ? undefined : cloneValue(data)),
+  get: (fieldPath) => (data === undefined ? undefined : cloneValue(getField(data, fieldPath)))
+});
+
+const createQuerySnapshot = (docs) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  metadata: { fromCache: false, hasPendingWrites: false },
+  forEach: (callback) => docs.forEach(callback)
+});
+
+// Store behind a Firestore-like `db`. `seed` maps document paths to their data.
+export const createMemoryFirestore = (seed = {}) => {
+  const firestore = {
+    type: 'firestore',
+    app: null,
+    documents: new Map(),
+    listeners: new Set(),
+    transactionQueue: Promise.resolve()
+  };
+  Object.entries(seed).forEach(([path, data]) => {
+    firestore.documents.set(splitPath([path]).join('/'), toStored(data));
+  });
+  return firestore;
+};
+
+export const doc = (parent, ...pathSegments) => {
+  const firestore = parent.type === 'firestore' ? parent : parent.firestore;
+  const base = parent.type === 'firestore' ? [] : splitPath([parent.path]);
+  const segments = splitPath(pathSegments);
+  // doc(collectionRef) with no path gets an auto-generated id
+  if (parent.type === 'collection' && segments.length === 0) {
+    segments.push(autoId());
+  }
+  return createDocumentReference(firestore, [...base, ...segments]);
+};
+
+export const collection = (parent, ...pathSegments) => {
+  const firestore = parent.type === 'firestore' ? parent : parent.firestore;
+  const base = parent.type === 'firestore' ? [] : splitPath([parent.path]);
+  return createCollectionReference(firestore, [...base, ...splitPath(pathSegments)]);
+};
+
+export const where = (fieldPath, opStr, value) => {
+  if (!FILTERS[opStr]) {
+    throw firestoreError('invalid-argument', `Unsupported query operator: ${opStr}`);
+  }
+  return { type: 'where', fieldPath, opStr, value };
+};
+
+export const orderBy = (fieldPath, directionStr = 'asc') => ({ type: 'orderBy', fieldPath, directionStr });
+
+export const limit = (count) => ({ type: 'limit', count });
+
+export const query = (base, ...constraints) => ({
+  type: 'query',
+  firestore: base.firestore,
+  path: base.path,
+  constraints: [...(base.constraints || []), ...constraints]
+});
+
+export const serverTimestamp = () => new ServerTimestampSentinel();
+
+// Documents directly inside a collection, filtered, ordered and limited like Firestore would
+const runQuery = (target) => {
+  const { firestore, path } = target;
+  const constraints = target.constraints || [];
+  const depth = path.split('/').length + 1;
+
+  let matches = [];
+  firestore.documents.forEach((data, docPath) => {
+    if (docPath.startsWith(`${path}/`) && docPath.split('/').length === depth) {
+      matches.push({ ref: createDocumentReference(firestore, docPath.split('/')), data });
+    }
+  });
+
+  constraints.filter(c => c.type === 'where').forEach(({ fieldPath, opStr, value }) => {
+    matches = matches.filter(match => {
+      const fieldValue = getField(match.data, fieldPath);
+      return fieldValue !== undefined && FILTERS[opStr](fieldValue, value);
+    });
+  });
+
+  // Ordered fields must exist; ties fall back to document id
+  const orders = constraints.filter(c => c.type === 'orderBy');
+  matches = matches.filter(match => orders.every(({ fieldPath }) => getField(match.data, fieldPath) !== undefined));
+  matches.sort((a, b) => {
+    for (const { fieldPath, directionStr } of orders) {
+      const result = compareValues(getField(a.data, fieldPath), getField(b.data, fieldPath));
+      if (result !== 0) return directionStr === 'desc' ? -result : result;
+    }
+    return a.ref.id.localeCompare(b.ref.id);
+  });
+
+  const limits = constraints.filter(c => c.type === 'limit');
+  if (limits.length > 0) {
+    matches = matches.slice(0, limits[limits.length - 1].count);
+  }
+
+  return createQuerySnapshot(matches.map(match => createDocumentSnapshot(match.ref, match.data)));
+};
+
+const readTarget = (target) => (target.type === 'document'
+  ? createDocumentSnapshot(target, target.firestore.documents.get(target.path))
+  : runQuery(target));
+
+// Notify listeners whose document or collection a write touched
+const notifyListeners = (firestore, changedPaths) => {
+  firestore.listeners.forEach(listener => {
+    const { target } = listener;
+    const affected = changedPaths.some(changedPath => (target.type === 'document'
+      ? changedPath === target.path
+      : changedPath.startsWith(`${target.path}/`) && changedPath.split('/').length === target.path.split('/').length + 1));
+    if (affected) {
+      setTimeout(() => {
+        if (firestore.listeners.has(listener)) listener.onNext(readTarget(target));
+      }, 0);
+    }
+  });
+};
+
+// Write ops are { type: 'set' | 'update' | 'delete', ref, data, options }, applied all-or-nothing
+const commitWrites = (firestore, writes) => {
+  const staged = new Map();
+  const current = (path) => (staged.has(path) ? staged.get(path) : firestore.documents.get(path));
+
+  writes.forEach(({ type, ref, data, options }) => {
+    if (type === 'delete') {
+      staged.set(ref.path, undefined);
+    } else if (type === 'update') {
+      const existing = current(ref.path);
+      if (existing === undefined) {
+        throw firestoreError('not-found', `No document to update: ${ref.path}`);
+      }
+      staged.set(ref.path, applyUpdate(existing, toStored(data)));
+    } else {
+      const stored = toStored(data);
+      const existing = current(ref.path);
+      staged.set(ref.path, options?.merge && existing !== undefined ? mergeValues(existing, stored) : stored);
+    }
+  });
+
+  staged.forEach((data, path) => {
+    if (data === undefined) {
+      firestore.documents.delete(path);
+    } else {
+      firestore.documents.set(path, data);
+    }
+  });
+  notifyListeners(firestore, Array.from(staged.keys()));
+};
+
+export const getDoc = async (ref) => readTarget(ref);
+
+export const getDocs = async (target) => runQuery(target);
+
+export const setDoc = async (ref, data, options = {}) => {
+  commitWrites(ref.firestore, [{ type: 'set', ref, data, options }]);
+};
+
+export const updateDoc = async (ref, data) => {
+  commitWrites(ref.firestore, [{ type: 'update', ref, data }]);
+};
+
+export const deleteDoc = async (ref) => {
+  commitWrites(ref.firestore, [{ type: 'delete', ref }]);
+};
+
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  commitWrites(ref.firestore, [{ type: 'set', ref, data }]);
+  return ref;
+};
+
+// onSnapshot(target, onNext, onError) or onSnapshot(target, { next, error }); first snapshot arrives async
+export const onSnapshot = (target, onNextOrObserver, onError) => {
+  const onNext = typeof onNextOrObserver === 'function' ? onNextOrObserver : onNextOrObserver.next;
+  const listener = {
+    target,
+    onNext: (snapshot) => {
+      try {
+        onNext(snapshot);
+      } catch (error) {
+        const handleError = typeof onNextOrObserver === 'function' ? onError : onNextOrObserver.error;
+        if (handleError) handleError(error);
+        else console.error('Snapshot listener error:', error);
+      }
+    }
+  };
+  target.firestore.listeners.add(listener);
+  setTimeout(() => {
+    if (target.firestore.listeners.has(listener)) listener.onNext(readTarget(target));
+  }, 0);
+  return () => {
+    target.firestore.listeners.delete(listener);
+  };
+};
+
+export const writeBatch = (firestore) => {
+  const writes = [];
+  const batch = {
+    set: (ref, data, options = {}) => {
+      writes.push({ type: 'set', ref, data, options });
+      return batch;
+    },
+    update: (ref, data) => {
+      writes.push({ type: 'update', ref, data });
+      return batch;
+    },
+    delete: (ref) => {
+      writes.push({ type: 'delete', ref });
+      return batch;
+    },
+    commit: async () => commitWrites(firestore, writes)
+  };
+  return batch;
+};
+
+// Transactions run one at a time; writes apply only if updateFunction resolves
+export const runTransaction = (firestore, updateFunction) => {
+  const run = firestore.transactionQueue.then(async () => {
+    const writes = [];
+    const transaction = {
+      get: async (ref) => readTarget(ref),
+      set: (ref, data, options = {}) => {
+        writes.push({ type: 'set', ref, data, options });
+        return transaction;
+      },
+      update: (ref, data) => {
+        writes.push({ type: 'update', ref, data });
+        return transaction;
+      },
+      delete: (ref) => {
+        writes.push({ type: 'delete', ref });
+        return transaction;
+      }
+    };
+    const result = await updateFunction(transaction);
+    commitWrites(firestore, writes);
+    return result;
+  });
+  firestore.transactionQueue = run.catch(() => null);
+  return run;
+};
+
+// There's no network to toggle
+export const enableNetwork = async () => {};
+
+export const disableNetwork = async () => {};
@@ -0,0 +1,233 @@
+// newsService.js - Company news with deduplication, headline sentiment scoring and sentiment trends
+import Constants from 'expo-constants';
+import { getCompanyNews } from './finnhubService';
+import groqService from './groqService';
+import marketCalendarService from './marketCalendarService';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+
+export const SENTIMENT_SCORERS = ['lexicon', 'llm'];
+export const TREND_WINDOWS = [7, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEWS_DAYS = 30;
+const CACHE_DURATION = 15 * 60 * 1000;
+const LLM_BATCH_SIZE = 25; // Headlines per Groq call
+const MAX_LLM_HEADLINES = 50; // Older stories keep their lexicon score
+const SENTIMENT_THRESHOLD = 0.15; // |score| below this reads as neutral
+const TREND_CHANGE_THRESHOLD = 0.1; // 7-day vs 30-day average gap that counts as a shift
+
+// Headline terms and their weight; scores are per matched term, so one strong word doesn't read as certainty
+const LEXICON = {
+  beat: 1, beats: 1, surge: 1, surges: 1, soar: 1, soars: 1, jump: 0.8, jumps: 0.8, rally: 0.8, rallies: 0.8,
+  gain: 0.6, gains: 0.6, record: 0.6, upgrade: 1, upgraded: 1, upgrades: 1, outperform: 0.8, tops: 0.8,
+  growth: 0.5, profit: 0.5, profitable: 0.6, raises: 0.7, raised: 0.7, boost: 0.6, boosts: 0.6, strong: 0.6,
+  bullish: 0.8, expands: 0.5, expansion: 0.5, approval: 0.8, approved: 0.8, approves: 0.8, wins: 0.7, win: 0.6,
+  partnership: 0.4, buyback: 0.6, breakthrough: 0.8, rebound: 0.6, rebounds: 0.6, higher: 0.4, optimistic: 0.6,
+  miss: -1, misses: -1, missed: -1, plunge: -1, plunges: -1, tumble: -1, tumbles: -1, sink: -0.8, sinks: -0.8,
+  fall: -0.6, falls: -0.6, drop: -0.6, drops: -0.6, slump: -0.8, slumps: -0.8, downgrade: -1, downgraded: -1,
+  downgrades: -1, lawsuit: -0.7, sued: -0.7, probe: -0.7, investigation: -0.7, recall: -0.7, loss: -0.6,
+  losses: -0.6, weak: -0.6, weaker: -0.6, bearish: -0.8, cut: -0.5, cuts: -0.5, layoffs: -0.7, fraud: -1,
+  decline: -0.6, declines: -0.6, warning: -0.7, warns: -0.7, bankruptcy: -1, halt: -0.7, halts: -0.7,
+  fined: -0.7, delay: -0.5, delays: -0.5, antitrust: -0.5, lower: -0.4, underperform: -0.8,
+  selloff: -0.8, slowdown: -0.6, crash: -1, concerns: -0.5
+};
+const NEGATORS = new Set(['not', 'no', 'never', 'without', "didn't", "doesn't", "won't", 'fails', 'failed']);
+
+const toWords = (text) => (text || '').toLowerCase().replace(/sell-off/g, 'selloff').match(/[a-z']+/g) || [];
+
+// Same story syndicated across outlets: compare headlines without punctuation or casing
+const headlineKey = (headline) => headline.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const urlKey = (url) => (url ? url.split('?')[0].replace(/\/$/, '').toLowerCase() : null);
+
+export const getSentimentLabel = (score) => {
+  if (score === null || score === undefined) return 'neutral';
+  if (score >= SENTIMENT_THRESHOLD) return 'positive';
+  if (score <= -SENTIMENT_THRESHOLD) return 'negative';
+  return 'neutral';
+};
+
+class NewsService {
+  constructor() {
+    const configured = extra?.EXPO_PUBLIC_NEWS_SENTIMENT || process.env.EXPO_PUBLIC_NEWS_SENTIMENT;
+    this.scorer = SENTIMENT_SCORERS.includes(configured) ? configured : 'lexicon';
+    this.cache = new Map(); // `${symbol}-${scorer}` -> { data, timestamp }
+    this.llmScores = new Map(); // article id -> score, so refreshes only send new headlines
+  }
+
+  // Scored news as { symbol, articles (newest first), trends: { 7, 30 }, direction, scorer, source, live, stale },
+  // or null when no provider had news. Articles gain { sentiment, sentimentLabel }.
+  async getNews(symbol, { scorer = this.scorer, force = false } = {}) {
+    const sym = (symbol || '').toUpperCase().trim();
+    if (!sym) return null;
+
+    const cacheKey = `${sym}-${scorer}`;
+    const cached = this.cache.get(cacheKey);
+    if (!force && cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      return cached.data;
+    }
+
+    const news = await getCompanyNews(sym, NEWS_DAYS);
+    if (!news) return null;
+
+    const articles = this.dedupeArticles(news.articles);
+    const scores = scorer === 'llm' ? await this.scoreWithLLM(sym, articles) : null;
+    const scored = articles.map(article => {
+      const sentiment = scores?.get(article.id) ?? this.scoreText(`${article.headline}. ${article.summary}`);
+      return { ...article, sentiment, sentimentLabel: getSentimentLabel(sentiment) };
+    });
+
+    const trends = {};
+    TREND_WINDOWS.forEach(days => {
+      trends[days] = this.buildSentimentTrend(scored, days);
+    });
+
+    const data = {
+      symbol: sym,
+      articles: scored,
+      trends,
+      direction: this.getTrendDirection(trends[7], trends[30]),
+      scorer: scores ? 'llm' : 'lexicon',
+      source: news.label,
+      live: news.live,
+      stale: !!news.stale
+    };
+    // Stale (offline) results are re-checked on the next call
+    if (!news.stale) {
+      this.cache.set(cacheKey, { data, timestamp: Date.now() });
+    }
+    return data;
+  }
+
+  // One entry per story, newest first. The earliest copy of a syndicated story is kept.
+  dedupeArticles(articles) {
+    const seen = new Set();
+    return [...(articles || [])]
+      .sort((a, b) => a.publishedAt.localeCompare(b.publishedAt))
+      .filter(article => {
+        const keys = [urlKey(article.url), headlineKey(article.headline)].filter(Boolean);
+        if (keys.some(key => seen.has(key))) return false;
+        keys.forEach(key => seen.add(key));
+        return true;
+      })
+      .reverse();
+  }
+
+  // Lexicon score from -1 to 1; a negator flips the next two words ("not approved", "fails to beat")
+  scoreText(text) {
+    const words = toWords(text);
+    let total = 0;
+    let matches = 0;
+    let negateFor = 0;
+
+    words.forEach(word => {
+      if (NEGATORS.has(word)) {
+        negateFor = 2;
+        return;
+      }
+      const weight = LEXICON[word];
+      if (weight !== undefined) {
+        total += negateFor > 0 ? -weight : weight;
+        matches += 1;
+      }
+      negateFor = Math.max(0, negateFor - 1);
+    });
+
+    if (matches === 0) return 0;
+    // Average weight, damped until a couple of terms agree
+    const score = (total / matches) * Math.min(1, matches / 2);
+    return Math.round(score * 100) / 100;
+  }
+
+  // Groq scores keyed by article id, or null when none could be scored. Headlines it skipped fall back to the lexicon.
+  async scoreWithLLM(symbol, articles) {
+    const unscored = articles.slice(0, MAX_LLM_HEADLINES).filter(article => !this.llmScores.has(article.id));
+    for (let i = 0; i < unscored.length; i += LLM_BATCH_SIZE) {
+      const batch = unscored.slice(i, i + LLM_BATCH_SIZE);
+      const scores = await groqService.scoreHeadlineSentiment(symbol, batch.map(article => article.headline));
+      if (!scores) break;
+      batch.forEach((article, index) => {
+        if (scores[index] !== null) this.llmScores.set(article.id, Math.round(scores[index] * 100) / 100);
+      });
+    }
+
+    const result = new Map();
+    articles.forEach(article => {
+      if (this.llmScores.has(article.id)) result.set(article.id, this.llmScores.get(article.id));
+    });
+    return result.size > 0 ? result : null;
+  }
+
+  // Sentiment over the last `days`: { days, count, average, positive, negative, neutral, daily }.
+  // daily lists every New York date in the window as { date, average, count } (average null on quiet days).
+  buildSentimentTrend(articles, days, now = Date.now()) {
+    const since = now - days * DAY_MS;
+    const inWindow = articles.filter(article => new Date(article.publishedAt).getTime() >= since);
+    const byDate = {};
+    inWindow.forEach(article => {
+      const date = marketCalendarService.getMarketDateKey(new Date(article.publishedAt));
+      (byDate[date] = byDate[date] || []).push(article.sentiment);
+    });
+
+    const average = (scores) => (scores.length > 0
+      ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+      : null);
+
+    const daily = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = marketCalendarService.getMarketDateKey(new Date(now - offset * DAY_MS));
+      if (daily.length > 0 && daily[daily.length - 1].date === date) continue;
+      const scores = byDate[date] || [];
+      daily.push({ date, average: average(scores), count: scores.length });
+    }
+
+    return {
+      days,
+      count: inWindow.length,
+      average: average(inWindow.map(article => article.sentiment)),
+      positive: inWindow.filter(article => article.sentimentLabel === 'positive').length,
+      negative: inWindow.filter(article => article.sentimentLabel === 'negative').length,
+      neutral: inWindow.filter(article => article.sentimentLabel === 'neutral').length,
+      daily
+    };
+  }
+
+  // 'improving', 'deteriorating' or 'stable' comparing the last week with the month; null without recent news
+  getTrendDirection(recent, baseline) {
+    if (!recent || !baseline || recent.average === null || baseline.average === null) return null;
+    const delta = recent.average - baseline.average;
+    if (delta >= TREND_CHANGE_THRESHOLD) return 'improving';
+    if (delta <= -TREND_CHANGE_THRESHOLD) return 'deteriorating';
+    return 'stable';
+  }
+
+  // Short plain-text news digest for LLM prompts, or null when there's no recent news
+  async getNewsContext(symbol, { maxHeadlines = 5 } = {}) {
+    try {
+      const news = await this.getNews(symbol, { scorer: 'lexicon' });
+      if (!news || news.articles.length === 0) return null;
+
+      const week = news.trends[7];
+      const month = news.trends[30];
+      const formatScore = (score) => (score === null ? 'n/a' : `${score >= 0 ? '+' : ''}${score.toFixed(2)}`);
+      const headlines = news.articles
+        .slice(0, maxHeadlines)
+        .map(article => `• ${article.publishedAt.slice(0, 10)} ${article.headline} (${article.sentimentLabel})`);
+
+      return [
+        `• 7-day sentiment: ${formatScore(week.average)} across ${week.count} stories (${week.positive} positive, ${week.negative} negative)`,
+        `• 30-day sentiment: ${formatScore(month.average)} across ${month.count} stories${news.direction ? `, ${news.direction}` : ''}`,
+        ...headlines
+      ].join('\n');
+    } catch (error) {
+      console.warn(`Could not build news context for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default new NewsService();
@@ -0,0 +1,351 @@
+// orderService.js - Paper-trading order book with limit, stop and stop-limit orders
+import { db, doc, getDoc, collection, query, where, getDocs, onSnapshot, updateDoc } from '../firebase';
+import firebaseService from './firebaseService';
+import tradeExecutionService from './tradeExecutionService';
+import currencyService from './currencyService';
+import { subscribeToQuotes, queueStockUpdate } from './finnhubService';
+import marketCalendarService from './marketCalendarService';
+import { isCryptoSymbol } from './assetClassService';
+
+export const ORDER_TYPES = ['limit', 'stop', 'stop_limit'];
+export const TIME_IN_FORCE = ['day', 'gtc'];
+export const OPEN_ORDER_STATUSES = ['open', 'partially_filled'];
+
+const DEFAULT_CASH_BALANCE = 10000;
+const STOP_RESERVE_BUFFER = 0.05; // Stop (market) buys can fill above the stop, hold 5% extra
+const ORDER_WATCH_INTERVAL = 60 * 1000; // Re-queue open order symbols and check expiry every minute
+const SHARE_EPSILON = 1e-9;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class OrderService {
+  constructor() {
+    this.userId = null;
+    this.openOrders = new Map();
+    this.inFlight = new Set();
+    this.unsubscribeOrders = null;
+    this.unsubscribeQuotes = null;
+    this.watchInterval = null;
+  }
+
+  // Start evaluating the user's open orders against incoming quotes
+  start(userId) {
+    if (this.userId === userId && this.unsubscribeOrders) return;
+    this.stop();
+    this.userId = userId;
+
+    // Uses onSnapshot directly so screen-level firebaseService.cleanup() doesn't stop evaluation
+    const openQuery = query(
+      collection(db, 'users', userId, 'orders'),
+      where('status', 'in', OPEN_ORDER_STATUSES)
+    );
+    this.unsubscribeOrders = onSnapshot(openQuery, (snapshot) => {
+      this.openOrders = new Map(snapshot.docs.map(d => [d.id, { id: d.id, ...d.data() }]));
+      this.watchOpenSymbols();
+    }, (error) => {
+      console.error('Open orders listener error:', error);
+    });
+
+    this.unsubscribeQuotes = subscribeToQuotes((quote) => {
+      this.evaluateQuote(quote);
+    });
+
+    this.watchInterval = setInterval(() => {
+      this.expireOrders();
+      this.watchOpenSymbols();
+    }, ORDER_WATCH_INTERVAL);
+
+    console.log(`Order book started for user ${userId}`);
+  }
+
+  stop() {
+    if (this.unsubscribeOrders) this.unsubscribeOrders();
+    if (this.unsubscribeQuotes) this.unsubscribeQuotes();
+    if (this.watchInterval) clearInterval(this.watchInterval);
+    this.unsubscribeOrders = null;
+    this.unsubscribeQuotes = null;
+    this.watchInterval = null;
+    this.openOrders = new Map();
+    this.userId = null;
+  }
+
+  // Make sure symbols with resting orders keep receiving prices (only crypto trades while the market is closed)
+  watchOpenSymbols() {
+    const closed = marketCalendarService.getMarketStatus().session === 'closed';
+    const symbols = new Set(Array.from(this.openOrders.values())
+      .map(o => o.symbol)
+      .filter(symbol => !closed || isCryptoSymbol(symbol)));
+    symbols.forEach(symbol => queueStockUpdate(symbol, false));
+  }
+
+  // Cash held back for a buy order until it fills or is cancelled, in the account currency
+  // (`fxRate` is account currency per unit of the listing currency the prices are in)
+  calculateReservation({ side, type, quantity, limitPrice, stopPrice }, fxRate = 1) {
+    if (side !== 'buy') return 0;
+    if (type === 'stop') {
+      return roundCurrency(quantity * stopPrice * (1 + STOP_RESERVE_BUFFER) * fxRate);
+    }
+    return roundCurrency(quantity * limitPrice * fxRate);
+  }
+
+  validateOrder({ symbol, side, type, quantity, limitPrice, stopPrice, timeInForce }) {
+    if (!symbol) throw new Error('Symbol is required to place an order');
+    if (side !== 'buy' && side !== 'sell') throw new Error(`Invalid order side: ${side}`);
+    if (!ORDER_TYPES.includes(type)) throw new Error(`Invalid order type: ${type}`);
+    if (!TIME_IN_FORCE.includes(timeInForce)) throw new Error(`Invalid time in force: ${timeInForce}`);
+    if (!(quantity > 0)) throw new Error('INVALID_ORDER');
+    if ((type === 'limit' || type === 'stop_limit') && !(limitPrice > 0)) throw new Error('INVALID_LIMIT_PRICE');
+    if ((type === 'stop' || type === 'stop_limit') && !(stopPrice > 0)) throw new Error('INVALID_STOP_PRICE');
+  }
+
+  // Place a resting order, reserving cash for buys
+  async placeOrder(userId, { stock, side, type, quantity, limitPrice = null, stopPrice = null, timeInForce = 'day' }) {
+    const symbol = (stock?.symbol || '').toUpperCase().trim();
+    const order = {
+      symbol,
+      side,
+      type,
+      quantity: parseFloat(quantity),
+      limitPrice: limitPrice !== null && limitPrice !== '' ? parseFloat(limitPrice) : null,
+      stopPrice: stopPrice !== null && stopPrice !== '' ? parseFloat(stopPrice) : null,
+      timeInForce
+    };
+    this.validateOrder(order);
+
+    // Sells can't exceed shares not already committed to other open sell orders
+    if (side === 'sell') {
+      const [holdingSnapshot, orderSnapshot] = await Promise.all([
+        getDocs(query(collection(db, 'users', userId, 'portfolio'), where('symbol', '==', symbol))),
+        getDocs(query(collection(db, 'users', userId, 'orders'), where('symbol', '==', symbol)))
+      ]);
+      const sharesHeld = holdingSnapshot.docs.reduce((sum, d) => sum + (parseFloat(d.data().shares) || 0), 0);
+      const sharesCommitted = orderSnapshot.docs
+        .map(d => d.data())
+        .filter(o => o.side === 'sell' && OPEN_ORDER_STATUSES.includes(o.status))
+        .reduce((sum, o) => sum + (o.quantity - (o.filledQuantity || 0)), 0);
+      if (sharesHeld - sharesCommitted + SHARE_EPSILON < order.quantity) {
+        throw new Error('INSUFFICIENT_SHARES');
+      }
+    }
+
+    const currency = await currencyService.getListingCurrency(symbol, stock?.currency);
+    const { fxRate } = await currencyService.getFillRates(currency);
+    const reservedCash = this.calculateReservation(order, fxRate);
+    const now = new Date();
+    const userRef = doc(db, 'users', userId);
+    const orderRef = doc(collection(db, 'users', userId, 'orders'));
+    const orderData = {
+      ...order,
+      currency,
+      filledQuantity: 0,
+      averageFillPrice: null,
+      status: 'open',
+      triggered: false,
+      reservedCash,
+      fills: [],
+      // Holding fields to use when the order fills
+      stockData: tradeExecutionService.buildHoldingData({ ...stock, currency }, symbol),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: timeInForce === 'day' ? marketCalendarService.getNextMarketClose(now).toISOString() : null
+    };
+
+    await firebaseService.runTransaction(async (transaction) => {
+      const userSnap = await transaction.get(userRef);
+      const userData = userSnap.exists() ? userSnap.data() : {};
+
+      if (reservedCash > 0) {
+        const cashBalance = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+        const alreadyReserved = parseFloat(userData.reservedCash) || 0;
+        if (reservedCash > cashBalance - alreadyReserved) {
+          throw new Error('INSUFFICIENT_FUNDS');
+        }
+        transaction.set(userRef, { reservedCash: roundCurrency(alreadyReserved + reservedCash) }, { merge: true });
+      }
+
+      transaction.set(orderRef, orderData);
+    });
+
+    firebaseService.invalidateCache(`users/${userId}`);
+    queueStockUpdate(symbol, true);
+
+    console.log(`Order placed: ${side} ${order.quantity} ${symbol} ${type} (${timeInForce})`);
+    return { id: orderRef.id, ...orderData };
+  }
+
+  // Close an open order (cancelled, expired or rejected) and release its reservation
+  async closeOrder(userId, orderId, status = 'cancelled', reason = null) {
+    const userRef = doc(db, 'users', userId);
+    const orderRef = doc(db, 'users', userId, 'orders', orderId);
+
+    const closed = await firebaseService.runTransaction(async (transaction) => {
+      const orderSnap = await transaction.get(orderRef);
+      const userSnap = await transaction.get(userRef);
+      if (!orderSnap.exists() || !OPEN_ORDER_STATUSES.includes(orderSnap.data().status)) {
+        return false;
+      }
+
+      const release = parseFloat(orderSnap.data().reservedCash) || 0;
+      const now = new Date().toISOString();
+      if (release > 0) {
+        const alreadyReserved = parseFloat(userSnap.data()?.reservedCash) || 0;
+        transaction.set(userRef, { reservedCash: roundCurrency(Math.max(0, alreadyReserved - release)) }, { merge: true });
+      }
+      transaction.update(orderRef, {
+        status,
+        reservedCash: 0,
+        closeReason: reason,
+        closedAt: now,
+        updatedAt: now
+      });
+      return true;
+    });
+
+    if (closed) {
+      firebaseService.invalidateCache(`users/${userId}`);
+      console.log(`Order ${orderId} ${status}${reason ? `: ${reason}` : ''}`);
+    }
+    return closed;
+  }
+
+  async cancelOrder(userId, orderId) {
+    return this.closeOrder(userId, orderId, 'cancelled');
+  }
+
+  // Expire day orders past their session close
+  async expireOrders() {
+    if (!this.userId) return;
+    const now = Date.now();
+    const expired = Array.from(this.openOrders.values())
+      .filter(o => o.expiresAt && new Date(o.expiresAt).getTime() <= now);
+
+    for (const order of expired) {
+      try {
+        await this.closeOrder(this.userId, order.id, 'expired');
+      } catch (error) {
+        console.error(`Error expiring order ${order.id}:`, error);
+      }
+    }
+  }
+
+  // Price at which the order would fill against this quote, or null if it doesn't trigger
+  getFillPrice(order, price) {
+    const isBuy = order.side === 'buy';
+    const stopCrossed = order.triggered || (order.stopPrice !== null && (isBuy ? price >= order.stopPrice : price <= order.stopPrice));
+    const limitMet = order.limitPrice !== null && (isBuy ? price <= order.limitPrice : price >= order.limitPrice);
+
+    switch (order.type) {
+      case 'limit':
+        return limitMet ? price : null;
+      case 'stop':
+        return stopCrossed ? price : null;
+      case 'stop_limit':
+        return stopCrossed && limitMet ? price : null;
+      default:
+        return null;
+    }
+  }
+
+  // A triggered order fills its whole remaining quantity. REST quotes carry no volume and streamed
+  // ticks only the last trade's, so neither is a usable liquidity signal.
+  getFillQuantity(order) {
+    return order.quantity - (order.filledQuantity || 0);
+  }
+
+  // Order update for a fill, committed inside the trade transaction
+  applyFill(orderData, fill) {
+    if (!OPEN_ORDER_STATUSES.includes(orderData.status)) {
+      throw new Error('ORDER_NOT_OPEN');
+    }
+
+    const filledBefore = orderData.filledQuantity || 0;
+    const remaining = orderData.quantity - filledBefore;
+    if (fill.quantity > remaining + SHARE_EPSILON) {
+      throw new Error('ORDER_OVERFILL');
+    }
+
+    const filledQuantity = filledBefore + fill.quantity;
+    const isComplete = orderData.quantity - filledQuantity < SHARE_EPSILON;
+    const reserved = parseFloat(orderData.reservedCash) || 0;
+    const releaseReserved = isComplete ? reserved : roundCurrency(reserved * (fill.quantity / remaining));
+    const averageFillPrice = ((orderData.averageFillPrice || 0) * filledBefore + fill.price * fill.quantity) / filledQuantity;
+
+    const update = {
+      filledQuantity,
+      averageFillPrice,
+      triggered: true,
+      reservedCash: roundCurrency(reserved - releaseReserved),
+      status: isComplete ? 'filled' : 'partially_filled'
+    };
+    if (isComplete) update.closedAt = new Date().toISOString();
+
+    return { update, releaseReserved };
+  }
+
+  // Evaluate open orders for a symbol against a fresh quote
+  async evaluateQuote(quote) {
+    if (!this.userId || !quote?.symbol) return;
+    const price = parseFloat(quote.price || quote.currentPrice);
+    if (!(price > 0)) return;
+
+    const userId = this.userId;
+    const orders = Array.from(this.openOrders.values()).filter(o => o.symbol === quote.symbol);
+
+    for (const order of orders) {
+      if (this.inFlight.has(order.id)) continue;
+
+      if (order.expiresAt && new Date(order.expiresAt).getTime() <= Date.now()) {
+        await this.closeOrder(userId, order.id, 'expired').catch(error => console.error(`Error expiring order ${order.id}:`, error));
+        continue;
+      }
+
+      const orderRef = doc(db, 'users', userId, 'orders', order.id);
+
+      // Stop-limits become resting limits once the stop is crossed
+      if (order.type === 'stop_limit' && !order.triggered) {
+        const stopCrossed = order.side === 'buy' ? price >= order.stopPrice : price <= order.stopPrice;
+        if (stopCrossed) {
+          order.triggered = true;
+          await updateDoc(orderRef, { triggered: true, triggeredAt: new Date().toISOString() })
+            .catch(error => console.error(`Error triggering order ${order.id}:`, error));
+        }
+      }
+
+      if (this.getFillPrice(order, price) === null) continue;
+
+      this.inFlight.add(order.id);
+      try {
+        // The cached list can lag behind fills and cancellations, so fill from the stored order.
+        // applyFill checks the status again inside the trade transaction and aborts it if the order closed.
+        const orderSnap = await getDoc(orderRef);
+        if (!orderSnap.exists() || !OPEN_ORDER_STATUSES.includes(orderSnap.data().status)) {
+          this.openOrders.delete(order.id);
+          continue;
+        }
+        const current = { id: order.id, ...orderSnap.data() };
+        const fillPrice = this.getFillPrice(current, price);
+        if (fillPrice === null) continue;
+
+        await tradeExecutionService.executeTrade({
+          userId,
+          stock: { ...current.stockData, symbol: current.symbol, currentPrice: fillPrice },
+          side: current.side,
+          quantity: this.getFillQuantity(current),
+          price: fillPrice,
+          order: { ref: orderRef, apply: (orderData, fill) => this.applyFill(orderData, fill) }
+        });
+      } catch (error) {
+        if (error.message === 'INSUFFICIENT_FUNDS' || error.message === 'INSUFFICIENT_SHARES') {
+          await this.closeOrder(userId, order.id, 'rejected', error.message)
+            .catch(closeError => console.error(`Error rejecting order ${order.id}:`, closeError));
+        } else if (error.message !== 'ORDER_NOT_OPEN' && error.message !== 'ORDER_OVERFILL') {
+          console.error(`Error filling order ${order.id}:`, error);
+        }
+      } finally {
+        this.inFlight.delete(order.id);
+      }
+    }
+  }
+}
+
+export default new OrderService();
@@ -0,0 +1,200 @@
+// persistentCacheService.js - AsyncStorage cache tier with per-type TTLs, stale-while-revalidate and size-bounded eviction
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import demoModeService from './demoModeService';
+
+// Demo mode's replayed fixture data is kept apart from cached live data
+const NAMESPACE = demoModeService.enabled ? '@flexfinance/demo' : '@flexfinance';
+const STORAGE_PREFIX = `${NAMESPACE}/cache/`;
+const INDEX_KEY = `${NAMESPACE}/cache-index`;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// freshFor: served without refetching. maxAge: served as stale data (while revalidating or offline) until evicted.
+export const CACHE_TTLS = {
+  quote: { freshFor: 2 * 60 * 1000, maxAge: 7 * DAY },
+  profile: { freshFor: 7 * DAY, maxAge: 90 * DAY },
+  metrics: { freshFor: DAY, maxAge: 30 * DAY },
+  candles: { freshFor: 12 * HOUR, maxAge: 30 * DAY },
+  intradayCandles: { freshFor: 5 * 60 * 1000, maxAge: 3 * DAY },
+  news: { freshFor: 15 * 60 * 1000, maxAge: 7 * DAY }
+};
+
+const MAX_TOTAL_BYTES = 2 * 1024 * 1024; // Stay well under Android's 6MB AsyncStorage default
+const WRITE_DELAY = 2000; // Coalesce bursts (streamed ticks, batch quote loads) into one write
+
+class PersistentCacheService {
+  constructor() {
+    this.index = new Map(); // key -> { type, storedAt, lastAccess, bytes }
+    this.indexLoaded = null;
+    this.pendingWrites = new Map(); // key -> serialized entry not yet flushed
+    this.pendingRemovals = new Set();
+    this.revalidations = new Map();
+    this.writeTimer = null;
+  }
+
+  // Load the index once; entries past their max age are dropped on the way in
+  loadIndex() {
+    if (!this.indexLoaded) {
+      this.indexLoaded = AsyncStorage.getItem(INDEX_KEY)
+        .then(raw => {
+          const stored = raw ? JSON.parse(raw) : {};
+          const now = Date.now();
+          Object.entries(stored).forEach(([key, meta]) => {
+            const ttl = CACHE_TTLS[meta.type];
+            if (ttl && now - meta.storedAt <= ttl.maxAge) {
+              this.index.set(key, meta);
+            } else {
+              this.pendingRemovals.add(key);
+            }
+          });
+          console.log(`Persistent cache loaded: ${this.index.size} entries`);
+          if (this.pendingRemovals.size > 0) this.scheduleFlush();
+        })
+        .catch(error => {
+          console.warn('Could not load persistent cache index:', error.message);
+        });
+    }
+    return this.indexLoaded;
+  }
+
+  // { data, storedAt, isStale } or null when missing or past its max age
+  async get(type, key) {
+    const ttl = CACHE_TTLS[type];
+    if (!ttl) return null;
+    await this.loadIndex();
+
+    const meta = this.index.get(key);
+    if (!meta) return null;
+
+    const age = Date.now() - meta.storedAt;
+    if (age > ttl.maxAge) {
+      this.remove(key);
+      return null;
+    }
+
+    try {
+      const raw = this.pendingWrites.get(key) || await AsyncStorage.getItem(STORAGE_PREFIX + key);
+      if (!raw) {
+        this.remove(key);
+        return null;
+      }
+      const entry = JSON.parse(raw);
+      meta.lastAccess = Date.now();
+      this.scheduleFlush();
+      return { data: entry.data, storedAt: entry.storedAt, isStale: age > ttl.freshFor };
+    } catch (error) {
+      console.warn(`Could not read cached ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(type, key, data, storedAt = Date.now()) {
+    if (!CACHE_TTLS[type] || data === null || data === undefined) return;
+    await this.loadIndex();
+
+    const serialized = JSON.stringify({ data, storedAt });
+    this.index.set(key, { type, storedAt, lastAccess: Date.now(), bytes: serialized.length });
+    this.pendingWrites.set(key, serialized);
+    this.pendingRemovals.delete(key);
+
+    this.evictIfNeeded();
+    this.scheduleFlush();
+  }
+
+  remove(key) {
+    this.index.delete(key);
+    this.pendingWrites.delete(key);
+    this.pendingRemovals.add(key);
+    this.scheduleFlush();
+  }
+
+  // Refresh an entry in the background; concurrent callers share one fetch.
+  // Resolves to the fresh data, or null when the fetch failed (the stale entry is kept).
+  revalidate(key, fetcher) {
+    if (!this.revalidations.has(key)) {
+      const request = Promise.resolve()
+        .then(fetcher)
+        .catch(error => {
+          console.warn(`Revalidation failed for ${key}:`, error.message);
+          return null;
+        })
+        .finally(() => this.revalidations.delete(key));
+      this.revalidations.set(key, request);
+    }
+    return this.revalidations.get(key);
+  }
+
+  // Least-recently-used entries go first once the total size exceeds the budget
+  evictIfNeeded() {
+    let totalBytes = this.getTotalBytes();
+    if (totalBytes <= MAX_TOTAL_BYTES) return;
+
+    const byLastAccess = Array.from(this.index.entries()).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    let evicted = 0;
+    for (const [key, meta] of byLastAccess) {
+      if (totalBytes <= MAX_TOTAL_BYTES) break;
+      this.remove(key);
+      totalBytes -= meta.bytes;
+      evicted += 1;
+    }
+    console.log(`Persistent cache evicted ${evicted} entries`);
+  }
+
+  getTotalBytes() {
+    let total = 0;
+    this.index.forEach(meta => {
+      total += meta.bytes;
+    });
+    return total;
+  }
+
+  scheduleFlush() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, WRITE_DELAY);
+  }
+
+  async flush() {
+    const writes = Array.from(this.pendingWrites.entries()).map(([key, value]) => [STORAGE_PREFIX + key, value]);
+    const removals = Array.from(this.pendingRemovals).map(key => STORAGE_PREFIX + key);
+    this.pendingWrites.clear();
+    this.pendingRemovals.clear();
+
+    try {
+      if (removals.length > 0) {
+        await AsyncStorage.multiRemove(removals);
+      }
+      await AsyncStorage.multiSet([
+        ...writes,
+        [INDEX_KEY, JSON.stringify(Object.fromEntries(this.index))]
+      ]);
+    } catch (error) {
+      console.warn('Could not write persistent cache:', error.message);
+    }
+  }
+
+  // Cache statistics
+  getStats() {
+    const byType = {};
+    this.index.forEach(meta => {
+      byType[meta.type] = (byType[meta.type] || 0) + 1;
+    });
+    return {
+      entries: this.index.size,
+      totalBytes: this.getTotalBytes(),
+      maxBytes: MAX_TOTAL_BYTES,
+      byType
+    };
+  }
+
+  // Clear cache
+  async clear() {
+    await this.loadIndex();
+    Array.from(this.index.keys()).forEach(key => this.remove(key));
+    await this.flush();
+  }
+}
+
+export default new PersistentCacheService();
@@ -1,7 +1,35 @@
 // portfolioPerformanceService.js - Portfolio Performance Tracking with Historical Data
-import { db } from '../firebase';
-import { doc, getDoc, setDoc, collection, addDoc, query, orderBy, limit, getDocs } from 'firebase/firestore';
-import { getMultipleQuotes } from './finnhubService';
+import { db, doc, getDoc, setDoc, collection, addDoc, query, where, orderBy, limit, getDocs } from '../firebase';
+import { getMultipleQuotes, getStockHistory } from './finnhubService';
+import taxLotService from './taxLotService';
+import assetClassService from './assetClassService';
+import { CASH_FLOW_TYPES, OPENING_TYPE } from './tradeExecutionService';
+import currencyService, {
+  ACCOUNT_CURRENCY,
+  DEFAULT_BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getCrossRate,
+  normalizeCurrency
+} from './currencyService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+export const RISK_FREE_RATE = 0.04; // Annual rate used for alpha and risk-adjusted ratios
+
+// Index and sector ETFs the portfolio can be compared against
+export const BENCHMARK_OPTIONS = [
+  { symbol: 'SPY', label: 'S&P 500' },
+  { symbol: 'QQQ', label: 'Nasdaq 100' },
+  { symbol: 'DIA', label: 'Dow 30' },
+  { symbol: 'IWM', label: 'Russell 2000' },
+  { symbol: 'XLK', label: 'Technology' },
+  { symbol: 'XLF', label: 'Financials' },
+  { symbol: 'XLV', label: 'Health Care' },
+  { symbol: 'XLE', label: 'Energy' },
+  { symbol: 'XLY', label: 'Consumer Discretionary' },
+  { symbol: 'XLI', label: 'Industrials' }
+];
+export const DEFAULT_BENCHMARK = 'SPY';
 
 class PortfolioPerformanceService {
   constructor() {
@@ -44,7 +72,11 @@ class PortfolioPerformanceService {
             currentPrice: parseFloat(data.currentPrice) || 0,
             currentValue: parseFloat(data.currentValue) || 0,
             gain: parseFloat(data.gain) || 0,
-            gainPercent: parseFloat(data.gainPercent) || 0
+            gainPercent: parseFloat(data.gainPercent) || 0,
+            purchaseDate: data.purchaseDate || null,
+            currency: normalizeCurrency(data.currency),
+            assetClass: assetClassService.classify(data.symbol, data).assetClass,
+            lots: taxLotService.getLots(data)
           });
         }
       });
@@ -53,83 +85,207 @@ class PortfolioPerformanceService {
       const userDoc = await getDoc(doc(db, 'users', this.userId));
       const userData = userDoc.data();
       const cashBalance = parseFloat(userData?.cashBalance) || 0;
+      const realizedGains = userData?.realizedGains || null;
+      const dividendIncome = parseFloat(userData?.dividendIncome) || 0;
+      const interestIncome = parseFloat(userData?.interestIncome) || 0;
+      const baseCurrency = normalizeCurrency(userData?.baseCurrency, DEFAULT_BASE_CURRENCY);
 
       console.log('getCurrentPortfolioData: Final holdings count:', holdings.length);
       console.log('getCurrentPortfolioData: Holdings with sectors:', holdings.map(h => ({ symbol: h.symbol, sector: h.sector, value: h.currentValue })));
 
-      return { holdings, cashBalance };
+      return { holdings, cashBalance, realizedGains, dividendIncome, interestIncome, baseCurrency };
     } catch (error) {
       console.error('Error getting current portfolio data:', error);
       return null;
     }
   }
 
-  // Calculate current portfolio value and performance
-  async calculateCurrentPerformance(holdings, cashBalance) {
+  // Realized gains totals for the current user
+  async getRealizedGains() {
+    if (!this.userId) return null;
+    try {
+      const userDoc = await getDoc(doc(db, 'users', this.userId));
+      return userDoc.data()?.realizedGains || null;
+    } catch (error) {
+      console.error('Error getting realized gains:', error);
+      return null;
+    }
+  }
+
+  // Dividends credited to the current user (cash income recorded by corporate actions processing)
+  async getDividendIncome() {
+    if (!this.userId) return 0;
+    try {
+      const userDoc = await getDoc(doc(db, 'users', this.userId));
+      return parseFloat(userDoc.data()?.dividendIncome) || 0;
+    } catch (error) {
+      console.error('Error getting dividend income:', error);
+      return 0;
+    }
+  }
+
+  // Sweep interest credited on idle cash (see cashSweepService)
+  async getInterestIncome() {
+    if (!this.userId) return 0;
+    try {
+      const userDoc = await getDoc(doc(db, 'users', this.userId));
+      return parseFloat(userDoc.data()?.interestIncome) || 0;
+    } catch (error) {
+      console.error('Error getting interest income:', error);
+      return 0;
+    }
+  }
+
+  // Performance fields when there are no open positions (realized gains, dividends and interest still count).
+  // Amounts are already in the reporting currency.
+  buildEmptyPerformance(cashBalance, realized = {}, dividendIncome = 0, currency = DEFAULT_BASE_CURRENCY, fxAsOf = null, interestIncome = 0) {
+    const realizedReturn = realized.total || 0;
+    const realizedCostBasis = realized.costBasis || 0;
+    const totalReturn = realizedReturn + dividendIncome + interestIncome;
+    return {
+      totalValue: cashBalance,
+      cashValue: cashBalance,
+      totalReturn,
+      totalReturnPercent: realizedCostBasis > 0 ? (totalReturn / realizedCostBasis) * 100 : 0,
+      unrealizedReturn: 0,
+      unrealizedReturnPercent: 0,
+      unrealizedShortTerm: 0,
+      unrealizedLongTerm: 0,
+      assetReturn: 0,
+      currencyReturn: 0,
+      realizedReturn,
+      realizedShortTerm: realized.shortTerm || 0,
+      realizedLongTerm: realized.longTerm || 0,
+      dividendIncome,
+      interestIncome,
+      dailyChange: 0,
+      dailyChangePercent: 0,
+      currency,
+      fxAsOf,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Unrealized P&L on a holding's lots in the reporting currency, split into what the asset did
+  // (price move at each lot's entry rate) and what the currency did (rate move on today's value).
+  // Lots from before FX tracking have no rate table and are treated as bought at today's rate.
+  calculateLotReturns(lots, currentPrice, currency, baseCurrency, fx, asOf = new Date().toISOString()) {
+    const rateNow = currencyService.resolveRate(currency, baseCurrency, fx);
+    return lots.reduce((totals, lot) => {
+      const entryRate = (lot.fxRates && getCrossRate(currency, baseCurrency, lot.fxRates)) || rateNow;
+      const assetGain = lot.quantity * (currentPrice - lot.costPerShare) * entryRate;
+      const currencyGain = lot.quantity * currentPrice * (rateNow - entryRate);
+      totals.costBasis += lot.quantity * lot.costPerShare * entryRate;
+      totals.asset += assetGain;
+      totals.currency += currencyGain;
+      if (taxLotService.getHoldingTerm(lot.acquiredAt, asOf) === 'long') {
+        totals.longTerm += assetGain + currencyGain;
+      } else {
+        totals.shortTerm += assetGain + currencyGain;
+      }
+      return totals;
+    }, { costBasis: 0, asset: 0, currency: 0, shortTerm: 0, longTerm: 0 });
+  }
+
+  // Calculate current portfolio value and performance in the user's base currency.
+  // Total return = realized gains on closed lots + unrealized gains on open lots + dividends and sweep interest received.
+  // Cash, realized gains and income are booked in the account currency and translated at today's rate;
+  // holdings are valued in their listing currency and converted, with the currency effect reported separately.
+  async calculateCurrentPerformance(holdings, cashBalance, realizedGains = null, dividendIncome = null, baseCurrency = null, interestIncome = null) {
+    const realizedAccount = realizedGains || await this.getRealizedGains() || {};
+    const dividendsAccount = dividendIncome ?? await this.getDividendIncome();
+    const interestAccount = interestIncome ?? await this.getInterestIncome();
+    const { base, fx } = await this.getReportingContext(baseCurrency);
+    const accountRate = currencyService.resolveRate(ACCOUNT_CURRENCY, base, fx);
+
+    const cash = cashBalance * accountRate;
+    const realized = {
+      shortTerm: (realizedAccount.shortTerm || 0) * accountRate,
+      longTerm: (realizedAccount.longTerm || 0) * accountRate,
+      total: (realizedAccount.total || 0) * accountRate,
+      costBasis: (realizedAccount.costBasis || 0) * accountRate
+    };
+    const dividends = dividendsAccount * accountRate;
+    const interest = interestAccount * accountRate;
+    const fxAsOf = fx.asOf || null;
+
     if (!holdings || holdings.length === 0) {
-      return {
-        totalValue: cashBalance,
-        totalReturn: 0,
-        totalReturnPercent: 0,
-        dailyChange: 0,
-        dailyChangePercent: 0,
-        timestamp: new Date().toISOString()
-      };
+      return this.buildEmptyPerformance(cash, realized, dividends, base, fxAsOf, interest);
     }
 
     try {
       // Get current prices for all holdings
       const symbols = holdings.map(h => h.symbol);
-      const quotes = await getMultipleQuotes(symbols);
+      const quotes = await getMultipleQuotes(symbols, { priority: 'portfolio', owner: 'performance' });
       
-      let totalValue = cashBalance;
+      let totalValue = cash;
       let totalCostBasis = 0;
       let previousTotalValue = 0;
+      const unrealized = { shortTerm: 0, longTerm: 0, asset: 0, currency: 0 };
 
       holdings.forEach(holding => {
+        const lots = holding.lots || taxLotService.getLots(holding);
+        const currency = normalizeCurrency(holding.currency);
+        const rate = currencyService.resolveRate(currency, base, fx);
         const quote = quotes.find(q => q.symbol === holding.symbol);
+        let lotReturns;
         if (quote) {
           const currentPrice = parseFloat(quote.currentPrice) || parseFloat(quote.price) || holding.currentPrice || 0;
           const shares = parseFloat(holding.shares) || 0;
-          const averagePrice = parseFloat(holding.averagePrice) || 0;
           
-          const currentValue = shares * currentPrice;
-          const costBasis = shares * averagePrice;
+          const currentValue = shares * currentPrice * rate;
           
-          // Calculate previous value using change percent (for daily change calculation)
+          // Calculate previous value using change percent (for daily change calculation).
+          // Only today's rate is known, so the daily change is the price move alone.
           const changePercent = parseFloat(quote.changePercent) || 0;
           const previousPrice = currentPrice / (1 + (changePercent / 100));
-          const previousValue = shares * previousPrice;
+          const previousValue = shares * previousPrice * rate;
           
+          lotReturns = this.calculateLotReturns(lots, currentPrice, currency, base, fx);
           totalValue += currentValue;
-          totalCostBasis += costBasis;
           previousTotalValue += previousValue;
         } else {
           // If no quote available, use existing data
-          const currentValue = parseFloat(holding.currentValue) || 0;
-          const costBasis = parseFloat(holding.shares) * parseFloat(holding.averagePrice) || 0;
-          
+          const currentValue = (parseFloat(holding.currentValue) || 0) * rate;
+          const lastPrice = parseFloat(holding.currentPrice) || parseFloat(holding.averagePrice) || 0;
+
+          lotReturns = this.calculateLotReturns(lots, lastPrice, currency, base, fx);
           totalValue += currentValue;
-          totalCostBasis += costBasis;
           previousTotalValue += currentValue; // No change data available
         }
+
+        totalCostBasis += lotReturns.costBasis;
+        unrealized.shortTerm += lotReturns.shortTerm;
+        unrealized.longTerm += lotReturns.longTerm;
+        unrealized.asset += lotReturns.asset;
+        unrealized.currency += lotReturns.currency;
       });
 
       // Calculate returns (equity only, excluding cash)
-      const equityValue = totalValue - cashBalance;
-      const totalReturn = equityValue - totalCostBasis;
-      const totalReturnPercent = totalCostBasis > 0 ? (totalReturn / totalCostBasis) * 100 : 0;
+      const equityValue = totalValue - cash;
+      const unrealizedReturn = equityValue - totalCostBasis;
+      const unrealizedReturnPercent = totalCostBasis > 0 ? (unrealizedReturn / totalCostBasis) * 100 : 0;
+      const realizedReturn = realized.total;
+      const totalReturn = unrealizedReturn + realizedReturn + dividends + interest;
+      // Measured against everything ever invested: open cost basis plus basis of closed lots
+      const investedCostBasis = totalCostBasis + realized.costBasis;
+      const totalReturnPercent = investedCostBasis > 0 ? (totalReturn / investedCostBasis) * 100 : 0;
       // Calculate daily change (equity only, excluding cash)
       const previousEquityValue = previousTotalValue;
-      const currentEquityValue = totalValue - cashBalance;
+      const currentEquityValue = totalValue - cash;
       const dailyChange = currentEquityValue - previousEquityValue;
       const dailyChangePercent = previousEquityValue > 0 ? (dailyChange / previousEquityValue) * 100 : 0;
 
       console.log('Portfolio Performance Calculation:', {
+        currency: base,
         totalValue,
         equityValue,
-        cashBalance,
+        cash,
         totalCostBasis,
+        unrealizedReturn,
+        assetReturn: unrealized.asset,
+        currencyReturn: unrealized.currency,
+        realizedReturn,
         totalReturn,
         totalReturnPercent,
         dailyChange,
@@ -138,22 +294,29 @@ class PortfolioPerformanceService {
 
       return {
         totalValue,
+        cashValue: cash,
         totalReturn,
         totalReturnPercent,
+        unrealizedReturn,
+        unrealizedReturnPercent,
+        unrealizedShortTerm: unrealized.shortTerm,
+        unrealizedLongTerm: unrealized.longTerm,
+        assetReturn: unrealized.asset,
+        currencyReturn: unrealized.currency,
+        realizedReturn,
+        realizedShortTerm: realized.shortTerm,
+        realizedLongTerm: realized.longTerm,
+        dividendIncome: dividends,
+        interestIncome: interest,
         dailyChange,
         dailyChangePercent,
+        currency: base,
+        fxAsOf,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
       console.error('Error calculating portfolio performance:', error);
-      return {
-        totalValue: cashBalance,
-        totalReturn: 0,
-        totalReturnPercent: 0,
-        dailyChange: 0,
-        dailyChangePercent: 0,
-        timestamp: new Date().toISOString()
-      };
+      return this.buildEmptyPerformance(cash, realized, dividends, base, fxAsOf, interest);
     }
   }
 
@@ -194,18 +357,23 @@ class PortfolioPerformanceService {
       const days = this.getDaysForPeriod(period);
       const performanceRef = collection(db, 'users', this.userId, 'portfolioPerformance');
       const q = query(performanceRef, orderBy('createdAt', 'desc'), limit(days));
-      const snapshot = await getDocs(q);
+      const [snapshot, { base, fx }] = await Promise.all([getDocs(q), this.getReportingContext()]);
 
       const performanceData = [];
       snapshot.forEach(doc => {
         const data = doc.data();
+        // Snapshots taken in another base currency (or before there was one) are restated at today's rate
+        const rate = currencyService.resolveRate(data.currency || ACCOUNT_CURRENCY, base, fx);
         performanceData.push({
           id: doc.id,
-          totalValue: data.totalValue,
-          totalReturn: data.totalReturn,
+          totalValue: data.totalValue * rate,
+          totalReturn: data.totalReturn * rate,
           totalReturnPercent: data.totalReturnPercent,
-          dailyChange: data.dailyChange,
+          unrealizedReturn: (data.unrealizedReturn ?? data.totalReturn) * rate,
+          realizedReturn: (data.realizedReturn || 0) * rate,
+          dailyChange: data.dailyChange * rate,
           dailyChangePercent: data.dailyChangePercent,
+          currency: base,
           timestamp: data.createdAt?.toDate() || new Date(data.timestamp)
         });
       });
@@ -240,6 +408,425 @@ class PortfolioPerformanceService {
     }
   }
 
+  // Start of a period window, or null for ALL
+  getPeriodStart(period, now = new Date()) {
+    if (period === 'ALL') return null;
+    return new Date(now.getTime() - this.getDaysForPeriod(period) * DAY_MS);
+  }
+
+  // External cash flows (deposits positive, withdrawals negative) from the ledger, in the base currency.
+  // The opening balance counts as the first deposit. Dividends stay out: they're return earned inside the portfolio, not new money.
+  async getCashFlows(since = null) {
+    if (!this.userId) return [];
+
+    try {
+      const ledgerRef = collection(db, 'users', this.userId, 'transactions');
+      const q = since
+        ? query(ledgerRef, where('timestamp', '>', since.toISOString()), orderBy('timestamp', 'asc'))
+        : query(ledgerRef, orderBy('timestamp', 'asc'));
+      const [snapshot, { base, fx }] = await Promise.all([getDocs(q), this.getReportingContext()]);
+      const rate = currencyService.resolveRate(ACCOUNT_CURRENCY, base, fx);
+
+      const flows = [];
+      snapshot.forEach(doc => {
+        const data = doc.data();
+        if (CASH_FLOW_TYPES.includes(data.side) || data.side === OPENING_TYPE) {
+          const amount = (parseFloat(data.grossAmount) || 0) * rate;
+          flows.push({
+            timestamp: new Date(data.timestamp),
+            amount: data.side === 'withdrawal' ? -amount : amount
+          });
+        }
+      });
+      return flows;
+    } catch (error) {
+      console.error('Error getting cash flows:', error);
+      return [];
+    }
+  }
+
+  // Portfolio valuations for a period: the last snapshot before the window opens
+  // (the starting value) followed by every snapshot inside it, in the current base currency
+  async getValuations(periodStart = null) {
+    const performanceRef = collection(db, 'users', this.userId, 'portfolioPerformance');
+    const { base, fx } = await this.getReportingContext();
+    const toValuation = (snap) => {
+      const data = snap.data();
+      return {
+        timestamp: data.createdAt?.toDate() || new Date(data.timestamp),
+        totalValue: currencyService.convert(data.totalValue, data.currency || ACCOUNT_CURRENCY, base, fx)
+      };
+    };
+
+    if (!periodStart) {
+      const snapshot = await getDocs(query(performanceRef, orderBy('createdAt', 'asc')));
+      return snapshot.docs.map(toValuation);
+    }
+
+    const [priorSnapshot, windowSnapshot] = await Promise.all([
+      getDocs(query(performanceRef, where('createdAt', '<', periodStart), orderBy('createdAt', 'desc'), limit(1))),
+      getDocs(query(performanceRef, where('createdAt', '>=', periodStart), orderBy('createdAt', 'asc')))
+    ]);
+    return [...priorSnapshot.docs.map(toValuation), ...windowSnapshot.docs.map(toValuation)];
+  }
+
+  // Time-weighted return: chain-link sub-period returns between valuations.
+  // Each sub-period uses Modified Dietz so flows are weighted by how long they were invested.
+  // Returns the cumulative growth at every valuation (first one is 0%).
+  calculateTimeWeightedReturn(valuations, flows = []) {
+    if (!valuations || valuations.length === 0) return { twr: 0, series: [] };
+
+    let growth = 1;
+    const series = [{ timestamp: valuations[0].timestamp, totalValue: valuations[0].totalValue, twrPercent: 0 }];
+
+    for (let i = 1; i < valuations.length; i++) {
+      const start = valuations[i - 1];
+      const end = valuations[i];
+      const span = end.timestamp - start.timestamp;
+      const periodFlows = flows.filter(f => f.timestamp > start.timestamp && f.timestamp <= end.timestamp);
+
+      const netFlow = periodFlows.reduce((sum, f) => sum + f.amount, 0);
+      const weightedFlow = periodFlows.reduce((sum, f) => {
+        const weight = span > 0 ? (end.timestamp - f.timestamp) / span : 0;
+        return sum + (f.amount * weight);
+      }, 0);
+
+      const investedCapital = start.totalValue + weightedFlow;
+      // A sub-period with no capital at work contributes no return
+      const periodReturn = investedCapital > 0 ? (end.totalValue - start.totalValue - netFlow) / investedCapital : 0;
+      growth *= (1 + periodReturn);
+
+      series.push({ timestamp: end.timestamp, totalValue: end.totalValue, twrPercent: (growth - 1) * 100 });
+    }
+
+    return { twr: (growth - 1) * 100, series };
+  }
+
+  // XIRR: annualized rate where the NPV of dated cash flows is zero.
+  // Flows are from the investor's side: money in is negative, money out (and ending value) positive.
+  calculateXIRR(cashFlows) {
+    if (!cashFlows || cashFlows.length < 2) return null;
+    if (!cashFlows.some(f => f.amount > 0) || !cashFlows.some(f => f.amount < 0)) return null;
+
+    const t0 = cashFlows[0].timestamp.getTime();
+    const years = cashFlows.map(f => (f.timestamp.getTime() - t0) / (YEAR_DAYS * DAY_MS));
+    // Flows that all fall on one date have the same NPV at every rate, so there's no rate to solve for
+    if (years.every(y => y === years[0])) return null;
+    const npv = (rate) => cashFlows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+    const dNpv = (rate) => cashFlows.reduce((sum, f, i) => sum - (years[i] * f.amount) / Math.pow(1 + rate, years[i] + 1), 0);
+
+    // Newton-Raphson from 10%, falling back to bisection if it doesn't converge
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+      const value = npv(rate);
+      const derivative = dNpv(rate);
+      if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+      const next = rate - value / derivative;
+      if (next <= -1) break;
+      if (Math.abs(next - rate) < 1e-7) return next;
+      rate = next;
+    }
+
+    let low = -0.9999;
+    let high = 10;
+    const npvLow = npv(low);
+    const npvHigh = npv(high);
+    if (npvLow * npvHigh > 0) return null;
+    // Zero NPV at both ends means it's zero everywhere, not a root
+    if (Math.abs(npvLow) < 1e-9 && Math.abs(npvHigh) < 1e-9) return null;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (npv(low) * npv(mid) <= 0) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+      if (high - low < 1e-7) break;
+    }
+    return (low + high) / 2;
+  }
+
+  // Money-weighted return for a window: starting value invested at the start,
+  // deposits/withdrawals as they happened, ending value withdrawn at the end
+  calculateMoneyWeightedReturn(startValuation, endValuation, flows = []) {
+    if (!startValuation || !endValuation) return { mwr: 0, mwrAnnualized: null };
+
+    const cashFlows = [
+      { timestamp: startValuation.timestamp, amount: -startValuation.totalValue },
+      ...flows.map(f => ({ timestamp: f.timestamp, amount: -f.amount })),
+      { timestamp: endValuation.timestamp, amount: endValuation.totalValue }
+    ].filter(f => f.amount !== 0);
+
+    const irr = this.calculateXIRR(cashFlows);
+    if (irr === null) return { mwr: 0, mwrAnnualized: null };
+
+    // De-annualize so short windows show the return actually earned over the window
+    const years = (endValuation.timestamp - startValuation.timestamp) / (YEAR_DAYS * DAY_MS);
+    return {
+      mwr: (Math.pow(1 + irr, years) - 1) * 100,
+      mwrAnnualized: irr * 100
+    };
+  }
+
+  // TWR and MWR for a period (1D-ALL), with a cumulative TWR series for charting.
+  // Pass the live portfolio value to measure up to now rather than the last snapshot.
+  async getPeriodReturns(period = '1M', currentValue = null) {
+    const empty = {
+      period,
+      startDate: null,
+      endDate: null,
+      startValue: 0,
+      endValue: 0,
+      netCashFlow: 0,
+      twr: 0,
+      twrAnnualized: null,
+      mwr: 0,
+      mwrAnnualized: null,
+      series: []
+    };
+
+    if (!this.userId) {
+      console.error('User ID not set');
+      return empty;
+    }
+
+    try {
+      // Snapshots and cash flows are cached per period; the live value changes with every quote,
+      // so it's appended after the lookup and the (cheap) return math reruns each call
+      const cacheKey = `${this.userId}-returns-${period}`;
+      let cached = this.performanceCache.get(cacheKey);
+      if (!cached || Date.now() - cached.timestamp >= this.CACHE_DURATION) {
+        const snapshots = await this.getValuations(this.getPeriodStart(period));
+        const snapshotFlows = snapshots.length > 0 ? await this.getCashFlows(snapshots[0].timestamp) : [];
+        cached = { data: { valuations: snapshots, flows: snapshotFlows }, timestamp: Date.now() };
+        this.performanceCache.set(cacheKey, cached);
+      }
+
+      const valuations = [...cached.data.valuations];
+      if (currentValue !== null && currentValue !== undefined) {
+        valuations.push({ timestamp: new Date(), totalValue: parseFloat(currentValue) || 0 });
+      }
+      if (valuations.length === 0) return empty;
+
+      const startValuation = valuations[0];
+      const endValuation = valuations[valuations.length - 1];
+      const flows = cached.data.flows.filter(f => f.timestamp <= endValuation.timestamp);
+
+      const { twr, series } = this.calculateTimeWeightedReturn(valuations, flows);
+      const { mwr, mwrAnnualized } = this.calculateMoneyWeightedReturn(startValuation, endValuation, flows);
+      const years = (endValuation.timestamp - startValuation.timestamp) / (YEAR_DAYS * DAY_MS);
+
+      const result = {
+        period,
+        startDate: startValuation.timestamp,
+        endDate: endValuation.timestamp,
+        startValue: startValuation.totalValue,
+        endValue: endValuation.totalValue,
+        netCashFlow: flows.reduce((sum, f) => sum + f.amount, 0),
+        twr,
+        // Annualizing less than a year of returns overstates them
+        twrAnnualized: years >= 1 ? (Math.pow(1 + twr / 100, 1 / years) - 1) * 100 : null,
+        mwr,
+        mwrAnnualized,
+        series
+      };
+
+      return result;
+    } catch (error) {
+      console.error('Error calculating period returns:', error);
+      return empty;
+    }
+  }
+
+  // User's chosen benchmark symbol
+  async getBenchmarkSymbol() {
+    if (!this.userId) return DEFAULT_BENCHMARK;
+    try {
+      const userDoc = await getDoc(doc(db, 'users', this.userId));
+      return userDoc.data()?.benchmarkSymbol || DEFAULT_BENCHMARK;
+    } catch (error) {
+      console.error('Error getting benchmark symbol:', error);
+      return DEFAULT_BENCHMARK;
+    }
+  }
+
+  // Persist the benchmark symbol; any ETF or index symbol Finnhub has candles for works
+  async setBenchmarkSymbol(symbol) {
+    if (!this.userId) {
+      console.error('User ID not set');
+      return;
+    }
+
+    const benchmarkSymbol = (symbol || DEFAULT_BENCHMARK).toUpperCase().trim();
+    await setDoc(doc(db, 'users', this.userId), { benchmarkSymbol }, { merge: true });
+    this.clearCache();
+    return benchmarkSymbol;
+  }
+
+  // User's base (reporting) currency
+  async getBaseCurrency() {
+    if (!this.userId) return DEFAULT_BASE_CURRENCY;
+    try {
+      const userDoc = await getDoc(doc(db, 'users', this.userId));
+      return normalizeCurrency(userDoc.data()?.baseCurrency, DEFAULT_BASE_CURRENCY);
+    } catch (error) {
+      console.error('Error getting base currency:', error);
+      return DEFAULT_BASE_CURRENCY;
+    }
+  }
+
+  // Persist the base currency; values, returns and charts are reported in it from then on
+  async setBaseCurrency(code) {
+    if (!this.userId) {
+      console.error('User ID not set');
+      return;
+    }
+
+    const baseCurrency = normalizeCurrency(code, DEFAULT_BASE_CURRENCY);
+    if (!SUPPORTED_CURRENCIES.some(currency => currency.code === baseCurrency)) {
+      throw new Error('UNSUPPORTED_CURRENCY');
+    }
+    await setDoc(doc(db, 'users', this.userId), { baseCurrency }, { merge: true });
+    this.clearCache();
+    return baseCurrency;
+  }
+
+  // Reporting currency (`baseCurrency` or the user's setting) with current exchange rates
+  async getReportingContext(baseCurrency = null) {
+    const [base, fx] = await Promise.all([
+      baseCurrency ? normalizeCurrency(baseCurrency, DEFAULT_BASE_CURRENCY) : this.getBaseCurrency(),
+      currencyService.getRates()
+    ]);
+    return { base, fx };
+  }
+
+  // Benchmark close at or before each series timestamp (candles are in unix seconds)
+  alignBenchmark(series, history) {
+    const candles = (history || [])
+      .filter(c => c.close > 0)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (candles.length === 0) return [];
+
+    let index = 0;
+    return series.map(point => {
+      const time = point.timestamp.getTime() / 1000;
+      while (index < candles.length - 1 && candles[index + 1].timestamp <= time) {
+        index++;
+      }
+      return candles[index].close;
+    });
+  }
+
+  // Excess return, beta, alpha and tracking error from aligned interval returns.
+  // Portfolio intervals use TWR growth so cash flows don't register as returns.
+  calculateBenchmarkStats(series, benchmarkCloses) {
+    const stats = {
+      portfolioReturn: series.length > 0 ? series[series.length - 1].twrPercent : 0,
+      benchmarkReturn: 0,
+      excessReturn: 0,
+      alpha: null,
+      beta: null,
+      trackingError: null
+    };
+    if (series.length < 2 || benchmarkCloses.length !== series.length) return stats;
+
+    stats.benchmarkReturn = (benchmarkCloses[benchmarkCloses.length - 1] / benchmarkCloses[0] - 1) * 100;
+    stats.excessReturn = stats.portfolioReturn - stats.benchmarkReturn;
+
+    const intervals = [];
+    for (let i = 1; i < series.length; i++) {
+      const days = (series[i].timestamp - series[i - 1].timestamp) / DAY_MS;
+      if (days <= 0) continue;
+      intervals.push({
+        days,
+        portfolio: (1 + series[i].twrPercent / 100) / (1 + series[i - 1].twrPercent / 100) - 1,
+        benchmark: benchmarkCloses[i] / benchmarkCloses[i - 1] - 1
+      });
+    }
+    // Regression statistics need at least two intervals
+    if (intervals.length < 2) return stats;
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const portfolioReturns = intervals.map(i => i.portfolio);
+    const benchmarkReturns = intervals.map(i => i.benchmark);
+    const portfolioMean = mean(portfolioReturns);
+    const benchmarkMean = mean(benchmarkReturns);
+
+    const covariance = intervals.reduce((sum, i) => sum + (i.portfolio - portfolioMean) * (i.benchmark - benchmarkMean), 0) / (intervals.length - 1);
+    const benchmarkVariance = benchmarkReturns.reduce((sum, r) => sum + Math.pow(r - benchmarkMean, 2), 0) / (intervals.length - 1);
+    const periodsPerYear = YEAR_DAYS / mean(intervals.map(i => i.days));
+
+    if (benchmarkVariance > 0) {
+      stats.beta = covariance / benchmarkVariance;
+      // Jensen's alpha, annualized
+      const riskFree = intervals.map(i => RISK_FREE_RATE * (i.days / YEAR_DAYS));
+      const portfolioExcess = mean(intervals.map((i, idx) => i.portfolio - riskFree[idx]));
+      const benchmarkExcess = mean(intervals.map((i, idx) => i.benchmark - riskFree[idx]));
+      stats.alpha = (portfolioExcess - stats.beta * benchmarkExcess) * periodsPerYear * 100;
+    }
+
+    const activeReturns = intervals.map(i => i.portfolio - i.benchmark);
+    const activeMean = mean(activeReturns);
+    const activeVariance = activeReturns.reduce((sum, r) => sum + Math.pow(r - activeMean, 2), 0) / (activeReturns.length - 1);
+    stats.trackingError = Math.sqrt(activeVariance * periodsPerYear) * 100;
+
+    return stats;
+  }
+
+  // Portfolio vs benchmark for a period: both lines normalized to the portfolio's
+  // starting value, plus relative performance statistics
+  async getBenchmarkComparison(period = '1M', currentValue = null, symbol = null) {
+    const benchmarkSymbol = symbol || await this.getBenchmarkSymbol();
+    const periodReturns = await this.getPeriodReturns(period, currentValue);
+    const { series, startValue } = periodReturns;
+
+    const empty = {
+      symbol: benchmarkSymbol,
+      period,
+      series: [],
+      ...this.calculateBenchmarkStats([], [])
+    };
+    if (series.length === 0) return empty;
+
+    try {
+      // Only the benchmark's history is cached; the portfolio series moves with the live value
+      const cacheKey = `${this.userId}-benchmark-${benchmarkSymbol}-${period}`;
+      const cached = this.performanceCache.get(cacheKey);
+      let history = cached && Date.now() - cached.timestamp < this.CACHE_DURATION ? cached.data : null;
+      if (!history) {
+        history = await getStockHistory(benchmarkSymbol, period, { priority: 'portfolio', owner: 'performance' });
+        if (history?.length > 0) {
+          this.performanceCache.set(cacheKey, { data: history, timestamp: Date.now() });
+        }
+      }
+      const benchmarkCloses = this.alignBenchmark(series, history);
+      if (benchmarkCloses.length === 0) {
+        console.log(`No benchmark history for ${benchmarkSymbol} (${period})`);
+        return {
+          ...empty,
+          series: series.map(p => ({ timestamp: p.timestamp, portfolioValue: startValue * (1 + p.twrPercent / 100), benchmarkValue: null })),
+          portfolioReturn: periodReturns.twr
+        };
+      }
+
+      const result = {
+        symbol: benchmarkSymbol,
+        period,
+        series: series.map((p, i) => ({
+          timestamp: p.timestamp,
+          portfolioValue: startValue * (1 + p.twrPercent / 100),
+          benchmarkValue: startValue * (benchmarkCloses[i] / benchmarkCloses[0])
+        })),
+        ...this.calculateBenchmarkStats(series, benchmarkCloses)
+      };
+
+      return result;
+    } catch (error) {
+      console.error('Error comparing against benchmark:', error);
+      return empty;
+    }
+  }
+
   // Cleanup old performance data (keep last 365 days)
   async cleanupOldData() {
     if (!this.userId) return;
@@ -277,6 +864,9 @@ class PortfolioPerformanceService {
       // Get current performance summary
       const performanceSummary = await this.getPerformanceSummary();
       
+      // Flow-adjusted returns for the default chart period
+      const periodReturns = await this.getPeriodReturns('1M', performanceSummary.currentValue);
+
       // Get historical data for chart
       let historicalData = [];
       try {
@@ -299,12 +889,20 @@ class PortfolioPerformanceService {
         currentValue: performanceSummary.currentValue || 0,
         totalReturn: performanceSummary.totalReturn || 0,
         totalReturnPercent: performanceSummary.totalReturnPercent || 0,
+        unrealizedReturn: performanceSummary.unrealizedReturn || 0,
+        assetReturn: performanceSummary.assetReturn || 0,
+        currencyReturn: performanceSummary.currencyReturn || 0,
+        realizedReturn: performanceSummary.realizedReturn || 0,
+        realizedShortTerm: performanceSummary.realizedShortTerm || 0,
+        realizedLongTerm: performanceSummary.realizedLongTerm || 0,
         dailyChange: performanceSummary.dailyChange || 0,
         dailyChangePercent: performanceSummary.dailyChangePercent || 0,
         cashBalance: performanceSummary.cashBalance || 0,
         holdingsCount: performanceSummary.holdingsCount || 0,
         sectorCount: performanceSummary.sectorCount || 0,
         bestPerformer: performanceSummary.bestPerformer || 'N/A',
+        currency: performanceSummary.currency || DEFAULT_BASE_CURRENCY,
+        periodReturns,
         portfolioHistory: historicalData || []
       };
       
@@ -346,10 +944,10 @@ class PortfolioPerformanceService {
         };
       }
 
-      const { holdings, cashBalance } = portfolioData;
+      const { holdings, cashBalance, realizedGains, dividendIncome, interestIncome, baseCurrency } = portfolioData;
       
       // Calculate current performance
-      const performance = await this.calculateCurrentPerformance(holdings, cashBalance);
+      const performance = await this.calculateCurrentPerformance(holdings, cashBalance, realizedGains, dividendIncome, baseCurrency, interestIncome);
       
       // Calculate additional metrics
       const holdingsCount = holdings.length;
@@ -370,12 +968,19 @@ class PortfolioPerformanceService {
         currentValue: performance.totalValue,
         totalReturn: performance.totalReturn,
         totalReturnPercent: performance.totalReturnPercent,
+        unrealizedReturn: performance.unrealizedReturn,
+        assetReturn: performance.assetReturn,
+        currencyReturn: performance.currencyReturn,
+        realizedReturn: performance.realizedReturn,
+        realizedShortTerm: performance.realizedShortTerm,
+        realizedLongTerm: performance.realizedLongTerm,
         dailyChange: performance.dailyChange,
         dailyChangePercent: performance.dailyChangePercent,
-        cashBalance: cashBalance,
+        cashBalance: performance.cashValue,
         holdingsCount: holdingsCount,
         sectorCount: sectorCount,
-        bestPerformer: bestPerformer
+        bestPerformer: bestPerformer,
+        currency: performance.currency
       };
     } catch (error) {
       console.error('Error getting performance summary:', error);
@@ -393,30 +998,38 @@ class PortfolioPerformanceService {
     }
   }
 
-  // Generate chart data for portfolio performance
-  async getChartData(period = '1M') {
-    const performanceData = await this.getHistoricalPerformance(period);
-    
-    if (performanceData.length === 0) {
-      return {
-        values: [],
-        timestamps: [],
-        returns: [],
-        period
-      };
-    }
+  // Generate chart data for portfolio performance.
+  // `twrPercents` is cumulative time-weighted return, so deposits and withdrawals don't show as gains or losses.
+  // `adjustedValues` and `benchmarkValues` are both normalized to the portfolio's start value for overlaying.
+  async getChartData(period = '1M', currentValue = null, benchmarkSymbol = null) {
+    const periodReturns = await this.getPeriodReturns(period, currentValue);
+    const { series } = periodReturns;
+    const benchmark = await this.getBenchmarkComparison(period, currentValue, benchmarkSymbol);
 
     return {
-      values: performanceData.map(p => p.totalValue),
-      timestamps: performanceData.map(p => p.timestamp),
-      returns: performanceData.map(p => p.totalReturn),
+      values: series.map(p => p.totalValue),
+      timestamps: series.map(p => p.timestamp),
+      twrPercents: series.map(p => p.twrPercent),
+      adjustedValues: benchmark.series.map(p => p.portfolioValue),
+      benchmarkValues: benchmark.series.map(p => p.benchmarkValue),
+      benchmark: {
+        symbol: benchmark.symbol,
+        portfolioReturn: benchmark.portfolioReturn,
+        benchmarkReturn: benchmark.benchmarkReturn,
+        excessReturn: benchmark.excessReturn,
+        alpha: benchmark.alpha,
+        beta: benchmark.beta,
+        trackingError: benchmark.trackingError
+      },
+      twr: periodReturns.twr,
+      mwr: periodReturns.mwr,
       period
     };
   }
 
   // Update portfolio performance (called after trades)
-  async updatePerformance(holdings, cashBalance) {
-    const performance = await this.calculateCurrentPerformance(holdings, cashBalance);
+  async updatePerformance(holdings, cashBalance, realizedGains = null, dividendIncome = null) {
+    const performance = await this.calculateCurrentPerformance(holdings, cashBalance, realizedGains, dividendIncome);
     await this.savePerformanceSnapshot(performance);
     return performance;
   }
@@ -433,15 +1046,16 @@ class PortfolioPerformanceService {
         return [];
       }
 
-      const { holdings } = portfolioData;
+      const { holdings, baseCurrency } = portfolioData;
+      const { base, fx } = await this.getReportingContext(baseCurrency);
       
-      // Group holdings by sector and calculate total value
+      // Group holdings by sector and calculate total value (in the base currency)
       const sectorMap = new Map();
       
       console.log('getSectorHoldings: Processing holdings:', holdings.length);
       holdings.forEach(holding => {
         const sector = holding.sector || 'Unknown';
-        const currentValue = parseFloat(holding.currentValue) || 0;
+        const currentValue = currencyService.convert(holding.currentValue, holding.currency, base, fx);
         console.log(`getSectorHoldings: Processing ${holding.symbol} - Sector: ${sector}, Value: ${currentValue}`);
         
         if (sectorMap.has(sector)) {
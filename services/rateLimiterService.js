@@ -0,0 +1,337 @@
+// rateLimiterService.js - Token-bucket scheduler shared by every outbound API call (Finnhub, Groq and the failover providers)
+import Constants from 'expo-constants';
+
+const extra = Constants.expoConfig?.extra || Constants.manifest?.extra;
+
+// Lanes in service order: user-visible detail, then portfolio refresh, then background generation
+export const REQUEST_PRIORITIES = ['interactive', 'portfolio', 'background'];
+const DEFAULT_PRIORITY = 'portfolio';
+
+// Longest a request may wait for a token before it's rejected with API_LIMIT_REACHED (so callers fail over)
+const MAX_WAIT = {
+  interactive: 10 * 1000,
+  portfolio: 30 * 1000,
+  background: 2 * 60 * 1000
+};
+
+// Share of each bucket background work leaves alone, so a generation run can't drain the burst a tap needs
+const BACKGROUND_RESERVE = 0.3;
+const DEFAULT_RATE_LIMIT_PAUSE = 60 * 1000; // 429 without Retry-After or reset headers
+const MAX_PAUSE = 60 * 60 * 1000; // Ignore reset times further out than this (clock skew, misread headers)
+const MIN_WAKE_DELAY = 50;
+
+// Free-tier limits; burst is the bucket size, requestsPerMinute its refill rate
+const DEFAULT_LIMITS = {
+  finnhub: { requestsPerMinute: 60, burst: 10, maxConcurrent: 4 },
+  groq: { requestsPerMinute: 30, burst: 5, maxConcurrent: 2 },
+  openai: { requestsPerMinute: 60, burst: 10, maxConcurrent: 4 },
+  localLlm: { requestsPerMinute: 600, burst: 10, maxConcurrent: 1 }, // Ollama or llama.cpp on your machine: one generation at a time
+  alphaVantage: { requestsPerMinute: 5, burst: 1, maxConcurrent: 1 },
+  polygon: { requestsPerMinute: 5, burst: 5, maxConcurrent: 2 },
+  frankfurter: { requestsPerMinute: 30, burst: 2, maxConcurrent: 1 }
+};
+const FALLBACK_LIMITS = { requestsPerMinute: 30, burst: 5, maxConcurrent: 2 };
+
+// Paid plans raise the per-minute rate, e.g. EXPO_PUBLIC_FINNHUB_REQUESTS_PER_MINUTE=300.
+// Expo only inlines EXPO_PUBLIC_* variables that are written out in full, so each one is listed here
+const CONFIGURED_RATES = {
+  finnhub: extra?.EXPO_PUBLIC_FINNHUB_REQUESTS_PER_MINUTE || process.env.EXPO_PUBLIC_FINNHUB_REQUESTS_PER_MINUTE,
+  groq: extra?.EXPO_PUBLIC_GROQ_REQUESTS_PER_MINUTE || process.env.EXPO_PUBLIC_GROQ_REQUESTS_PER_MINUTE,
+  openai: extra?.EXPO_PUBLIC_OPENAI_REQUESTS_PER_MINUTE || process.env.EXPO_PUBLIC_OPENAI_REQUESTS_PER_MINUTE
+};
+
+// Rejection for a request that was never sent because the bucket couldn't serve it in time
+const throttledError = () => {
+  const error = new Error('API_LIMIT_REACHED');
+  error.throttled = true;
+  return error;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+// Retry-After as an absolute time: delay seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return now + parseFloat(text) * 1000;
+  const date = Date.parse(text);
+  return isNaN(date) ? null : date;
+};
+
+// Rate-limit reset header as an absolute time: unix seconds (Finnhub), seconds from now,
+// or a duration such as '2m59.56s' or '120ms' (Groq)
+export const parseResetTime = (value, now = Date.now()) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    return number > 1e9 ? number * 1000 : now + number * 1000;
+  }
+
+  const units = { h: 60 * 60 * 1000, m: 60 * 1000, s: 1000, ms: 1 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) return null;
+  return now + parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0);
+};
+
+class RateLimiterService {
+  constructor() {
+    this.buckets = new Map(); // provider id -> bucket, created on first use
+  }
+
+  // Override a provider's limits ({ requestsPerMinute, burst, maxConcurrent })
+  configure(providerId, limits) {
+    const bucket = this.getBucket(providerId);
+    this.refill(bucket, Date.now());
+    if (limits.requestsPerMinute) bucket.refillPerMs = limits.requestsPerMinute / 60000;
+    if (limits.burst) {
+      bucket.capacity = limits.burst;
+      bucket.tokens = Math.min(bucket.tokens, bucket.capacity);
+    }
+    if (limits.maxConcurrent) bucket.maxConcurrent = limits.maxConcurrent;
+    this.drain(bucket);
+  }
+
+  getBucket(providerId) {
+    if (!this.buckets.has(providerId)) {
+      const limits = DEFAULT_LIMITS[providerId] || FALLBACK_LIMITS;
+      const configuredRate = toNumber(CONFIGURED_RATES[providerId]);
+      const requestsPerMinute = configuredRate > 0 ? configuredRate : limits.requestsPerMinute;
+      this.buckets.set(providerId, {
+        id: providerId,
+        capacity: limits.burst,
+        refillPerMs: requestsPerMinute / 60000,
+        maxConcurrent: limits.maxConcurrent,
+        tokens: limits.burst,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        inFlight: 0,
+        lanes: Object.fromEntries(REQUEST_PRIORITIES.map(priority => [priority, new Map()])), // owner -> jobs
+        timer: null,
+        stats: { sent: 0, rateLimited: 0, rejected: 0, remaining: null, lastSentAt: null, lastRateLimitAt: null }
+      });
+    }
+    return this.buckets.get(providerId);
+  }
+
+  // Run `task` (a function returning a promise) once `providerId` has a token.
+  // `owner` names the screen or feature asking; owners in the same lane take turns.
+  schedule(providerId, task, { priority = DEFAULT_PRIORITY, owner = 'app' } = {}) {
+    const bucket = this.getBucket(providerId);
+    const lane = REQUEST_PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+
+    return new Promise((resolve, reject) => {
+      if (this.estimateWait(bucket, lane) > MAX_WAIT[lane]) {
+        bucket.stats.rejected += 1;
+        console.warn(`${providerId} is rate limited, not queueing ${lane} request from ${owner}`);
+        reject(throttledError());
+        return;
+      }
+
+      const jobs = bucket.lanes[lane].get(owner) || [];
+      jobs.push({ task, resolve, reject, owner, deadline: Date.now() + MAX_WAIT[lane] });
+      bucket.lanes[lane].set(owner, jobs);
+      this.drain(bucket);
+    });
+  }
+
+  // fetch() through the provider's bucket. 429s and rate-limit headers on the response pause or shrink the bucket;
+  // the response itself is returned as-is for the caller to interpret.
+  fetch(providerId, url, init = {}, { priority, owner } = {}) {
+    return this.schedule(providerId, async () => {
+      const res = await fetch(url, init);
+      this.applyResponseHeaders(providerId, res);
+      return res;
+    }, { priority, owner });
+  }
+
+  // Honour Retry-After on 429s, and x-ratelimit-remaining / -reset (plain, -requests and -tokens variants)
+  applyResponseHeaders(providerId, res) {
+    const bucket = this.getBucket(providerId);
+    const header = (name) => res.headers?.get?.(name) ?? null;
+    const now = Date.now();
+    let resumeAt = null;
+
+    if (res.status === 429) {
+      bucket.stats.rateLimited += 1;
+      bucket.stats.lastRateLimitAt = now;
+      resumeAt = parseRetryAfter(header('retry-after'), now) ||
+        parseResetTime(header('x-ratelimit-reset'), now) ||
+        now + DEFAULT_RATE_LIMIT_PAUSE;
+    }
+
+    ['', '-requests', '-tokens'].forEach(suffix => {
+      const remaining = toNumber(header(`x-ratelimit-remaining${suffix}`));
+      if (remaining === null) return;
+      // Token budgets (Groq) don't map onto request counts, so they only matter once exhausted
+      if (suffix !== '-tokens') {
+        bucket.stats.remaining = remaining;
+        this.refill(bucket, now);
+        bucket.tokens = Math.min(bucket.tokens, remaining);
+      }
+      if (remaining <= 0) {
+        const reset = parseResetTime(header(`x-ratelimit-reset${suffix}`), now);
+        if (reset) resumeAt = Math.max(resumeAt || 0, reset);
+      }
+    });
+
+    if (resumeAt && resumeAt > bucket.pausedUntil) {
+      bucket.pausedUntil = Math.min(resumeAt, now + MAX_PAUSE);
+      bucket.tokens = 0;
+      console.warn(`${providerId} rate limited, pausing for ${Math.ceil((bucket.pausedUntil - now) / 1000)}s`);
+    }
+  }
+
+  // Tokens accrue at the refill rate, but not while paused
+  refill(bucket, now) {
+    const from = Math.max(bucket.lastRefill, bucket.pausedUntil);
+    if (now > from) {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - from) * bucket.refillPerMs);
+    }
+    bucket.lastRefill = Math.max(bucket.lastRefill, now);
+  }
+
+  getReserve(bucket, lane) {
+    return lane === 'background' ? Math.min(bucket.capacity - 1, bucket.capacity * BACKGROUND_RESERVE) : 0;
+  }
+
+  countJobs(laneJobs) {
+    let count = 0;
+    laneJobs.forEach(jobs => {
+      count += jobs.length;
+    });
+    return count;
+  }
+
+  // Rough milliseconds before a new request in `lane` would be sent (everything queued at or above it goes first)
+  estimateWait(bucket, lane) {
+    const now = Date.now();
+    this.refill(bucket, now);
+    const ahead = REQUEST_PRIORITIES
+      .slice(0, REQUEST_PRIORITIES.indexOf(lane) + 1)
+      .reduce((sum, priority) => sum + this.countJobs(bucket.lanes[priority]), 0);
+    const tokensNeeded = ahead + 1 + this.getReserve(bucket, lane) - bucket.tokens;
+    return Math.max(0, bucket.pausedUntil - now) + Math.max(0, tokensNeeded) / bucket.refillPerMs;
+  }
+
+  // Next job in a lane, rotating owners so one busy screen can't hold the lane
+  takeNext(laneJobs) {
+    const [owner, jobs] = laneJobs.entries().next().value;
+    const job = jobs.shift();
+    laneJobs.delete(owner);
+    if (jobs.length > 0) laneJobs.set(owner, jobs); // Back of the rotation
+    return job;
+  }
+
+  // Reject jobs that waited longer than their lane allows
+  expire(bucket, now) {
+    REQUEST_PRIORITIES.forEach(priority => {
+      const laneJobs = bucket.lanes[priority];
+      laneJobs.forEach((jobs, owner) => {
+        const waiting = jobs.filter(job => {
+          if (job.deadline > now) return true;
+          bucket.stats.rejected += 1;
+          job.reject(throttledError());
+          return false;
+        });
+        if (waiting.length > 0) {
+          laneJobs.set(owner, waiting);
+        } else {
+          laneJobs.delete(owner);
+        }
+      });
+    });
+  }
+
+  // Send whatever the bucket allows, then wake up for the next token while work is waiting
+  drain(bucket) {
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+    const now = Date.now();
+    this.refill(bucket, now);
+    this.expire(bucket, now);
+
+    while (bucket.inFlight < bucket.maxConcurrent && now >= bucket.pausedUntil) {
+      // Reserves only grow down the lanes, so this never lets a lower lane jump a waiting higher one
+      const lane = REQUEST_PRIORITIES.find(priority =>
+        bucket.lanes[priority].size > 0 && bucket.tokens >= 1 + this.getReserve(bucket, priority)
+      );
+      if (!lane) break;
+
+      const job = this.takeNext(bucket.lanes[lane]);
+      bucket.tokens -= 1;
+      bucket.inFlight += 1;
+      bucket.stats.sent += 1;
+      bucket.stats.lastSentAt = now;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          bucket.inFlight -= 1;
+          this.drain(bucket);
+        });
+    }
+
+    const waitingLane = REQUEST_PRIORITIES.find(priority => bucket.lanes[priority].size > 0);
+    if (waitingLane && bucket.inFlight < bucket.maxConcurrent) {
+      const tokensNeeded = 1 + this.getReserve(bucket, waitingLane) - bucket.tokens;
+      const delay = Math.max(bucket.pausedUntil - now, tokensNeeded / bucket.refillPerMs, MIN_WAKE_DELAY);
+      bucket.timer = setTimeout(() => this.drain(bucket), delay);
+    }
+  }
+
+  isPaused(providerId) {
+    return (this.buckets.get(providerId)?.pausedUntil || 0) > Date.now();
+  }
+
+  // When a paused provider may be called again, or null when it isn't paused
+  getResumeTime(providerId) {
+    return this.isPaused(providerId) ? this.buckets.get(providerId).pausedUntil : null;
+  }
+
+  // Manual override: end a pause and refill the bucket
+  resume(providerId) {
+    const bucket = this.getBucket(providerId);
+    bucket.pausedUntil = 0;
+    bucket.tokens = bucket.capacity;
+    bucket.lastRefill = Date.now();
+    console.log(`${providerId} rate limit reset`);
+    this.drain(bucket);
+  }
+
+  // Per-provider bucket state for getApiStatus
+  getStatus() {
+    const now = Date.now();
+    const status = {};
+    this.buckets.forEach((bucket, providerId) => {
+      this.refill(bucket, now);
+      const queued = {};
+      const owners = new Set();
+      REQUEST_PRIORITIES.forEach(priority => {
+        queued[priority] = this.countJobs(bucket.lanes[priority]);
+        bucket.lanes[priority].forEach((_, owner) => owners.add(owner));
+      });
+
+      status[providerId] = {
+        tokens: Math.floor(bucket.tokens * 10) / 10,
+        capacity: bucket.capacity,
+        requestsPerMinute: Math.round(bucket.refillPerMs * 60000),
+        inFlight: bucket.inFlight,
+        paused: bucket.pausedUntil > now,
+        resumesAt: bucket.pausedUntil > now ? bucket.pausedUntil : null,
+        queued,
+        waitingOwners: [...owners],
+        ...bucket.stats
+      };
+    });
+    return status;
+  }
+}
+
+export default new RateLimiterService();
@@ -0,0 +1,270 @@
+// riskAnalyticsService.js - Portfolio risk metrics from performance snapshots and holding price history
+import { getStockHistory } from './finnhubService';
+import portfolioPerformanceService, { RISK_FREE_RATE } from './portfolioPerformanceService';
+
+const TRADING_DAYS = 252;
+const HISTORY_PERIOD = '1Y'; // Candle window used to simulate the current portfolio
+const HISTORY_LANE = { priority: 'portfolio', owner: 'riskAnalytics' }; // Rate-limiter lane for candle fetches
+const MIN_OBSERVATIONS = 20; // Fewer daily returns than this gives meaningless statistics
+const VAR_HORIZONS = [1, 10]; // Days
+
+// One-tailed standard normal quantiles for the supported confidence levels
+const Z_SCORES = {
+  0.95: 1.6448536,
+  0.99: 2.3263479
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const sampleStdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+};
+
+// Standard normal density, used for parametric CVaR
+const normalDensity = (z) => Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+
+// Candle timestamps are unix seconds; key them by calendar day so series line up
+const toDayKey = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+class RiskAnalyticsService {
+  constructor() {
+    this.cache = new Map();
+    this.CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+  }
+
+  // Daily values of today's holdings over the candle window (historical simulation).
+  // Only days every covered holding traded are used; cash is held constant.
+  buildHoldingsValueSeries(holdings, cashBalance, histories) {
+    const covered = holdings.filter(h => histories[h.symbol] && histories[h.symbol].length > 0);
+    if (covered.length === 0) return [];
+
+    const closesBySymbol = {};
+    covered.forEach(holding => {
+      closesBySymbol[holding.symbol] = new Map(
+        histories[holding.symbol]
+          .filter(c => c.close > 0)
+          .map(c => [toDayKey(c.timestamp), c.close])
+      );
+    });
+
+    const days = [...closesBySymbol[covered[0].symbol].keys()]
+      .filter(day => covered.every(h => closesBySymbol[h.symbol].has(day)))
+      .sort();
+
+    return days.map(day => ({
+      timestamp: new Date(`${day}T00:00:00Z`),
+      value: covered.reduce((sum, h) => sum + (parseFloat(h.shares) || 0) * closesBySymbol[h.symbol].get(day) * (h.fxRate ?? 1), cashBalance)
+    }));
+  }
+
+  // Simple period-over-period returns
+  calculateReturns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i - 1] > 0) {
+        returns.push(values[i] / values[i - 1] - 1);
+      }
+    }
+    return returns;
+  }
+
+  // Annualized volatility (%)
+  calculateVolatility(returns) {
+    return sampleStdDev(returns) * Math.sqrt(TRADING_DAYS) * 100;
+  }
+
+  // Annualized Sharpe ratio
+  calculateSharpe(returns) {
+    const stdDev = sampleStdDev(returns);
+    if (stdDev === 0) return null;
+    const dailyRiskFree = RISK_FREE_RATE / TRADING_DAYS;
+    return ((mean(returns) - dailyRiskFree) / stdDev) * Math.sqrt(TRADING_DAYS);
+  }
+
+  // Annualized Sortino ratio - only returns below the risk-free rate count as risk
+  calculateSortino(returns) {
+    const dailyRiskFree = RISK_FREE_RATE / TRADING_DAYS;
+    const downsideDeviation = Math.sqrt(mean(returns.map(r => Math.pow(Math.min(0, r - dailyRiskFree), 2))));
+    if (downsideDeviation === 0) return null;
+    return ((mean(returns) - dailyRiskFree) / downsideDeviation) * Math.sqrt(TRADING_DAYS);
+  }
+
+  // Largest peak-to-trough decline (%), with the dates it started, bottomed and recovered.
+  // recoveryDate is null while the portfolio is still below the prior peak.
+  calculateMaxDrawdown(points) {
+    const result = { maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null };
+    if (!points || points.length < 2) return result;
+
+    let peak = points[0];
+    let worst = null;
+    points.forEach(point => {
+      if (point.value >= peak.value) {
+        peak = point;
+      }
+      const drawdown = peak.value > 0 ? (point.value / peak.value - 1) * 100 : 0;
+      if (drawdown < result.maxDrawdown) {
+        result.maxDrawdown = drawdown;
+        worst = { peak, trough: point };
+      }
+    });
+
+    if (worst) {
+      result.peakDate = worst.peak.timestamp;
+      result.troughDate = worst.trough.timestamp;
+      const recovery = points.find(p => p.timestamp > worst.trough.timestamp && p.value >= worst.peak.value);
+      result.recoveryDate = recovery ? recovery.timestamp : null;
+    }
+    return result;
+  }
+
+  // Compounded returns over overlapping `horizon`-day windows
+  getHorizonReturns(returns, horizon) {
+    if (horizon === 1) return returns;
+    const horizonReturns = [];
+    for (let i = 0; i + horizon <= returns.length; i++) {
+      horizonReturns.push(returns.slice(i, i + horizon).reduce((growth, r) => growth * (1 + r), 1) - 1);
+    }
+    return horizonReturns;
+  }
+
+  // Historical VaR/CVaR in dollars: the loss at the (1 - confidence) quantile of observed returns,
+  // and the average loss beyond it. Multi-day horizons use overlapping windows when there's enough
+  // history and square-root-of-time scaling otherwise.
+  calculateHistoricalVaR(returns, portfolioValue, confidence = 0.95, horizon = 1) {
+    const useWindows = horizon === 1 || returns.length >= horizon * MIN_OBSERVATIONS;
+    const scale = useWindows ? 1 : Math.sqrt(horizon);
+    const sample = (useWindows ? this.getHorizonReturns(returns, horizon) : returns).slice().sort((a, b) => a - b);
+    if (sample.length === 0) return { var: null, cvar: null };
+
+    const cutoff = Math.max(1, Math.floor(sample.length * (1 - confidence)));
+    const quantile = sample[cutoff - 1];
+    const tail = sample.slice(0, cutoff);
+
+    return {
+      var: Math.max(0, -quantile * scale * portfolioValue),
+      cvar: Math.max(0, -mean(tail) * scale * portfolioValue)
+    };
+  }
+
+  // Parametric (variance-covariance) VaR/CVaR in dollars assuming normally distributed returns
+  calculateParametricVaR(returns, portfolioValue, confidence = 0.95, horizon = 1) {
+    const z = Z_SCORES[confidence];
+    if (!z || returns.length < 2) return { var: null, cvar: null };
+
+    const horizonMean = mean(returns) * horizon;
+    const horizonStdDev = sampleStdDev(returns) * Math.sqrt(horizon);
+
+    return {
+      var: Math.max(0, -(horizonMean - z * horizonStdDev) * portfolioValue),
+      cvar: Math.max(0, -(horizonMean - horizonStdDev * normalDensity(z) / (1 - confidence)) * portfolioValue)
+    };
+  }
+
+  // Beta of the simulated portfolio to a benchmark over shared trading days
+  calculateBeta(valueSeries, benchmarkHistory) {
+    if (!benchmarkHistory || benchmarkHistory.length === 0) return null;
+
+    const benchmarkCloses = new Map(benchmarkHistory.filter(c => c.close > 0).map(c => [toDayKey(c.timestamp), c.close]));
+    const shared = valueSeries.filter(p => benchmarkCloses.has(p.timestamp.toISOString().slice(0, 10)));
+    if (shared.length <= MIN_OBSERVATIONS) return null;
+
+    const portfolioReturns = this.calculateReturns(shared.map(p => p.value));
+    const benchmarkReturns = this.calculateReturns(shared.map(p => benchmarkCloses.get(p.timestamp.toISOString().slice(0, 10))));
+    const portfolioMean = mean(portfolioReturns);
+    const benchmarkMean = mean(benchmarkReturns);
+
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < benchmarkReturns.length; i++) {
+      covariance += (portfolioReturns[i] - portfolioMean) * (benchmarkReturns[i] - benchmarkMean);
+      variance += Math.pow(benchmarkReturns[i] - benchmarkMean, 2);
+    }
+    return variance > 0 ? covariance / variance : null;
+  }
+
+  // Full risk report for the current holdings.
+  // Volatility, ratios, VaR and beta come from simulating today's holdings over daily candles;
+  // max drawdown comes from the portfolio's own snapshot history (flow-adjusted) when there's enough of it.
+  async getRiskMetrics({ holdings, cashBalance, confidence = 0.95 }) {
+    // fxRate (optional) converts a holding's listing-currency prices into the currency cashBalance is in
+    const portfolioValue = holdings.reduce((sum, h) => sum + (parseFloat(h.currentValue) || 0) * (h.fxRate ?? 1), cashBalance);
+    const cacheKey = `${holdings.map(h => `${h.symbol}:${h.shares}`).sort().join(',')}|${Math.round(cashBalance)}|${confidence}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+      return cached.data;
+    }
+
+    const report = {
+      asOf: new Date().toISOString(),
+      portfolioValue,
+      confidence,
+      observations: 0,
+      volatility: null,
+      sharpe: null,
+      sortino: null,
+      beta: null,
+      benchmarkSymbol: null,
+      drawdown: { maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null, source: null },
+      historicalVaR: {},
+      parametricVaR: {},
+      missingSymbols: []
+    };
+
+    try {
+      // Sequential to stay inside Finnhub's per-minute limit; candles are cached
+      const histories = {};
+      for (const holding of holdings) {
+        const history = await getStockHistory(holding.symbol, HISTORY_PERIOD, HISTORY_LANE);
+        if (history && history.length > 0) {
+          histories[holding.symbol] = history;
+        } else {
+          report.missingSymbols.push(holding.symbol);
+        }
+      }
+
+      const valueSeries = this.buildHoldingsValueSeries(holdings, cashBalance, histories);
+      const returns = this.calculateReturns(valueSeries.map(p => p.value));
+      report.observations = returns.length;
+
+      if (returns.length >= MIN_OBSERVATIONS) {
+        report.volatility = this.calculateVolatility(returns);
+        report.sharpe = this.calculateSharpe(returns);
+        report.sortino = this.calculateSortino(returns);
+
+        VAR_HORIZONS.forEach(horizon => {
+          const key = `${horizon}d`;
+          report.historicalVaR[key] = this.calculateHistoricalVaR(returns, portfolioValue, confidence, horizon);
+          report.parametricVaR[key] = this.calculateParametricVaR(returns, portfolioValue, confidence, horizon);
+        });
+
+        report.benchmarkSymbol = await portfolioPerformanceService.getBenchmarkSymbol();
+        const benchmarkHistory = await getStockHistory(report.benchmarkSymbol, HISTORY_PERIOD, HISTORY_LANE);
+        report.beta = this.calculateBeta(valueSeries, benchmarkHistory);
+      }
+
+      // Snapshot history reflects what actually happened, including past holdings
+      const { series } = await portfolioPerformanceService.getPeriodReturns('ALL', portfolioValue);
+      if (series.length >= 3) {
+        const growth = series.map(p => ({ timestamp: p.timestamp, value: 1 + p.twrPercent / 100 }));
+        report.drawdown = { ...this.calculateMaxDrawdown(growth), source: 'snapshots' };
+      } else if (valueSeries.length >= 2) {
+        report.drawdown = { ...this.calculateMaxDrawdown(valueSeries), source: 'simulated' };
+      }
+
+      this.cache.set(cacheKey, { data: report, timestamp: Date.now() });
+      return report;
+    } catch (error) {
+      console.error('Error calculating risk metrics:', error);
+      return report;
+    }
+  }
+
+  // Clear cache
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+export default new RiskAnalyticsService();
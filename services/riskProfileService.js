@@ -1,6 +1,5 @@
 // riskProfileService.js - Risk Profile Analysis and Generation
-import { doc, setDoc, getDoc } from 'firebase/firestore';
-import { db, auth } from '../firebase';
+import { db, auth, doc, setDoc, getDoc } from '../firebase';
 
 class RiskProfileService {
   // Generate detailed risk profile analysis
@@ -271,29 +270,34 @@ class RiskProfileService {
 
   // Get portfolio allocation recommendations
   getPortfolioAllocation(scores) {
-    const riskTolerance = this.getRiskTolerance(scores);
-    
-    if (riskTolerance.level === 'Conservative') {
+    return this.getAllocationForLevel(this.getRiskTolerance(scores).level);
+  }
+
+  // Recommended ranges for a risk level ('Conservative', 'Moderate', 'Aggressive'), e.g. the quiz's saved riskLevel
+  getAllocationForLevel(level) {
+    const riskLevel = String(level || '').toLowerCase();
+
+    if (riskLevel === 'conservative') {
       return {
         stocks: '20-30%',
         bonds: '50-60%',
         cash: '10-20%',
         alternatives: '0-10%'
       };
-    } else if (riskTolerance.level === 'Moderate') {
-      return {
-        stocks: '40-60%',
-        bonds: '30-40%',
-        cash: '5-15%',
-        alternatives: '5-15%'
-      };
-    } else {
+    } else if (riskLevel === 'aggressive' || riskLevel === 'very aggressive') {
       return {
         stocks: '70-80%',
         bonds: '10-20%',
         cash: '0-10%',
         alternatives: '10-20%'
       };
+    } else {
+      return {
+        stocks: '40-60%',
+        bonds: '30-40%',
+        cash: '5-15%',
+        alternatives: '5-15%'
+      };
     }
   }
 
@@ -1,8 +1,19 @@
 // stockGenerationService_Enhanced.js - Enhanced Stock Generation with Personalized Analysis
-import { doc, getDoc, setDoc, collection, getDocs, deleteDoc, updateDoc, addDoc } from 'firebase/firestore';
-import { db } from '../firebase';
+import { db, doc, getDoc, setDoc, collection, getDocs, deleteDoc, updateDoc, addDoc } from '../firebase';
 import groqService from './groqService';
-import { getStockQuote, getMultipleQuotes, getCompanyProfile, getCompanyFinancialsEnhanced } from './finnhubService';
+import confidenceScoringService from './confidenceScoringService';
+import fundamentalsService from './fundamentalsService';
+import technicalIndicatorService from './technicalIndicatorService';
+import marketCalendarService from './marketCalendarService';
+import newsService from './newsService';
+import { getStockQuote, getMultipleQuotes, getCompanyProfile, getStockHistory } from './finnhubService';
+import { ACCOUNT_CURRENCY, formatMoney, normalizeCurrency } from './currencyService';
+import assetClassService from './assetClassService';
+import riskProfileService from './riskProfileService';
+import { DEFAULT_CASH_BALANCE } from './tradeExecutionService';
+
+const RECOMMENDATION_SAMPLES = 2; // Independent LLM samples used to measure agreement on each pick
+const GENERATION_LANE = { priority: 'background', owner: 'stockGeneration' }; // Yields API capacity to on-screen requests
 
 class StockGenerationService_Enhanced {
   constructor() {
@@ -10,6 +21,7 @@ class StockGenerationService_Enhanced {
     this.riskProfile = null;
     this.userPreferences = null;
     this.userProfile = null;
+    this.includeNewsInThesis = true; // Fold recent headlines and their sentiment into the thesis prompt
   }
 
   // Load enhanced user context including profile and risk data
@@ -30,7 +42,7 @@ class StockGenerationService_Enhanced {
       this.userProfile = {
         email: userData.email,
         createdAt: userData.createdAt,
-        cashBalance: userData.cashBalance || 10000,
+        cashBalance: parseFloat(userData.cashBalance ?? DEFAULT_CASH_BALANCE) || 0,
         investmentGoals: userData.investmentGoals || [],
         preferredSectors: userData.preferredSectors || [],
         riskTolerance: userData.riskTolerance || 'medium',
@@ -99,7 +111,8 @@ class StockGenerationService_Enhanced {
             shares: data.shares,
             averagePrice: data.averagePrice,
             sector: data.sector,
-            industry: data.industry
+            industry: data.industry,
+            assetClass: data.assetClass || null
           });
         }
       });
@@ -376,14 +389,12 @@ class StockGenerationService_Enhanced {
     const baseScore = (sectorDiversification * sectorWeight + riskAlignment * riskWeight + portfolioFit * portfolioWeight);
     const adaptiveScore = baseScore + behaviorBonus;
     
-    // Add some controlled randomness for variety (±5%)
-    const randomVariation = (Math.random() - 0.5) * 0.1; // ±5% variation
-    const finalScore = Math.max(0.1, Math.min(0.95, adaptiveScore + randomVariation));
+    // Deterministic so the confidence score built on it is reproducible
+    const finalScore = Math.max(0.1, Math.min(0.95, adaptiveScore));
     
     console.log(`Adaptive personalization for ${stock.symbol}:`);
     console.log(`- Base score: ${baseScore.toFixed(3)}`);
     console.log(`- Behavior bonus: ${behaviorBonus.toFixed(3)}`);
-    console.log(`- Random variation: ${randomVariation.toFixed(3)}`);
     console.log(`- Final score: ${finalScore.toFixed(3)}`);
     
     return isNaN(finalScore) ? 0.5 : finalScore;
@@ -439,6 +450,13 @@ class StockGenerationService_Enhanced {
       ];
       const randomPerspective = perspectiveAngles[Math.floor(Math.random() * perspectiveAngles.length)];
 
+      // Lexicon-scored so the thesis doesn't wait on another LLM call
+      const newsContext = this.includeNewsInThesis ? await newsService.getNewsContext(stock.symbol) : null;
+
+      // Prices are in the listing currency; capital amounts are account cash
+      const price = (value) => formatMoney(value, stock.currency);
+      const capital = (value) => formatMoney(value, ACCOUNT_CURRENCY, { maximumFractionDigits: 0 });
+
       const prompt = `
         Generate a professional investment thesis for ${stock.symbol} (${companyData.name}) using a ${randomApproach} framework, emphasizing ${randomPerspective}.
         
@@ -448,29 +466,33 @@ class StockGenerationService_Enhanced {
         • Experience Level: ${this.userProfile.experienceLevel} investor
         • Current Holdings: ${investmentProfile.portfolio.length} positions across ${investmentProfile.portfolioSectors.length} sectors
         • Existing Sectors: ${investmentProfile.portfolioSectors.join(', ') || 'No current holdings'}
-        • Total Invested: $${investmentProfile.totalInvested.toFixed(0)}
-        • Available Capital: $${this.userProfile.cashBalance.toFixed(0)}
+        • Total Invested: ${capital(investmentProfile.totalInvested)}
+        • Available Capital: ${capital(this.userProfile.cashBalance)}
         • Portfolio Allocation: ${investmentProfile.portfolio.length > 0 ? (investmentProfile.totalInvested / this.userProfile.cashBalance * 100).toFixed(1) : '0'}% of capital deployed
         
         STOCK FUNDAMENTALS:
-        • Trading Price: $${quoteData.price.toFixed(2)}
+        • Trading Price: ${price(quoteData.price)}
         • Market Capitalization: ${companyData.marketCap}
         • Sector Classification: ${stock.sector}
         • Industry Focus: ${stock.industry}
         • Current Valuation: ${quoteData.changePercent >= 0 ? 'Recent upward momentum' : 'Recent price consolidation'}
         
         PORTFOLIO CONTEXT:
-        • Current Portfolio Value: $${investmentProfile.totalInvested.toFixed(0)}
-        • Remaining Capital: $${this.userProfile.cashBalance.toFixed(0)}
+        • Current Portfolio Value: ${capital(investmentProfile.totalInvested)}
+        • Remaining Capital: ${capital(this.userProfile.cashBalance)}
         • Sector Exposure: ${investmentProfile.portfolioSectors.length > 0 ? investmentProfile.portfolioSectors.join(', ') : 'None'}
-        • Position Sizing: Consider that ${quoteData.price.toFixed(2)} per share means $${(100 * quoteData.price).toFixed(0)} for 100 shares
-        
+        • Position Sizing: Consider that ${price(quoteData.price)} per share means ${price(100 * quoteData.price)} for 100 shares
+        ${newsContext ? `
+        RECENT NEWS (headline sentiment from -1 to +1):
+        ${newsContext.split('\n').join('\n        ')}
+        ` : ''}
         THESIS REQUIREMENTS:
         Write exactly 3-4 sentences that address:
-        1. Specific value proposition aligned with user's ${this.userProfile.riskTolerance} risk profile and $${this.userProfile.cashBalance.toFixed(0)} available capital
-        2. Portfolio impact and diversification considerations given current $${investmentProfile.totalInvested.toFixed(0)} invested across ${investmentProfile.portfolioSectors.length} sectors
-        3. How this investment fits their ${this.userProfile.timeHorizon} term strategy with $${this.userProfile.cashBalance.toFixed(0)} remaining capital
-        4. Concrete rationale for position sizing within their current portfolio framework
+        1. Specific value proposition aligned with user's ${this.userProfile.riskTolerance} risk profile and ${capital(this.userProfile.cashBalance)} available capital
+        2. Portfolio impact and diversification considerations given current ${capital(investmentProfile.totalInvested)} invested across ${investmentProfile.portfolioSectors.length} sectors
+        3. How this investment fits their ${this.userProfile.timeHorizon} term strategy with ${capital(this.userProfile.cashBalance)} remaining capital
+        4. Concrete rationale for position sizing within their current portfolio framework${newsContext ? `
+        5. Whether recent news flow supports or challenges the thesis, citing a specific headline` : ''}
         
         PROFESSIONAL STANDARDS:
         • Use formal institutional language - NO first person references ("I", "we", "our")
@@ -482,7 +504,7 @@ class StockGenerationService_Enhanced {
         • NO prefixes, headers, or formatting artifacts
       `;
 
-      const response = await groqService.generateText(prompt);
+      const response = await groqService.generateText(prompt, 500, { ...GENERATION_LANE, task: 'thesis' });
       const cleanedResponse = this.cleanText(response);
       return cleanedResponse || `Based on the investor's ${this.userProfile.riskTolerance} risk tolerance and ${this.userProfile.timeHorizon} time horizon, ${stock.symbol} represents a strategic allocation opportunity within the current portfolio framework.`;
     } catch (error) {
@@ -558,13 +580,14 @@ class StockGenerationService_Enhanced {
     }
   }
 
-  // Generate technical analysis
-  async generateTechnicalAnalysis(stock, quoteData) {
+  // Generate technical analysis from indicators computed on daily candles.
+  // Returns { analysis, indicators } so the numbers behind the text travel with it.
+  async generateTechnicalAnalysis(stock, quoteData, candles = []) {
     try {
       // Validate quote data
       if (!quoteData || !quoteData.price || quoteData.price <= 0) {
         console.warn(`Invalid quote data for ${stock.symbol}:`, quoteData);
-        return `${stock.symbol} technical analysis unavailable due to missing price data.`;
+        return { analysis: `${stock.symbol} technical analysis unavailable due to missing price data.`, indicators: null };
       }
       
       const currentPrice = quoteData.price || 0;
@@ -572,94 +595,64 @@ class StockGenerationService_Enhanced {
       const changePercent = quoteData.changePercent || 0;
       const high = quoteData.high || currentPrice;
       const low = quoteData.low || currentPrice;
-      const open = quoteData.open || currentPrice;
       const volume = quoteData.volume || 0;
+      const indicators = technicalIndicatorService.getIndicators(candles, currentPrice);
+      const marketStatus = marketCalendarService.getMarketStatus();
+      const quoteLabel = marketCalendarService.getQuoteLabel(quoteData);
+
+      // Compare today's volume with the recent daily average when history is available
+      const recentVolumes = (candles || []).slice(-20).map(c => c.volume).filter(v => v > 0);
+      const averageVolume = recentVolumes.length > 0 ? recentVolumes.reduce((sum, v) => sum + v, 0) / recentVolumes.length : 0;
+      const volumeRatio = averageVolume > 0 && volume > 0 ? volume / averageVolume : null;
       
-      // Calculate key technical indicators
-      const dayRange = high - low;
-      const dayRangePercent = currentPrice > 0 ? (dayRange / currentPrice) * 100 : 0;
-      const isGapUp = open > (currentPrice - change);
-      const isGapDown = open < (currentPrice - change);
-      const isHighVolume = volume > 1000000; // 1M volume threshold
-      const isSignificantMove = Math.abs(changePercent) > 2; // 2% threshold
-      
-      // Generate varied analysis style
-      const analysisStyles = [
-        'momentum_focused',
-        'support_resistance',
-        'volume_pattern',
-        'trend_analysis',
-        'volatility_assessment'
-      ];
-      const randomStyle = analysisStyles[Math.floor(Math.random() * analysisStyles.length)];
-      
-      // Generate varied technical patterns to mention
-      const technicalPatterns = [
-        'breakout potential', 'consolidation pattern', 'flag formation', 'support test',
-        'resistance challenge', 'volume confirmation', 'momentum shift', 'price discovery'
-      ];
-      const randomPattern = technicalPatterns[Math.floor(Math.random() * technicalPatterns.length)];
-      
+      const price = (value) => formatMoney(value, stock.currency);
+
       const prompt = `
-        Generate a detailed technical analysis for ${stock.symbol} (Current: $${currentPrice.toFixed(2)}) using a ${randomStyle} approach.
+        Generate a detailed technical analysis for ${stock.symbol} (Current: ${price(currentPrice)}).
         
         MARKET DATA:
-        • Current Price: $${currentPrice.toFixed(2)}
-        • Change: $${change.toFixed(2)} (${changePercent.toFixed(2)}%)
-        • Day High: $${high.toFixed(2)} | Day Low: $${low.toFixed(2)}
-        • Opening Price: $${open.toFixed(2)}
-        • Intraday Range: $${dayRange.toFixed(2)} (${dayRangePercent.toFixed(1)}% volatility)
-        • Volume: ${volume.toLocaleString()} shares
+        • Market Session: ${marketStatus.label}
+        • Quote Status: ${quoteLabel.label}
+        • Current Price: ${price(currentPrice)}
+        • Change: ${price(change)} (${changePercent.toFixed(2)}%)
+        • Day High: ${price(high)} | Day Low: ${price(low)}
+        • Volume: ${volume.toLocaleString()} shares${volumeRatio !== null ? ` (${volumeRatio.toFixed(1)}x the 20-day average)` : ''}
         
-        TECHNICAL CONTEXT:
-        • Price Momentum: ${changePercent >= 0 ? 'Bullish' : 'Bearish'} momentum with ${Math.abs(changePercent).toFixed(1)}% move
-        • Gap Analysis: ${isGapUp ? 'Opening gap up from previous close' : isGapDown ? 'Opening gap down from previous close' : 'Continuous price action without gaps'}
-        • Volume Profile: ${isHighVolume ? 'Above-average volume indicating institutional interest' : 'Standard volume levels'}
-        • Volatility: ${dayRangePercent > 5 ? 'High intraday volatility suggesting strong sentiment' : dayRangePercent > 2 ? 'Moderate price swings within normal ranges' : 'Low volatility indicating consolidation'}
+        COMPUTED INDICATORS (daily candles${indicators ? `, ${indicators.candleCount} sessions` : ''}):
+        ${technicalIndicatorService.formatForPrompt(indicators, stock.currency)}
         
         ANALYSIS REQUIREMENTS:
         Write exactly 4-5 sentences covering:
-        1. Immediate price action assessment with specific levels
-        2. Technical pattern recognition (focus on: ${randomPattern})
-        3. Volume interpretation and institutional signals
-        4. Near-term price targets and key levels to watch
+        1. Trend assessment from the moving averages
+        2. Momentum from RSI and MACD
+        3. Volatility from the Bollinger Bands and ATR
+        4. Key support and resistance levels from the pivots and 52-week range
         5. Risk management considerations
         
         CRITICAL FORMATTING RULES:
         • Use formal, professional language - absolutely NO first person ("I", "we", "my")
         • Write as a professional analyst would for institutional clients
-        • Include specific price levels and percentages
-        • Mention concrete technical indicators (RSI zones, moving averages, etc.)
-        • Vary your language - use different technical terms and structures
+        • Only cite indicator values and price levels listed above - do not invent any others
+        • If an indicator is n/a, do not discuss it
+        • Unless the quote status is Live, the change, range and volume describe the most recent session - do not call it "today's" trading
         • NO prefixes like "Analysis:", "Technical Analysis:", etc.
         • Return clean, readable text without formatting artifacts
-        • Ensure each analysis is unique with different phrasing and focus
       `;
 
       try {
-        const response = await groqService.generateText(prompt);
+        const response = await groqService.generateText(prompt, 500, { ...GENERATION_LANE, task: 'technicalAnalysis' });
         const cleanedResponse = this.cleanText(response);
         
         if (cleanedResponse && cleanedResponse.length > 50) {
           console.log(`✅ Generated technical analysis for ${stock.symbol}:`, cleanedResponse.substring(0, 100) + '...');
-          return cleanedResponse;
+          return { analysis: cleanedResponse, indicators };
         }
       } catch (error) {
         console.warn(`LLM technical analysis failed for ${stock.symbol}:`, error.message);
       }
       
-      // Enhanced fallback analysis if LLM response is too short or fails
-      const trend = changePercent >= 0 ? 'bullish' : 'bearish';
-      const momentum = Math.abs(changePercent) > 3 ? 'strong' : Math.abs(changePercent) > 1 ? 'moderate' : 'weak';
-      const volumeDesc = isHighVolume ? 'on high volume' : 'on normal volume';
-      const support = low.toFixed(2);
-      const resistance = high.toFixed(2);
-      const volatility = dayRangePercent > 5 ? 'high' : dayRangePercent > 2 ? 'moderate' : 'low';
-      
-      const fallbackAnalysis = `${stock.symbol} is showing ${momentum} ${trend} momentum ${volumeDesc}, currently trading at $${currentPrice.toFixed(2)}. Key support level is $${support} and resistance at $${resistance}. The stock has ${dayRangePercent.toFixed(1)}% intraday volatility, suggesting ${volatility} price action. Short-term outlook remains ${trend} with potential for continuation of the current trend.`;
-      
       console.log(`📊 Using fallback technical analysis for ${stock.symbol}`);
-      return fallbackAnalysis;
+      return { analysis: this.buildFallbackTechnicalAnalysis(stock.symbol, quoteData, indicators, stock.currency), indicators };
       
     } catch (error) {
       console.error('Error generating technical analysis:', error);
@@ -669,10 +662,39 @@ class StockGenerationService_Enhanced {
       const changePercent = quoteData.changePercent || 0;
       const trend = changePercent >= 0 ? 'bullish' : 'bearish';
       
-      return `${stock.symbol} is currently trading at $${currentPrice.toFixed(2)} with ${trend} momentum. Technical analysis unavailable at this time.`;
+      return {
+        analysis: `${stock.symbol} is currently trading at ${formatMoney(currentPrice, stock.currency)} with ${trend} momentum. Technical analysis unavailable at this time.`,
+        indicators: null
+      };
     }
   }
 
+  // Template analysis from computed indicators when the LLM is unavailable
+  buildFallbackTechnicalAnalysis(symbol, quoteData, indicators, currency = ACCOUNT_CURRENCY) {
+    const currentPrice = quoteData.price || 0;
+    const price = (value) => formatMoney(value, currency);
+    if (!indicators) {
+      const trend = (quoteData.changePercent || 0) >= 0 ? 'bullish' : 'bearish';
+      const live = marketCalendarService.getQuoteStatus(quoteData) === 'live';
+      return `${symbol} ${live ? 'is trading' : 'last traded'} at ${price(currentPrice)} with ${trend} ${live ? 'intraday' : 'last-session'} momentum. ${live ? 'Day' : 'Session'} range is ${price(quoteData.low || currentPrice)} to ${price(quoteData.high || currentPrice)}; price history is unavailable, so trend indicators could not be computed.`;
+    }
+
+    const sentences = [`${symbol} is trading at ${price(currentPrice)} in a ${technicalIndicatorService.describeTrend(indicators)}.`];
+    if (indicators.rsi) {
+      sentences.push(`RSI(14) is ${indicators.rsi.value}, in ${indicators.rsi.zone} territory${indicators.macd ? `, with the MACD histogram at ${indicators.macd.histogram}` : ''}.`);
+    }
+    if (indicators.atr && indicators.bollinger) {
+      sentences.push(`ATR(14) of ${price(indicators.atr.value)} (${indicators.atr.percent}% of price) and a Bollinger bandwidth of ${indicators.bollinger.bandwidthPercent}% describe current volatility.`);
+    }
+    if (indicators.pivots) {
+      sentences.push(`Pivot support sits at ${price(indicators.pivots.s1)} and resistance at ${price(indicators.pivots.r1)}.`);
+    }
+    if (indicators.range52w) {
+      sentences.push(`The stock is ${Math.abs(indicators.range52w.fromHighPercent)}% below its 52-week high of ${price(indicators.range52w.high)}.`);
+    }
+    return sentences.join(' ');
+  }
+
   // Get risk score from risk profile
   getRiskScore(riskProfile) {
     if (!riskProfile || !riskProfile.riskProfile) return 0.5;
@@ -684,7 +706,7 @@ class StockGenerationService_Enhanced {
 
   // Get stock risk score
   getStockRiskScore(stock) {
-    // Simple risk scoring based on sector and market cap
+    // Simple risk scoring based on sector; funds, crypto and cash are scored by asset class first
     const sectorRisk = {
       'Technology': 0.8,
       'Healthcare': 0.7,
@@ -696,7 +718,18 @@ class StockGenerationService_Enhanced {
       'Energy': 0.7
     };
     
-    return sectorRisk[stock.sector] || 0.5;
+    return assetClassService.getRiskScore(stock, sectorRisk[stock.sector]);
+  }
+
+  // Current mix (at cost, plus cash) against the recommended ranges for the user's risk level
+  getAllocationGaps(investmentProfile) {
+    const holdings = investmentProfile.portfolio.map(holding => ({
+      ...holding,
+      value: holding.shares * holding.averagePrice
+    }));
+    const summary = assetClassService.summarizeAllocation(holdings, this.userProfile?.cashBalance || 0);
+    const targets = riskProfileService.getAllocationForLevel(this.riskProfile?.riskLevel);
+    return assetClassService.compareToTargets(summary, targets);
   }
 
   // Enhanced stock generation with personalized analysis and smart API management
@@ -757,20 +790,33 @@ class StockGenerationService_Enhanced {
       
       console.log(`Excluding ${excludedStocks.size} existing stocks from recommendations`);
       
-      // Get more recommendations to account for filtering
-      const recommendations = await groqService.getRecommendations(maxStocks * 2, {
+      // Get more recommendations to account for filtering. Several independent samples
+      // are drawn so confidence can reflect how consistently the LLM picks each stock.
+      const recommendationContext = {
         riskProfile: this.riskProfile,
         userPreferences: this.userPreferences,
         rejectedStocks: Array.from(excludedStocks),
         likedStocks: investmentProfile.likedStocks,
         portfolioSectors: investmentProfile.portfolioSectors,
-        investmentGoals: this.userProfile.investmentGoals
-      });
+        investmentGoals: this.userProfile.investmentGoals,
+        allocation: this.getAllocationGaps(investmentProfile)
+      };
+      const samples = [await groqService.getRecommendations(maxStocks * 2, recommendationContext)];
 
-      if (!recommendations || recommendations.length === 0) {
+      if (!samples[0] || samples[0].length === 0) {
         throw new Error('No recommendations received from LLM service');
       }
 
+      for (let i = 1; i < RECOMMENDATION_SAMPLES; i++) {
+        try {
+          samples.push(await groqService.getRecommendations(maxStocks * 2, recommendationContext));
+        } catch (error) {
+          console.warn(`Recommendation sample ${i + 1} failed:`, error.message);
+        }
+      }
+
+      const recommendations = this.mergeRecommendationSamples(samples);
+
       // Filter out excluded stocks and process recommendations
       const filteredRecommendations = recommendations.filter(rec => !excludedStocks.has(rec.symbol));
       console.log(`After filtering: ${filteredRecommendations.length} unique recommendations available`);
@@ -783,7 +829,7 @@ class StockGenerationService_Enhanced {
       
       // Fetch quotes for all symbols
       console.log(`📊 Fetching quotes for ${symbolsToProcess.length} symbols...`);
-      const quotes = await getMultipleQuotes(symbolsToProcess);
+      const quotes = await getMultipleQuotes(symbolsToProcess, GENERATION_LANE);
       
       if (quotes.length === 0) {
         console.warn('No valid quotes received from API');
@@ -804,7 +850,7 @@ class StockGenerationService_Enhanced {
       for (const quote of quotes) {
         try {
           console.log(`Fetching profile for ${quote.symbol}...`);
-          const profile = await getCompanyProfile(quote.symbol);
+          const profile = await getCompanyProfile(quote.symbol, GENERATION_LANE);
           profiles.push(profile);
         } catch (error) {
           console.warn(`Failed to get profile for ${quote.symbol}:`, error.message);
@@ -826,26 +872,13 @@ class StockGenerationService_Enhanced {
       
       console.log(`✅ Successfully fetched ${profiles.length} company profiles`);
       
-      // Batch 3: Get financial data (least critical, use LLM fallback)
-      console.log('💰 Batch 3: Fetching financial data...');
+      // Batch 3: Get fundamentals from the provider chain (missing values stay null)
+      console.log('💰 Batch 3: Fetching fundamentals...');
       const financials = [];
       
       for (const quote of quotes) {
-        try {
-          console.log(`Fetching financials for ${quote.symbol}...`);
-          const financial = await getCompanyFinancialsEnhanced(quote.symbol);
-          financials.push(financial);
-        } catch (error) {
-          console.warn(`Failed to get financials for ${quote.symbol}:`, error.message);
-          // Return fallback financials
-          financials.push({
-            symbol: quote.symbol,
-            peRatio: 'N/A',
-            dividendYield: 'N/A',
-            marketCap: 'N/A',
-            source: 'fallback'
-          });
-        }
+        console.log(`Fetching fundamentals for ${quote.symbol}...`);
+        financials.push(await fundamentalsService.getFundamentals(quote.symbol, GENERATION_LANE));
       }
       
       console.log(`✅ Successfully fetched ${financials.length} financial datasets`);
@@ -875,47 +908,25 @@ class StockGenerationService_Enhanced {
           
           console.log(`✅ Processing ${rec.symbol} with valid price: $${quote.price}`);
           
-          // Generate LLM financial metrics if API data is not available
-          let enhancedFinancialData = financial;
-          console.log(`Financial data for ${quote.symbol}:`, {
+          console.log(`Fundamentals for ${quote.symbol}:`, {
+            marketCap: financial.marketCap,
             peRatio: financial.peRatio,
             dividendYield: financial.dividendYield,
-            marketCap: financial.marketCap,
-            source: financial.source
+            provenance: financial.provenance
           });
-          
-          if (financial.peRatio === 'N/A' && financial.dividendYield === 'N/A' && financial.marketCap === 'N/A') {
-            if (profile.name && profile.sector) {
-              try {
-                console.log(`Generating LLM financial metrics for ${quote.symbol}`);
-                enhancedFinancialData = await this.generateFinancialMetrics(quote.symbol, profile.name, profile.sector);
-                console.log(`LLM generated financial data for ${quote.symbol}:`, enhancedFinancialData);
-              } catch (error) {
-                console.warn(`LLM financial generation failed for ${quote.symbol}:`, error.message);
-                // Keep the fallback data
-              }
-            }
-          }
-
-          // Validate market cap data
-          if (!enhancedFinancialData.marketCap || enhancedFinancialData.marketCap === 'N/A' || enhancedFinancialData.marketCap === 0) {
-            console.warn(`Skipping ${rec.symbol} - missing or invalid market cap data: ${enhancedFinancialData.marketCap}`);
-            continue;
-          }
-
-          // Validate that market cap is a reasonable number (not 0 or negative)
-          const marketCapValue = parseFloat(enhancedFinancialData.marketCap);
-          if (isNaN(marketCapValue) || marketCapValue <= 0) {
-            console.warn(`Skipping ${rec.symbol} - invalid market cap value: ${enhancedFinancialData.marketCap}`);
-            continue;
-          }
 
           // NOW generate analysis with validated data
           console.log(`✅ Data validated for ${rec.symbol} - generating analysis...`);
-          const [personalizedAnalysis, technicalAnalysis] = await Promise.all([
-            this.generatePersonalizedAnalysis(rec, quote, profile, enhancedFinancialData),
-            this.generateTechnicalAnalysis(rec, quote)
+          // A year of daily candles covers the 200-day average and 52-week range
+          const candles = (await getStockHistory(rec.symbol, '1Y', GENERATION_LANE).catch(() => null)) || [];
+          // Prices in the prompts and fallback text are quoted in the listing currency
+          const listed = { ...rec, currency: normalizeCurrency(profile.currency) };
+          const [personalizedAnalysis, technical] = await Promise.all([
+            this.generatePersonalizedAnalysis(listed, quote, profile, financial),
+            this.generateTechnicalAnalysis(listed, quote, candles)
           ]);
+          const technicalAnalysis = technical.analysis;
+          const confidence = this.calculateEnhancedConfidence(rec, quote, profile, financial, candles, personalizedAnalysis);
           
           console.log(`Technical analysis generated for ${rec.symbol}:`, technicalAnalysis?.substring(0, 100) + '...');
           console.log(`Personalized analysis generated for ${rec.symbol}:`, {
@@ -925,21 +936,30 @@ class StockGenerationService_Enhanced {
             personalizationScore: personalizedAnalysis?.personalizationScore
           });
 
+          const instrument = assetClassService.classify(rec.symbol, { ...rec, name: profile.name || rec.name });
+
           const enhancedStock = {
             symbol: rec.symbol,
             name: profile.name || rec.symbol,
             price: quote.price,
-            priceFormatted: `$${quote.price.toFixed(2)}`,
+            priceFormatted: formatMoney(quote.price, profile.currency),
+            currency: normalizeCurrency(profile.currency),
             change: quote.change,
             changePercent: quote.changePercent,
             sector: rec.sector || profile.sector,
             industry: rec.industry || profile.industry,
-            marketCap: enhancedFinancialData.marketCapDisplay || (enhancedFinancialData.marketCap ? this.formatMarketCap(parseFloat(enhancedFinancialData.marketCap)) : 'N/A'), // Use display format for UI
-            marketCapRaw: enhancedFinancialData.marketCap || profile.marketCap || 0, // Keep raw millions value
-            peRatio: enhancedFinancialData.peRatio || 'N/A',
-            dividendYield: enhancedFinancialData.dividendYield || 'N/A',
+            assetClass: instrument.assetClass,
+            category: instrument.category,
+            expenseRatio: instrument.expenseRatio,
+            // Display values are null when no provider reported them; fundamentals keeps raw values and provenance
+            marketCap: fundamentalsService.formatMarketCap(financial.marketCap),
+            marketCapRaw: financial.marketCap, // Millions
+            peRatio: fundamentalsService.formatPeRatio(financial.peRatio),
+            dividendYield: fundamentalsService.formatDividendYield(financial.dividendYield),
+            fundamentals: financial,
             riskLevel: rec.riskLevel || 'medium',
-            confidence: this.calculateEnhancedConfidence(rec, quote, profile),
+            confidence: confidence.score,
+            confidenceBreakdown: confidence.factors,
             reason: rec.reason || 'AI-generated recommendation',
             timestamp: Date.now(),
             generatedAt: new Date().toISOString(),
@@ -956,6 +976,7 @@ class StockGenerationService_Enhanced {
             keyBenefits: personalizedAnalysis?.keyBenefits || ['Growth potential', 'Market opportunity'],
             keyRisks: personalizedAnalysis?.keyRisks || ['Market volatility'],
             technicalAnalysis: technicalAnalysis || `${rec.symbol} technical analysis will be available once price data is loaded.`,
+            technicalIndicators: technical.indicators,
             
             // User context
             userRiskTolerance: this.userProfile?.riskTolerance || 'medium',
@@ -985,6 +1006,8 @@ class StockGenerationService_Enhanced {
           if (enhancedStocks.length >= maxStocks) break;
           
           try {
+            const confidence = this.calculateEnhancedConfidence(rec, { price: 0 }, {});
+
             // Use minimal data to create a basic stock recommendation
             const basicStock = {
               symbol: rec.symbol,
@@ -995,11 +1018,14 @@ class StockGenerationService_Enhanced {
               changePercent: 0,
               sector: rec.sector || 'Unknown',
               industry: rec.industry || 'Unknown',
-              marketCap: 'N/A',
-              peRatio: 'N/A',
-              dividendYield: 'N/A',
+              marketCap: null,
+              marketCapRaw: null,
+              peRatio: null,
+              dividendYield: null,
+              fundamentals: null,
               riskLevel: rec.riskLevel || 'medium',
-              confidence: this.calculateEnhancedConfidence(rec, { price: 0 }, {}),
+              confidence: confidence.score,
+              confidenceBreakdown: confidence.factors,
               reason: rec.reason || 'AI-generated recommendation',
               timestamp: Date.now(),
               generatedAt: new Date().toISOString(),
@@ -1016,6 +1042,7 @@ class StockGenerationService_Enhanced {
               keyBenefits: ['Growth potential', 'Market opportunity'],
               keyRisks: ['Market volatility'],
               technicalAnalysis: 'Technical analysis will be available once price data is loaded.',
+              technicalIndicators: null,
               
               // User context
               userRiskTolerance: this.userProfile.riskTolerance,
@@ -1042,68 +1069,51 @@ class StockGenerationService_Enhanced {
     }
   }
 
-  // Calculate enhanced confidence score with more variability
-  calculateEnhancedConfidence(rec, quoteData, companyData) {
-    // Start with more varied base confidence (55-85% range)
-    let baseConfidence = 0.55 + (Math.random() * 0.3); // 55-85% base range
-    
-    // Data quality adjustments
-    let dataQualityBonus = 0;
-    if (companyData.name && companyData.sector) dataQualityBonus += 0.08;
-    if (quoteData.price > 0) dataQualityBonus += 0.08;
-    if (companyData.marketCap && companyData.marketCap !== 'N/A') dataQualityBonus += 0.04;
-    
-    // Market conditions adjustment (simulate varying market confidence)
-    const marketConditionsVariation = (Math.random() - 0.5) * 0.15; // ±7.5%
-    
-    // Sector-specific confidence adjustments
-    let sectorAdjustment = 0;
-    if (companyData.sector) {
-      switch (companyData.sector.toLowerCase()) {
-        case 'technology':
-          sectorAdjustment = 0.05; // Higher confidence in tech analysis
-          break;
-        case 'healthcare':
-        case 'biotech':
-          sectorAdjustment = -0.03; // Slightly lower due to regulatory risks
-          break;
-        case 'financial':
-          sectorAdjustment = 0.03; // Moderate confidence
-          break;
-        case 'energy':
-          sectorAdjustment = -0.02; // Volatile sector
-          break;
-        default:
-          sectorAdjustment = 0;
-      }
-    }
-    
-    // Price momentum confidence (higher confidence for stable price action)
-    let momentumAdjustment = 0;
-    if (quoteData.changePercent !== undefined) {
-      const absChange = Math.abs(quoteData.changePercent);
-      if (absChange < 2) {
-        momentumAdjustment = 0.05; // Stable price action
-      } else if (absChange > 5) {
-        momentumAdjustment = -0.05; // Volatile price action
-      }
-    }
-    
-    // Calculate final confidence
-    const totalConfidence = baseConfidence + dataQualityBonus + marketConditionsVariation + sectorAdjustment + momentumAdjustment;
-    
-    // Ensure realistic range (45-95%)
-    const finalConfidence = Math.min(0.95, Math.max(0.45, totalConfidence));
-    
+  // Merge LLM recommendation samples, recording how many samples picked each symbol
+  mergeRecommendationSamples(samples) {
+    const bySymbol = new Map();
+    samples.forEach(sample => {
+      const seen = new Set();
+      (sample || []).forEach(rec => {
+        const symbol = (rec.symbol || '').toUpperCase().trim();
+        if (!symbol || seen.has(symbol)) return;
+        seen.add(symbol);
+
+        if (bySymbol.has(symbol)) {
+          const merged = bySymbol.get(symbol);
+          merged.sampleCount += 1;
+          merged.llmConfidences.push(rec.confidence);
+        } else {
+          bySymbol.set(symbol, { ...rec, symbol, sampleCount: 1, llmConfidences: [rec.confidence] });
+        }
+      });
+    });
+
+    // First-sample order is kept; picks every sample agreed on come first
+    return Array.from(bySymbol.values())
+      .map(rec => ({ ...rec, sampleTotal: samples.length }))
+      .sort((a, b) => b.sampleCount - a.sampleCount);
+  }
+
+  // Deterministic confidence from data completeness, candle volatility, valuation vs sector,
+  // LLM agreement across samples and profile alignment. Returns { score (0-100), factors }.
+  calculateEnhancedConfidence(rec, quoteData, companyData, financialData = {}, candles = [], personalization = null) {
+    const result = confidenceScoringService.calculateConfidence({
+      rec,
+      quoteData,
+      companyData,
+      financialData,
+      candles,
+      personalization
+    });
+
     console.log(`Confidence calculation for ${rec.symbol || 'Unknown'}:`);
-    console.log(`- Base: ${(baseConfidence * 100).toFixed(1)}%`);
-    console.log(`- Data quality: +${(dataQualityBonus * 100).toFixed(1)}%`);
-    console.log(`- Market conditions: ${marketConditionsVariation >= 0 ? '+' : ''}${(marketConditionsVariation * 100).toFixed(1)}%`);
-    console.log(`- Sector adjustment: ${sectorAdjustment >= 0 ? '+' : ''}${(sectorAdjustment * 100).toFixed(1)}%`);
-    console.log(`- Momentum adjustment: ${momentumAdjustment >= 0 ? '+' : ''}${(momentumAdjustment * 100).toFixed(1)}%`);
-    console.log(`- Final confidence: ${(finalConfidence * 100).toFixed(1)}%`);
-    
-    return Math.round(finalConfidence * 100);
+    result.factors.forEach(factor => {
+      console.log(`- ${factor.label}: ${factor.score === null ? 'n/a' : `${factor.score}%`} (${factor.detail})`);
+    });
+    console.log(`- Final confidence: ${result.score}%`);
+
+    return result;
   }
 
   // Public method that components can call
@@ -1123,223 +1133,6 @@ class StockGenerationService_Enhanced {
     }
   }
 
-  // Generate financial metrics with LLM fallback
-  async generateFinancialMetrics(symbol, companyName, sector) {
-    try {
-      console.log(`Generating financial metrics for ${symbol} (${companyName})`);
-      
-      // Determine base market cap based on company characteristics (in millions)
-      const baseMarketCapMillions = this.determineBaseMarketCap(companyName, sector);
-      console.log(`Determined base market cap for ${symbol}: ${baseMarketCapMillions} millions`);
-      
-      // Convert to display format
-      const baseMarketCapDisplay = this.formatMarketCap(baseMarketCapMillions);
-      console.log(`Formatted market cap for ${symbol}: ${baseMarketCapDisplay}`);
-      
-      const prompt = `
-        Generate financial metrics for ${companyName} (${symbol}) in the ${sector} sector.
-        
-        REQUIREMENTS:
-        1. Market Cap: MUST be exactly ${baseMarketCapMillions} millions (${baseMarketCapDisplay})
-        2. P/E Ratio: Provide a realistic P/E ratio between 5-50, or "N/A" if not applicable
-        3. Dividend Yield: Provide a realistic dividend yield between 0.1-8.0%, or "N/A" if not applicable
-        
-        FORMAT YOUR RESPONSE EXACTLY LIKE THIS:
-        {
-          "marketCap": ${baseMarketCapMillions},
-          "peRatio": "15.2",
-          "dividendYield": "2.1%"
-        }
-        
-        IMPORTANT:
-        - Market cap MUST be exactly ${baseMarketCapMillions} (in millions)
-        - Use realistic values for P/E and dividend based on the sector
-        - If a company doesn't pay dividends, use "N/A" for dividend yield
-        - If P/E is not applicable, use "N/A"
-        - Return ONLY the JSON object, no other text
-      `;
-
-      try {
-        const response = await groqService.generateText(prompt);
-        console.log(`Raw LLM response for ${symbol}:`, response);
-        
-        // Parse the response
-        const cleanedResponse = this.cleanText(response);
-        const metrics = JSON.parse(cleanedResponse);
-        
-        console.log(`Parsed metrics for ${symbol}:`, metrics);
-        
-        // Validate and force the market cap
-        const result = {
-          marketCap: baseMarketCapMillions, // Store as millions for API compatibility
-          marketCapDisplay: baseMarketCapDisplay, // Store formatted version for display
-          peRatio: metrics.peRatio || 'N/A',
-          dividendYield: metrics.dividendYield || 'N/A',
-          source: 'LLM Generated'
-        };
-        
-        console.log(`Final financial metrics for ${symbol}:`, result);
-        return result;
-        
-      } catch (error) {
-        console.warn(`LLM financial generation failed for ${symbol}:`, error.message);
-        
-        // Fallback with forced market cap
-        return {
-          marketCap: baseMarketCapMillions, // Store as millions for API compatibility
-          marketCapDisplay: baseMarketCapDisplay, // Store formatted version for display
-          peRatio: 'N/A',
-          dividendYield: 'N/A',
-          source: 'Fallback'
-        };
-      }
-    } catch (error) {
-      console.error(`Error generating financial metrics for ${symbol}:`, error);
-      return {
-        marketCap: 0,
-        marketCapDisplay: 'N/A',
-        peRatio: 'N/A',
-        dividendYield: 'N/A',
-        source: 'Error'
-      };
-    }
-  }
-
-  // Format market cap from millions to display format
-  formatMarketCap(millions) {
-    if (!millions || millions === 0) return 'N/A';
-    
-    if (millions >= 1000000) {
-      return `${(millions / 1000000).toFixed(1)}T`;
-    } else if (millions >= 1000) {
-      return `${(millions / 1000).toFixed(1)}B`;
-    } else {
-      return `${millions}M`;
-    }
-  }
-
-  // Determine realistic market cap based on company characteristics
-  determineBaseMarketCap(companyName, sector) {
-    const name = (companyName || '').toLowerCase();
-    const sectorLower = (sector || '').toLowerCase();
-    
-    // Check for mega-cap indicators in company name
-    if (name.includes('apple') || name.includes('microsoft') || name.includes('google') || 
-        name.includes('amazon') || name.includes('tesla') || name.includes('nvidia')) {
-      return 2100000; // 2.1T in millions
-    }
-    
-    // Check for large-cap indicators
-    if (name.includes('inc') || name.includes('corp') || name.includes('ltd') || 
-        name.includes('company') || name.includes('enterprises')) {
-      if (sectorLower.includes('tech')) return 45200; // 45.2B in millions
-      if (sectorLower.includes('health')) return 15700; // 15.7B in millions
-      if (sectorLower.includes('financial')) return 25100; // 25.1B in millions
-      if (sectorLower.includes('energy')) return 12300; // 12.3B in millions
-      if (sectorLower.includes('consumer')) return 22100; // 22.1B in millions
-      return 18500; // 18.5B in millions - Default for established companies
-    }
-    
-    // Check for mid-cap indicators
-    if (name.includes('systems') || name.includes('solutions') || name.includes('group')) {
-      if (sectorLower.includes('tech')) return 8300; // 8.3B in millions
-      if (sectorLower.includes('health')) return 4700; // 4.7B in millions
-      if (sectorLower.includes('financial')) return 6200; // 6.2B in millions
-      if (sectorLower.includes('energy')) return 5700; // 5.7B in millions
-      if (sectorLower.includes('consumer')) return 4200; // 4.2B in millions
-      return 5200; // 5.2B in millions - Default for mid-cap
-    }
-    
-    // Check for small-cap indicators
-    if (name.includes('bio') || name.includes('pharma') || name.includes('medical') || 
-        name.includes('startup') || name.includes('emerging')) {
-      if (sectorLower.includes('tech')) return 850; // 850M in millions
-      if (sectorLower.includes('health')) return 650; // 650M in millions
-      if (sectorLower.includes('financial')) return 1200; // 1.2B in millions
-      if (sectorLower.includes('energy')) return 1800; // 1.8B in millions
-      if (sectorLower.includes('consumer')) return 750; // 750M in millions
-      return 950; // 950M in millions - Default for small-cap
-    }
-    
-    // Sector-based defaults
-    switch (sectorLower) {
-      case 'technology':
-        return 12800; // 12.8B in millions
-      case 'healthcare':
-      case 'biotech':
-        return 3500; // 3.5B in millions
-      case 'financial':
-        return 15200; // 15.2B in millions
-      case 'energy':
-        return 8900; // 8.9B in millions
-      case 'real estate':
-        return 6100; // 6.1B in millions
-      case 'consumer':
-        return 8300; // 8.3B in millions
-      default:
-        return 5200; // 5.2B in millions
-    }
-  }
-
-  // Validate and fix market cap values
-  validateMarketCap(marketCap, sector, symbol) {
-    // Check if market cap is invalid or zero
-    if (!marketCap || 
-        marketCap === 'N/A' || 
-        marketCap === '0.0B' || 
-        marketCap === '0B' || 
-        marketCap === '0' ||
-        marketCap === '0.0' ||
-        marketCap === '0.00B' ||
-        marketCap === '0.00') {
-      
-      console.warn(`Invalid market cap detected for ${symbol}: "${marketCap}", generating realistic value`);
-      
-      // Generate realistic market cap based on sector
-      let realisticMarketCap = '5.2B'; // Default mid-cap
-      
-      if (sector) {
-        switch (sector.toLowerCase()) {
-          case 'technology':
-            realisticMarketCap = '12.8B';
-            break;
-          case 'healthcare':
-          case 'biotech':
-            realisticMarketCap = '3.5B';
-            break;
-          case 'financial':
-            realisticMarketCap = '15.2B';
-            break;
-          case 'energy':
-            realisticMarketCap = '8.9B';
-            break;
-          case 'real estate':
-            realisticMarketCap = '6.1B';
-            break;
-          case 'consumer':
-          case 'consumer cyclical':
-          case 'consumer defensive':
-            realisticMarketCap = '8.3B';
-            break;
-          case 'industrials':
-            realisticMarketCap = '7.1B';
-            break;
-          case 'utilities':
-            realisticMarketCap = '4.2B';
-            break;
-          default:
-            realisticMarketCap = '4.7B';
-        }
-      }
-      
-      console.log(`Generated realistic market cap for ${symbol}: ${realisticMarketCap}`);
-      return realisticMarketCap;
-    }
-    
-    // If market cap looks valid, return it
-    return marketCap;
-  }
-
   // Reset personalization metrics after risk quiz update
   async resetPersonalizationMetrics() {
     try {
@@ -0,0 +1,200 @@
+// structuredOutputService.js - Schema validation and repair for JSON answers from the LLM
+//
+// Schemas are plain objects:
+//   { type: 'array', name, items, minItems, maxItems, allowPartial }
+//   { type: 'object', required: [...], properties: { field: schema } }
+//   { type: 'string', enum, pattern, case: 'upper' | 'lower', minLength }
+//   { type: 'number', minimum, maximum }
+// Any schema may set `nullable: true`. `name` is the key an array is wrapped in under JSON mode, and
+// `allowPartial` lets an array keep its valid items when the retry still has invalid ones.
+
+const MAX_LISTED_ERRORS = 10; // Validation errors quoted back to the model on retry
+
+// Text from the first '[' or '{' to its matching close. A response cut off mid-array is closed after its
+// last complete object or array, dropping the partial element. Returns { text, truncated } or null.
+const closeTruncatedJson = (text, start) => {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let cut = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) return { text: text.slice(start, i + 1), truncated: false };
+      // Just finished an element of an array: a safe place to cut
+      if (closers[closers.length - 1] === ']') {
+        cut = text.slice(start, i + 1) + [...closers].reverse().join('');
+      }
+    }
+  }
+  return cut ? { text: cut, truncated: true } : null;
+};
+
+// Tidy the usual model artifacts: code fences, smart single quotes, raw control characters and trailing commas
+const sanitizeJson = (text) => text
+  .replace(/```(?:json)?/gi, '')
+  .replace(/[‘’]/g, "'")
+  .replace(/[\u0000-\u001F\u007F]/g, ' ')
+  .replace(/,\s*([}\]])/g, '$1');
+
+const describeValue = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 40)}...` : text;
+};
+
+class StructuredOutputService {
+  // The first JSON value in a model response, repairing truncation. Returns { value, truncated } or null.
+  extractJson(response) {
+    const text = sanitizeJson(String(response || ''));
+    const starts = [text.indexOf('['), text.indexOf('{')].filter(index => index !== -1);
+    if (starts.length === 0) return null;
+
+    const closed = closeTruncatedJson(text, Math.min(...starts));
+    if (!closed) return null;
+    try {
+      return { value: JSON.parse(closed.text), truncated: closed.truncated };
+    } catch (error) {
+      console.warn('Could not parse JSON from LLM response:', error.message);
+      return null;
+    }
+  }
+
+  // Check `value` against `schema`. Returns { value, errors } where value is the normalized copy
+  // (strings trimmed and cased, numeric strings read as numbers) and errors are readable strings.
+  validate(value, schema, path = 'value') {
+    if (value === null || value === undefined) {
+      return schema.nullable ? { value: null, errors: [] } : { value, errors: [`${path} is required`] };
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return { value, errors: [`${path} must be an object`] };
+        }
+        const result = { ...value };
+        const errors = [];
+        (schema.required || []).forEach(field => {
+          if (value[field] === null || value[field] === undefined || value[field] === '') {
+            errors.push(`${path}.${field} is required`);
+          }
+        });
+        Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+          if (value[field] === undefined || (value[field] === '' && !(schema.required || []).includes(field))) return;
+          const checked = this.validate(value[field], fieldSchema, `${path}.${field}`);
+          result[field] = checked.value;
+          errors.push(...checked.errors);
+        });
+        return { value: result, errors };
+      }
+
+      case 'array': {
+        if (!Array.isArray(value)) return { value, errors: [`${path} must be an array`] };
+        const items = value.map((item, index) => this.validate(item, schema.items || {}, `${path}[${index}]`));
+        const errors = items.flatMap(item => item.errors);
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          errors.push(`${path} must have at least ${schema.minItems} items (got ${value.length})`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          errors.push(`${path} must have at most ${schema.maxItems} items (got ${value.length})`);
+        }
+        return { value: items.map(item => item.value), errors };
+      }
+
+      case 'string': {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          return { value, errors: [`${path} must be a string`] };
+        }
+        let text = String(value).trim();
+        if (schema.case === 'upper') text = text.toUpperCase();
+        if (schema.case === 'lower') text = text.toLowerCase();
+        if (schema.minLength && text.length < schema.minLength) {
+          return { value: text, errors: [`${path} must not be empty`] };
+        }
+        if (schema.enum && !schema.enum.includes(text)) {
+          return { value: text, errors: [`${path} must be one of ${schema.enum.join(', ')} (got ${describeValue(value)})`] };
+        }
+        if (schema.pattern && !schema.pattern.test(text)) {
+          return { value: text, errors: [`${path} ${describeValue(value)} is not a valid ${schema.description || 'value'}`] };
+        }
+        return { value: text, errors: [] };
+      }
+
+      case 'number': {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof number !== 'number' || isNaN(number)) {
+          return { value, errors: [`${path} must be a number (got ${describeValue(value)})`] };
+        }
+        if ((schema.minimum !== undefined && number < schema.minimum) || (schema.maximum !== undefined && number > schema.maximum)) {
+          return { value: number, errors: [`${path} must be between ${schema.minimum ?? '-inf'} and ${schema.maximum ?? 'inf'} (got ${number})`] };
+        }
+        return { value: number, errors: [] };
+      }
+
+      default:
+        return { value, errors: [] };
+    }
+  }
+
+  // Parse and validate a model response. Returns { value, valid, errors, truncated } where `valid` holds the
+  // items that passed for array schemas (so a partial answer can still be used) and the whole value otherwise.
+  parse(response, schema) {
+    const extracted = this.extractJson(response);
+    if (!extracted) {
+      return { value: null, valid: null, errors: ['The response did not contain valid JSON'], truncated: false };
+    }
+
+    let { value } = extracted;
+    // JSON mode answers with an object, so arrays come back wrapped: { "recommendations": [...] }
+    if (schema.type === 'array' && value && !Array.isArray(value) && typeof value === 'object') {
+      value = Array.isArray(value[schema.name]) ? value[schema.name] : Object.values(value).find(Array.isArray) ?? value;
+    }
+
+    const checked = this.validate(value, schema, schema.name || 'value');
+    let valid = checked.errors.length === 0 ? checked.value : null;
+    if (schema.type === 'array' && Array.isArray(value)) {
+      valid = value
+        .map(item => this.validate(item, schema.items || {}))
+        .filter(item => item.errors.length === 0)
+        .map(item => item.value);
+    }
+
+    if (extracted.truncated) {
+      console.warn(`LLM response for ${schema.name || 'structured output'} was cut off; kept ${Array.isArray(value) ? value.length : 0} complete items`);
+    }
+    return { value: checked.value, valid, errors: checked.errors, truncated: extracted.truncated };
+  }
+
+  // Instruction appended under JSON mode, where the provider only accepts an object at the top level
+  describeJsonMode(schema) {
+    return schema.type === 'array'
+      ? `Respond with a JSON object of the form {"${schema.name}": [...]} holding the array described above.`
+      : 'Respond with the JSON object described above.';
+  }
+
+  // The original prompt plus what was wrong with the last answer, for the one retry
+  buildRetryPrompt(prompt, errors) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `- ${error}`);
+    if (errors.length > MAX_LISTED_ERRORS) listed.push(`- ...and ${errors.length - MAX_LISTED_ERRORS} more`);
+    return `${prompt}
+
+Your previous response did not match the required format:
+${listed.join('\n')}
+
+Return the complete, corrected JSON only, with no commentary.`;
+  }
+}
+
+export default new StructuredOutputService();
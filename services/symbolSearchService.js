@@ -0,0 +1,110 @@
+// symbolSearchService.js - Ticker/company search with a bundled fallback list and recent searches
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { searchSymbols } from './finnhubService';
+import { searchSymbolList } from './marketDataProviders';
+import { isCryptoSymbol } from './assetClassService';
+import symbolFixtures from './fixtures/symbols.json';
+
+const RECENT_SEARCHES_KEY = '@flexfinance/recent-searches';
+const MAX_RECENT_SEARCHES = 10;
+const MAX_RESULTS = 20;
+const US_EXCHANGES = ['US', 'NASDAQ', 'NYSE', 'NYSE Arca', 'NYSE American', 'Cboe BZX'];
+
+class SymbolSearchService {
+  constructor() {
+    this.localSymbols = symbolFixtures.symbols || [];
+    this.recentSearches = null; // Loaded lazily from AsyncStorage
+  }
+
+  // { results, source, live } for a query. Live providers first; the bundled list of common
+  // US listings answers when none can (offline, rate limited, no key configured).
+  async search(query) {
+    const q = (query || '').trim();
+    if (!q) return { results: [], source: null, live: false };
+
+    let search = null;
+    try {
+      search = await searchSymbols(q);
+    } catch (error) {
+      console.warn(`Symbol search failed for "${q}":`, error.message);
+    }
+
+    if (search && search.results.length > 0) {
+      // Stock search providers don't list crypto pairs, so the bundled ones are merged in
+      const cryptoPairs = searchSymbolList(this.localSymbols.filter(entry => entry.type === 'Crypto'), q, 'local');
+      return { results: this.rankResults([...search.results, ...cryptoPairs]), source: search.label, live: search.live };
+    }
+
+    return {
+      results: this.rankResults(searchSymbolList(this.localSymbols, q, 'local')),
+      source: 'Common symbols',
+      live: false
+    };
+  }
+
+  // US listings first (they're the ones the app can quote and trade, with crypto pairs), provider order otherwise, one row per symbol
+  rankResults(results) {
+    const seen = new Set();
+    return results
+      .filter(result => {
+        if (seen.has(result.symbol)) return false;
+        seen.add(result.symbol);
+        return true;
+      })
+      .map((result, index) => ({ result, index, foreign: !this.isUsListing(result) }))
+      .sort((a, b) => a.foreign - b.foreign || a.index - b.index)
+      .slice(0, MAX_RESULTS)
+      .map(({ result }) => result);
+  }
+
+  isUsListing(result) {
+    return US_EXCHANGES.includes(result?.exchange) || isCryptoSymbol(result?.symbol);
+  }
+
+  // Most recent first
+  async getRecentSearches() {
+    if (!this.recentSearches) {
+      try {
+        const raw = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+        this.recentSearches = raw ? JSON.parse(raw) : [];
+      } catch (error) {
+        console.warn('Could not load recent searches:', error.message);
+        this.recentSearches = [];
+      }
+    }
+    return this.recentSearches;
+  }
+
+  // Remember a result the user acted on (opened, watched or traded)
+  async addRecentSearch(result) {
+    if (!result?.symbol) return;
+    const recent = await this.getRecentSearches();
+    this.recentSearches = [
+      {
+        symbol: result.symbol,
+        name: result.name,
+        type: result.type,
+        typeLabel: result.typeLabel,
+        exchange: result.exchange,
+        searchedAt: new Date().toISOString()
+      },
+      ...recent.filter(item => item.symbol !== result.symbol)
+    ].slice(0, MAX_RECENT_SEARCHES);
+    await this.saveRecentSearches();
+  }
+
+  async clearRecentSearches() {
+    this.recentSearches = [];
+    await this.saveRecentSearches();
+  }
+
+  async saveRecentSearches() {
+    try {
+      await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(this.recentSearches));
+    } catch (error) {
+      console.warn('Could not save recent searches:', error.message);
+    }
+  }
+}
+
+export default new SymbolSearchService();
@@ -0,0 +1,169 @@
+// taxLotService.js - Tax-lot accounting, cost-basis relief and realized gain classification
+
+export const LOT_RELIEF_METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+
+const SHARE_EPSILON = 1e-9;
+const LONG_TERM_DAYS = 365; // Held more than one year counts as long-term
+
+class TaxLotService {
+  // Create a lot for a buy fill; fees are part of the cost basis.
+  // Cost stays in the listing currency; fxRate (account currency per unit) and the fill's rate table price it later.
+  createLot({ id, quantity, price, fees = 0, acquiredAt, fxRate = 1, fxRates = null }) {
+    return {
+      id,
+      quantity,
+      costPerShare: ((quantity * price) + fees) / quantity,
+      acquiredAt,
+      fxRate,
+      fxRates
+    };
+  }
+
+  // Lots for a holding, synthesizing one from the blended average for pre-lot holdings
+  getLots(holding) {
+    if (!holding) return [];
+    if (Array.isArray(holding.lots) && holding.lots.length > 0) {
+      return holding.lots.filter(lot => lot.quantity > SHARE_EPSILON);
+    }
+
+    const shares = parseFloat(holding.shares) || 0;
+    if (shares <= 0) return [];
+    return [{
+      id: `legacy-${holding.symbol || 'lot'}`,
+      quantity: shares,
+      costPerShare: parseFloat(holding.averagePrice) || 0,
+      acquiredAt: holding.purchaseDate || new Date().toISOString()
+    }];
+  }
+
+  // Short-term vs long-term based on holding period
+  getHoldingTerm(acquiredAt, soldAt = new Date().toISOString()) {
+    const heldDays = (new Date(soldAt).getTime() - new Date(acquiredAt).getTime()) / (24 * 60 * 60 * 1000);
+    return heldDays > LONG_TERM_DAYS ? 'long' : 'short';
+  }
+
+  // Order lots are relieved in for a given method
+  orderLots(lots, method, lotIds = []) {
+    const sorted = [...lots];
+    switch (method) {
+      case 'lifo':
+        return sorted.sort((a, b) => new Date(b.acquiredAt) - new Date(a.acquiredAt));
+      case 'hifo':
+        return sorted.sort((a, b) => b.costPerShare - a.costPerShare);
+      case 'specific':
+        return lotIds.map(id => lots.find(lot => lot.id === id)).filter(Boolean);
+      case 'fifo':
+      default:
+        return sorted.sort((a, b) => new Date(a.acquiredAt) - new Date(b.acquiredAt));
+    }
+  }
+
+  // Relieve `quantity` shares from lots and compute realized gains.
+  // Sell fees reduce proceeds and are allocated to relieved lots pro rata.
+  // Gains are in the account currency: each lot's cost at its own fill rate, proceeds at `fxRate`.
+  relieveLots(lots, { quantity, price, fees = 0, fxRate = 1, method = 'fifo', lotIds = [], soldAt = new Date().toISOString() }) {
+    if (!LOT_RELIEF_METHODS.includes(method)) {
+      throw new Error(`Invalid lot relief method: ${method}`);
+    }
+
+    const ordered = this.orderLots(lots, method, lotIds);
+    const remainingById = new Map(lots.map(lot => [lot.id, lot.quantity]));
+    const relieved = [];
+    let toRelieve = quantity;
+
+    for (const lot of ordered) {
+      if (toRelieve <= SHARE_EPSILON) break;
+      const take = Math.min(lot.quantity, toRelieve);
+      const lotFees = quantity > 0 ? fees * (take / quantity) : 0;
+      const costBasis = take * lot.costPerShare * (lot.fxRate ?? 1);
+      const proceeds = ((take * price) - lotFees) * fxRate;
+
+      relieved.push({
+        lotId: lot.id,
+        quantity: take,
+        costPerShare: lot.costPerShare,
+        acquiredAt: lot.acquiredAt,
+        costBasis,
+        proceeds,
+        gain: proceeds - costBasis,
+        term: this.getHoldingTerm(lot.acquiredAt, soldAt)
+      });
+
+      remainingById.set(lot.id, lot.quantity - take);
+      toRelieve -= take;
+    }
+
+    if (toRelieve > SHARE_EPSILON) {
+      throw new Error(method === 'specific' ? 'INSUFFICIENT_LOTS' : 'INSUFFICIENT_SHARES');
+    }
+
+    const remainingLots = lots
+      .map(lot => ({ ...lot, quantity: remainingById.get(lot.id) }))
+      .filter(lot => lot.quantity > SHARE_EPSILON);
+
+    return {
+      remainingLots,
+      relieved,
+      realized: this.summarizeRealized(relieved)
+    };
+  }
+
+  // Totals for a set of relieved lots
+  summarizeRealized(relieved) {
+    return relieved.reduce((totals, lot) => {
+      totals.total += lot.gain;
+      totals.costBasis += lot.costBasis;
+      if (lot.term === 'long') {
+        totals.longTerm += lot.gain;
+      } else {
+        totals.shortTerm += lot.gain;
+      }
+      return totals;
+    }, { shortTerm: 0, longTerm: 0, total: 0, costBasis: 0 });
+  }
+
+  // Add realized totals together (running user-level totals)
+  addRealized(current = {}, realized) {
+    return {
+      shortTerm: (current.shortTerm || 0) + realized.shortTerm,
+      longTerm: (current.longTerm || 0) + realized.longTerm,
+      total: (current.total || 0) + realized.total,
+      costBasis: (current.costBasis || 0) + realized.costBasis
+    };
+  }
+
+  // Apply a split (`ratio` new shares per old share) to lots acquired before it took effect.
+  // Each lot's cost basis is unchanged; only its share count and per-share cost move.
+  splitLots(lots, ratio, effectiveAt) {
+    return lots.map(lot => (new Date(lot.acquiredAt) < new Date(effectiveAt)
+      ? { ...lot, quantity: lot.quantity * ratio, costPerShare: lot.costPerShare / ratio }
+      : lot));
+  }
+
+  // Shares, cost basis and blended average across lots
+  summarizeLots(lots) {
+    const shares = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + (lot.quantity * lot.costPerShare), 0);
+    return {
+      shares,
+      costBasis,
+      averagePrice: shares > 0 ? costBasis / shares : 0
+    };
+  }
+
+  // Unrealized gain split by holding term at the current price
+  calculateUnrealized(lots, currentPrice, asOf = new Date().toISOString()) {
+    return lots.reduce((totals, lot) => {
+      const gain = lot.quantity * (currentPrice - lot.costPerShare);
+      totals.total += gain;
+      if (this.getHoldingTerm(lot.acquiredAt, asOf) === 'long') {
+        totals.longTerm += gain;
+      } else {
+        totals.shortTerm += gain;
+      }
+      return totals;
+    }, { shortTerm: 0, longTerm: 0, total: 0 });
+  }
+}
+
+export default new TaxLotService();
@@ -0,0 +1,281 @@
+// technicalIndicatorService.js - Technical indicators computed from daily candle history
+// Series functions return arrays aligned with their input (null until enough data exists),
+// so they can be plotted directly; getIndicators() summarizes the latest values.
+import { ACCOUNT_CURRENCY, formatMoney } from './currencyService';
+
+const TRADING_DAYS_PER_YEAR = 252;
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+
+const round = (value, decimals = 2) => (value === null || value === undefined || isNaN(value)
+  ? null
+  : Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals));
+
+const last = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+// Candle timestamps are unix seconds
+const isToday = (timestamp) => new Date(timestamp * 1000).toDateString() === new Date().toDateString();
+
+class TechnicalIndicatorService {
+  // Simple moving average
+  calculateSMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+  }
+
+  // Exponential moving average, seeded with the SMA of the first `period` values.
+  // Leading nulls in the input (e.g. another indicator's warm-up) are skipped.
+  calculateEMA(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(v => v !== null && v !== undefined);
+    if (start === -1 || values.length - start < period) return result;
+
+    const k = 2 / (period + 1);
+    let ema = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+    result[start + period - 1] = ema;
+    for (let i = start + period; i < values.length; i++) {
+      ema = (values[i] - ema) * k + ema;
+      result[i] = ema;
+    }
+    return result;
+  }
+
+  // Relative Strength Index with Wilder smoothing
+  calculateRSI(closes, period = 14) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      avgGain += Math.max(change, 0);
+      avgLoss += Math.max(-change, 0);
+    }
+    avgGain /= period;
+    avgLoss /= period;
+
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+      avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+      result[i] = toRsi();
+    }
+    return result;
+  }
+
+  // MACD line (fast EMA - slow EMA), its signal EMA and the histogram
+  calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fast = this.calculateEMA(closes, fastPeriod);
+    const slow = this.calculateEMA(closes, slowPeriod);
+    const macd = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+    const signal = this.calculateEMA(macd, signalPeriod);
+    const histogram = macd.map((value, i) => (value !== null && signal[i] !== null ? value - signal[i] : null));
+    return { macd, signal, histogram };
+  }
+
+  // Bollinger Bands: SMA middle band +/- `multiplier` population standard deviations
+  calculateBollingerBands(closes, period = 20, multiplier = 2) {
+    const middle = this.calculateSMA(closes, period);
+    const upper = new Array(closes.length).fill(null);
+    const lower = new Array(closes.length).fill(null);
+
+    for (let i = period - 1; i < closes.length; i++) {
+      const window = closes.slice(i - period + 1, i + 1);
+      const variance = window.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+      const deviation = Math.sqrt(variance) * multiplier;
+      upper[i] = middle[i] + deviation;
+      lower[i] = middle[i] - deviation;
+    }
+    return { upper, middle, lower };
+  }
+
+  // Average True Range with Wilder smoothing
+  calculateATR(candles, period = 14) {
+    const result = new Array(candles.length).fill(null);
+    if (candles.length <= period) return result;
+
+    const trueRanges = candles.map((c, i) => {
+      if (i === 0) return c.high - c.low;
+      const prevClose = candles[i - 1].close;
+      return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+    });
+
+    let atr = trueRanges.slice(1, period + 1).reduce((sum, tr) => sum + tr, 0) / period;
+    result[period] = atr;
+    for (let i = period + 1; i < candles.length; i++) {
+      atr = (atr * (period - 1) + trueRanges[i]) / period;
+      result[i] = atr;
+    }
+    return result;
+  }
+
+  // Volume-weighted average price over the candles given (typical price weighting)
+  calculateVWAP(candles) {
+    let cumulativeVolume = 0;
+    let cumulativeValue = 0;
+    return candles.map(c => {
+      cumulativeVolume += c.volume || 0;
+      cumulativeValue += ((c.high + c.low + c.close) / 3) * (c.volume || 0);
+      return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+    });
+  }
+
+  // Classic floor-trader pivots from the last completed session
+  calculatePivots(candles) {
+    if (candles.length === 0) return null;
+    const latest = candles[candles.length - 1];
+    const session = isToday(latest.timestamp) && candles.length > 1 ? candles[candles.length - 2] : latest;
+    const { high, low, close } = session;
+    const pivot = (high + low + close) / 3;
+
+    return {
+      pivot,
+      r1: 2 * pivot - low,
+      r2: pivot + (high - low),
+      s1: 2 * pivot - high,
+      s2: pivot - (high - low),
+      sessionTimestamp: session.timestamp
+    };
+  }
+
+  // High/low over the trailing year and where the price sits within it
+  calculate52WeekRange(candles, price) {
+    const window = candles.slice(-TRADING_DAYS_PER_YEAR).filter(c => c.high > 0 && c.low > 0);
+    if (window.length === 0) return null;
+
+    const high = Math.max(...window.map(c => c.high));
+    const low = Math.min(...window.map(c => c.low));
+    return {
+      high,
+      low,
+      positionPercent: high > low ? ((price - low) / (high - low)) * 100 : null,
+      fromHighPercent: high > 0 ? ((price - high) / high) * 100 : null,
+      days: window.length
+    };
+  }
+
+  // Latest indicator values for a symbol's candles. `price` defaults to the last close.
+  // Indicators without enough history are null.
+  getIndicators(candles, price = null) {
+    const valid = (candles || []).filter(c => c.close > 0);
+    if (valid.length < 2) return null;
+
+    const closes = valid.map(c => c.close);
+    const currentPrice = price > 0 ? price : last(closes);
+
+    const rsi = last(this.calculateRSI(closes));
+    const macd = this.calculateMACD(closes);
+    const macdNow = last(macd.macd);
+    const signalNow = last(macd.signal);
+    const histogram = macd.histogram.filter(v => v !== null);
+    const bands = this.calculateBollingerBands(closes);
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    const middle = last(bands.middle);
+    const atr = last(this.calculateATR(valid));
+    const pivots = this.calculatePivots(valid);
+    const range = this.calculate52WeekRange(valid, currentPrice);
+
+    // Histogram sign change on the latest bar marks a signal-line crossover
+    let crossover = null;
+    if (histogram.length >= 2) {
+      const [prev, now] = histogram.slice(-2);
+      if (prev <= 0 && now > 0) crossover = 'bullish';
+      if (prev >= 0 && now < 0) crossover = 'bearish';
+    }
+
+    return {
+      asOf: new Date(valid[valid.length - 1].timestamp * 1000).toISOString(),
+      candleCount: valid.length,
+      price: round(currentPrice),
+      sma: {
+        sma20: round(last(this.calculateSMA(closes, 20))),
+        sma50: round(last(this.calculateSMA(closes, 50))),
+        sma200: round(last(this.calculateSMA(closes, 200)))
+      },
+      ema: {
+        ema12: round(last(this.calculateEMA(closes, 12))),
+        ema26: round(last(this.calculateEMA(closes, 26)))
+      },
+      rsi: rsi === null ? null : {
+        value: round(rsi, 1),
+        zone: rsi >= RSI_OVERBOUGHT ? 'overbought' : rsi <= RSI_OVERSOLD ? 'oversold' : 'neutral'
+      },
+      macd: macdNow === null || signalNow === null ? null : {
+        macd: round(macdNow, 3),
+        signal: round(signalNow, 3),
+        histogram: round(macdNow - signalNow, 3),
+        crossover
+      },
+      bollinger: middle === null ? null : {
+        upper: round(upper),
+        middle: round(middle),
+        lower: round(lower),
+        percentB: upper > lower ? round((currentPrice - lower) / (upper - lower), 2) : null,
+        bandwidthPercent: middle > 0 ? round(((upper - lower) / middle) * 100, 1) : null
+      },
+      atr: atr === null ? null : {
+        value: round(atr),
+        percent: currentPrice > 0 ? round((atr / currentPrice) * 100, 2) : null
+      },
+      pivots: pivots && {
+        pivot: round(pivots.pivot),
+        r1: round(pivots.r1),
+        r2: round(pivots.r2),
+        s1: round(pivots.s1),
+        s2: round(pivots.s2)
+      },
+      range52w: range && {
+        high: round(range.high),
+        low: round(range.low),
+        positionPercent: round(range.positionPercent, 1),
+        fromHighPercent: round(range.fromHighPercent, 1),
+        partial: range.days < TRADING_DAYS_PER_YEAR * 0.9
+      }
+    };
+  }
+
+  // Trend read from price vs the 50/200-day averages
+  describeTrend(indicators) {
+    const { price, sma } = indicators;
+    if (sma.sma50 === null) return 'insufficient history';
+    if (sma.sma200 === null) return price >= sma.sma50 ? 'above 50-day average' : 'below 50-day average';
+    if (price > sma.sma50 && sma.sma50 > sma.sma200) return 'uptrend (price > 50-day > 200-day)';
+    if (price < sma.sma50 && sma.sma50 < sma.sma200) return 'downtrend (price < 50-day < 200-day)';
+    return 'mixed (averages not aligned)';
+  }
+
+  // Plain-text block of the computed values for LLM prompts, with price levels in the listing currency
+  formatForPrompt(indicators, currency = ACCOUNT_CURRENCY) {
+    if (!indicators) return '• No candle history available - indicators could not be computed';
+
+    const fmt = (value, money = true) => {
+      if (value === null || value === undefined) return 'n/a';
+      return money ? formatMoney(value, currency) : `${value}`;
+    };
+    const { sma, ema, rsi, macd, bollinger, atr, pivots, range52w } = indicators;
+    const lines = [
+      `• Trend: ${this.describeTrend(indicators)}`,
+      `• Moving Averages: SMA20 ${fmt(sma.sma20)}, SMA50 ${fmt(sma.sma50)}, SMA200 ${fmt(sma.sma200)}, EMA12 ${fmt(ema.ema12)}, EMA26 ${fmt(ema.ema26)}`,
+      `• RSI(14): ${rsi ? `${rsi.value} (${rsi.zone})` : 'n/a'}`,
+      `• MACD(12,26,9): ${macd ? `line ${macd.macd}, signal ${macd.signal}, histogram ${macd.histogram}${macd.crossover ? `, ${macd.crossover} crossover on latest bar` : ''}` : 'n/a'}`,
+      `• Bollinger(20,2): ${bollinger ? `upper ${fmt(bollinger.upper)}, middle ${fmt(bollinger.middle)}, lower ${fmt(bollinger.lower)}, %B ${fmt(bollinger.percentB, false)}, bandwidth ${fmt(bollinger.bandwidthPercent, false)}%` : 'n/a'}`,
+      `• ATR(14): ${atr ? `${fmt(atr.value)} (${atr.percent}% of price)` : 'n/a'}`,
+      `• Pivots (prior session): ${pivots ? `S2 ${fmt(pivots.s2)}, S1 ${fmt(pivots.s1)}, P ${fmt(pivots.pivot)}, R1 ${fmt(pivots.r1)}, R2 ${fmt(pivots.r2)}` : 'n/a'}`,
+      `• 52-Week Range: ${range52w ? `${fmt(range52w.low)} - ${fmt(range52w.high)}, price at ${range52w.positionPercent}% of range, ${range52w.fromHighPercent}% from high${range52w.partial ? ' (less than a year of data)' : ''}` : 'n/a'}`
+    ];
+    return lines.join('\n        ');
+  }
+}
+
+export default new TechnicalIndicatorService();
@@ -0,0 +1,874 @@
+// tradeExecutionService.js - Atomic trade execution with an immutable transaction ledger
+import { db, doc, getDoc, collection, query, where, orderBy, limit, getDocs } from '../firebase';
+import firebaseService from './firebaseService';
+import taxLotService from './taxLotService';
+import currencyService, { normalizeCurrency } from './currencyService';
+import assetClassService from './assetClassService';
+
+export const DEFAULT_CASH_BALANCE = 10000; // Starting paper-trading balance for new users
+const SHARE_EPSILON = 1e-9; // Treat float leftovers below this as a closed position
+
+// External cash flows recorded in the ledger alongside fills
+export const CASH_FLOW_TYPES = ['deposit', 'withdrawal'];
+
+// Corporate actions recorded in the ledger. Dividends are income (part of the return), not external cash flows.
+export const CORPORATE_ACTION_TYPES = ['split', 'dividend'];
+
+// Cash sweep interest is income too
+export const INTEREST_TYPE = 'interest';
+
+// Cash and holdings a user had before the ledger started, recorded once under this ledger id
+export const OPENING_TYPE = 'opening';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round monetary values to cents so replayed balances match recorded ones
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class TradeExecutionService {
+  // Execute a fill atomically.
+  // Cash, position, watchlist and the ledger entry are committed all-or-nothing.
+  // When filling a resting order, `order` is { ref, apply(orderData, fill) } and the
+  // order update plus its cash reservation release are committed in the same transaction.
+  // Sells relieve tax lots by `lotMethod` (defaults to the user's setting, then FIFO);
+  // `lotIds` picks lots in order for specific-lot relief.
+  // Price and fees are in the listing currency; cash moves in the account currency at the current rate.
+  async executeTrade({ userId, stock, side, quantity, price, fees = 0, order = null, lotMethod = null, lotIds = [] }) {
+    if (!userId) {
+      throw new Error('User ID is required to execute a trade');
+    }
+
+    const symbol = (stock?.symbol || '').toUpperCase().trim();
+    const shares = parseFloat(quantity);
+    const fillPrice = parseFloat(price);
+    const tradeFees = parseFloat(fees) || 0;
+
+    if (!symbol) {
+      throw new Error('Symbol is required to execute a trade');
+    }
+    if (side !== 'buy' && side !== 'sell') {
+      throw new Error(`Invalid trade side: ${side}`);
+    }
+    if (!(shares > 0) || !(fillPrice > 0)) {
+      throw new Error('INVALID_ORDER');
+    }
+
+    // Queries can't run inside a client transaction, so resolve the refs first
+    // and re-read every document inside the transaction before writing.
+    const userRef = doc(db, 'users', userId);
+    const portfolioSnapshot = await getDocs(
+      query(collection(db, 'users', userId, 'portfolio'), where('symbol', '==', symbol))
+    );
+    const holdingRefs = portfolioSnapshot.docs.map(d => d.ref);
+    const watchlistSnapshot = await getDocs(
+      query(collection(db, 'users', userId, 'watchlist'), where('symbol', '==', symbol))
+    );
+    const watchlistRefs = watchlistSnapshot.docs.map(d => d.ref);
+    const ledgerRef = doc(collection(db, 'users', userId, 'transactions'));
+    // An existing position keeps the currency it was bought in
+    const heldCurrency = portfolioSnapshot.docs.map(d => d.data().currency).find(Boolean);
+    const currency = await currencyService.getListingCurrency(symbol, heldCurrency || stock.currency);
+    const { fxRate, fxRates } = await currencyService.getFillRates(currency);
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const userSnap = await transaction.get(userRef);
+      const holdingSnaps = await Promise.all(holdingRefs.map(ref => transaction.get(ref)));
+      const watchlistSnaps = await Promise.all(watchlistRefs.map(ref => transaction.get(ref)));
+      const orderSnap = order ? await transaction.get(order.ref) : null;
+
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const cashBefore = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      const reservedCash = parseFloat(userData.reservedCash) || 0;
+
+      let orderUpdate = null;
+      let releaseReserved = 0;
+      if (order) {
+        if (!orderSnap.exists()) {
+          throw new Error('ORDER_NOT_FOUND');
+        }
+        ({ update: orderUpdate, releaseReserved } = order.apply(orderSnap.data(), { quantity: shares, price: fillPrice }));
+      }
+      const reservedAfter = roundCurrency(Math.max(0, reservedCash - releaseReserved));
+
+      // Prefer the document that actually holds shares over zero-share watchlist entries
+      const holdingSnap = holdingSnaps.find(s => s.exists() && (parseFloat(s.data().shares) || 0) > 0)
+        || holdingSnaps.find(s => s.exists())
+        || null;
+      const holdingData = holdingSnap ? holdingSnap.data() : null;
+      const sharesBefore = holdingData ? (parseFloat(holdingData.shares) || 0) : 0;
+      const averagePriceBefore = holdingData ? (parseFloat(holdingData.averagePrice) || 0) : 0;
+      const lotsBefore = sharesBefore > 0 ? taxLotService.getLots(holdingData) : [];
+
+      const grossAmount = shares * fillPrice;
+      const now = new Date().toISOString();
+      let cashAfter;
+      let sharesAfter;
+      let averagePriceAfter;
+      let lotsAfter;
+      let relief = null;
+      const reliefMethod = lotMethod || userData.lotReliefMethod || 'fifo';
+
+      if (side === 'buy') {
+        cashAfter = roundCurrency(cashBefore - ((grossAmount + tradeFees) * fxRate));
+        // Cash held for other open orders isn't available
+        if (cashAfter < reservedAfter) {
+          throw new Error('INSUFFICIENT_FUNDS');
+        }
+        lotsAfter = [
+          ...lotsBefore,
+          taxLotService.createLot({ id: ledgerRef.id, quantity: shares, price: fillPrice, fees: tradeFees, acquiredAt: now, fxRate, fxRates })
+        ];
+      } else {
+        if (sharesBefore + SHARE_EPSILON < shares) {
+          throw new Error('INSUFFICIENT_SHARES');
+        }
+        cashAfter = roundCurrency(cashBefore + ((grossAmount - tradeFees) * fxRate));
+        relief = taxLotService.relieveLots(lotsBefore, {
+          quantity: shares,
+          price: fillPrice,
+          fees: tradeFees,
+          fxRate,
+          method: reliefMethod,
+          lotIds,
+          soldAt: now
+        });
+        lotsAfter = relief.remainingLots;
+      }
+
+      // Position size and blended average always derive from the open lots
+      const lotSummary = taxLotService.summarizeLots(lotsAfter);
+      sharesAfter = lotSummary.shares < SHARE_EPSILON ? 0 : lotSummary.shares;
+      averagePriceAfter = lotSummary.averagePrice;
+
+      // All reads are done - writes start here
+      const userUpdate = { cashBalance: cashAfter, lastUpdated: now };
+      if (order) userUpdate.reservedCash = reservedAfter;
+      if (relief) userUpdate.realizedGains = taxLotService.addRealized(userData.realizedGains, relief.realized);
+      transaction.set(userRef, userUpdate, { merge: true });
+
+      if (order) {
+        transaction.update(order.ref, {
+          ...orderUpdate,
+          fills: [...(orderSnap.data().fills || []), { quantity: shares, price: fillPrice, timestamp: now, transactionId: ledgerRef.id }],
+          updatedAt: now
+        });
+      }
+
+      if (side === 'buy') {
+        if (holdingSnap) {
+          transaction.update(holdingSnap.ref, {
+            shares: sharesAfter,
+            averagePrice: averagePriceAfter,
+            lots: lotsAfter,
+            currency,
+            currentPrice: fillPrice,
+            lastUpdated: now,
+            ...this.getMissingAnalysisFields(holdingData, stock)
+          });
+        } else {
+          transaction.set(doc(collection(db, 'users', userId, 'portfolio')), {
+            ...this.buildHoldingData(stock, symbol),
+            shares: sharesAfter,
+            averagePrice: averagePriceAfter,
+            lots: lotsAfter,
+            currency,
+            currentPrice: fillPrice,
+            purchaseDate: now,
+            lastUpdated: now
+          });
+        }
+
+        // Remove from watchlist once it's owned
+        watchlistSnaps.forEach(snap => {
+          if (snap.exists()) transaction.delete(snap.ref);
+        });
+      } else if (sharesAfter === 0) {
+        transaction.delete(holdingSnap.ref);
+
+        // Add back to watchlist if they sold all shares
+        if (!watchlistSnaps.some(snap => snap.exists())) {
+          transaction.set(doc(collection(db, 'users', userId, 'watchlist')), this.buildWatchlistData({ ...stock, currency }, symbol, now));
+        }
+      } else {
+        transaction.update(holdingSnap.ref, {
+          shares: sharesAfter,
+          averagePrice: averagePriceAfter,
+          lots: lotsAfter,
+          lastUpdated: now
+        });
+      }
+
+      const ledgerEntry = {
+        symbol,
+        side,
+        quantity: shares,
+        price: fillPrice,
+        grossAmount: roundCurrency(grossAmount),
+        fees: tradeFees,
+        currency,
+        fxRate,
+        fxRates,
+        timestamp: now,
+        cashBefore,
+        cashAfter,
+        sharesBefore,
+        sharesAfter,
+        averagePriceBefore,
+        averagePriceAfter,
+        orderId: order ? order.ref.id : null,
+        lotMethod: side === 'sell' ? reliefMethod : null,
+        lotsRelieved: relief ? relief.relieved : [],
+        realizedGain: relief ? relief.realized.total : 0,
+        realizedShortTerm: relief ? relief.realized.shortTerm : 0,
+        realizedLongTerm: relief ? relief.realized.longTerm : 0,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    // Direct writes bypass firebaseService's document cache
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Trade executed: ${side} ${shares} ${symbol} @ ${fillPrice.toFixed(2)} ${currency} (ledger ${ledgerRef.id})`);
+    return { id: ledgerRef.id, ...entry };
+  }
+
+  // Record a deposit or withdrawal. These are the external cash flows that
+  // time- and money-weighted returns are measured against.
+  async recordCashFlow({ userId, type, amount }) {
+    if (!userId) {
+      throw new Error('User ID is required to record a cash flow');
+    }
+    if (!CASH_FLOW_TYPES.includes(type)) {
+      throw new Error(`Invalid cash flow type: ${type}`);
+    }
+
+    const value = roundCurrency(parseFloat(amount));
+    if (!(value > 0)) {
+      throw new Error('INVALID_AMOUNT');
+    }
+
+    const userRef = doc(db, 'users', userId);
+    const ledgerRef = doc(collection(db, 'users', userId, 'transactions'));
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const userSnap = await transaction.get(userRef);
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const cashBefore = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      const reservedCash = parseFloat(userData.reservedCash) || 0;
+      const cashAfter = roundCurrency(type === 'deposit' ? cashBefore + value : cashBefore - value);
+
+      // Cash reserved for open orders can't be withdrawn
+      if (cashAfter < reservedCash) {
+        throw new Error('INSUFFICIENT_FUNDS');
+      }
+
+      const now = new Date().toISOString();
+      transaction.set(userRef, { cashBalance: cashAfter, lastUpdated: now }, { merge: true });
+
+      const ledgerEntry = {
+        symbol: null,
+        side: type,
+        quantity: 0,
+        price: 0,
+        grossAmount: value,
+        fees: 0,
+        timestamp: now,
+        cashBefore,
+        cashAfter,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Cash flow recorded: ${type} $${value.toFixed(2)} (ledger ${ledgerRef.id})`);
+    return { id: ledgerRef.id, ...entry };
+  }
+
+  // Apply a stock split to a holding: `ratio` is new shares per old share (2 for 2-for-1, 0.1 for 1-for-10).
+  // Lots acquired before `effectiveAt` are rescaled with their cost basis unchanged.
+  // `actionId` is used as the ledger id, so a split that was already recorded is skipped (returns null).
+  async recordSplit({ userId, symbol, ratio, effectiveDate, effectiveAt, fromFactor, toFactor, actionId }) {
+    if (!userId || !symbol || !actionId) {
+      throw new Error('User ID, symbol and action ID are required to record a split');
+    }
+    if (!(ratio > 0)) {
+      throw new Error('INVALID_SPLIT_RATIO');
+    }
+
+    const userRef = doc(db, 'users', userId);
+    const ledgerRef = doc(db, 'users', userId, 'transactions', actionId);
+    const portfolioSnapshot = await getDocs(
+      query(collection(db, 'users', userId, 'portfolio'), where('symbol', '==', symbol))
+    );
+    const holdingRefs = portfolioSnapshot.docs.map(d => d.ref);
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const ledgerSnap = await transaction.get(ledgerRef);
+      if (ledgerSnap.exists()) return null;
+      const userSnap = await transaction.get(userRef);
+      const holdingSnaps = await Promise.all(holdingRefs.map(ref => transaction.get(ref)));
+
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const cash = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      const holdingSnap = holdingSnaps.find(s => s.exists() && (parseFloat(s.data().shares) || 0) > 0) || null;
+      const holdingData = holdingSnap ? holdingSnap.data() : null;
+      const sharesBefore = holdingData ? (parseFloat(holdingData.shares) || 0) : 0;
+      const averagePriceBefore = holdingData ? (parseFloat(holdingData.averagePrice) || 0) : 0;
+      const now = new Date().toISOString();
+
+      let sharesAfter = sharesBefore;
+      let averagePriceAfter = averagePriceBefore;
+      if (holdingSnap) {
+        const lotsAfter = taxLotService.splitLots(taxLotService.getLots(holdingData), ratio, effectiveAt);
+        const lotSummary = taxLotService.summarizeLots(lotsAfter);
+        sharesAfter = lotSummary.shares;
+        averagePriceAfter = lotSummary.averagePrice;
+
+        const holdingUpdate = { shares: sharesAfter, averagePrice: averagePriceAfter, lots: lotsAfter, lastUpdated: now };
+        // A price saved before the split is in old shares until the next quote arrives
+        if (holdingData.lastUpdated && new Date(holdingData.lastUpdated) < new Date(effectiveAt) && parseFloat(holdingData.currentPrice) > 0) {
+          holdingUpdate.currentPrice = parseFloat(holdingData.currentPrice) / ratio;
+        }
+        transaction.update(holdingSnap.ref, holdingUpdate);
+      }
+
+      const ledgerEntry = {
+        symbol,
+        side: 'split',
+        quantity: sharesAfter - sharesBefore,
+        price: 0,
+        grossAmount: 0,
+        fees: 0,
+        timestamp: now,
+        cashBefore: cash,
+        cashAfter: cash,
+        sharesBefore,
+        sharesAfter,
+        averagePriceBefore,
+        averagePriceAfter,
+        splitRatio: ratio,
+        splitFrom: fromFactor ?? null,
+        splitTo: toFactor ?? null,
+        effectiveDate,
+        effectiveAt,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    if (!entry) return null;
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Split recorded: ${symbol} ${fromFactor ?? 1}:${toFactor ?? ratio} effective ${effectiveDate} (ledger ${actionId})`);
+    return { id: actionId, ...entry };
+  }
+
+  // Credit a cash dividend of `amountPerShare` on `shares` (the position going into the ex-date).
+  // Like splits, `actionId` is the ledger id so each dividend is credited once.
+  // Dividends paid in another currency are converted into account cash at the current rate.
+  async recordDividend({ userId, symbol, exDate, payDate, amountPerShare, shares, currency = 'USD', actionId }) {
+    if (!userId || !symbol || !actionId) {
+      throw new Error('User ID, symbol and action ID are required to record a dividend');
+    }
+
+    const amount = roundCurrency(parseFloat(shares) * parseFloat(amountPerShare));
+    if (!(amount > 0)) {
+      throw new Error('INVALID_AMOUNT');
+    }
+
+    const dividendCurrency = normalizeCurrency(currency);
+    const { fxRate } = await currencyService.getFillRates(dividendCurrency);
+    const credit = roundCurrency(amount * fxRate);
+    const userRef = doc(db, 'users', userId);
+    const ledgerRef = doc(db, 'users', userId, 'transactions', actionId);
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const ledgerSnap = await transaction.get(ledgerRef);
+      if (ledgerSnap.exists()) return null;
+      const userSnap = await transaction.get(userRef);
+
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const cashBefore = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      const cashAfter = roundCurrency(cashBefore + credit);
+      const now = new Date().toISOString();
+
+      transaction.set(userRef, {
+        cashBalance: cashAfter,
+        dividendIncome: roundCurrency((parseFloat(userData.dividendIncome) || 0) + credit),
+        lastUpdated: now
+      }, { merge: true });
+
+      const ledgerEntry = {
+        symbol,
+        side: 'dividend',
+        quantity: parseFloat(shares),
+        price: parseFloat(amountPerShare),
+        grossAmount: amount,
+        fees: 0,
+        timestamp: now,
+        cashBefore,
+        cashAfter,
+        exDate,
+        payDate,
+        currency: dividendCurrency,
+        fxRate,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    if (!entry) return null;
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Dividend credited: ${symbol} ${amount.toFixed(2)} ${dividendCurrency} (${shares} sh × ${amountPerShare}, paid ${payDate})`);
+    return { id: actionId, ...entry };
+  }
+
+  // Credit money-market sweep interest on idle cash from the last accrual date through `throughDate` ('YYYY-MM-DD'),
+  // compounding daily at `apy` percent. The first call only starts the clock. Interest under a cent is left
+  // to accrue, and the ledger id is per date so a day is credited once.
+  async recordSweepInterest({ userId, throughDate, apy }) {
+    if (!userId || !throughDate) {
+      throw new Error('User ID and date are required to record sweep interest');
+    }
+
+    const userRef = doc(db, 'users', userId);
+    const ledgerRef = doc(db, 'users', userId, 'transactions', `${INTEREST_TYPE}-${throughDate}`);
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const ledgerSnap = await transaction.get(ledgerRef);
+      if (ledgerSnap.exists()) return null;
+      const userSnap = await transaction.get(userRef);
+
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const sweep = userData.cashSweep || {};
+      const now = new Date().toISOString();
+      if (!sweep.accruedThrough) {
+        transaction.set(userRef, { cashSweep: { accruedThrough: throughDate, interestEarned: 0 } }, { merge: true });
+        return null;
+      }
+
+      const days = Math.round((Date.parse(throughDate) - Date.parse(sweep.accruedThrough)) / DAY_MS);
+      const cashBefore = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      // Balance as it stands now; trades between accruals aren't back-dated
+      const interest = days > 0 && cashBefore > 0
+        ? roundCurrency(cashBefore * (Math.pow(1 + apy / 100, days / 365) - 1))
+        : 0;
+      if (!(interest >= 0.01)) return null;
+
+      const cashAfter = roundCurrency(cashBefore + interest);
+      const interestEarned = roundCurrency((parseFloat(sweep.interestEarned) || 0) + interest);
+      transaction.set(userRef, {
+        cashBalance: cashAfter,
+        interestIncome: roundCurrency((parseFloat(userData.interestIncome) || 0) + interest),
+        cashSweep: { accruedThrough: throughDate, interestEarned, apy },
+        lastUpdated: now
+      }, { merge: true });
+
+      const ledgerEntry = {
+        symbol: null,
+        side: INTEREST_TYPE,
+        quantity: 0,
+        price: 0,
+        grossAmount: interest,
+        fees: 0,
+        timestamp: now,
+        cashBefore,
+        cashAfter,
+        accruedFrom: sweep.accruedThrough,
+        accruedThrough: throughDate,
+        apy,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    if (!entry) return null;
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Sweep interest credited: $${entry.grossAmount.toFixed(2)} for ${entry.accruedFrom} to ${throughDate} at ${apy}% APY`);
+    return { id: ledgerRef.id, ...entry };
+  }
+
+  // LLM-generated fields to copy onto an existing holding that doesn't have them yet
+  getMissingAnalysisFields(existingHolding, stock) {
+    const fields = ['investmentThesis', 'technicalAnalysis', 'keyBenefits', 'keyRisks', 'personalizationScore', 'confidence', 'confidenceBreakdown', 'fundamentals', 'technicalIndicators'];
+    const updateData = {};
+    fields.forEach(field => {
+      if (!existingHolding[field] && stock[field]) {
+        updateData[field] = stock[field];
+      }
+    });
+    return updateData;
+  }
+
+  // New holding document, preserving LLM-generated content from stock comparison
+  buildHoldingData(stock, symbol) {
+    return {
+      symbol,
+      name: stock.name || symbol,
+      sector: stock.sector || 'Unknown',
+      industry: stock.industry || 'Unknown',
+      currency: normalizeCurrency(stock.currency),
+      assetClass: assetClassService.classify(symbol, stock).assetClass,
+      marketCap: stock.marketCap || 'N/A',
+      peRatio: stock.peRatio || 'N/A',
+      dividendYield: stock.dividendYield || 'N/A',
+      fundamentals: stock.fundamentals || null,
+      investmentThesis: stock.investmentThesis || '',
+      technicalAnalysis: stock.technicalAnalysis || '',
+      technicalIndicators: stock.technicalIndicators || null,
+      keyBenefits: stock.keyBenefits || [],
+      keyRisks: stock.keyRisks || [],
+      personalizationScore: stock.personalizationScore || 0,
+      confidence: stock.confidence || 0,
+      confidenceBreakdown: stock.confidenceBreakdown || [],
+      riskAlignment: stock.riskAlignment || 0,
+      sectorDiversification: stock.sectorDiversification || 0,
+      portfolioFit: stock.portfolioFit || 0,
+      riskLevel: stock.riskLevel || 'medium',
+      reason: stock.reason || 'User purchase'
+    };
+  }
+
+  // Watchlist document for a position that was fully sold
+  buildWatchlistData(stock, symbol, now) {
+    const data = {
+      symbol,
+      addedAt: now,
+      addedDate: now,
+      stockData: {
+        symbol,
+        name: stock.name || symbol,
+        currentPrice: parseFloat(stock.currentPrice) || 0,
+        currency: normalizeCurrency(stock.currency),
+        sector: stock.sector || 'Unknown',
+        industry: stock.industry || 'Unknown'
+      }
+    };
+
+    // Firestore rejects undefined values, so only copy fields that exist
+    ['investmentThesis', 'technicalAnalysis', 'keyBenefits', 'keyRisks', 'personalizationScore', 'confidence',
+      'confidenceBreakdown', 'fundamentals', 'technicalIndicators', 'riskAlignment', 'sectorDiversification', 'portfolioFit', 'riskLevel', 'reason'].forEach(field => {
+      if (stock[field] !== undefined) {
+        data[field] = stock[field];
+      }
+    });
+    return data;
+  }
+
+  // Record the opening balance: the cash and holdings the user had before the ledger started.
+  // Every later entry records cashBefore and sharesBefore, so this can run at any time - the first
+  // entry touching a symbol says what was held before it, and untouched holdings are still as they were.
+  // Dated just before the first ledger entry or performance snapshot. Skipped if already recorded (returns null).
+  async openLedger(userId) {
+    if (!userId) {
+      throw new Error('User ID is required to open the ledger');
+    }
+
+    const userRef = doc(db, 'users', userId);
+    const ledgerRef = doc(db, 'users', userId, 'transactions', OPENING_TYPE);
+    if ((await getDoc(ledgerRef)).exists()) return null;
+
+    const [entries, portfolioSnapshot, firstSnapshot] = await Promise.all([
+      this.getTransactions(userId),
+      getDocs(collection(db, 'users', userId, 'portfolio')),
+      getDocs(query(collection(db, 'users', userId, 'portfolioPerformance'), orderBy('createdAt', 'asc'), limit(1)))
+    ]);
+    const holdings = portfolioSnapshot.docs.map(d => d.data()).filter(h => h.symbol && (parseFloat(h.shares) || 0) > 0);
+
+    // Opening position per symbol, from the first entry that moved its shares
+    const openingBySymbol = {};
+    const firstEntryBySymbol = {};
+    entries.forEach(entry => {
+      if (['buy', 'sell', 'split'].includes(entry.side) && entry.symbol && !firstEntryBySymbol[entry.symbol]) {
+        firstEntryBySymbol[entry.symbol] = entry;
+      }
+    });
+    Object.values(firstEntryBySymbol).forEach(entry => {
+      const shares = parseFloat(entry.sharesBefore) || 0;
+      if (shares <= SHARE_EPSILON) return;
+
+      // Holdings from before the ledger only ever had the one synthesized lot
+      const lotId = `legacy-${entry.symbol}`;
+      const relieved = entries.flatMap(e => e.lotsRelieved || []).find(r => r.lotId === lotId);
+      const holding = holdings.find(h => h.symbol === entry.symbol);
+      const averagePrice = parseFloat(entry.averagePriceBefore) || 0;
+      openingBySymbol[entry.symbol] = {
+        symbol: entry.symbol,
+        shares,
+        averagePrice,
+        lots: [{
+          id: lotId,
+          quantity: shares,
+          costPerShare: averagePrice,
+          acquiredAt: relieved?.acquiredAt || holding?.purchaseDate || entry.timestamp
+        }],
+        currency: normalizeCurrency(holding?.currency || entry.currency)
+      };
+    });
+    holdings.forEach(holding => {
+      if (firstEntryBySymbol[holding.symbol] || openingBySymbol[holding.symbol]) return;
+      const lots = taxLotService.getLots(holding);
+      const summary = taxLotService.summarizeLots(lots);
+      openingBySymbol[holding.symbol] = {
+        symbol: holding.symbol,
+        shares: summary.shares,
+        averagePrice: summary.averagePrice,
+        lots,
+        currency: normalizeCurrency(holding.currency)
+      };
+    });
+    const positions = Object.values(openingBySymbol);
+
+    const snapshotData = firstSnapshot.docs[0]?.data();
+    const starts = [
+      entries.length > 0 ? Date.parse(entries[0].timestamp) : null,
+      snapshotData ? (snapshotData.createdAt?.toDate() || new Date(snapshotData.timestamp)).getTime() : null
+    ].filter(time => Number.isFinite(time));
+    const timestamp = starts.length > 0 ? new Date(Math.min(...starts) - 1).toISOString() : new Date().toISOString();
+
+    const entry = await firebaseService.runTransaction(async (transaction) => {
+      const ledgerSnap = await transaction.get(ledgerRef);
+      if (ledgerSnap.exists()) return null;
+      const userSnap = await transaction.get(userRef);
+
+      const userData = userSnap.exists() ? userSnap.data() : {};
+      const currentCash = userData.cashBalance !== undefined ? (parseFloat(userData.cashBalance) || 0) : DEFAULT_CASH_BALANCE;
+      const openingCash = entries.length > 0 ? (parseFloat(entries[0].cashBefore) || 0) : currentCash;
+      // Holdings at cost, so the opening balance reads as the money the user started with
+      const holdingsCost = positions.reduce((sum, position) => sum + position.lots.reduce(
+        (lotSum, lot) => lotSum + (lot.quantity * lot.costPerShare * (lot.fxRate ?? 1)), 0
+      ), 0);
+
+      const ledgerEntry = {
+        symbol: null,
+        side: OPENING_TYPE,
+        quantity: 0,
+        price: 0,
+        grossAmount: roundCurrency(openingCash + holdingsCost),
+        fees: 0,
+        timestamp,
+        cashBefore: openingCash,
+        cashAfter: openingCash,
+        positions,
+        createdAt: new Date()
+      };
+      transaction.set(ledgerRef, ledgerEntry);
+
+      return ledgerEntry;
+    });
+
+    if (!entry) return null;
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    console.log(`Ledger opened for ${userId}: ${entry.cashAfter.toFixed(2)} cash and ${positions.length} holdings as of ${timestamp}`);
+    return { id: OPENING_TYPE, ...entry };
+  }
+
+  // Get the user's ledger in execution order
+  async getTransactions(userId) {
+    const snapshot = await getDocs(
+      query(collection(db, 'users', userId, 'transactions'), orderBy('timestamp', 'asc'))
+    );
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  }
+
+  // Fold ledger entries into cash, lot-level positions, realized gains, dividend and sweep interest income.
+  // The opening entry seeds cash and the holdings from before the ledger; without one, starting cash
+  // defaults to the balance before the first recorded fill.
+  // Foreign-currency fills and dividends move cash at the rate recorded with them (entries from before FX tracking are USD).
+  replayLedger(entries, startingCash = null) {
+    let cashBalance = startingCash ?? (entries.length > 0 ? entries[0].cashBefore : DEFAULT_CASH_BALANCE);
+    const lotsBySymbol = {};
+    const currencyBySymbol = {};
+    let realizedGains = { shortTerm: 0, longTerm: 0, total: 0, costBasis: 0 };
+    let dividendIncome = 0;
+    let interestIncome = 0;
+    const discrepancies = [];
+
+    entries.forEach(entry => {
+      const quantity = parseFloat(entry.quantity) || 0;
+      const price = parseFloat(entry.price) || 0;
+      const fees = parseFloat(entry.fees) || 0;
+      const fxRate = parseFloat(entry.fxRate) || 1;
+      const lots = lotsBySymbol[entry.symbol] || [];
+
+      if (Math.abs(cashBalance - entry.cashBefore) > 0.01) {
+        discrepancies.push({ id: entry.id, symbol: entry.symbol, expectedCash: cashBalance, recordedCash: entry.cashBefore });
+      }
+
+      if (entry.side === OPENING_TYPE) {
+        cashBalance = parseFloat(entry.cashAfter) || 0;
+        (entry.positions || []).forEach(position => {
+          lotsBySymbol[position.symbol] = (position.lots || []).map(lot => ({ ...lot }));
+          if (position.currency) currencyBySymbol[position.symbol] = position.currency;
+        });
+        return;
+      }
+
+      if (CASH_FLOW_TYPES.includes(entry.side)) {
+        const amount = parseFloat(entry.grossAmount) || 0;
+        cashBalance = roundCurrency(entry.side === 'deposit' ? cashBalance + amount : cashBalance - amount);
+        return;
+      }
+
+      if (entry.side === 'dividend') {
+        const credit = roundCurrency((parseFloat(entry.grossAmount) || 0) * fxRate);
+        cashBalance = roundCurrency(cashBalance + credit);
+        dividendIncome = roundCurrency(dividendIncome + credit);
+        return;
+      }
+
+      if (entry.side === INTEREST_TYPE) {
+        const interest = parseFloat(entry.grossAmount) || 0;
+        cashBalance = roundCurrency(cashBalance + interest);
+        interestIncome = roundCurrency(interestIncome + interest);
+        return;
+      }
+
+      if (entry.side === 'split') {
+        lotsBySymbol[entry.symbol] = taxLotService.splitLots(lots, entry.splitRatio, entry.effectiveAt);
+        return;
+      }
+
+      if (entry.currency) currencyBySymbol[entry.symbol] = entry.currency;
+
+      if (entry.side === 'buy') {
+        lots.push(taxLotService.createLot({
+          id: entry.id,
+          quantity,
+          price,
+          fees,
+          acquiredAt: entry.timestamp,
+          fxRate,
+          fxRates: entry.fxRates || null
+        }));
+        lotsBySymbol[entry.symbol] = lots;
+        cashBalance = roundCurrency(cashBalance - (((quantity * price) + fees) * fxRate));
+      } else {
+        // Relieve the exact lots recorded at execution; fall back to the recorded method
+        const recorded = entry.lotsRelieved || [];
+        const reliefOptions = { quantity, price, fees, fxRate, soldAt: entry.timestamp };
+        let relief;
+        try {
+          relief = recorded.length > 0
+            ? taxLotService.relieveLots(lots, { ...reliefOptions, method: 'specific', lotIds: recorded.map(r => r.lotId) })
+            : taxLotService.relieveLots(lots, { ...reliefOptions, method: entry.lotMethod || 'fifo' });
+        } catch (error) {
+          // Sells of shares bought before the ledger existed can't be matched to lots without an opening entry
+          discrepancies.push({ id: entry.id, symbol: entry.symbol, error: error.message });
+          const available = taxLotService.summarizeLots(lots).shares;
+          relief = available > SHARE_EPSILON
+            ? taxLotService.relieveLots(lots, { ...reliefOptions, quantity: Math.min(quantity, available) })
+            : { remainingLots: [], realized: taxLotService.summarizeRealized([]) };
+        }
+        lotsBySymbol[entry.symbol] = relief.remainingLots;
+        realizedGains = taxLotService.addRealized(realizedGains, relief.realized);
+        cashBalance = roundCurrency(cashBalance + (((quantity * price) - fees) * fxRate));
+      }
+    });
+
+    // Only open positions are returned
+    const positions = {};
+    Object.entries(lotsBySymbol).forEach(([symbol, lots]) => {
+      const summary = taxLotService.summarizeLots(lots);
+      if (summary.shares > SHARE_EPSILON) {
+        positions[symbol] = {
+          symbol,
+          shares: summary.shares,
+          averagePrice: summary.averagePrice,
+          lots,
+          currency: normalizeCurrency(currencyBySymbol[symbol])
+        };
+      }
+    });
+
+    return { cashBalance, positions, realizedGains, dividendIncome, interestIncome, discrepancies };
+  }
+
+  // Rebuild cash and holdings from the ledger and write them back atomically.
+  // Holdings of symbols the ledger has never seen are left alone and reported as `untracked`.
+  async rebuildPortfolio(userId) {
+    await this.openLedger(userId);
+    const entries = await this.getTransactions(userId);
+    const { cashBalance, positions, realizedGains, dividendIncome, interestIncome, discrepancies } = this.replayLedger(entries);
+
+    if (discrepancies.length > 0) {
+      console.warn(`Ledger replay found ${discrepancies.length} cash discrepancies for ${userId}:`, discrepancies);
+    }
+
+    const trackedSymbols = new Set(entries.flatMap(entry => (
+      entry.side === OPENING_TYPE ? (entry.positions || []).map(position => position.symbol) : [entry.symbol]
+    )));
+    const untracked = [];
+
+    const portfolioSnapshot = await getDocs(collection(db, 'users', userId, 'portfolio'));
+    const userRef = doc(db, 'users', userId);
+    const now = new Date().toISOString();
+
+    await firebaseService.runTransaction(async (transaction) => {
+      const seen = new Set();
+
+      portfolioSnapshot.docs.forEach(snap => {
+        const data = snap.data();
+        const position = positions[data.symbol];
+
+        if (position && !seen.has(data.symbol)) {
+          seen.add(data.symbol);
+          transaction.update(snap.ref, {
+            shares: position.shares,
+            averagePrice: position.averagePrice,
+            lots: position.lots,
+            lastUpdated: now
+          });
+        } else if ((parseFloat(data.shares) || 0) > 0) {
+          if (trackedSymbols.has(data.symbol)) {
+            // The ledger closed this position (or it's a duplicate of one already rebuilt)
+            transaction.delete(snap.ref);
+          } else {
+            untracked.push(data.symbol);
+          }
+        }
+      });
+
+      Object.values(positions).forEach(position => {
+        if (!seen.has(position.symbol)) {
+          transaction.set(doc(collection(db, 'users', userId, 'portfolio')), {
+            ...this.buildHoldingData({ currency: position.currency }, position.symbol),
+            shares: position.shares,
+            averagePrice: position.averagePrice,
+            lots: position.lots,
+            purchaseDate: now,
+            lastUpdated: now
+          });
+        }
+      });
+
+      transaction.set(userRef, { cashBalance, realizedGains, dividendIncome, interestIncome, lastUpdated: now }, { merge: true });
+    });
+
+    firebaseService.invalidateCache(`users/${userId}`);
+
+    if (untracked.length > 0) {
+      console.warn(`Left ${untracked.length} holdings the ledger doesn't track for ${userId}:`, untracked);
+    }
+    console.log(`Rebuilt portfolio for ${userId} from ${entries.length} ledger entries`);
+    return { cashBalance, positions, realizedGains, dividendIncome, interestIncome, discrepancies, untracked, entryCount: entries.length };
+  }
+}
+
+export default new TradeExecutionService();